@@ -0,0 +1,181 @@
+/**
+ * Deck Builder
+ * Converts Markdown files to standalone Reveal.js decks with the same
+ * conversion as the quick-mode page
+ */
+
+import { promises as fs, readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { convertMarkdownToSlides, resolveDeckOptions } from '../slides.js';
+import { inlineAssets, formatBytes } from '../js/markdown/inline-assets.js';
+import { useSanitizerWindow } from '../js/markdown/render.js';
+import { renderDeckPage } from './template.js';
+import { hasPendingDiagrams, drawDiagrams } from './diagrams.js';
+import { launchChromium, reportDiagramErrors } from './pdf.js';
+
+/**
+ * Convert one Markdown document to a complete HTML page. Front matter
+ * settings take precedence over `options`, as in the browser;
+ * `pageOptions` take precedence over both.
+ */
+export function buildDeckHtml(markdown, options = {}, fallbackTitle = 'Presentation', pageOptions = {}) {
+  const { options: deckOptions } = resolveDeckOptions(markdown, options);
+  const slidesHtml = convertMarkdownToSlides(markdown, options);
+
+  return renderDeckPage(slidesHtml, { title: fallbackTitle, ...deckOptions, ...pageOptions });
+}
+
+/**
+ * Like buildDeckHtml, with the diagrams drawn to SVG first, so the page
+ * needs no Mermaid script. `getBrowser()` resolves to headless Chromium and
+ * is only called for decks with diagrams; the build fails when it cannot
+ * start one. Resolves to `{ html, errors }`, `errors` listing the diagrams
+ * that could not be drawn.
+ */
+export async function buildDeckPage(markdown, options = {}, fallbackTitle = 'Presentation', pageOptions = {}, getBrowser) {
+  const { options: deckOptions } = resolveDeckOptions(markdown, options);
+  const settings = { title: fallbackTitle, ...deckOptions, ...pageOptions };
+  const slidesHtml = convertMarkdownToSlides(markdown, options);
+
+  if (!hasPendingDiagrams(slidesHtml)) {
+    return { html: renderDeckPage(slidesHtml, settings), errors: [] };
+  }
+
+  // Diagrams are never left to a script in the page
+  const browser = await getBrowser().catch(error => {
+    throw new Error(`Diagrams are drawn at build time: ${error.message}`);
+  });
+  const { html, errors } = await drawDiagrams(slidesHtml, {
+    browser,
+    theme: settings.theme,
+    diagramTheme: settings.mermaidTheme
+  });
+  return { html: renderDeckPage(html, settings), errors };
+}
+
+/**
+ * Sanitize static output with DOMPurify on a jsdom window, as Node has no
+ * DOM of its own
+ */
+export async function setUpSanitizer() {
+  const { JSDOM } = await import('jsdom');
+  useSanitizerWindow(new JSDOM('').window);
+}
+
+/**
+ * Create the synchronous reader used to resolve include directives. Every
+ * file read is added to `seen` when given.
+ */
+export function createIncludeReader(seen) {
+  return filePath => {
+    const content = readFileSync(filePath, 'utf8');
+    seen?.add(path.resolve(filePath));
+    return content;
+  };
+}
+
+/**
+ * Work out where the deck for `file` is written. Inputs keep their path
+ * relative to `cwd` under `outDir`; an `outDir` ending in the output
+ * extension (.html by default) names the output file of a single input.
+ */
+export function outputPathFor(file, { cwd = process.cwd(), outDir = 'dist', extension = '.html' } = {}) {
+  const target = path.resolve(cwd, outDir);
+  if (isOutputFile(outDir, extension)) {
+    return target;
+  }
+
+  const relative = path.relative(cwd, file);
+  const name = relative.startsWith('..') || path.isAbsolute(relative) ? path.basename(file) : relative;
+  return path.join(target, name.replace(/\.(md|markdown)$/i, '') + extension);
+}
+
+/**
+ * Whether `outDir` names a single output file rather than a directory
+ */
+export function isOutputFile(outDir, extension = '.html') {
+  return extension === '.html' ? /\.html?$/i.test(outDir) : outDir.toLowerCase().endsWith(extension);
+}
+
+/**
+ * Build every input file. Errors are reported per file and do not stop the
+ * remaining files. Resolves to the list of failures.
+ *
+ * `standalone` decks carry Reveal.js, their styles, fonts and images inline
+ * and work offline. They are rendered to static HTML unless `options.output`
+ * says otherwise, so images written in Markdown are inlined too.
+ *
+ * Diagrams are drawn to SVG in headless Chromium, started once for the
+ * first deck that has any. Without Chromium a deck with diagrams fails.
+ */
+export async function buildDecks(files, options = {}, {
+  cwd = process.cwd(),
+  outDir = 'dist',
+  logger = console,
+  standalone = false,
+  loadAsset = loadLocalAsset,
+  launchBrowser = launchChromium
+} = {}) {
+  if (isOutputFile(outDir) && files.length > 1) {
+    throw new Error(`Cannot write ${files.length} decks to the single file ${outDir}`);
+  }
+
+  const deckOptions = standalone ? { output: 'static', ...options } : options;
+  const failures = [];
+  let browser = null;
+  const getBrowser = async () => {
+    browser = browser || launchBrowser();
+    return browser;
+  };
+
+  for (const file of files) {
+    const source = path.relative(cwd, file) || file;
+    try {
+      const markdown = await fs.readFile(file, 'utf8');
+      const title = path.basename(file).replace(/\.(md|markdown)$/i, '');
+      const page = await buildDeckPage(markdown, { ...deckOptions, filePath: file, readFile: createIncludeReader() }, title, {}, getBrowser);
+      reportDiagramErrors(page.errors, source, logger);
+      let html = page.html;
+      const outputFile = outputPathFor(file, { cwd, outDir });
+      let size = '';
+
+      if (standalone) {
+        // Relative image paths resolve against the deck's folder
+        const baseUrl = `${pathToFileURL(path.dirname(path.resolve(file))).href}/`;
+        const { html: inlined, report } = await inlineAssets(html, { baseUrl, loadAsset });
+        html = inlined;
+        size = ` (${formatBytes(report.size)})`;
+        report.failed.forEach(asset => logger.error(`  ${source}: could not inline ${asset.url} (${asset.error})`));
+        report.external.forEach(asset => logger.log(`  ${source}: ${asset.kind} ${asset.url} still loads from the network`));
+      }
+
+      await fs.mkdir(path.dirname(outputFile), { recursive: true });
+      await fs.writeFile(outputFile, html, 'utf8');
+      logger.log(`✓ ${source} → ${path.relative(cwd, outputFile)}${size}`);
+    } catch (error) {
+      failures.push({ file, error });
+      logger.error(`✗ ${source}: ${error.message}`);
+    }
+  }
+
+  // A browser that failed to start has nothing to close
+  await Promise.resolve(browser).then(started => started?.close(), () => {});
+  return failures;
+}
+
+// Local files are read from disk, everything else is downloaded
+async function loadLocalAsset(url) {
+  if (url.startsWith('file:')) {
+    return { bytes: new Uint8Array(await fs.readFile(fileURLToPath(url))) };
+  }
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return {
+    bytes: new Uint8Array(await response.arrayBuffer()),
+    type: response.headers.get('content-type') || ''
+  };
+}
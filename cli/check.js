@@ -0,0 +1,42 @@
+/**
+ * Overflow Check
+ * Reports slides that do not fit the slide area, so CI can fail on decks
+ * that would overflow when presented
+ */
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { findOverflowingSlides } from '../slides.js';
+import { createIncludeReader } from './build.js';
+
+/**
+ * Check every input file. Resolves to the list of files that overflow or
+ * could not be checked.
+ */
+export async function checkDecks(files, options = {}, { cwd = process.cwd(), logger = console } = {}) {
+  const failures = [];
+
+  for (const file of files) {
+    const source = path.relative(cwd, file) || file;
+    try {
+      const markdown = await fs.readFile(file, 'utf8');
+      const slides = findOverflowingSlides(markdown, { ...options, filePath: file, readFile: createIncludeReader() });
+
+      if (slides.length === 0) {
+        logger.log(`✓ ${source}`);
+        continue;
+      }
+
+      failures.push({ file, slides });
+      slides.forEach(slide => {
+        const where = slide.file ? path.relative(cwd, slide.file) || slide.file : source;
+        logger.error(`✗ ${where}:${slide.line}: slide ${slide.number} is about ${slide.height}px tall, ${slide.height - slide.limit}px over ${slide.limit}px`);
+      });
+    } catch (error) {
+      failures.push({ file, error });
+      logger.error(`✗ ${source}: ${error.message}`);
+    }
+  }
+
+  return failures;
+}
@@ -0,0 +1,55 @@
+/**
+ * Build-time Diagrams
+ * Draws the Mermaid diagrams of built slides to inline SVG in headless
+ * Chromium (Playwright), so decks show them without loading Mermaid. The
+ * Mermaid bundle comes from node_modules; nothing is downloaded.
+ */
+
+import { createRequire } from 'node:module';
+import { renderDiagrams, mermaidTheme } from '../js/markdown/diagrams.js';
+
+const MERMAID_SCRIPT = createRequire(import.meta.url).resolve('mermaid/dist/mermaid.min.js');
+
+/**
+ * Whether built slides hold diagrams still to be drawn
+ */
+export function hasPendingDiagrams(slidesHtml) {
+  return slidesHtml.includes('<pre class="mermaid"');
+}
+
+/**
+ * Draw the diagrams of built slides in a page of `browser`, with the
+ * Mermaid theme for the deck's `theme` unless `diagramTheme` names one.
+ * Resolves to `{ html, errors }` like renderDiagrams.
+ */
+export async function drawDiagrams(slidesHtml, { browser, theme, diagramTheme = mermaidTheme(theme) }) {
+  if (!hasPendingDiagrams(slidesHtml)) {
+    return { html: slidesHtml, errors: [] };
+  }
+
+  const page = await browser.newPage();
+  try {
+    await page.addScriptTag({ path: MERMAID_SCRIPT });
+    await page.evaluate(
+      diagramTheme => window.mermaid.initialize({ startOnLoad: false, theme: diagramTheme, securityLevel: 'strict' }),
+      diagramTheme
+    );
+
+    // Parsing first reports syntax errors without drawing an error diagram
+    const render = async (id, source) => {
+      try {
+        return await page.evaluate(async ([id, source]) => {
+          await window.mermaid.parse(source);
+          const { svg } = await window.mermaid.render(id, source);
+          return { svg };
+        }, [id, source]);
+      } catch (error) {
+        throw new Error(String(error.message).replace(/^page\.evaluate:\s*(Error:\s*)?/, ''));
+      }
+    };
+
+    return await renderDiagrams(slidesHtml, { render });
+  } finally {
+    await page.close();
+  }
+}
@@ -0,0 +1,126 @@
+/**
+ * Glob Expansion
+ * Resolves input patterns such as `talks/**\/*.md` to file paths. Supports
+ * `*`, `**`, `?`, `[...]` and `{a,b}`; hidden files and node_modules are only
+ * matched when the pattern names them.
+ */
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+
+const MAGIC = /[*?[\]{}]/;
+
+/**
+ * Whether a pattern contains glob syntax
+ */
+export function hasMagic(pattern) {
+  return MAGIC.test(pattern);
+}
+
+/**
+ * Convert a glob pattern to a RegExp matching posix-style relative paths
+ */
+export function globToRegExp(pattern) {
+  let source = '';
+  let braceDepth = 0;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // "**/" matches any number of directories, including none
+        const slash = pattern[i + 2] === '/';
+        source += slash ? '(?:[^/]*(?:/|$))*' : '.*';
+        i += slash ? 2 : 1;
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        const body = pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+        source += `[${body}]`;
+        i = end;
+      }
+    } else if (char === '{') {
+      braceDepth++;
+      source += '(?:';
+    } else if (char === '}' && braceDepth > 0) {
+      braceDepth--;
+      source += ')';
+    } else if (char === ',' && braceDepth > 0) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Expand input patterns relative to `cwd`. Plain paths must exist; a glob
+ * that matches nothing is an error. Returns absolute paths without
+ * duplicates, in pattern order and sorted within each pattern.
+ */
+export async function expandPatterns(patterns, cwd = process.cwd()) {
+  const files = [];
+
+  for (const pattern of patterns) {
+    const normalized = pattern.split(path.sep).join('/');
+
+    if (!hasMagic(normalized)) {
+      const file = path.resolve(cwd, pattern);
+      const stats = await fs.stat(file).catch(() => null);
+      if (!stats || !stats.isFile()) {
+        throw new Error(`No such file: ${pattern}`);
+      }
+      files.push(file);
+      continue;
+    }
+
+    const matches = await matchPattern(normalized, cwd);
+    if (matches.length === 0) {
+      throw new Error(`No files match: ${pattern}`);
+    }
+    files.push(...matches.sort());
+  }
+
+  return [...new Set(files)];
+}
+
+async function matchPattern(pattern, cwd) {
+  // Walk from the longest leading path without glob syntax
+  const segments = pattern.split('/');
+  const firstMagic = segments.findIndex(segment => hasMagic(segment));
+  const base = path.resolve(cwd, segments.slice(0, firstMagic).join('/') || '.');
+  const rest = segments.slice(firstMagic);
+  const matcher = globToRegExp(rest.join('/'));
+  const allowHidden = rest.some(segment => segment.startsWith('.'));
+  const maxDepth = rest.some(segment => segment.includes('**')) ? Infinity : rest.length;
+
+  const matches = [];
+  const walk = async (directory, relative, depth) => {
+    const entries = await fs.readdir(directory, { withFileTypes: true }).catch(() => []);
+
+    for (const entry of entries) {
+      if (!allowHidden && entry.name.startsWith('.')) continue;
+      if (entry.name === 'node_modules' && !pattern.includes('node_modules')) continue;
+
+      const entryPath = relative ? `${relative}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (depth < maxDepth) await walk(path.join(directory, entry.name), entryPath, depth + 1);
+      } else if (entry.isFile() && matcher.test(entryPath)) {
+        matches.push(path.join(directory, entry.name));
+      }
+    }
+  };
+
+  await walk(base, '', 1);
+  return matches;
+}
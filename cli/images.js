@@ -0,0 +1,122 @@
+/**
+ * Slide Image Export
+ * Takes a PNG screenshot of every slide, or every fragment step, in a
+ * locally installed headless Chromium (Playwright) and packs them into a
+ * ZIP with an index
+ */
+
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { resolveImageOptions, imageLayout, imageFileName, createImageArchive } from '../js/markdown/thumbnails.js';
+import { buildDeckPage, createIncludeReader, outputPathFor, isOutputFile } from './build.js';
+import { writeDeckPage, reportDiagramErrors, launchChromium } from './pdf.js';
+
+// Fragments appear at once rather than fading in mid-screenshot
+const STILL_STYLE = '.reveal *, .reveal *::before, .reveal *::after { transition: none !important; animation: none !important; }';
+
+/**
+ * Reveal.js settings for screenshots: slides laid out at the image layout
+ * size without a margin, controls or transitions
+ */
+export function screenshotConfig(imageOptions = {}) {
+  const { width, height } = imageLayout(resolveImageOptions(imageOptions).size);
+
+  return {
+    width,
+    height,
+    margin: 0,
+    controls: false,
+    progress: false,
+    slideNumber: false,
+    transition: 'none',
+    backgroundTransition: 'none'
+  };
+}
+
+/**
+ * Write a ZIP of slide images per input file. `images` holds the `size`
+ * and `fragments` options. Errors are reported per file and do not stop the
+ * remaining files. Resolves to the list of failures.
+ */
+export async function exportImages(files, options = {}, {
+  cwd = process.cwd(),
+  outDir = 'dist',
+  logger = console,
+  images = {},
+  launchBrowser = launchChromium
+} = {}) {
+  if (isOutputFile(outDir, '.zip') && files.length > 1) {
+    throw new Error(`Cannot write ${files.length} image archives to the single file ${outDir}`);
+  }
+
+  const { size, fragments } = resolveImageOptions(images);
+  const { scale } = imageLayout(size);
+  const revealConfig = screenshotConfig(images);
+  const { width, height } = revealConfig;
+  const failures = [];
+  const browser = await launchBrowser();
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'md2reveal-images-'));
+
+  try {
+    for (const [index, file] of files.entries()) {
+      const source = path.relative(cwd, file) || file;
+      let page;
+      try {
+        const markdown = await fs.readFile(file, 'utf8');
+        const title = path.basename(file).replace(/\.(md|markdown)$/i, '');
+        const { html, errors } = await buildDeckPage(
+          markdown, { ...options, filePath: file, readFile: createIncludeReader() }, title, { revealConfig }, async () => browser
+        );
+        reportDiagramErrors(errors, source, logger);
+        const outputFile = outputPathFor(file, { cwd, outDir, extension: '.zip' });
+        const pageFile = await writeDeckPage(html, file, path.join(tempDir, `deck-${index + 1}.html`));
+
+        page = await browser.newPage({ viewport: { width, height }, deviceScaleFactor: scale });
+        await page.goto(pathToFileURL(pageFile).href, { waitUntil: 'networkidle' });
+        await page.waitForFunction(() => window.Reveal && window.Reveal.isReady());
+        await page.addStyleTag({ content: STILL_STYLE });
+
+        const slides = await page.evaluate(() => window.Reveal.getSlides().map(slide => ({
+          ...window.Reveal.getIndices(slide),
+          steps: new Set([...slide.querySelectorAll('.fragment')].map(fragment => fragment.dataset.fragmentIndex)).size,
+          title: slide.querySelector('h1, h2, h3, h4, h5, h6')?.textContent.trim() || ''
+        })));
+
+        const shots = [];
+        for (const [number, slide] of slides.entries()) {
+          // Fragment index -1 is the slide before its first fragment; the
+          // last index shows every fragment
+          const steps = fragments === 'separate' ? [...Array(slide.steps + 1).keys()] : [slide.steps];
+          for (const step of steps) {
+            await page.evaluate(([h, v, f]) => window.Reveal.slide(h, v, f), [slide.h, slide.v, step - 1]);
+            const bytes = await page.screenshot({ type: 'png' });
+            const imageStep = fragments === 'separate' ? step : 0;
+            shots.push({
+              file: imageFileName(number + 1, imageStep, slides.length),
+              slide: number + 1,
+              step: imageStep,
+              title: slide.title,
+              bytes: new Uint8Array(bytes)
+            });
+          }
+        }
+
+        await fs.mkdir(path.dirname(outputFile), { recursive: true });
+        await fs.writeFile(outputFile, await createImageArchive(shots, { title, size }));
+        logger.log(`✓ ${source} → ${path.relative(cwd, outputFile)} (${shots.length} images)`);
+      } catch (error) {
+        failures.push({ file, error });
+        logger.error(`✗ ${source}: ${error.message}`);
+      } finally {
+        await page?.close();
+      }
+    }
+  } finally {
+    await browser.close();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+
+  return failures;
+}
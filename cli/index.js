@@ -0,0 +1,329 @@
+/**
+ * md2reveal Command Line
+ * Entry point for the deck CLI: argument parsing and command dispatch
+ */
+
+import { parseArgs } from 'node:util';
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { expandPatterns } from './glob.js';
+import { buildDecks, setUpSanitizer } from './build.js';
+import { startServer } from './serve.js';
+import { checkDecks } from './check.js';
+import { lintDecks, hasLintErrors, LINT_FORMATS } from './lint.js';
+import { exportPdfs } from './pdf.js';
+import { exportImages } from './images.js';
+import { resolvePdfOptions } from '../js/markdown/pdf.js';
+import { resolveImageOptions } from '../js/markdown/thumbnails.js';
+
+export const EXIT_OK = 0;
+export const EXIT_FAILURE = 1;
+export const EXIT_USAGE = 2;
+
+const USAGE = `Usage: md2reveal build <files or globs...> [options]
+       md2reveal serve <files or globs...> [options]
+       md2reveal check <files or globs...> [options]
+       md2reveal lint <files or globs...> [options]
+       md2reveal pdf <files or globs...> [options]
+       md2reveal images <files or globs...> [options]
+
+Commands:
+  build                      Write a standalone HTML deck per input file
+  serve, watch               Serve the decks locally and reload them on changes
+  check                      Report slides that overflow the slide area
+  lint                       Report problems such as missing alt text, broken links and low contrast
+  pdf                        Print a PDF per input file with headless Chromium (Playwright)
+  images                     Write a ZIP of PNG slide images per input file with headless Chromium (Playwright)
+
+Options:
+  -o, --out-dir <path>       Output directory, or an .html, .pdf or .zip file for a single input (default: dist)
+  -p, --port <number>        Port for serve (default: 8000)
+      --host <address>       Address for serve to listen on (default: 127.0.0.1)
+      --bg-color <color>     Background color (default: the theme's)
+      --bg-image <url>       Background image URL
+      --transition <name>    none, fade, slide, convex, concave or zoom (default: slide)
+      --text-align <align>   left, center or right (default: center)
+      --font-size <px>       Slide font size in pixels
+      --theme <name>         Reveal.js theme (default: black)
+      --output <mode>        markdown (rendered in the browser) or static (default: markdown)
+      --overflow <mode>      warn, or split overflowing slides into continuation slides (default: warn)
+      --standalone           Build: inline Reveal.js, styles, fonts and images into one offline file
+      --format <format>      Lint output, text or json (default: text)
+      --lint-config <path>   JSON file with the project's lint rule settings
+      --page-size <size>     PDF page size, A4, Letter, 16:9 or 4:3 (default: 16:9)
+      --layout <layout>      PDF pages, slides or notes (a notes page after each slide) (default: slides)
+      --fragments <mode>     PDF pages or images, expanded or separate (one per fragment step) (default: expanded)
+      --size <WxH>           Image size in pixels, such as 1920x1080 (default: 1280x720)
+  -h, --help                 Show this help
+  -v, --version              Show the version
+
+Front matter in a file takes precedence over these options.`;
+
+const OPTIONS = {
+  'out-dir': { type: 'string', short: 'o' },
+  port: { type: 'string', short: 'p' },
+  host: { type: 'string' },
+  'bg-color': { type: 'string' },
+  'bg-image': { type: 'string' },
+  transition: { type: 'string' },
+  'text-align': { type: 'string' },
+  'font-size': { type: 'string' },
+  theme: { type: 'string' },
+  output: { type: 'string' },
+  overflow: { type: 'string' },
+  standalone: { type: 'boolean' },
+  format: { type: 'string' },
+  'lint-config': { type: 'string' },
+  'page-size': { type: 'string' },
+  layout: { type: 'string' },
+  fragments: { type: 'string' },
+  size: { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+  version: { type: 'boolean', short: 'v' }
+};
+
+/**
+ * Map CLI flags onto convertMarkdownToSlides options, leaving out flags that
+ * were not given so the slides.js defaults apply
+ */
+export function flagsToOptions(values) {
+  const options = {
+    bgColor: values['bg-color'],
+    bgImage: values['bg-image'],
+    transition: values.transition,
+    textAlign: values['text-align'],
+    fontSize: values['font-size'] === undefined ? undefined : Number(values['font-size']),
+    theme: values.theme,
+    output: values.output,
+    overflow: values.overflow
+  };
+
+  if (Number.isNaN(options.fontSize)) {
+    throw new Error(`--font-size expects a number, got "${values['font-size']}"`);
+  }
+
+  return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Run the CLI with the given arguments. Resolves to the process exit code.
+ */
+export async function run(argv, { cwd = process.cwd(), logger = console } = {}) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    logger.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  const { values, positionals } = parsed;
+  const [command, ...inputs] = positionals;
+
+  if (values.version) {
+    logger.log(readVersion());
+    return EXIT_OK;
+  }
+
+  if (values.help || !command) {
+    logger.log(USAGE);
+    return values.help ? EXIT_OK : EXIT_USAGE;
+  }
+
+  await setUpSanitizer();
+
+  switch (command) {
+    case 'build':
+      return build(inputs, values, { cwd, logger });
+    case 'serve':
+    case 'watch':
+      return serve(inputs, values, { cwd, logger });
+    case 'check':
+      return check(inputs, values, { cwd, logger });
+    case 'lint':
+      return lint(inputs, values, { cwd, logger });
+    case 'pdf':
+      return pdf(inputs, values, { cwd, logger });
+    case 'images':
+      return images(inputs, values, { cwd, logger });
+    default:
+      logger.error(`Unknown command: ${command}\n\n${USAGE}`);
+      return EXIT_USAGE;
+  }
+}
+
+async function build(inputs, values, { cwd, logger }) {
+  const resolved = await resolveInputs(inputs, values, { cwd, logger });
+  if (!resolved) return EXIT_USAGE;
+  const { files, options } = resolved;
+
+  try {
+    const failures = await buildDecks(files, options, {
+      cwd,
+      outDir: values['out-dir'] || 'dist',
+      logger,
+      standalone: Boolean(values.standalone)
+    });
+    if (failures.length > 0) {
+      logger.error(`${failures.length} of ${files.length} decks failed`);
+      return EXIT_FAILURE;
+    }
+  } catch (error) {
+    logger.error(error.message);
+    return EXIT_FAILURE;
+  }
+
+  return EXIT_OK;
+}
+
+async function check(inputs, values, { cwd, logger }) {
+  const resolved = await resolveInputs(inputs, values, { cwd, logger });
+  if (!resolved) return EXIT_USAGE;
+  const { files, options } = resolved;
+
+  const failures = await checkDecks(files, options, { cwd, logger });
+  if (failures.length > 0) {
+    logger.error(`${failures.length} of ${files.length} decks have overflowing slides or errors`);
+    return EXIT_FAILURE;
+  }
+
+  return EXIT_OK;
+}
+
+async function lint(inputs, values, { cwd, logger }) {
+  const format = values.format || 'text';
+  if (!LINT_FORMATS.includes(format)) {
+    logger.error(`--format expects ${LINT_FORMATS.join(' or ')}, got "${format}"`);
+    return EXIT_USAGE;
+  }
+
+  const resolved = await resolveInputs(inputs, values, { cwd, logger });
+  if (!resolved) return EXIT_USAGE;
+  const { files, options } = resolved;
+
+  // Project rule settings; a deck's front matter still wins
+  if (values['lint-config']) {
+    try {
+      options.lint = JSON.parse(readFileSync(path.resolve(cwd, values['lint-config']), 'utf8'));
+    } catch (error) {
+      logger.error(`Could not read --lint-config: ${error.message}`);
+      return EXIT_USAGE;
+    }
+  }
+
+  const results = await lintDecks(files, options, { cwd, logger, format });
+  return hasLintErrors(results) ? EXIT_FAILURE : EXIT_OK;
+}
+
+async function pdf(inputs, values, { cwd, logger }) {
+  const pdfOptions = Object.fromEntries(
+    Object.entries({ pageSize: values['page-size'], layout: values.layout, fragments: values.fragments })
+      .filter(([, value]) => value !== undefined)
+  );
+  try {
+    resolvePdfOptions(pdfOptions);
+  } catch (error) {
+    logger.error(error.message);
+    return EXIT_USAGE;
+  }
+
+  const resolved = await resolveInputs(inputs, values, { cwd, logger });
+  if (!resolved) return EXIT_USAGE;
+  const { files, options } = resolved;
+
+  try {
+    const failures = await exportPdfs(files, options, { cwd, outDir: values['out-dir'] || 'dist', logger, pdf: pdfOptions });
+    if (failures.length > 0) {
+      logger.error(`${failures.length} of ${files.length} PDFs failed`);
+      return EXIT_FAILURE;
+    }
+  } catch (error) {
+    logger.error(error.message);
+    return EXIT_FAILURE;
+  }
+
+  return EXIT_OK;
+}
+
+async function images(inputs, values, { cwd, logger }) {
+  const imageOptions = Object.fromEntries(
+    Object.entries({ size: values.size, fragments: values.fragments }).filter(([, value]) => value !== undefined)
+  );
+  try {
+    resolveImageOptions(imageOptions);
+  } catch (error) {
+    logger.error(error.message);
+    return EXIT_USAGE;
+  }
+
+  const resolved = await resolveInputs(inputs, values, { cwd, logger });
+  if (!resolved) return EXIT_USAGE;
+  const { files, options } = resolved;
+
+  try {
+    const failures = await exportImages(files, options, { cwd, outDir: values['out-dir'] || 'dist', logger, images: imageOptions });
+    if (failures.length > 0) {
+      logger.error(`${failures.length} of ${files.length} image exports failed`);
+      return EXIT_FAILURE;
+    }
+  } catch (error) {
+    logger.error(error.message);
+    return EXIT_FAILURE;
+  }
+
+  return EXIT_OK;
+}
+
+async function serve(inputs, values, { cwd, logger }) {
+  const port = values.port === undefined ? 8000 : Number(values.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    logger.error(`--port expects a port number, got "${values.port}"`);
+    return EXIT_USAGE;
+  }
+
+  const resolved = await resolveInputs(inputs, values, { cwd, logger });
+  if (!resolved) return EXIT_USAGE;
+  const { files, options } = resolved;
+
+  let server;
+  try {
+    server = await startServer(files, options, { cwd, host: values.host || '127.0.0.1', port, logger });
+  } catch (error) {
+    logger.error(`Could not start the server: ${error.message}`);
+    return EXIT_FAILURE;
+  }
+
+  server.decks.forEach(url => logger.log(`Serving ${url}`));
+  logger.log('Watching for changes, press Ctrl+C to stop');
+
+  await new Promise(resolve => {
+    process.once('SIGINT', resolve);
+    process.once('SIGTERM', resolve);
+  });
+  await server.close();
+
+  return EXIT_OK;
+}
+
+/**
+ * Expand the input patterns and read the conversion flags. Reports the
+ * problem and resolves to null on a usage error.
+ */
+async function resolveInputs(inputs, values, { cwd, logger }) {
+  if (inputs.length === 0) {
+    logger.error(`No input files given\n\n${USAGE}`);
+    return null;
+  }
+
+  try {
+    return { options: flagsToOptions(values), files: await expandPatterns(inputs, cwd) };
+  } catch (error) {
+    logger.error(error.message);
+    return null;
+  }
+}
+
+function readVersion() {
+  const pkg = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+  return pkg.version;
+}
@@ -0,0 +1,62 @@
+/**
+ * Deck Lint
+ * Reports the problems the deck linter finds, as text for people or as JSON
+ * for editors and CI
+ */
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { lintDeck } from '../js/markdown/lint.js';
+import { createIncludeReader } from './build.js';
+
+export const LINT_FORMATS = ['text', 'json'];
+
+/**
+ * Lint every input file. `options.lint` holds the project's rule settings.
+ * Resolves to one result per file, `{ file, problems }` or `{ file, error }`
+ * when the file could not be linted.
+ */
+export async function lintDecks(files, options = {}, { cwd = process.cwd(), logger = console, format = 'text' } = {}) {
+  const results = [];
+
+  for (const file of files) {
+    const source = path.relative(cwd, file) || file;
+    try {
+      const markdown = await fs.readFile(file, 'utf8');
+      const problems = lintDeck(markdown, { ...options, filePath: file, readFile: createIncludeReader() })
+        .map(problem => (problem.file ? { ...problem, file: path.relative(cwd, problem.file) || problem.file } : problem));
+      results.push({ file: source, problems });
+    } catch (error) {
+      results.push({ file: source, error: error.message });
+    }
+  }
+
+  if (format === 'json') {
+    logger.log(JSON.stringify(results, null, 2));
+    return results;
+  }
+
+  results.forEach(({ file, problems, error }) => {
+    if (error) {
+      logger.error(`✗ ${file}: ${error}`);
+    } else if (problems.length === 0) {
+      logger.log(`✓ ${file}`);
+    } else {
+      problems.forEach(problem => {
+        const slide = problem.slide ? ` (slide ${problem.slide})` : '';
+        const report = problem.severity === 'error' ? logger.error : logger.log;
+        report(`${problem.severity === 'error' ? '✗' : '!'} ${problem.file || file}:${problem.line}: ${problem.message}${slide} [${problem.rule}]`);
+      });
+    }
+  });
+
+  return results;
+}
+
+/**
+ * Whether a lint run should fail: a file could not be linted or has a
+ * problem reported as an error
+ */
+export function hasLintErrors(results) {
+  return results.some(result => result.error || result.problems.some(problem => problem.severity === 'error'));
+}
@@ -0,0 +1,135 @@
+/**
+ * PDF Export
+ * Prints decks to PDF through the Reveal.js print view in a locally
+ * installed headless Chromium (Playwright), so text stays selectable
+ */
+
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { PDF_PAGE_SIZES, resolvePdfOptions } from '../js/markdown/pdf.js';
+import { buildDeckPage, createIncludeReader, outputPathFor, isOutputFile } from './build.js';
+
+/**
+ * Reveal.js settings for printing: slides laid out at the page size without
+ * a margin, one page per slide, notes on pages of their own for the `notes`
+ * layout and a page per fragment step when fragments are `separate`
+ */
+export function printConfig(pdfOptions = {}) {
+  const { pageSize, layout, fragments } = resolvePdfOptions(pdfOptions);
+  const { width, height } = PDF_PAGE_SIZES[pageSize];
+
+  return {
+    width,
+    height,
+    margin: 0,
+    pdfMaxPagesPerSlide: 1,
+    pdfSeparateFragments: fragments === 'separate',
+    showNotes: layout === 'notes' ? 'separate-page' : false
+  };
+}
+
+/**
+ * Print every input file to PDF. `pdf` holds the `pageSize`, `layout` and
+ * `fragments` options. Errors are reported per file and do not stop the
+ * remaining files. Resolves to the list of failures.
+ */
+export async function exportPdfs(files, options = {}, {
+  cwd = process.cwd(),
+  outDir = 'dist',
+  logger = console,
+  pdf = {},
+  launchBrowser = launchChromium
+} = {}) {
+  if (isOutputFile(outDir, '.pdf') && files.length > 1) {
+    throw new Error(`Cannot write ${files.length} PDFs to the single file ${outDir}`);
+  }
+
+  const revealConfig = printConfig(pdf);
+  const { width, height } = revealConfig;
+  const failures = [];
+  const browser = await launchBrowser();
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'md2reveal-pdf-'));
+
+  try {
+    for (const [index, file] of files.entries()) {
+      const source = path.relative(cwd, file) || file;
+      let page;
+      try {
+        const markdown = await fs.readFile(file, 'utf8');
+        const title = path.basename(file).replace(/\.(md|markdown)$/i, '');
+        const { html, errors } = await buildDeckPage(
+          markdown, { ...options, filePath: file, readFile: createIncludeReader() }, title, { revealConfig }, async () => browser
+        );
+        reportDiagramErrors(errors, source, logger);
+        const outputFile = outputPathFor(file, { cwd, outDir, extension: '.pdf' });
+
+        const pageFile = await writeDeckPage(html, file, path.join(tempDir, `deck-${index + 1}.html`));
+        await fs.mkdir(path.dirname(outputFile), { recursive: true });
+
+        page = await browser.newPage();
+        await page.goto(`${pathToFileURL(pageFile).href}?print-pdf`, { waitUntil: 'networkidle' });
+        await page.waitForFunction(() => window.Reveal && window.Reveal.isReady());
+        await page.pdf({
+          path: outputFile,
+          width: `${width}px`,
+          height: `${height}px`,
+          printBackground: true,
+          preferCSSPageSize: true
+        });
+        logger.log(`✓ ${source} → ${path.relative(cwd, outputFile)}`);
+      } catch (error) {
+        failures.push({ file, error });
+        logger.error(`✗ ${source}: ${error.message}`);
+      } finally {
+        await page?.close();
+      }
+    }
+  } finally {
+    await browser.close();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+
+  return failures;
+}
+
+/**
+ * Log the diagrams of a deck that could not be drawn; the page shows an
+ * error box in their place
+ */
+export function reportDiagramErrors(errors, source, logger) {
+  errors.forEach(({ line, message }) => {
+    logger.log(`  ${source}: diagram${line ? ` on line ${line}` : ''} could not be drawn: ${message.split('\n')[0]}`);
+  });
+}
+
+/**
+ * Write a deck to a temporary page for the browser to open; relative image
+ * paths still resolve against the deck's folder. Resolves to the page file.
+ */
+export async function writeDeckPage(html, file, pageFile) {
+  const base = `<base href="${pathToFileURL(path.dirname(path.resolve(file))).href}/">`;
+  await fs.writeFile(pageFile, html.replace('<head>', `<head>\n  ${base}`), 'utf8');
+  return pageFile;
+}
+
+/**
+ * Start headless Chromium. Playwright is a development dependency and
+ * downloads its browsers separately, so both may be missing.
+ */
+export async function launchChromium() {
+  let chromium;
+  try {
+    ({ chromium } = await import('playwright'));
+  } catch {
+    throw new Error('Headless Chromium comes with Playwright; install it with: npm install playwright && npx playwright install chromium');
+  }
+
+  try {
+    return await chromium.launch();
+  } catch (error) {
+    const [reason] = error.message.split('\n');
+    throw new Error(`Could not start headless Chromium (${reason}); install it with: npx playwright install chromium`);
+  }
+}
@@ -0,0 +1,378 @@
+/**
+ * Deck Server
+ * Serves decks from memory on a local HTTP server, rebuilds them when their
+ * Markdown or referenced files change and live-reloads open pages over
+ * server-sent events. Reveal's hash keeps the current slide across reloads.
+ */
+
+import http from 'node:http';
+import { promises as fs, watch } from 'node:fs';
+import path from 'node:path';
+import { buildDeckPage, outputPathFor, createIncludeReader } from './build.js';
+import { launchChromium, reportDiagramErrors } from './pdf.js';
+import { escapeHtml } from './template.js';
+
+const EVENTS_PATH = '/__md2reveal/events';
+const REBUILD_DELAY = 100;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2'
+};
+
+// Relative URLs in Markdown images and links, HTML attributes and @bg directives
+const ASSET_REFERENCES = [
+  /!?\[[^\]]*\]\(\s*<?([^)\s>]+)/g,
+  /\b(?:src|href|data-background(?:-image|-video|-iframe)?)\s*=\s*["']([^"']+)["']/g,
+  /<!--\s*@(?:bg|background|bg-image|bg-video)\s*:\s*(\S+?)\s*-->/g
+];
+
+/**
+ * Client script added to served decks: reloads on rebuild and shows
+ * conversion errors in an overlay
+ */
+const LIVE_RELOAD_CLIENT = `<script>
+(() => {
+  const deck = location.pathname;
+  const events = new EventSource('${EVENTS_PATH}');
+  let overlay = null;
+
+  const showError = message => {
+    if (!overlay) {
+      overlay = document.createElement('pre');
+      overlay.id = 'md2reveal-error';
+      overlay.style.cssText = 'position:fixed;inset:0;z-index:10000;margin:0;padding:2em;overflow:auto;' +
+        'background:rgba(20,0,0,.92);color:#ff8080;font:16px/1.5 monospace;white-space:pre-wrap;';
+      document.body.appendChild(overlay);
+    }
+    overlay.textContent = message;
+  };
+
+  events.addEventListener('reload', event => {
+    if (JSON.parse(event.data).deck === deck) location.reload();
+  });
+  events.addEventListener('build-error', event => {
+    const data = JSON.parse(event.data);
+    if (data.deck === deck) showError(data.message);
+  });
+})();
+</script>`;
+
+/**
+ * Collect the relative paths a deck refers to, resolved against the
+ * directory of its Markdown file
+ */
+export function collectAssetReferences(markdown, baseDir) {
+  return new Set(findAssetUrls(markdown).map(url => path.resolve(baseDir, url)));
+}
+
+/**
+ * The relative URLs in `markdown`, decoded and without query or hash
+ */
+function findAssetUrls(markdown) {
+  const urls = [];
+
+  ASSET_REFERENCES.forEach(pattern => {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(markdown)) !== null) {
+      const url = match[1].split(/[?#]/)[0];
+      if (url && !/^([a-z][\w+.-]*:|\/\/|#)/i.test(url)) {
+        urls.push(decodeURIComponent(url));
+      }
+    }
+  });
+
+  return urls;
+}
+
+/**
+ * Add the live reload client to a served page
+ */
+export function injectLiveReload(html) {
+  return html.includes('</body>')
+    ? html.replace('</body>', `${LIVE_RELOAD_CLIENT}\n</body>`)
+    : html + LIVE_RELOAD_CLIENT;
+}
+
+/**
+ * Start the deck server. Resolves once listening with the server URL, the
+ * URL of each deck and a `close` function.
+ */
+export async function startServer(files, options = {}, {
+  cwd = process.cwd(),
+  host = '127.0.0.1',
+  port = 8000,
+  logger = console,
+  launchBrowser = launchChromium
+} = {}) {
+  const decks = files.map(file => ({
+    file,
+    url: '/' + path.relative(cwd, outputPathFor(file, { cwd, outDir: '.' })).split(path.sep).join('/'),
+    html: null,
+    error: null,
+    assets: new Set(),
+    includes: new Set(),
+    served: new Map()
+  }));
+  const clients = new Set();
+  const watchers = new Map();
+  const pending = new Map();
+  let closed = false;
+
+  // Diagrams are drawn as in built decks, in a browser started on first
+  // use; after a failed start the next rebuild tries again
+  let browser = null;
+  const getBrowser = async () => {
+    browser = browser || launchBrowser().catch(error => {
+      browser = null;
+      throw error;
+    });
+    return browser;
+  };
+
+  const broadcast = (event, data) => {
+    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    clients.forEach(response => response.write(message));
+  };
+
+  // Editors often write a file in several steps, so changes are batched
+  const fileChanged = changed => {
+    decks
+      .filter(deck => deck.file === changed || deck.includes.has(changed) || deck.assets.has(changed))
+      .forEach(deck => {
+        clearTimeout(pending.get(deck));
+        pending.set(deck, setTimeout(() => {
+          pending.delete(deck);
+          if (deck.file === changed || deck.includes.has(changed)) {
+            rebuild(deck);
+          } else {
+            logger.log(`✓ ${path.relative(cwd, changed)} changed`);
+            broadcast('reload', { deck: deck.url });
+          }
+        }, REBUILD_DELAY));
+      });
+  };
+
+  // The folders of the decks, their includes and assets are watched one by
+  // one: recursive watching is not available on Linux before Node 20, and
+  // editors that save by renaming replace the file a file watcher follows
+  const watchFiles = () => {
+    if (closed) return;
+    const folders = new Set(decks.flatMap(deck => (
+      [deck.file, ...deck.includes, ...deck.assets].map(file => path.dirname(file))
+    )));
+
+    watchers.forEach((watcher, folder) => {
+      if (!folders.has(folder)) {
+        watcher.close();
+        watchers.delete(folder);
+      }
+    });
+    folders.forEach(folder => {
+      if (watchers.has(folder)) return;
+      try {
+        const watcher = watch(folder, (_, filename) => {
+          if (filename) fileChanged(path.resolve(folder, filename.toString()));
+        });
+        // A removed folder is watched again once a rebuild refers to it
+        watcher.on('error', () => {
+          watcher.close();
+          watchers.delete(folder);
+        });
+        watchers.set(folder, watcher);
+      } catch {
+        // Folders of missing assets are picked up by a later rebuild
+      }
+    });
+  };
+
+  const rebuild = async deck => {
+    const source = path.relative(cwd, deck.file);
+    try {
+      const markdown = await fs.readFile(deck.file, 'utf8');
+      const title = path.basename(deck.file).replace(/\.(md|markdown)$/i, '');
+
+      // Included files are watched like the deck itself
+      deck.includes = new Set();
+      const readFile = createIncludeReader(deck.includes);
+      const { html, errors } = await buildDeckPage(markdown, { ...options, filePath: deck.file, readFile }, title, {}, getBrowser);
+      reportDiagramErrors(errors, source, logger);
+      deck.html = injectLiveReload(html);
+      deck.error = null;
+      deck.assets = collectAssetReferences(markdown, path.dirname(deck.file));
+      const included = [...deck.includes].map(file => {
+        const content = readFile(file);
+        collectAssetReferences(content, path.dirname(file)).forEach(asset => deck.assets.add(asset));
+        return content;
+      });
+      deck.served = mapServedAssets(deck, [markdown, ...included]);
+      logger.log(`✓ ${source} rebuilt`);
+      broadcast('reload', { deck: deck.url });
+    } catch (error) {
+      deck.error = error;
+      logger.error(`✗ ${source}: ${error.message}`);
+      broadcast('build-error', { deck: deck.url, message: `${source}\n\n${error.message}` });
+    }
+    watchFiles();
+  };
+
+  await Promise.all(decks.map(rebuild));
+
+  const server = http.createServer((request, response) => {
+    handleRequest(request, response, { cwd, decks, clients }).catch(error => {
+      logger.error(`✗ ${request.url}: ${error.message}`);
+      if (!response.headersSent) response.writeHead(500);
+      response.end();
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  const address = server.address();
+  const url = `http://${host.includes(':') ? `[${host}]` : host}:${address.port}`;
+
+  return {
+    url,
+    decks: decks.map(deck => `${url}${deck.url}`),
+    close: async () => {
+      closed = true;
+      watchers.forEach(watcher => watcher.close());
+      pending.forEach(timer => clearTimeout(timer));
+      clients.forEach(response => response.end());
+      const stopped = new Promise(resolve => server.close(() => resolve()));
+      // Node 18 otherwise waits for idle keep-alive connections to time out
+      server.closeIdleConnections();
+      // A browser that failed to start has nothing to close
+      await Promise.resolve(browser).then(started => started?.close(), () => {});
+      await stopped;
+    }
+  };
+}
+
+async function handleRequest(request, response, { cwd, decks, clients }) {
+  const pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+
+  if (pathname === EVENTS_PATH) {
+    response.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    response.write(': connected\n\n');
+    clients.add(response);
+    request.on('close', () => clients.delete(response));
+    return;
+  }
+
+  if (pathname === '/') {
+    if (decks.length === 1) {
+      response.writeHead(302, { Location: decks[0].url });
+      response.end();
+      return;
+    }
+    sendHtml(response, 200, renderIndex(decks));
+    return;
+  }
+
+  const deck = decks.find(item => item.url === pathname);
+  if (deck) {
+    if (deck.error) {
+      const message = `${path.relative(cwd, deck.file)}\n\n${deck.error.message}`;
+      sendHtml(response, 500, injectLiveReload(renderErrorPage(message)));
+    } else {
+      sendHtml(response, 200, deck.html);
+    }
+    return;
+  }
+
+  // Everything else is a file a deck refers to or one in its folder
+  const file = await findServedFile(decks, pathname);
+  if (!file) {
+    response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    response.end('Not found');
+    return;
+  }
+
+  response.writeHead(200, {
+    'Content-Type': CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+    'Cache-Control': 'no-cache'
+  });
+  response.end(await fs.readFile(file));
+}
+
+/**
+ * Map the request paths of the assets a deck refers to onto their files. The
+ * page asks for them relative to the deck's URL, also when an included file
+ * refers to them.
+ */
+function mapServedAssets(deck, sources) {
+  const served = new Map();
+  sources.forEach(markdown => findAssetUrls(markdown).forEach(url => {
+    const pathname = decodeURIComponent(new URL(url, `http://localhost${deck.url}`).pathname);
+    served.set(pathname, path.resolve(path.dirname(deck.file), url));
+  }));
+  return served;
+}
+
+/**
+ * Find the file for a request path: an asset a deck refers to, or a file in
+ * the folder of a deck, resolved relative to the deck's URL. Hidden files and
+ * node_modules are not served.
+ */
+async function findServedFile(decks, pathname) {
+  const candidates = decks.filter(deck => deck.served.has(pathname)).map(deck => deck.served.get(pathname));
+  decks.forEach(deck => {
+    const segments = path.posix.relative(path.posix.dirname(deck.url), pathname).split('/');
+    if (!segments.some(segment => segment.startsWith('.') || segment === 'node_modules')) {
+      candidates.push(path.join(path.dirname(deck.file), ...segments));
+    }
+  });
+
+  for (const file of candidates) {
+    const stats = await fs.stat(file).catch(() => null);
+    if (stats && stats.isFile()) return file;
+  }
+  return null;
+}
+
+function sendHtml(response, status, html) {
+  response.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-cache' });
+  response.end(html);
+}
+
+function renderIndex(decks) {
+  const links = decks
+    .map(deck => `    <li><a href="${deck.url}">${escapeHtml(deck.url.slice(1))}</a></li>`)
+    .join('\n');
+  return `<!DOCTYPE html>\n<html lang="en">\n<head><meta charset="UTF-8"><title>Decks</title></head>\n<body>\n  <ul>\n${links}\n  </ul>\n</body>\n</html>\n`;
+}
+
+function renderErrorPage(message) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><title>Build failed</title></head>
+<body>
+  <pre id="md2reveal-error" style="margin:0;padding:2em;color:#ff8080;background:#140000;font:16px/1.5 monospace;white-space:pre-wrap;min-height:100vh;">${escapeHtml(message)}</pre>
+</body>
+</html>
+`;
+}
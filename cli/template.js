@@ -0,0 +1,149 @@
+/**
+ * Deck Template
+ * Wraps converted slides in a standalone Reveal.js page
+ */
+
+import { escapeAttribute } from '../js/markdown/directives.js';
+import { KATEX_STYLESHEET } from '../js/markdown/math.js';
+import { MERMAID_MODULE, mermaidTheme } from '../js/markdown/diagrams.js';
+import { PRISM_STYLESHEET } from '../js/markdown/code-blocks.js';
+import { parallaxConfig } from '../js/markdown/backgrounds.js';
+
+export const REVEAL_CDN = 'https://cdnjs.cloudflare.com/ajax/libs/reveal.js/4.5.0';
+
+/**
+ * Plugins that may be named in the `plugins` option, with the global each
+ * plugin script defines
+ */
+export const REVEAL_PLUGINS = {
+  highlight: 'RevealHighlight',
+  markdown: 'RevealMarkdown',
+  math: 'RevealMath',
+  notes: 'RevealNotes',
+  search: 'RevealSearch',
+  zoom: 'RevealZoom'
+};
+
+const TEXT_ALIGNMENTS = ['left', 'center', 'right', 'justify'];
+
+/**
+ * Render the HTML page for a deck. `options` are the resolved deck options
+ * (sidebar options merged with the front matter); `revealConfig` settings
+ * are passed to Reveal.initialize over everything else.
+ */
+export function renderDeckPage(slidesHtml, options = {}) {
+  const {
+    title = 'Presentation',
+    theme = 'black',
+    textAlign = 'center',
+    fontSize,
+    css = '',
+    output = 'markdown'
+  } = options;
+
+  const plugins = [...new Set([
+    ...(output === 'markdown' ? ['markdown'] : []),
+    ...[].concat(options.plugins || [])
+  ])];
+
+  const unknown = plugins.filter(name => !REVEAL_PLUGINS[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown Reveal.js plugin: ${unknown.join(', ')}`);
+  }
+
+  const config = { hash: true };
+  ['width', 'height', 'slideNumber'].forEach(key => {
+    if (options[key] !== undefined && options[key] !== null) {
+      config[key] = options[key];
+    }
+  });
+  Object.assign(config, parallaxConfig(options), options.revealConfig);
+
+  // Slides that set their own alignment keep it, like in the quick-mode preview
+  const slideStyles = [
+    `.reveal .slides section { text-align: ${TEXT_ALIGNMENTS.includes(textAlign) ? textAlign : 'center'};` +
+      (fontSize ? ` font-size: ${Number(fontSize)}px;` : '') + ' }',
+    ...TEXT_ALIGNMENTS.map(align => `.reveal .slides section[data-text-align="${align}"] { text-align: ${align}; }`),
+    ...(slidesHtml.includes('class="mermaid-diagram"') ? ['.reveal .mermaid-diagram svg { max-width: 100%; max-height: 500px; }'] : [])
+  ];
+
+  const pluginScripts = plugins
+    .map(name => `  <script src="${REVEAL_CDN}/plugin/${name}/${name}.min.js"></script>`)
+    .join('\n');
+  const configLines = [
+    ...Object.entries(config).map(([key, value]) => `${key}: ${JSON.stringify(value)}`),
+    `plugins: [${plugins.map(name => REVEAL_PLUGINS[name]).join(', ')}]`
+  ];
+  const initialize = `Reveal.initialize({
+      ${escapeScript(configLines.join(',\n      '))}
+    });`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)}</title>
+  <link rel="stylesheet" href="${REVEAL_CDN}/reveal.min.css">
+  <link rel="stylesheet" href="${REVEAL_CDN}/theme/${escapeAttribute(theme)}.min.css">${
+  slidesHtml.includes('class="katex') ? `\n  <link rel="stylesheet" href="${KATEX_STYLESHEET}">` : ''}${
+  slidesHtml.includes('class="token ') ? `\n  <link rel="stylesheet" href="${PRISM_STYLESHEET}">` : ''}
+  <style>
+    ${slideStyles.join('\n    ')}
+  </style>${css ? `\n  <style>\n${escapeStyle(css)}\n  </style>` : ''}
+</head>
+<body>
+  <div class="reveal">
+    <div class="slides">
+${slidesHtml}
+    </div>
+  </div>
+
+  <script src="${REVEAL_CDN}/reveal.min.js"></script>
+${pluginScripts}
+${slidesHtml.includes('<pre class="mermaid"')
+    ? diagramScript(initialize, options.mermaidTheme || mermaidTheme(theme))
+    : `  <script>\n    ${initialize}\n  </script>`}
+</body>
+</html>
+`;
+}
+
+// Diagrams left in a page built without drawing them (buildDeckHtml) are
+// drawn by the page when it loads, before Reveal.js lays out the slides.
+// The CLI's commands draw them at build time instead.
+function diagramScript(initialize, diagramTheme) {
+  return `  <script type="module">
+    import mermaid from '${MERMAID_MODULE}';
+
+    mermaid.initialize({ startOnLoad: false, theme: ${escapeScript(JSON.stringify(diagramTheme))}, securityLevel: 'strict' });
+    for (const [index, pre] of [...document.querySelectorAll('pre.mermaid')].entries()) {
+      try {
+        await mermaid.parse(pre.textContent);
+        const { svg } = await mermaid.render(\`diagram-\${index + 1}\`, pre.textContent);
+        pre.outerHTML = \`<div class="mermaid-diagram">\${svg}</div>\`;
+      } catch (error) {
+        pre.className = 'diagram-error';
+        pre.textContent = \`Diagram error (line \${pre.dataset.sourceLine}): \${error.message}\`;
+      }
+    }
+
+    ${initialize}
+  </script>`;
+}
+
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// Keep user CSS and config from closing the element they are written into
+function escapeStyle(css) {
+  return String(css).replace(/<\/style/gi, '<\\/style');
+}
+
+function escapeScript(code) {
+  return code.replace(/<\//g, '<\\/');
+}
@@ -3,6 +3,10 @@
  * Full-screen modal for editing node content
  */
 
+import { CODE_LANGUAGES, renderCodeBlock, parseHighlightSteps } from '../markdown/code-blocks.js';
+import { escapeAttribute } from '../markdown/directives.js';
+import { renderImage } from '../markdown/images.js';
+
 class ModalEditor {
   constructor(options = {}) {
     this.onSave = options.onSave || (() => {});
@@ -45,7 +49,7 @@ class ModalEditor {
     
     // Focus on content area
     setTimeout(() => {
-      const textarea = this.modal.querySelector('textarea');
+      const textarea = this.modal.querySelector('textarea:not(#content-notes)');
       if (textarea) {
         textarea.focus();
       }
@@ -76,6 +80,7 @@ class ModalEditor {
             <div class="editor-panel">
               <h3>Content</h3>
               ${this.renderEditor()}
+              ${this.renderNotesEditor()}
             </div>
             <div class="preview-panel">
               <h3>Preview</h3>
@@ -104,6 +109,17 @@ class ModalEditor {
     }
   }
 
+  renderNotesEditor() {
+    const notes = this.currentNode.notes || '';
+
+    return `
+      <div class="editor-group">
+        <label>Speaker Notes (Markdown supported):</label>
+        <textarea id="content-notes" rows="5" placeholder="Only visible in the speaker view">${this.escapeHtml(notes)}</textarea>
+      </div>
+    `;
+  }
+
   renderTextEditor() {
     const text = this.currentNode.content?.text || '';
     
@@ -195,6 +211,18 @@ Examples:
             <input type="checkbox" id="content-center-image" ${this.currentNode.content?.centerImage ? 'checked' : ''}>
             Center image
           </label>
+          <label>
+            Float:
+            <select id="content-image-align">
+              <option value="" ${!this.currentNode.content?.align ? 'selected' : ''}>None</option>
+              <option value="left" ${this.currentNode.content?.align === 'left' ? 'selected' : ''}>Left of the text</option>
+              <option value="right" ${this.currentNode.content?.align === 'right' ? 'selected' : ''}>Right of the text</option>
+            </select>
+          </label>
+          <label>
+            Width:
+            <input type="text" id="content-image-width" value="${escapeAttribute(this.currentNode.content?.width || '')}" placeholder="60% or 400">
+          </label>
         </div>
       </div>
     `;
@@ -202,24 +230,36 @@ Examples:
 
   renderCodeEditor() {
     const code = this.currentNode.content?.code || '';
-    const language = this.currentNode.content?.language || 'javascript';
+    const { language = 'javascript', title = '', highlight = '', lineNumbers = false, startLine = 1 } = this.currentNode.content || {};
 
     return `
       <div class="editor-group">
         <label>Programming Language:</label>
         <select id="content-language">
-          <option value="javascript" ${language === 'javascript' ? 'selected' : ''}>JavaScript</option>
-          <option value="python" ${language === 'python' ? 'selected' : ''}>Python</option>
-          <option value="html" ${language === 'html' ? 'selected' : ''}>HTML</option>
-          <option value="css" ${language === 'css' ? 'selected' : ''}>CSS</option>
-          <option value="json" ${language === 'json' ? 'selected' : ''}>JSON</option>
-          <option value="bash" ${language === 'bash' ? 'selected' : ''}>Bash</option>
-          <option value="sql" ${language === 'sql' ? 'selected' : ''}>SQL</option>
-          <option value="typescript" ${language === 'typescript' ? 'selected' : ''}>TypeScript</option>
-          <option value="markdown" ${language === 'markdown' ? 'selected' : ''}>Markdown</option>
-          <option value="yaml" ${language === 'yaml' ? 'selected' : ''}>YAML</option>
+          ${Object.entries(CODE_LANGUAGES).map(([value, label]) => (
+            `<option value="${value}" ${language === value ? 'selected' : ''}>${label}</option>`
+          )).join('\n          ')}
         </select>
       </div>
+
+      <div class="editor-group">
+        <label>File Name (optional):</label>
+        <input type="text" id="content-code-title" value="${escapeAttribute(title)}" placeholder="server.js">
+      </div>
+
+      <div class="editor-group">
+        <label>Highlight Steps (optional):</label>
+        <input type="text" id="content-code-highlight" value="${escapeAttribute(highlight)}" placeholder="1-3|5|7-9">
+        <small>Each step highlights its lines; steps are shown one after another.</small>
+      </div>
+
+      <div class="editor-group">
+        <label>
+          <input type="checkbox" id="content-code-line-numbers" ${lineNumbers ? 'checked' : ''}>
+          Line numbers, starting at
+        </label>
+        <input type="number" id="content-code-start-line" min="1" value="${Number(startLine) || 1}">
+      </div>
       
       <div class="editor-group">
         <label>Code:</label>
@@ -279,32 +319,29 @@ Examples:
   }
 
   renderImagePreview() {
-    const imageUrl = this.currentNode.content?.imageUrl || '';
-    const alt = this.currentNode.content?.alt || '';
-    const caption = this.currentNode.content?.caption || '';
-
-    if (!imageUrl) {
+    if (!this.currentNode.content?.imageUrl) {
       return '<p><em>Enter image URL to see preview</em></p>';
     }
 
-    let html = `<img src="${imageUrl}" alt="${alt}" style="max-width: 100%; max-height: 300px;">`;
-    
-    if (caption) {
-      html += `<p><small>${caption}</small></p>`;
-    }
-
-    return html;
+    return `<div style="max-height: 300px; overflow: hidden;">${renderImage(this.currentNode.content)}</div>`;
   }
 
   renderCodePreview() {
-    const code = this.currentNode.content?.code || '';
-    const language = this.currentNode.content?.language || 'javascript';
+    const { code = '', language = 'javascript', title, highlight, lineNumbers, startLine } = this.currentNode.content || {};
 
     if (!code) {
       return '<p><em>Enter code to see preview</em></p>';
     }
 
-    return `<pre><code class="language-${language}">${this.escapeHtml(code)}</code></pre>`;
+    // The preview shows the first highlight step
+    const [firstStep] = highlight ? parseHighlightSteps(highlight) : [];
+    return renderCodeBlock(code, {
+      language,
+      title,
+      steps: firstStep ? [firstStep] : null,
+      lineNumbers,
+      startLine: Number(startLine) || 1
+    });
   }
 
   setupEventListeners() {
@@ -516,19 +553,24 @@ Examples:
         break;
       
       case 'image':
-        ['content-image-url', 'content-alt', 'content-caption'].forEach(id => {
+        ['content-image-url', 'content-alt', 'content-caption', 'content-image-width'].forEach(id => {
           const input = document.getElementById(id);
           if (input) {
             input.addEventListener('input', updatePreview);
           }
         });
+        ['content-fit-width', 'content-center-image', 'content-image-align'].forEach(id => {
+          document.getElementById(id)?.addEventListener('change', updatePreview);
+        });
         break;
       
       case 'code':
-        const codeArea = document.getElementById('content-code');
-        const langSelect = document.getElementById('content-language');
-        if (codeArea) codeArea.addEventListener('input', updatePreview);
-        if (langSelect) langSelect.addEventListener('change', updatePreview);
+        ['content-code', 'content-code-title', 'content-code-highlight', 'content-code-start-line'].forEach(id => {
+          document.getElementById(id)?.addEventListener('input', updatePreview);
+        });
+        ['content-language', 'content-code-line-numbers'].forEach(id => {
+          document.getElementById(id)?.addEventListener('change', updatePreview);
+        });
         break;
     }
   }
@@ -544,16 +586,11 @@ Examples:
         break;
       
       case 'image':
-        const imageUrl = document.getElementById('content-image-url')?.value || '';
-        const alt = document.getElementById('content-alt')?.value || '';
-        const caption = document.getElementById('content-caption')?.value || '';
-        tempNode.content = { ...tempNode.content, imageUrl, alt, caption };
+        tempNode.content = { ...tempNode.content, ...this.readImageForm() };
         break;
       
       case 'code':
-        const code = document.getElementById('content-code')?.value || '';
-        const language = document.getElementById('content-language')?.value || 'javascript';
-        tempNode.content = { ...tempNode.content, code, language };
+        tempNode.content = { ...tempNode.content, ...this.readCodeForm() };
         break;
     }
 
@@ -570,7 +607,8 @@ Examples:
     if (!this.currentNode) return;
 
     const content = this.extractContentFromForm();
-    this.onSave(content);
+    const notes = document.getElementById('content-notes')?.value || '';
+    this.onSave(content, notes);
     this.close();
   }
 
@@ -587,23 +625,39 @@ Examples:
         };
       
       case 'image':
-        return {
-          imageUrl: document.getElementById('content-image-url')?.value || '',
-          alt: document.getElementById('content-alt')?.value || '',
-          caption: document.getElementById('content-caption')?.value || ''
-        };
+        return this.readImageForm();
       
       case 'code':
-        return {
-          code: document.getElementById('content-code')?.value || '',
-          language: document.getElementById('content-language')?.value || 'javascript'
-        };
+        return this.readCodeForm();
       
       default:
         return {};
     }
   }
 
+  readImageForm() {
+    return {
+      imageUrl: document.getElementById('content-image-url')?.value || '',
+      alt: document.getElementById('content-alt')?.value || '',
+      caption: document.getElementById('content-caption')?.value || '',
+      fitWidth: Boolean(document.getElementById('content-fit-width')?.checked),
+      centerImage: Boolean(document.getElementById('content-center-image')?.checked),
+      align: document.getElementById('content-image-align')?.value || '',
+      width: document.getElementById('content-image-width')?.value.trim() || ''
+    };
+  }
+
+  readCodeForm() {
+    return {
+      code: document.getElementById('content-code')?.value || '',
+      language: document.getElementById('content-language')?.value || 'javascript',
+      title: document.getElementById('content-code-title')?.value.trim() || '',
+      highlight: document.getElementById('content-code-highlight')?.value.trim() || '',
+      lineNumbers: Boolean(document.getElementById('content-code-line-numbers')?.checked),
+      startLine: Number(document.getElementById('content-code-start-line')?.value) || 1
+    };
+  }
+
   getNodeTypeTitle(type) {
     const titles = {
       text: 'Text',
@@ -3,6 +3,9 @@
  * Shows and edits properties of selected nodes
  */
 
+import { CODE_LANGUAGES } from '../markdown/code-blocks.js';
+import { escapeAttribute } from '../markdown/directives.js';
+
 class PropertyPanel {
   constructor(options = {}) {
     this.container = options.container;
@@ -93,6 +96,8 @@ class PropertyPanel {
         </div>
       </div>
 
+      ${this.renderBackgroundProperties()}
+
       ${this.renderTypeSpecificProperties()}
 
       <div class="property-section">
@@ -105,6 +110,42 @@ class PropertyPanel {
     this.setupPropertyEventListeners();
   }
 
+  /**
+   * Slide background media. The background color is the node's own
+   * Background Color above.
+   */
+  renderBackgroundProperties() {
+    const style = this.currentNode.style || {};
+    const text = (id, key, label, placeholder) => `
+        <div class="property-group">
+          <label>${label}:</label>
+          <input type="text" id="${id}" value="${escapeAttribute(style[key] || '')}" placeholder="${placeholder}">
+        </div>`;
+    const flag = (id, key, label) => `
+        <div class="property-group">
+          <label><input type="checkbox" id="${id}" ${style[key] ? 'checked' : ''}> ${label}</label>
+        </div>`;
+
+    return `
+      <div class="property-section">
+        <h4>Slide Background</h4>${
+        text('prop-bg-gradient', 'backgroundGradient', 'Gradient', 'linear-gradient(...)')}${
+        text('prop-bg-image', 'backgroundImage', 'Image URL', 'https://...')}${
+        text('prop-bg-video', 'backgroundVideo', 'Video URL', 'https://.../video.mp4')}${
+        flag('prop-bg-video-loop', 'backgroundVideoLoop', 'Loop video')}${
+        flag('prop-bg-video-muted', 'backgroundVideoMuted', 'Mute video')}${
+        text('prop-bg-iframe', 'backgroundIframe', 'Web Page URL', 'https://...')}${
+        flag('prop-bg-interactive', 'backgroundInteractive', 'Interactive web page')}${
+        text('prop-bg-size', 'backgroundSize', 'Size', 'cover')}${
+        text('prop-bg-position', 'backgroundPosition', 'Position', 'center')}
+        <div class="property-group">
+          <label>Opacity:</label>
+          <input type="number" id="prop-bg-opacity" value="${style.backgroundOpacity ?? 1}" min="0" max="1" step="0.05">
+        </div>
+      </div>
+    `;
+  }
+
   renderTypeSpecificProperties() {
     switch (this.currentNode.type) {
       case 'text':
@@ -161,14 +202,15 @@ class PropertyPanel {
         <div class="property-group">
           <label>Language:</label>
           <select id="prop-code-language">
-            <option value="javascript" ${this.currentNode.content?.language === 'javascript' ? 'selected' : ''}>JavaScript</option>
-            <option value="python" ${this.currentNode.content?.language === 'python' ? 'selected' : ''}>Python</option>
-            <option value="html" ${this.currentNode.content?.language === 'html' ? 'selected' : ''}>HTML</option>
-            <option value="css" ${this.currentNode.content?.language === 'css' ? 'selected' : ''}>CSS</option>
-            <option value="json" ${this.currentNode.content?.language === 'json' ? 'selected' : ''}>JSON</option>
-            <option value="markdown" ${this.currentNode.content?.language === 'markdown' ? 'selected' : ''}>Markdown</option>
+            ${Object.entries(CODE_LANGUAGES).map(([value, label]) => (
+              `<option value="${value}" ${this.currentNode.content?.language === value ? 'selected' : ''}>${label}</option>`
+            )).join('\n            ')}
           </select>
         </div>
+        <div class="property-group">
+          <label>Highlight Steps:</label>
+          <input type="text" id="prop-code-highlight" value="${this.currentNode.content?.highlight || ''}" placeholder="1-3|5">
+        </div>
       </div>
     `;
   }
@@ -185,6 +227,18 @@ class PropertyPanel {
     this.setupColorInput('prop-border-color', 'style.borderColor');
     this.setupColorInput('prop-text-color', 'style.textColor');
 
+    // Slide background
+    this.setupTextInput('prop-bg-gradient', 'style.backgroundGradient');
+    this.setupTextInput('prop-bg-image', 'style.backgroundImage');
+    this.setupTextInput('prop-bg-video', 'style.backgroundVideo');
+    this.setupCheckboxInput('prop-bg-video-loop', 'style.backgroundVideoLoop');
+    this.setupCheckboxInput('prop-bg-video-muted', 'style.backgroundVideoMuted');
+    this.setupTextInput('prop-bg-iframe', 'style.backgroundIframe');
+    this.setupCheckboxInput('prop-bg-interactive', 'style.backgroundInteractive');
+    this.setupTextInput('prop-bg-size', 'style.backgroundSize');
+    this.setupTextInput('prop-bg-position', 'style.backgroundPosition');
+    this.setupNumberInput('prop-bg-opacity', 'style.backgroundOpacity');
+
     // Type-specific properties
     this.setupTypeSpecificListeners();
 
@@ -222,6 +276,7 @@ class PropertyPanel {
         break;
       case 'code':
         this.setupSelectInput('prop-code-language', 'content.language');
+        this.setupTextInput('prop-code-highlight', 'content.highlight');
         break;
     }
   }
@@ -247,6 +302,15 @@ class PropertyPanel {
     }
   }
 
+  setupCheckboxInput(elementId, propertyPath) {
+    const input = document.getElementById(elementId);
+    if (input) {
+      input.addEventListener('change', (e) => {
+        this.updateProperty(propertyPath, e.target.checked);
+      });
+    }
+  }
+
   setupColorInput(elementId, propertyPath) {
     const input = document.getElementById(elementId);
     if (input) {
@@ -59,9 +59,19 @@ class Toolbar {
           <button class="toolbar-btn" id="show-templates" title="Template Gallery (Ctrl+T)">
             📚 Templates
           </button>
+          <button class="toolbar-btn" id="show-sorter" title="Slide Sorter">
+            🗂️ Slides
+          </button>
           <button class="toolbar-btn primary" id="start-presentation" title="Start Presentation (Ctrl+P)">
             ▶️ Present
           </button>
+          <select class="toolbar-select" id="export-format" title="Export Format">
+            <option value="html">HTML</option>
+            <option value="html-standalone">HTML (self-contained)</option>
+            <option value="zip">ZIP bundle</option>
+            <option value="pdf">PDF</option>
+            <option value="png">PNG images</option>
+          </select>
           <button class="toolbar-btn" id="export-presentation" title="Export Presentation">
             💾 Export
           </button>
@@ -112,6 +122,11 @@ class Toolbar {
       this.showTemplates();
     });
 
+    // Slide sorter button
+    document.getElementById('show-sorter').addEventListener('click', () => {
+      this.showSlideSorter();
+    });
+
     // Help button
     document.getElementById('show-help').addEventListener('click', () => {
       this.showHelp();
@@ -180,7 +195,8 @@ class Toolbar {
 
   exportPresentation() {
     // This will be handled by the app
-    window.dispatchEvent(new CustomEvent('export-presentation'));
+    const format = document.getElementById('export-format').value;
+    window.dispatchEvent(new CustomEvent('export-presentation', { detail: { format } }));
   }
 
   setEngine(engine) {
@@ -213,6 +229,10 @@ class Toolbar {
     window.dispatchEvent(new CustomEvent('show-templates'));
   }
 
+  showSlideSorter() {
+    window.dispatchEvent(new CustomEvent('show-slide-sorter'));
+  }
+
   showHelp() {
     // This will trigger a custom event to show help instructions
     window.dispatchEvent(new CustomEvent('show-help'));
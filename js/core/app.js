@@ -12,6 +12,17 @@ import { TemplateManager } from './template-manager.js';
 import { Toolbar } from '../components/toolbar.js';
 import { PropertyPanel } from '../components/property-panel.js';
 import { ModalEditor } from '../components/modal-editor.js';
+import { formatAssetReport, formatBytes } from '../markdown/inline-assets.js';
+import { renderThumbnails } from '../markdown/thumbnails.js';
+
+// Formats of the toolbar's export menu and the engine format each uses
+const EXPORT_FORMATS = {
+  html: { type: 'html', label: 'HTML', fileName: 'presentation.html' },
+  'html-standalone': { type: 'html', label: 'self-contained HTML', fileName: 'presentation.html' },
+  zip: { type: 'zip', label: 'ZIP bundle', fileName: 'presentation.zip' },
+  pdf: { type: 'pdf', label: 'PDF', fileName: 'presentation.pdf' },
+  png: { type: 'png', label: 'PNG images', fileName: 'presentation-images.zip' }
+};
 
 class App {
   constructor() {
@@ -118,7 +129,7 @@ class App {
 
     // Initialize modal editor
     this.ui.modalEditor = new ModalEditor({
-      onSave: (content) => this.saveNodeContent(content),
+      onSave: (content, notes) => this.saveNodeContent(content, notes),
       onCancel: () => this.cancelNodeEdit()
     });
 
@@ -141,7 +152,7 @@ class App {
   setupGlobalEventListeners() {
     // Listen for custom events from UI components
     window.addEventListener('start-presentation', () => this.startPresentation());
-    window.addEventListener('export-presentation', () => this.exportPresentation());
+    window.addEventListener('export-presentation', (e) => this.exportPresentation(e.detail?.format));
     window.addEventListener('edit-node', (e) => {
       const node = e.detail?.node || this.state.get('selectedNode');
       if (node) {
@@ -151,6 +162,7 @@ class App {
     window.addEventListener('delete-node', (e) => this.deleteNode(e.detail.nodeId));
     window.addEventListener('show-engine-info', (e) => this.showEngineInfo(e.detail.currentEngine));
     window.addEventListener('show-templates', () => this.showTemplateGallery());
+    window.addEventListener('show-slide-sorter', () => this.showSlideSorter());
     window.addEventListener('apply-template', (e) => this.applyTemplate(e.detail.templateId));
     window.addEventListener('change-theme', (e) => this.changeTheme(e.detail.themeId));
     window.addEventListener('show-help', () => this.showInstructions());
@@ -364,15 +376,49 @@ class App {
     }
   }
 
-  exportPresentation() {
-    // Placeholder for export functionality
-    console.log('Export functionality not yet implemented');
+  // Download the presentation in the format picked next to the Export
+  // button: an HTML page, optionally self-contained, a ZIP with its images
+  // (uploaded ones included), fonts, engine files and the project to reload
+  // it from, a PDF or a ZIP of PNG slide images
+  async exportPresentation(format = 'html') {
+    if (this.state.getNodes().length === 0) {
+      this.showNotification('Add some nodes to create a presentation!', 'warning');
+      return;
+    }
+
+    const { type, label, fileName } = EXPORT_FORMATS[format] || EXPORT_FORMATS.html;
+    const { features } = this.presentation.getEngineCapabilities();
+    if (!features?.exportFormats?.includes(type)) {
+      this.showNotification(`This engine cannot export ${label}`, 'warning');
+      return;
+    }
+
+    try {
+      const result = await this.presentation.exportPresentation(type, {
+        standalone: format === 'html-standalone',
+        project: this.getProjectData()
+      });
+      const { blob, report } = exportedFile(result, type);
+      downloadBlob(blob, fileName);
+
+      const missing = report ? report.failed.length : 0;
+      if (missing > 0) {
+        console.warn(formatAssetReport(report));
+      }
+      this.showNotification(
+        `Exported ${label}${report ? ` (${formatBytes(report.size)})` : ''}${missing > 0 ? `; ${missing} asset(s) could not be included` : ''}`,
+        missing > 0 ? 'warning' : 'success'
+      );
+    } catch (error) {
+      console.error('Export failed:', error);
+      this.showNotification('Export failed: ' + error.message, 'error');
+    }
   }
 
-  saveNodeContent(content) {
+  saveNodeContent(content, notes = '') {
     const selectedNode = this.state.get('selectedNode');
     if (selectedNode) {
-      this.nodes.updateNode(selectedNode.id, { content });
+      this.nodes.updateNode(selectedNode.id, { content, notes });
       this.ui.modalEditor.close();
     }
   }
@@ -409,8 +455,8 @@ class App {
   }
 
   // Project Management
-  saveProject() {
-    const projectData = {
+  getProjectData() {
+    return {
       nodes: this.state.getNodes(),
       viewport: this.state.get('viewport'),
       engine: this.state.get('presentationEngine'),
@@ -419,6 +465,10 @@ class App {
         version: '1.0'
       }
     };
+  }
+
+  saveProject() {
+    const projectData = this.getProjectData();
 
     // Save to localStorage for now
     localStorage.setItem('presentation-project', JSON.stringify(projectData));
@@ -671,6 +721,7 @@ class App {
         const category = e.target.dataset.category;
         const grid = modal.querySelector('#templates-grid');
         grid.innerHTML = templateCards(category);
+        this.renderTemplateThumbnails(grid);
         return;
       }
       
@@ -701,6 +752,154 @@ class App {
     });
     
     document.body.appendChild(modal);
+    this.renderTemplateThumbnails(modal);
+  }
+
+  // Show the first slide of each template in place of its icon once it is
+  // drawn; the icon stays when drawing fails
+  async renderTemplateThumbnails(root) {
+    const engine = this.presentation.currentEngine;
+    const cards = [...root.querySelectorAll('.template-card')]
+      .map(card => ({ card, template: this.templates.getTemplate(card.dataset.templateId) }))
+      .filter(({ template }) => template?.nodes?.length);
+    if (!engine || cards.length === 0) return;
+
+    try {
+      const thumbnails = await renderThumbnails(cards.map(({ template }) => {
+        const slide = engine.convertNodeToSlide(template.nodes[0]);
+        return { html: slide.content, backgroundColor: slide.background };
+      }));
+      cards.forEach(({ card, template }, index) => {
+        card.querySelector('.template-icon').replaceChildren(thumbnailImage(thumbnails[index], template.name));
+      });
+    } catch (error) {
+      console.warn('Template thumbnails could not be drawn:', error);
+    }
+  }
+
+  // Slide sorter: the slides in presentation order, drawn as thumbnails.
+  // Without connections the order comes from the node positions, so dragging
+  // a slide hands out the positions again in the new order; with connections
+  // the order follows them and the sorter only shows it
+  showSlideSorter() {
+    const engine = this.presentation.currentEngine;
+    const nodes = this.state.getNodes();
+    if (!engine || nodes.length === 0) {
+      this.showNotification('Add some nodes to create a presentation!', 'warning');
+      return;
+    }
+    const connections = this.state.getConnections();
+    const reorderable = connections.length === 0;
+    let order = engine.sortNodesForPresentation(nodes, connections);
+
+    const modal = document.createElement('div');
+    modal.innerHTML = `
+      <div class="template-gallery-modal">
+        <div class="template-gallery-content">
+          <div class="gallery-header">
+            <h2>🗂️ Slide Sorter</h2>
+            <button class="close-gallery-btn">&times;</button>
+          </div>
+          <p class="sorter-hint">
+            ${reorderable
+              ? 'Drag a slide to move it, or click it to select its node.'
+              : 'Slides follow the node connections. Click a slide to select its node.'}
+          </p>
+          <div class="templates-grid" id="sorter-grid"></div>
+        </div>
+      </div>
+    `;
+    modal.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0, 0, 0, 0.8);
+      z-index: 2000;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+    `;
+
+    const grid = modal.querySelector('#sorter-grid');
+    const renderCards = () => {
+      const cards = order.map((node, index) => {
+        const card = document.createElement('div');
+        card.className = 'template-card';
+        card.dataset.nodeId = node.id;
+        card.draggable = reorderable;
+        const icon = document.createElement('div');
+        icon.className = 'template-icon';
+        icon.textContent = String(index + 1);
+        const title = document.createElement('h4');
+        title.textContent = `${index + 1}. ${node.metadata?.title || this.nodes.getNodeTypeTitle(node.type)}`;
+        card.append(icon, title);
+        return card;
+      });
+      grid.replaceChildren(...cards);
+      this.renderSlideThumbnails(cards, engine, order);
+    };
+
+    let dragged = null;
+    grid.addEventListener('dragstart', (e) => {
+      dragged = e.target.closest('.template-card');
+    });
+    grid.addEventListener('dragover', (e) => {
+      if (dragged) e.preventDefault();
+    });
+    grid.addEventListener('drop', (e) => {
+      e.preventDefault();
+      const target = e.target.closest('.template-card');
+      if (dragged && target && target !== dragged) {
+        const ids = order.map(node => node.id);
+        this.moveSlide(order, ids.indexOf(dragged.dataset.nodeId), ids.indexOf(target.dataset.nodeId));
+        order = engine.sortNodesForPresentation(this.state.getNodes(), []);
+        renderCards();
+      }
+      dragged = null;
+    });
+
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal || e.target.classList.contains('close-gallery-btn')) {
+        modal.remove();
+        return;
+      }
+
+      const card = e.target.closest('.template-card');
+      if (card) {
+        const node = this.nodes.getNode(card.dataset.nodeId);
+        if (node) this.nodes.selectNode(node);
+        modal.remove();
+      }
+    });
+
+    document.body.appendChild(modal);
+    renderCards();
+  }
+
+  // Move the slide at `from` to `to` by giving the nodes, in their new order,
+  // the positions the old order had
+  moveSlide(order, from, to) {
+    const positions = order.map(node => ({ ...node.position }));
+    const moved = [...order];
+    moved.splice(to, 0, ...moved.splice(from, 1));
+    moved.forEach((node, index) => this.nodes.updateNode(node.id, { position: positions[index] }));
+  }
+
+  // Draw each slide in place of its number; the numbers stay when drawing fails
+  async renderSlideThumbnails(cards, engine, order) {
+    try {
+      const thumbnails = await renderThumbnails(order.map(node => {
+        const slide = engine.convertNodeToSlide(node);
+        return { html: slide.content, backgroundColor: slide.background };
+      }));
+      cards.forEach((card, index) => {
+        card.querySelector('.template-icon').replaceChildren(thumbnailImage(thumbnails[index], `Slide ${index + 1}`));
+      });
+    } catch (error) {
+      console.warn('Slide thumbnails could not be drawn:', error);
+    }
   }
 
   applyTemplate(templateId) {
@@ -992,6 +1191,34 @@ class App {
   }
 }
 
+// Engines export HTML as a string, self-contained HTML as { html, report },
+// ZIP bundles as { blob, report } and PDFs and images as a Blob
+function exportedFile(result, type) {
+  if (result instanceof Blob) return { blob: result };
+  if (typeof result === 'string') return { blob: new Blob([result], { type: 'text/html' }) };
+  if (type === 'html') return { blob: new Blob([result.html], { type: 'text/html' }), report: result.report };
+  return result;
+}
+
+// The object URL is released once the browser has started the download
+function downloadBlob(blob, fileName) {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+function thumbnailImage(src, alt) {
+  const image = document.createElement('img');
+  image.src = src;
+  image.alt = alt;
+  image.style.cssText = 'width: 100%; border-radius: 4px;';
+  return image;
+}
+
 // Export for module use
 export { App };
 
@@ -43,6 +43,7 @@ class NodeManager {
       position: nodeData.position || { x: 0, y: 0 },
       size: nodeData.size || { width: 200, height: 150 },
       content: nodeData.content || this.getDefaultContent(nodeData.type),
+      notes: nodeData.notes || '',
       style: nodeData.style || this.getDefaultStyle(nodeData.type),
       connections: nodeData.connections || { inputs: [], outputs: [] },
       metadata: nodeData.metadata || {}
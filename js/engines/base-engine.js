@@ -3,6 +3,14 @@
  * Abstract base class defining the interface for all presentation engines
  */
 
+import { markFragmentBullets, applyFragments, resolveFragmentSettings } from '../markdown/fragments.js';
+import { extractNotes } from '../markdown/notes.js';
+import { extractMath, restoreMath } from '../markdown/math.js';
+import { renderCodeBlock, parseHighlightSteps } from '../markdown/code-blocks.js';
+import { renderImage } from '../markdown/images.js';
+import { resolveChrome, renderChrome } from '../markdown/chrome.js';
+import { createBundle } from '../markdown/bundle.js';
+
 class BaseEngine {
   constructor(options = {}) {
     this.container = options.container;
@@ -54,10 +62,23 @@ class BaseEngine {
    * Export presentation to various formats
    * Must be implemented by subclasses
    */
-  async exportPresentation(format = 'html') {
+  async exportPresentation(format = 'html', options = {}) {
     throw new Error('exportPresentation() must be implemented by subclass');
   }
 
+  /**
+   * Pack the page from exportHTML() into a ZIP with its images, fonts and
+   * engine files next to it. `options.project` and `options.markdown` are
+   * added as project.json and presentation.md. Resolves to `{ blob, report }`.
+   */
+  async exportBundle(options = {}) {
+    const { bytes, report } = await createBundle(this.exportHTML(), {
+      markdown: options.markdown,
+      project: options.project
+    });
+    return { blob: new Blob([bytes], { type: 'application/zip' }), report };
+  }
+
   /**
    * Destroy and cleanup the engine
    * Must be implemented by subclasses
@@ -85,6 +106,11 @@ class BaseEngine {
       shuffle: false,
       fragments: true,
       fragmentInURL: false,
+      autoFragments: false,
+      fragmentEffect: null,
+      fragmentOrder: 'sequential',
+      mathMacros: {},
+      chrome: null,
       embedded: false,
       help: true,
       showNotes: false,
@@ -130,7 +156,9 @@ class BaseEngine {
       id: node.id,
       type: node.type,
       content: this.generateSlideContent(node),
+      notes: this.generateNotes(node),
       background: node.style?.backgroundColor || 'transparent',
+      style: node.style || {},
       transition: node.style?.transition || this.config.transition,
       position: node.position || { x: 0, y: 0 },
       size: node.size || { width: 960, height: 700 }
@@ -156,15 +184,62 @@ class BaseEngine {
   }
 
   /**
-   * Generate text content with markdown support
+   * Render the deck chrome (header, footer and logo) of the slide at
+   * `index` among `total` slides. Returns '' without a chrome config.
+   */
+  generateChrome(index, total) {
+    const { chrome, title, author, date } = this.config;
+    return renderChrome(resolveChrome(chrome), { title, author, date, slide: index + 1, total });
+  }
+
+  /**
+   * Generate the speaker notes of a node as HTML: the node's own `notes`
+   * followed by any notes written into a text node's Markdown. Returns ''
+   * when there are none.
+   */
+  generateNotes(node) {
+    const written = node.type === 'text' ? extractNotes(node.content?.text || '').notes : '';
+    const notes = [node.notes?.trim(), written].filter(Boolean).join('\n\n');
+
+    if (!notes) return '';
+
+    const { markdown, math } = extractMath(notes, { macros: this.config.mathMacros });
+    return restoreMath(this.convertMarkdown(markdown), math);
+  }
+
+  /**
+   * Generate text content with markdown support. `+` bullets, attribute
+   * blocks and `autoFragments` (or the node's own `fragments`) produce
+   * fragments unless fragments are turned off. Speaker notes are left out
+   * and `$...$` / `$$...$$` math is rendered with KaTeX.
    */
   generateTextContent(content) {
-    if (!content?.text) {
+    const { content: rest, notes } = extractNotes(content?.text || '');
+    const text = notes ? rest.trimEnd() : rest;
+    if (!text.trim()) {
       return '<p>Empty text node</p>';
     }
 
-    // Simple markdown conversion
-    let html = content.text
+    const useFragments = this.config.fragments !== false;
+    const { markdown, math } = extractMath(text, { macros: this.config.mathMacros });
+    let html = this.convertMarkdown(useFragments ? markFragmentBullets(markdown) : markdown);
+
+    if (useFragments) {
+      html = applyFragments(html, resolveFragmentSettings({
+        fragments: content.fragments ?? this.config.autoFragments,
+        fragmentEffect: this.config.fragmentEffect,
+        fragmentOrder: this.config.fragmentOrder
+      }));
+    }
+
+    return `<div class="text-content">${restoreMath(html, math)}</div>`;
+  }
+
+  /**
+   * Simple markdown conversion shared by slide text and speaker notes
+   */
+  convertMarkdown(text) {
+    return text
       .replace(/^# (.*$)/gm, '<h1>$1</h1>')
       .replace(/^## (.*$)/gm, '<h2>$1</h2>')
       .replace(/^### (.*$)/gm, '<h3>$1</h3>')
@@ -177,48 +252,39 @@ class BaseEngine {
       .replace(/(<li>.*<\/li>)/gs, '<ul>$1</ul>')
       .replace(/\n\n/g, '</p><p>')
       .replace(/\n/g, '<br>');
-
-    return `<div class="text-content">${html}</div>`;
   }
 
   /**
-   * Generate image content
+   * Generate image content. `fitWidth`, `centerImage`, `align`, `width` and
+   * `height` are styled like the same options on Markdown images.
    */
   generateImageContent(content) {
     if (!content?.imageUrl) {
       return '<p>No image source</p>';
     }
 
-    const alt = content.alt || '';
-    const caption = content.caption || '';
-    const fitWidth = content.fitWidth ? 'width: 100%;' : '';
-    const centerImage = content.centerImage ? 'margin: 0 auto; display: block;' : '';
-
-    let html = `<img src="${content.imageUrl}" alt="${alt}" style="${fitWidth}${centerImage}">`;
-    
-    if (caption) {
-      html += `<p class="image-caption">${caption}</p>`;
-    }
-
-    return `<div class="image-content">${html}</div>`;
+    return `<div class="image-content">${renderImage(content)}</div>`;
   }
 
   /**
-   * Generate code content with syntax highlighting
+   * Generate code content, highlighted with Prism. `highlight` steps through
+   * line highlights like a fence's `[1-3|5]`; `lineNumbers`, `startLine`
+   * and `title` match the fence options.
    */
   generateCodeContent(content) {
     if (!content?.code) {
       return '<p>Empty code block</p>';
     }
 
-    const language = content.language || 'text';
-    const code = this.escapeHtml(content.code);
+    const code = renderCodeBlock(content.code, {
+      language: content.language || 'text',
+      steps: content.highlight ? parseHighlightSteps(content.highlight) : null,
+      lineNumbers: Boolean(content.lineNumbers),
+      startLine: Number(content.startLine) || 1,
+      title: content.title || ''
+    });
 
-    return `
-      <div class="code-content">
-        <pre><code class="language-${language}">${code}</code></pre>
-      </div>
-    `;
+    return `<div class="code-content">${code}</div>`;
   }
 
   /**
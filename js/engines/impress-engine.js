@@ -5,6 +5,7 @@
  */
 
 import { BaseEngine } from './base-engine.js';
+import { inlineAssets } from '../markdown/inline-assets.js';
 
 class ImpressEngine extends BaseEngine {
   constructor(options = {}) {
@@ -22,7 +23,7 @@ class ImpressEngine extends BaseEngine {
       features: {
         themes: ['default', 'modern', 'classic'],
         transitions: ['linear', 'ease', 'ease-in', 'ease-out', 'ease-in-out'],
-        exportFormats: ['html'],
+        exportFormats: ['html', 'zip'],
         nodeTypes: ['text', 'image', 'code'],
         navigation: true,
         overview: true,
@@ -180,7 +181,7 @@ class ImpressEngine extends BaseEngine {
     this.slides = sortedNodes.map((node, index) => this.convertNodeToSlide(node, index, connections));
     
     // Generate step HTML
-    const stepsHTML = this.slides.map(slide => this.convertSlideToHTML(slide)).join('\n');
+    const stepsHTML = this.slides.map((slide, index) => this.convertSlideToHTML(slide, index)).join('\n');
     
     // Update DOM
     const impressContainer = document.getElementById('impress');
@@ -280,9 +281,10 @@ class ImpressEngine extends BaseEngine {
     };
   }
 
-  convertSlideToHTML(slide) {
+  convertSlideToHTML(slide, index = 0) {
     const spatialAttrs = this.generateSpatialAttributes(slide.spatial);
-    return `<div class="step" ${spatialAttrs} data-slide-id="${slide.id}">${slide.content}</div>`;
+    const chrome = this.generateChrome(index, this.slides.length);
+    return `<div class="step" ${spatialAttrs} data-slide-id="${slide.id}">${slide.content}${chrome}</div>`;
   }
 
   generateSpatialAttributes(spatial) {
@@ -412,14 +414,17 @@ class ImpressEngine extends BaseEngine {
     return false;
   }
 
-  async exportPresentation(format = 'html') {
+  async exportPresentation(format = 'html', options = {}) {
     if (!this.impressInstance) {
       throw new Error('Presentation not generated');
     }
 
     switch (format) {
       case 'html':
-        return this.exportHTML();
+        // Self-contained pages resolve to { html, report }
+        return options.standalone ? inlineAssets(this.exportHTML()) : this.exportHTML();
+      case 'zip':
+        return this.exportBundle(options);
       default:
         throw new Error(`Unsupported export format: ${format}`);
     }
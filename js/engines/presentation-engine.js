@@ -117,12 +117,12 @@ class PresentationEngine {
     return this.currentEngine.stopPresentation();
   }
 
-  async exportPresentation(format = 'html') {
+  async exportPresentation(format = 'html', options = {}) {
     if (!this.currentEngine) {
       throw new Error('No presentation engine available');
     }
 
-    return this.currentEngine.exportPresentation(format);
+    return this.currentEngine.exportPresentation(format, options);
   }
 
   // Event handlers
@@ -4,6 +4,22 @@
  */
 
 import { BaseEngine } from './base-engine.js';
+import {
+  hasTocPlaceholder,
+  replaceTocPlaceholderHtml,
+  findTitle,
+  createSlugger,
+  buildOutline,
+  agendaHtml,
+  sectionProgress
+} from '../markdown/toc.js';
+import { backgroundAttributes, parallaxConfig } from '../markdown/backgrounds.js';
+import { buildAttributes } from '../markdown/directives.js';
+import { renderPdf } from '../markdown/pdf.js';
+import { renderSlideImages, createImageArchive } from '../markdown/thumbnails.js';
+import { inlineAssets } from '../markdown/inline-assets.js';
+import { KATEX_STYLESHEET } from '../markdown/math.js';
+import { PRISM_STYLESHEET } from '../markdown/code-blocks.js';
 
 class RevealEngine extends BaseEngine {
   constructor(options = {}) {
@@ -20,7 +36,7 @@ class RevealEngine extends BaseEngine {
       features: {
         themes: ['black', 'white', 'league', 'beige', 'sky', 'night', 'serif', 'simple', 'solarized'],
         transitions: ['none', 'fade', 'slide', 'convex', 'concave', 'zoom'],
-        exportFormats: ['html', 'pdf'],
+        exportFormats: ['html', 'pdf', 'zip', 'png'],
         nodeTypes: ['text', 'image', 'code'],
         navigation: true,
         overview: true,
@@ -82,7 +98,11 @@ class RevealEngine extends BaseEngine {
       transition: 'slide',
       backgroundTransition: 'fade',
       theme: 'black',
-      plugins: []
+      plugins: [],
+      tocDepth: 1,
+      sectionDividers: false,
+      parallaxBackgroundImage: '',
+      parallaxBackgroundSize: ''
     };
   }
 
@@ -113,10 +133,10 @@ class RevealEngine extends BaseEngine {
 
     // Convert nodes to slides using connection-aware sorting
     const sortedNodes = this.sortNodesForPresentation(nodes, connections);
-    this.slides = sortedNodes.map(node => this.convertNodeToSlide(node));
+    this.slides = this.addAgendaSlides(sortedNodes.map(node => this.convertNodeToSlide(node)), sortedNodes);
     
     // Generate slide HTML
-    const slidesHTML = this.slides.map(slide => this.convertSlideToHTML(slide)).join('\n');
+    const slidesHTML = this.slides.map((slide, index) => this.convertSlideToHTML(slide, index)).join('\n');
     
     // Update DOM
     const slidesContainer = document.getElementById('reveal-slides');
@@ -133,37 +153,67 @@ class RevealEngine extends BaseEngine {
     };
   }
 
-  convertSlideToHTML(slide) {
-    const slideAttributes = this.generateSlideAttributes(slide);
-    return `<section ${slideAttributes}>${slide.content}</section>`;
-  }
-
-  generateCodeContent(content) {
-    if (!content?.code) {
-      return '<p>Empty code block</p>';
+  /**
+   * Fill `[[toc]]` / `<!-- toc -->` placeholders with an agenda linking to
+   * the slides titled by a heading, and insert a section divider before each
+   * H1 slide when `sectionDividers` is on. The first slide is the title slide.
+   */
+  addAgendaSlides(slides, nodes) {
+    const sources = nodes.map(node => (node.type === 'text' ? node.content?.text || '' : ''));
+    const isAgenda = index => hasTocPlaceholder(sources[index]);
+    if (!this.config.sectionDividers && !sources.some((_, index) => isAgenda(index))) {
+      return slides;
     }
 
-    const language = content.language || 'text';
-    const code = this.escapeHtml(content.code);
+    const slug = createSlugger();
+    const outline = buildOutline(
+      sources.map(source => {
+        const title = findTitle(source);
+        return { title, id: title ? slug(title.text) : undefined };
+      }),
+      { depth: this.config.tocDepth, skip: isAgenda }
+    );
+    const byIndex = new Map(outline.map(entry => [entry.index, entry]));
+    const sectionCount = outline.filter(entry => entry.level === 1).length;
+    const agenda = agendaHtml(outline);
+
+    return slides.flatMap((slide, index) => {
+      const entry = byIndex.get(index);
+      const content = isAgenda(index) ? replaceTocPlaceholderHtml(slide.content, agenda) : slide.content;
+
+      if (entry && entry.level === 1 && this.config.sectionDividers) {
+        const divider = {
+          ...slide,
+          id: `${slide.id}-divider`,
+          type: 'divider',
+          anchor: entry.id,
+          content: `<p class="section-progress">${sectionProgress(entry.part, sectionCount)}</p><h1>${this.escapeHtml(entry.text)}</h1>`
+        };
+        return [divider, { ...slide, content }];
+      }
 
-    return `
-      <div class="code-content">
-        <pre><code data-trim data-language="${language}">${code}</code></pre>
-      </div>
-    `;
+      return [{ ...slide, content, anchor: entry?.id }];
+    });
+  }
+
+  convertSlideToHTML(slide, index = 0) {
+    const slideAttributes = this.generateSlideAttributes(slide);
+    const chrome = this.generateChrome(index, this.slides.length);
+    const notes = slide.notes ? `<aside class="notes">${slide.notes}</aside>` : '';
+    return `<section ${slideAttributes}>${slide.content}${chrome}${notes}</section>`;
   }
 
   generateSlideAttributes(slide) {
     const attributes = [];
     
-    // Background color
-    if (slide.background && slide.background !== 'transparent') {
-      attributes.push(`data-background-color="${slide.background}"`);
-    }
-    
-    // Background image (from node style)
-    if (slide.style?.backgroundImage) {
-      attributes.push(`data-background-image="${slide.style.backgroundImage}"`);
+    // Background color, and the gradient, image, video or iframe set in
+    // the node style
+    const background = buildAttributes(backgroundAttributes({
+      ...slide.style,
+      backgroundColor: slide.background !== 'transparent' ? slide.background : undefined
+    }));
+    if (background) {
+      attributes.push(background);
     }
     
     // Transition
@@ -176,6 +226,15 @@ class RevealEngine extends BaseEngine {
       attributes.push(`data-text-align="${slide.style.textAlign}"`);
     }
 
+    // Anchor for internal links from the agenda
+    if (slide.anchor) {
+      attributes.push(`id="${slide.anchor}"`);
+    }
+
+    if (slide.type === 'divider') {
+      attributes.push('class="section-divider"');
+    }
+
     // Add slide ID for reference
     attributes.push(`data-slide-id="${slide.id}"`);
 
@@ -251,22 +310,29 @@ class RevealEngine extends BaseEngine {
     }
   }
 
-  async exportPresentation(format = 'html') {
+  async exportPresentation(format = 'html', options = {}) {
     if (!this.revealInstance) {
       throw new Error('Presentation not generated');
     }
 
     switch (format) {
       case 'html':
-        return this.exportHTML();
+        // Self-contained pages resolve to { html, report }
+        return options.standalone ? inlineAssets(this.exportHTML()) : this.exportHTML();
+      case 'zip':
+        return this.exportBundle(options);
       case 'pdf':
-        return this.exportPDF();
+        return this.exportPDF(options);
+      case 'png':
+        return this.exportImages(options);
       default:
         throw new Error(`Unsupported export format: ${format}`);
     }
   }
 
   exportHTML() {
+    // Math and code nodes are rendered to KaTeX and Prism markup, which
+    // needs their stylesheets
     const slidesHTML = document.getElementById('reveal-slides').innerHTML;
     
     return `
@@ -276,7 +342,9 @@ class RevealEngine extends BaseEngine {
     <meta charset="utf-8">
     <title>Presentation</title>
     <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/reveal.js/4.5.0/reveal.min.css">
-    <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/reveal.js/4.5.0/theme/black.min.css">
+    <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/reveal.js/4.5.0/theme/black.min.css">${
+    slidesHTML.includes('class="katex') ? `\n    <link rel="stylesheet" href="${KATEX_STYLESHEET}">` : ''}${
+    slidesHTML.includes('class="token ') ? `\n    <link rel="stylesheet" href="${PRISM_STYLESHEET}">` : ''}
 </head>
 <body>
     <div class="reveal">
@@ -292,7 +360,8 @@ class RevealEngine extends BaseEngine {
             progress: true,
             history: true,
             center: true,
-            transition: 'slide'
+            transition: 'slide',
+            ...${JSON.stringify(parallaxConfig(this.config)).replace(/<\//g, '<\\/')}
         });
     </script>
 </body>
@@ -300,13 +369,36 @@ class RevealEngine extends BaseEngine {
     `.trim();
   }
 
-  exportPDF() {
-    // This would typically require a server-side solution
-    // For now, provide instructions
-    return {
-      message: 'PDF export requires print-to-PDF from browser',
-      url: window.location.href + '?print-pdf'
-    };
+  /**
+   * Rasterize the slides into a PDF Blob. `options` takes the `pageSize`,
+   * `layout` and `fragments` of the shared PDF export.
+   */
+  async exportPDF(options = {}) {
+    const pdf = await renderPdf(
+      this.slides.map(slide => ({
+        html: slide.content,
+        notes: slide.notes,
+        backgroundColor: slide.background
+      })),
+      { title: this.config.title, ...options }
+    );
+
+    return new Blob([pdf], { type: 'application/pdf' });
+  }
+
+  /**
+   * Draw each slide, or each fragment step, to a PNG and pack the images
+   * into a ZIP Blob with an index. `options` takes the `size` and
+   * `fragments` of the shared image export.
+   */
+  async exportImages(options = {}) {
+    const images = await renderSlideImages(
+      this.slides.map(slide => ({ html: slide.content, backgroundColor: slide.background })),
+      options
+    );
+    const zip = await createImageArchive(images, { title: this.config.title, size: options.size });
+
+    return new Blob([zip], { type: 'application/zip' });
   }
 
   async destroy() {
@@ -0,0 +1,45 @@
+/**
+ * Type declarations for the shared slide background helpers (backgrounds.js)
+ */
+
+export interface BackgroundSettings {
+  backgroundColor?: string;
+  backgroundGradient?: string;
+  backgroundImage?: string;
+  backgroundVideo?: string;
+  backgroundVideoLoop?: boolean | string;
+  backgroundVideoMuted?: boolean | string;
+  backgroundIframe?: string;
+  backgroundInteractive?: boolean | string;
+  backgroundSize?: string;
+  backgroundPosition?: string;
+  backgroundRepeat?: string;
+  backgroundOpacity?: number | string;
+}
+
+export interface ParallaxOptions {
+  parallaxBackgroundImage?: string;
+  parallaxBackgroundSize?: string;
+  parallaxBackgroundHorizontal?: number | null;
+  parallaxBackgroundVertical?: number | null;
+}
+
+export const BACKGROUND_ATTRIBUTES: Record<keyof BackgroundSettings, string>;
+
+export const BACKGROUND_MEDIA: string[];
+
+export const BACKGROUND_MEDIA_SETTINGS: string[];
+
+export const PARALLAX_OPTIONS: (keyof ParallaxOptions)[];
+
+export function backgroundAttributes(settings?: BackgroundSettings): Record<string, string>;
+
+export function backgroundSettings(attributes?: Record<string, unknown>): {
+  [key in keyof BackgroundSettings]: string | number | boolean | undefined;
+};
+
+export function backgroundFlag(value: unknown): '' | false;
+
+export function isBackgroundFlag(name: string): boolean;
+
+export function parallaxConfig(options?: ParallaxOptions): ParallaxOptions;
@@ -0,0 +1,143 @@
+/**
+ * Backgrounds
+ * Maps slide background settings onto the Reveal.js data-background-*
+ * attributes: a color, a CSS gradient, an image, a video or an interactive
+ * iframe, with the size, position, repeat and opacity of the media.
+ *
+ *   { backgroundVideo: 'intro.mp4', backgroundVideoLoop: true }
+ *     -> data-background-video="intro.mp4" data-background-video-loop
+ *
+ * The settings use the SlideOptions names, so deck options, node styles and
+ * the app's slide options all go through backgroundAttributes. Parallax
+ * backgrounds belong to the whole deck and are Reveal.js config options.
+ */
+
+/**
+ * Slide background settings and the attribute each one sets
+ */
+export const BACKGROUND_ATTRIBUTES = {
+  backgroundColor: 'data-background-color',
+  backgroundGradient: 'data-background-gradient',
+  backgroundImage: 'data-background-image',
+  backgroundVideo: 'data-background-video',
+  backgroundVideoLoop: 'data-background-video-loop',
+  backgroundVideoMuted: 'data-background-video-muted',
+  backgroundIframe: 'data-background-iframe',
+  backgroundInteractive: 'data-background-interactive',
+  backgroundSize: 'data-background-size',
+  backgroundPosition: 'data-background-position',
+  backgroundRepeat: 'data-background-repeat',
+  backgroundOpacity: 'data-background-opacity'
+};
+
+/**
+ * Attributes of the media a slide background shows, and of the settings
+ * that only apply to that media
+ */
+export const BACKGROUND_MEDIA = [
+  'data-background-gradient',
+  'data-background-image',
+  'data-background-video',
+  'data-background-iframe'
+];
+export const BACKGROUND_MEDIA_SETTINGS = [
+  'data-background-video-loop',
+  'data-background-video-muted',
+  'data-background-interactive',
+  'data-background-size',
+  'data-background-position',
+  'data-background-repeat',
+  'data-background-opacity'
+];
+
+/**
+ * Reveal.js config options for a parallax background behind the whole deck
+ */
+export const PARALLAX_OPTIONS = [
+  'parallaxBackgroundImage',
+  'parallaxBackgroundSize',
+  'parallaxBackgroundHorizontal',
+  'parallaxBackgroundVertical'
+];
+
+// Reveal.js checks these for presence, their value does not matter
+const FLAG_ATTRIBUTES = [
+  'data-background-video-loop',
+  'data-background-video-muted',
+  'data-background-interactive'
+];
+
+/**
+ * Turn background settings into slide attributes. Flags such as
+ * `backgroundVideoLoop` become valueless attributes when true (or "true")
+ * and are left out otherwise; empty settings are left out.
+ */
+export function backgroundAttributes(settings = {}) {
+  const attributes = {};
+
+  Object.entries(BACKGROUND_ATTRIBUTES).forEach(([key, name]) => {
+    const value = settings[key];
+    if (value === undefined || value === null || String(value).trim() === '') return;
+
+    if (FLAG_ATTRIBUTES.includes(name)) {
+      if (isEnabled(value)) attributes[name] = '';
+    } else if (name === 'data-background-opacity') {
+      attributes[name] = String(parseOpacity(value));
+    } else {
+      attributes[name] = String(value).trim();
+    }
+  });
+
+  return attributes;
+}
+
+/**
+ * The reverse of backgroundAttributes: read background settings back from
+ * slide attributes, e.g. those of slide directives. Every setting is
+ * returned, undefined when the attributes do not set it.
+ */
+export function backgroundSettings(attributes = {}) {
+  return Object.fromEntries(Object.entries(BACKGROUND_ATTRIBUTES).map(([key, name]) => {
+    const value = attributes[name];
+    if (value === undefined || value === null || value === false) return [key, undefined];
+    if (FLAG_ATTRIBUTES.includes(name)) return [key, isEnabled(value === '' ? true : value)];
+    if (name === 'data-background-opacity') return [key, parseOpacity(value)];
+    return [key, String(value)];
+  }));
+}
+
+/**
+ * Normalize a flag attribute written in a slide directive: "false" and "no"
+ * turn it off, anything else turns it on
+ */
+export function backgroundFlag(value) {
+  return isEnabled(value === '' ? true : value) ? '' : false;
+}
+
+/**
+ * Whether an attribute is one of the valueless background flags
+ */
+export function isBackgroundFlag(name) {
+  return FLAG_ATTRIBUTES.includes(name);
+}
+
+/**
+ * Pick the parallax settings out of deck options, for the Reveal.js config
+ */
+export function parallaxConfig(options = {}) {
+  return Object.fromEntries(PARALLAX_OPTIONS
+    .filter(key => options[key] !== undefined && options[key] !== null && options[key] !== '')
+    .map(key => [key, options[key]]));
+}
+
+function parseOpacity(value) {
+  const opacity = Number(value);
+  if (String(value).trim() === '' || Number.isNaN(opacity) || opacity < 0 || opacity > 1) {
+    throw new Error(`Invalid background opacity "${value}", expected a number from 0 to 1`);
+  }
+  return opacity;
+}
+
+function isEnabled(value) {
+  return value === true || !['false', 'no', 'off', '0'].includes(String(value).trim().toLowerCase());
+}
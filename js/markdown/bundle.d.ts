@@ -0,0 +1,17 @@
+/**
+ * Type declarations for the deck bundler (bundle.js)
+ */
+
+import type { AssetReport, InlineAssetsOptions } from './inline-assets.js';
+
+export interface BundleOptions extends InlineAssetsOptions {
+  /** Written as presentation.md */
+  markdown?: string;
+  /** Written as project.json */
+  project?: unknown;
+}
+
+export function createBundle(
+  html: string,
+  options?: BundleOptions
+): Promise<{ bytes: Uint8Array<ArrayBuffer>; report: AssetReport }>;
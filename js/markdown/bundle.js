@@ -0,0 +1,35 @@
+/**
+ * Deck Bundle
+ * Packs an exported deck into a ZIP archive for decks too large for a
+ * single self-contained page: index.html, its images and fonts in assets/,
+ * the Reveal.js or Impress.js files in vendor/, and the deck's Markdown
+ * source and project file
+ */
+
+import { bundleAssets } from './inline-assets.js';
+
+/**
+ * Create the archive for an exported page. `markdown` is written as
+ * presentation.md and `project` (an object or JSON text) as project.json
+ * when given. Takes the `baseUrl` and `loadAsset` options of
+ * `bundleAssets` and resolves to `{ bytes, report }`.
+ */
+export async function createBundle(html, { markdown, project, ...options } = {}) {
+  const { default: JSZip } = await import('jszip');
+  const { html: page, files, report } = await bundleAssets(html, options);
+  const zip = new JSZip();
+
+  zip.file('index.html', page);
+  // JSZip only takes typed arrays of its own realm, and loaders may hand
+  // over others (jsdom, workers)
+  files.forEach((bytes, path) => zip.file(path, new Uint8Array(bytes)));
+  if (markdown !== undefined) {
+    zip.file('presentation.md', markdown);
+  }
+  if (project !== undefined) {
+    zip.file('project.json', typeof project === 'string' ? project : JSON.stringify(project, null, 2));
+  }
+
+  const bytes = await zip.generateAsync({ type: 'uint8array', compression: 'DEFLATE' });
+  return { bytes, report };
+}
@@ -0,0 +1,45 @@
+/**
+ * Type declarations for the deck chrome renderer (chrome.js)
+ */
+
+export type LogoPosition = 'top-left' | 'top-right' | 'bottom-left' | 'bottom-right';
+
+export interface ChromeBar {
+  left?: string;
+  center?: string;
+  right?: string;
+}
+
+export interface ChromeConfig {
+  header?: string | ChromeBar;
+  footer?: string | ChromeBar;
+  logo?: string;
+  logoPosition?: LogoPosition;
+  logoHeight?: string | number;
+  hideOnTitleSlide?: boolean;
+}
+
+export interface ResolvedChrome {
+  header: ChromeBar | null;
+  footer: ChromeBar | null;
+  logo: string;
+  logoPosition: LogoPosition;
+  logoHeight: string | number;
+  hideOnTitleSlide: boolean;
+}
+
+export interface ChromeValues {
+  title?: string;
+  author?: string;
+  date?: string;
+  slide?: number;
+  total?: number;
+}
+
+export const LOGO_POSITIONS: LogoPosition[];
+
+export function resolveChrome(config: unknown): ResolvedChrome | null;
+
+export function fillChromeTemplate(template: string, values?: ChromeValues): string;
+
+export function renderChrome(chrome: ResolvedChrome | null, context?: ChromeValues): string;
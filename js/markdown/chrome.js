@@ -0,0 +1,116 @@
+/**
+ * Slide Chrome
+ * Deck-wide header, footer and logo, repeated on every slide:
+ *
+ *   chrome:
+ *     header: "{title}"
+ *     footer: { left: "{author}", center: "{date}", right: "{slide} / {total}" }
+ *     logo: logo.svg
+ *     logo-position: top-right
+ *     hide-on-title-slide: true
+ *
+ * A header or footer is a template, or a map of templates for its left,
+ * center and right. Templates fill in `{title}`, `{author}`, `{date}`,
+ * `{slide}` and `{total}`; other braces are kept. The chrome is rendered
+ * into each slide with inline styles, fixed to the slide area: Reveal.js
+ * scales the slides with a transform, which makes the slides element the
+ * containing block of fixed elements.
+ */
+
+import { escapeAttribute } from './directives.js';
+
+export const LOGO_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+const CHROME_SLOTS = ['left', 'center', 'right'];
+const PLACEHOLDER = /\{(title|author|date|slide|total)\}/g;
+
+/**
+ * Normalize a chrome configuration from front matter or an engine config.
+ * Keys may be written in camelCase or kebab-case. Returns null when the
+ * configuration shows nothing.
+ */
+export function resolveChrome(config) {
+  if (config === undefined || config === null || config === false) return null;
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('Invalid chrome, expected "key: value" pairs');
+  }
+
+  const logoPosition = setting(config, 'logoPosition') || 'top-right';
+  if (!LOGO_POSITIONS.includes(logoPosition)) {
+    throw new Error(`Unknown logo position "${logoPosition}", expected ${LOGO_POSITIONS.join(', ')}`);
+  }
+
+  const chrome = {
+    header: resolveBar(setting(config, 'header'), 'header'),
+    footer: resolveBar(setting(config, 'footer'), 'footer'),
+    logo: String(setting(config, 'logo') || '').trim(),
+    logoPosition,
+    logoHeight: setting(config, 'logoHeight') || '48px',
+    hideOnTitleSlide: [true, 'true'].includes(setting(config, 'hideOnTitleSlide'))
+  };
+
+  return chrome.header || chrome.footer || chrome.logo ? chrome : null;
+}
+
+/**
+ * Fill in the placeholders of a template. Values are escaped, the template
+ * is text.
+ */
+export function fillChromeTemplate(template, values = {}) {
+  return escapeAttribute(template).replace(PLACEHOLDER, (placeholder, name) => (
+    values[name] === undefined || values[name] === null ? placeholder : escapeAttribute(values[name])
+  ));
+}
+
+/**
+ * Render the chrome of one slide. `context` holds the placeholder values;
+ * `slide` is the slide's number, counted from 1 over all slides. Returns
+ * '' when the slide shows no chrome.
+ */
+export function renderChrome(chrome, context = {}) {
+  if (!chrome || (chrome.hideOnTitleSlide && Number(context.slide) === 1)) return '';
+
+  const values = { date: new Date().toISOString().slice(0, 10), ...context };
+  const parts = [
+    renderBar('header', chrome.header, values),
+    renderBar('footer', chrome.footer, values),
+    chrome.logo ? renderLogo(chrome) : ''
+  ].filter(Boolean);
+
+  return `<div class="slide-chrome" aria-hidden="true" style="position: fixed; inset: 0; pointer-events: none; z-index: 1;">${parts.join('')}</div>`;
+}
+
+function resolveBar(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'object') return { center: String(value) };
+  if (Array.isArray(value)) {
+    throw new Error(`Invalid chrome ${name}, expected a template or left, center and right templates`);
+  }
+
+  const bar = Object.fromEntries(CHROME_SLOTS
+    .filter(slot => value[slot] !== undefined && value[slot] !== null)
+    .map(slot => [slot, String(value[slot])]));
+  return Object.keys(bar).length ? bar : null;
+}
+
+function renderBar(name, bar, values) {
+  if (!bar) return '';
+
+  const edge = name === 'header' ? 'top' : 'bottom';
+  const slots = CHROME_SLOTS.map(slot => (
+    `<span class="chrome-${slot}" style="flex: 1; text-align: ${slot};">${fillChromeTemplate(bar[slot] || '', values)}</span>`
+  ));
+  return `<div class="slide-${name}" style="position: absolute; ${edge}: 0; left: 0; right: 0; display: flex; gap: 1em; padding: 0.6em 1.2em; font-size: 0.45em; opacity: 0.75;">${slots.join('')}</div>`;
+}
+
+function renderLogo({ logo, logoPosition, logoHeight }) {
+  const [vertical, horizontal] = logoPosition.split('-');
+  const height = /^\d+(\.\d+)?$/.test(String(logoHeight)) ? `${logoHeight}px` : logoHeight;
+  return `<img class="slide-logo" src="${escapeAttribute(logo)}" alt="" style="position: absolute; ${vertical}: 0.5em; ${horizontal}: 0.75em; `
+    + `height: ${escapeAttribute(height)}; width: auto; margin: 0; border: 0; box-shadow: none; background: none;">`;
+}
+
+function setting(config, name) {
+  const kebab = name.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`);
+  return config[name] ?? config[kebab];
+}
@@ -0,0 +1,35 @@
+/**
+ * Type declarations for the shared code block renderer (code-blocks.js)
+ */
+
+export const CODE_LANGUAGES: Record<string, string>;
+
+export const PRISM_STYLESHEET: string;
+
+export type HighlightStep = [number, number][];
+
+export interface CodeInfo {
+  language: string;
+  steps: HighlightStep[] | null;
+  lineNumbers: boolean;
+  startLine: number;
+  title: string;
+}
+
+export interface CodeBlock extends CodeInfo {
+  code: string;
+}
+
+export function parseCodeInfo(info?: string): CodeInfo;
+
+export function parseHighlightSteps(text?: string): HighlightStep[];
+
+export function hasCodeBlocks(markdown: string): boolean;
+
+export function extractCodeBlocks(markdown: string): { markdown: string; blocks: CodeBlock[] };
+
+export function restoreCodeBlocks(html: string, blocks: CodeBlock[]): string;
+
+export function renderCodeBlock(code: string, options?: Partial<CodeInfo> & { fragmentIndex?: number }): string;
+
+export function highlightCode(code: string, language?: string): string;
@@ -0,0 +1,271 @@
+/**
+ * Code Blocks
+ * Highlights fenced code with Prism at conversion time. The info string
+ * after the language can step through line highlights, number the lines,
+ * start counting at another line and add a file name:
+ *
+ *   ```js [1-3|5|7-9] linenos start=10 title="server.js"
+ *
+ * Each `|`-separated step highlights its lines (`1-3,5` for several
+ * ranges) and dims the rest; the steps after the first are fragments.
+ * Ranges use the numbers shown, so they count from `start`. Like math and
+ * diagrams, code blocks are replaced by placeholders before Markdown is
+ * rendered and put back afterwards, so Prism's markup is kept intact.
+ */
+
+import Prism from 'prismjs';
+import 'prismjs/components/prism-python.js';
+import 'prismjs/components/prism-bash.js';
+import 'prismjs/components/prism-json.js';
+import 'prismjs/components/prism-sql.js';
+import 'prismjs/components/prism-typescript.js';
+import 'prismjs/components/prism-markdown.js';
+import 'prismjs/components/prism-yaml.js';
+import { scanLines } from './splitter.js';
+import { escapeAttribute } from './directives.js';
+import { tokenizeHtml, setTokenAttributes, hasTokenClass, serializeTokens } from './html-tokens.js';
+
+// Slides are highlighted here; Prism must not highlight them again when a
+// page loads
+Prism.manual = true;
+
+/**
+ * Languages offered by the code editor, all highlighted by the bundled Prism
+ */
+export const CODE_LANGUAGES = {
+  javascript: 'JavaScript',
+  python: 'Python',
+  html: 'HTML',
+  css: 'CSS',
+  json: 'JSON',
+  bash: 'Bash',
+  sql: 'SQL',
+  typescript: 'TypeScript',
+  markdown: 'Markdown',
+  yaml: 'YAML'
+};
+
+/**
+ * Stylesheet for the token classes Prism produces
+ */
+export const PRISM_STYLESHEET = 'https://cdn.jsdelivr.net/npm/prismjs@1.29.0/themes/prism-tomorrow.min.css';
+
+const CODE_FENCE = /^( {0,3})(`{3,}|~{3,})(.*)$/;
+const INFO_PART = /\[[^\]]*\]|[\w-]+=(?:"[^"]*"|'[^']*'|\S+)|\S+/g;
+const PLACEHOLDER = /(?:<p[^>]*>)?\uE004(\d+)\uE005(?:<\/p>)?/g;
+const PLACEHOLDER_TEXT = /\uE004(\d+)\uE005/g;
+const HIGHLIGHT_TAG = /<span[^>]*>|<\/span>|\n/g;
+
+/**
+ * Parse the info string of a code fence. Returns `{ language, steps,
+ * lineNumbers, startLine, title }`; `steps` is null without a `[...]` part.
+ */
+export function parseCodeInfo(info = '') {
+  const result = { language: '', steps: null, lineNumbers: false, startLine: 1, title: '' };
+
+  (info.trim().match(INFO_PART) || []).forEach((part, index) => {
+    const [, key, value] = part.match(/^([\w-]+)=(.*)$/) || [];
+    if (part.startsWith('[')) {
+      result.steps = parseHighlightSteps(part.slice(1, -1));
+    } else if (key === 'title') {
+      result.title = value.replace(/^(["'])(.*)\1$/, '$2');
+    } else if (key === 'start' && /^\d+$/.test(value)) {
+      result.startLine = Number(value);
+      result.lineNumbers = true;
+    } else if (part === 'linenos' || part === 'line-numbers') {
+      result.lineNumbers = true;
+    } else if (index === 0 && !key) {
+      result.language = part;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Parse line highlight steps such as `1-3,5|7-9` into one list of
+ * `[from, to]` ranges per step. An empty step highlights nothing.
+ */
+export function parseHighlightSteps(text = '') {
+  return String(text).split('|').map(step => step.split(',')
+    .map(range => range.trim().match(/^(\d+)(?:-(\d+))?$/))
+    .filter(Boolean)
+    .map(([, from, to]) => [Number(from), Number(to ?? from)]));
+}
+
+/**
+ * Whether a slide's Markdown holds code that extractCodeBlocks renders
+ */
+export function hasCodeBlocks(markdown) {
+  return scanLines(markdown).some(entry => entry.type === 'fence' && isRenderedFence(entry.text));
+}
+
+/**
+ * Replace the highlighted code blocks of a slide with placeholders. Fences
+ * in a language Prism does not know and without options are left to the
+ * Markdown renderer. Returns the Markdown and each block's code and
+ * options for restoreCodeBlocks.
+ */
+export function extractCodeBlocks(markdown) {
+  const blocks = [];
+  const lines = [];
+  let current = null;
+
+  scanLines(markdown).forEach(entry => {
+    if (current) {
+      if (entry.type === 'fence') {
+        lines.push('', `\uE004${blocks.length}\uE005`, '');
+        blocks.push({ ...current.options, code: current.lines.join('\n') });
+        current = null;
+      } else {
+        // Content loses the indentation of its fence
+        current.lines.push(entry.text.replace(new RegExp(`^ {0,${current.indent}}`), ''));
+      }
+      return;
+    }
+
+    if (entry.type === 'fence' && isRenderedFence(entry.text)) {
+      const [, indent, , info] = entry.text.match(CODE_FENCE);
+      current = { indent: indent.length, options: parseCodeInfo(info), lines: [] };
+      return;
+    }
+
+    lines.push(entry.text);
+  });
+
+  // A fence left open runs to the end of the slide, as in Markdown
+  if (current) {
+    lines.push('', `\uE004${blocks.length}\uE005`);
+    blocks.push({ ...current.options, code: current.lines.join('\n') });
+  }
+
+  return { markdown: blocks.length ? lines.join('\n').replace(/\n{3,}/g, '\n\n') : markdown, blocks };
+}
+
+/**
+ * Put the highlighted code blocks back into HTML made from
+ * extractCodeBlocks' Markdown. When a block steps through highlights, the
+ * fragments of the slide are numbered in document order, so the steps take
+ * their turn among the other fragments.
+ */
+export function restoreCodeBlocks(html, blocks) {
+  if (!blocks.length) return html;
+
+  const text = html.replace(PLACEHOLDER, (_, index) => `\uE004${index}\uE005`);
+  const fragmentIndexes = [];
+  let result = text;
+
+  if (blocks.some(block => block.steps?.length > 1)) {
+    const tokens = tokenizeHtml(text);
+    let next = 0;
+
+    tokens.forEach(token => {
+      if (token.type === 'open' && hasTokenClass(token, 'fragment')) {
+        const index = Number.parseInt(token.attributes['data-fragment-index'], 10);
+        if (Number.isNaN(index)) {
+          setTokenAttributes(token, { 'data-fragment-index': String(next++) });
+        } else {
+          next = Math.max(next, index + 1);
+        }
+      } else if (token.type === 'text') {
+        [...token.text.matchAll(PLACEHOLDER_TEXT)].forEach(([, index]) => {
+          fragmentIndexes[index] = next;
+          next += Math.max(0, (blocks[index].steps?.length ?? 0) - 1);
+        });
+      }
+    });
+    result = serializeTokens(tokens);
+  }
+
+  return result.replace(PLACEHOLDER_TEXT, (_, index) => renderCodeBlock(blocks[index].code, {
+    ...blocks[index],
+    fragmentIndex: fragmentIndexes[index] ?? 0
+  }));
+}
+
+/**
+ * Render one code block to HTML. `steps` are parsed highlight steps; with
+ * more than one, each step is a copy of the code, stacked in one grid cell.
+ * At fragment `fragmentIndex` the first copy fades out as the second
+ * appears, and so on for the following steps.
+ */
+export function renderCodeBlock(code, options = {}) {
+  const { language = '', steps = null, lineNumbers = false, startLine = 1, title = '', fragmentIndex = 0 } = options;
+  const highlighted = highlightCode(code, language);
+  const languageClass = language ? ` class="language-${escapeAttribute(language)}"` : '';
+  const lines = steps || lineNumbers ? splitHighlightedLines(highlighted) : null;
+  const renderLines = highlight => lines
+    .map((line, index) => renderLine(line, startLine + index, { highlight, lineNumbers, digits: String(startLine + lines.length - 1).length }))
+    .join('\n');
+
+  let pre;
+  if (!steps || steps.length === 1) {
+    const content = lines ? renderLines(steps?.[0]) : highlighted;
+    pre = `<pre${languageClass}><code${languageClass}>${content}</code></pre>`;
+  } else {
+    const copies = steps.map((step, index) => {
+      const fragment = index === 0
+        ? ` fragment fade-out" data-fragment-index="${fragmentIndex}`
+        : `${index < steps.length - 1 ? ' fragment current-visible' : ' fragment'}" data-code-step="${index}" data-fragment-index="${fragmentIndex + index - 1}`;
+      return `<code class="${language ? `language-${escapeAttribute(language)}` : ''}${fragment}" style="grid-area: 1 / 1;">${renderLines(step)}</code>`;
+    });
+    pre = `<pre${languageClass} style="display: grid;">${copies.join('')}</pre>`;
+  }
+
+  if (!title) return pre;
+  return `<figure class="code-block" style="margin: 0;">`
+    + `<figcaption class="code-title" style="font-family: monospace; font-size: 0.55em; text-align: left; width: 90%; margin: 0 auto;">`
+    + `${escapeAttribute(title)}</figcaption>${pre}</figure>`;
+}
+
+/**
+ * Highlight code with Prism. Code in a language Prism does not know is
+ * only escaped.
+ */
+export function highlightCode(code, language = '') {
+  const grammar = Prism.languages[language.toLowerCase()];
+  return grammar ? Prism.highlight(code, grammar, language.toLowerCase()) : escapeAttribute(code);
+}
+
+function isRenderedFence(text) {
+  const match = text.match(CODE_FENCE);
+  if (!match) return false;
+
+  const { language, steps, lineNumbers, title } = parseCodeInfo(match[3]);
+  return Boolean(Prism.languages[language.toLowerCase()] || steps || lineNumbers || title);
+}
+
+// Split Prism's HTML into lines, closing the tokens that span a line break
+// at its end and opening them again on the next line
+function splitHighlightedLines(html) {
+  const lines = [''];
+  const open = [];
+  let position = 0;
+
+  for (const match of html.matchAll(HIGHLIGHT_TAG)) {
+    lines[lines.length - 1] += html.slice(position, match.index);
+    position = match.index + match[0].length;
+
+    if (match[0] === '\n') {
+      lines[lines.length - 1] += '</span>'.repeat(open.length);
+      lines.push(open.join(''));
+    } else {
+      if (match[0] === '</span>') open.pop(); else open.push(match[0]);
+      lines[lines.length - 1] += match[0];
+    }
+  }
+  lines[lines.length - 1] += html.slice(position);
+
+  return lines;
+}
+
+function renderLine(line, number, { highlight, lineNumbers, digits }) {
+  const isHighlighted = highlight?.some(([from, to]) => number >= from && number <= to);
+  const dimmed = highlight?.length > 0 && !isHighlighted;
+  const numberSpan = lineNumbers
+    ? `<span class="line-number" style="display: inline-block; min-width: ${digits}ch; margin-right: 1em; text-align: right; opacity: 0.5; user-select: none;">${number}</span>`
+    : '';
+
+  return `<span class="code-line${isHighlighted ? ' highlight-line' : ''}"${dimmed ? ' style="opacity: 0.4;"' : ''}>`
+    + `${numberSpan}${line}</span>`;
+}
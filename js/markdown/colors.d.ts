@@ -0,0 +1,9 @@
+/**
+ * Type declarations for the shared color helpers (colors.js)
+ */
+
+export function isValidHexColor(color: string): boolean;
+
+export function getContrastColor(hexColor: string): string;
+
+export function contrastRatio(first: string, second: string): number;
@@ -0,0 +1,48 @@
+/**
+ * Colors
+ * Hex color helpers shared by the deck linter and the app: validation, a
+ * readable text color for a background and the WCAG contrast ratio of two
+ * colors.
+ */
+
+const HEX_COLOR = /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/;
+
+/**
+ * Whether a color is written as #rgb or #rrggbb
+ */
+export function isValidHexColor(color) {
+  return HEX_COLOR.test(color);
+}
+
+/**
+ * Black or white, whichever reads better on the given background
+ */
+export function getContrastColor(hexColor) {
+  const [r, g, b] = hexToRgb(hexColor);
+  const luma = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+
+  return luma < 128 ? '#ffffff' : '#000000';
+}
+
+/**
+ * The WCAG contrast ratio of two hex colors, from 1 (none) to 21 (black on
+ * white)
+ */
+export function contrastRatio(first, second) {
+  const [lighter, darker] = [luminance(first), luminance(second)].sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+function luminance(hexColor) {
+  const [r, g, b] = hexToRgb(hexColor).map(channel => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function hexToRgb(hexColor) {
+  const hex = hexColor.substring(1);
+  const rgb = parseInt(hex.length === 3 ? hex.replace(/./g, '$&$&') : hex, 16);
+  return [(rgb >> 16) & 0xff, (rgb >> 8) & 0xff, rgb & 0xff];
+}
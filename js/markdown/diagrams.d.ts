@@ -0,0 +1,41 @@
+/**
+ * Type declarations for the shared Mermaid diagram renderer (diagrams.js)
+ */
+
+export const MERMAID_MODULE: string;
+
+export interface Diagram {
+  source: string;
+  line: number | null;
+}
+
+export interface ExtractedDiagrams {
+  markdown: string;
+  diagrams: Diagram[];
+}
+
+export interface DiagramError {
+  line: number | null;
+  message: string;
+}
+
+export interface RenderDiagramsOptions {
+  theme?: string;
+  diagramTheme?: string;
+  render?: (id: string, source: string) => Promise<{ svg: string }>;
+}
+
+export function hasDiagrams(markdown: string): boolean;
+
+export function annotateDiagramLines(markdown: string, startLine?: number): string;
+
+export function extractDiagrams(markdown: string): ExtractedDiagrams;
+
+export function restoreDiagrams(html: string, diagrams: Diagram[]): string;
+
+export function mermaidTheme(revealTheme?: string): string;
+
+export function renderDiagrams(
+  html: string,
+  options?: RenderDiagramsOptions
+): Promise<{ html: string; errors: DiagramError[] }>;
@@ -0,0 +1,173 @@
+/**
+ * Diagrams
+ * Renders ```mermaid fences to inline SVG:
+ *
+ *   ```mermaid
+ *   graph LR
+ *     A --> B
+ *   ```
+ *
+ * Conversion is synchronous and has no DOM, so it leaves each diagram as a
+ * `<pre class="mermaid" data-source-line="N">` holding the escaped source.
+ * renderDiagrams then replaces those with SVG in the browser, before the
+ * slides are handed to Reveal.js: Mermaid draws into a detached container
+ * of its own, so hidden slides are no problem. A diagram that fails to
+ * render becomes an error box naming its source line.
+ */
+
+import { scanLines } from './splitter.js';
+import { escapeAttribute } from './directives.js';
+
+/**
+ * Mermaid as an ES module, for pages that draw diagrams when they load
+ */
+export const MERMAID_MODULE = 'https://cdn.jsdelivr.net/npm/mermaid@10.9.4/dist/mermaid.esm.min.mjs';
+
+const MERMAID_FENCE = /^( {0,3})(`{3,}|~{3,})[ \t]*mermaid\b(.*)$/;
+const SOURCE_LINE = /\bdata-source-line=(\d+)/;
+const PLACEHOLDER = /(?:<p>)?\uE002(\d+)\uE003(?:<\/p>)?/g;
+const DIAGRAM_SOURCE = /<pre class="mermaid"(?: data-source-line="(\d+)")?>([\s\S]*?)<\/pre>/g;
+
+// Reveal.js themes with a dark background
+const DARK_THEMES = ['black', 'black-contrast', 'blood', 'dracula', 'league', 'moon', 'night'];
+
+let diagramCount = 0;
+
+/**
+ * Whether a slide's Markdown holds a Mermaid fence
+ */
+export function hasDiagrams(markdown) {
+  return scanLines(markdown).some(isDiagramFence);
+}
+
+/**
+ * Record the source line of each Mermaid fence in its info string, so the
+ * line survives directive removal and overflow splitting. `startLine` is
+ * the line of the slide's first line in the file.
+ */
+export function annotateDiagramLines(markdown, startLine = 1) {
+  return scanLines(markdown)
+    .map((entry, index) => (
+      isDiagramFence(entry) && !SOURCE_LINE.test(entry.text)
+        ? `${entry.text} data-source-line=${startLine + index}`
+        : entry.text
+    ))
+    .join('\n');
+}
+
+/**
+ * Replace the Mermaid fences of a slide with placeholders. Returns the
+ * Markdown and each diagram's `{ source, line }` for restoreDiagrams.
+ */
+export function extractDiagrams(markdown) {
+  const diagrams = [];
+  const lines = [];
+  let current = null;
+
+  scanLines(markdown).forEach(entry => {
+    if (current) {
+      if (entry.type === 'fence') {
+        lines.push('', `\uE002${diagrams.length}\uE003`, '');
+        diagrams.push({ source: current.lines.join('\n'), line: current.line });
+        current = null;
+      } else {
+        current.lines.push(entry.text);
+      }
+      return;
+    }
+
+    if (isDiagramFence(entry)) {
+      const line = entry.text.match(SOURCE_LINE);
+      current = { lines: [], line: line ? Number(line[1]) : null };
+      return;
+    }
+
+    lines.push(entry.text);
+  });
+
+  // A fence left open runs to the end of the slide, as in Markdown
+  if (current) {
+    lines.push('', `\uE002${diagrams.length}\uE003`);
+    diagrams.push({ source: current.lines.join('\n'), line: current.line });
+  }
+
+  return { markdown: diagrams.length ? lines.join('\n').replace(/\n{3,}/g, '\n\n') : markdown, diagrams };
+}
+
+/**
+ * Put the diagrams back into HTML made from extractDiagrams' Markdown, as
+ * `<pre class="mermaid">` elements for renderDiagrams
+ */
+export function restoreDiagrams(html, diagrams) {
+  if (!diagrams.length) return html;
+
+  return html.replace(PLACEHOLDER, (_, index) => {
+    const { source, line } = diagrams[index];
+    const lineAttribute = line ? ` data-source-line="${line}"` : '';
+    return `<pre class="mermaid"${lineAttribute}>${escapeAttribute(source)}</pre>`;
+  });
+}
+
+/**
+ * Pick the Mermaid theme matching a Reveal.js theme
+ */
+export function mermaidTheme(revealTheme = 'black') {
+  return DARK_THEMES.includes(revealTheme) ? 'dark' : 'default';
+}
+
+/**
+ * Render the `<pre class="mermaid">` diagrams in HTML to inline SVG.
+ * Resolves to `{ html, errors }`, each error `{ line, message }`. Needs a
+ * browser; `options.render(id, source)` replaces Mermaid, e.g. in tests.
+ */
+export async function renderDiagrams(html, options = {}) {
+  const matches = [...html.matchAll(DIAGRAM_SOURCE)];
+  if (matches.length === 0) {
+    return { html, errors: [] };
+  }
+
+  const { theme = 'black', diagramTheme = mermaidTheme(theme) } = options;
+  const render = options.render || await loadMermaid(diagramTheme);
+  const errors = [];
+  const rendered = [];
+
+  // One at a time, Mermaid keeps global state while it draws
+  for (const [, line, escaped] of matches) {
+    try {
+      const { svg } = await render(`diagram-${++diagramCount}`, decodeHtml(escaped));
+      rendered.push(`<div class="mermaid-diagram">${svg}</div>`);
+    } catch (error) {
+      const message = String(error?.message || error).trim();
+      const location = line ? ` (line ${line})` : '';
+      errors.push({ line: line ? Number(line) : null, message });
+      rendered.push(`<pre class="diagram-error"${line ? ` data-source-line="${line}"` : ''}>`
+        + `Diagram error${location}: ${escapeAttribute(message)}</pre>`);
+    }
+  }
+
+  let index = 0;
+  return { html: html.replace(DIAGRAM_SOURCE, () => rendered[index++]), errors };
+}
+
+function isDiagramFence(entry) {
+  return entry.type === 'fence' && MERMAID_FENCE.test(entry.text);
+}
+
+async function loadMermaid(theme) {
+  const { default: mermaid } = await import('mermaid');
+  mermaid.initialize({ startOnLoad: false, theme, securityLevel: 'strict' });
+
+  // Parsing first reports syntax errors without drawing an error diagram
+  return async (id, source) => {
+    await mermaid.parse(source);
+    return mermaid.render(id, source);
+  };
+}
+
+function decodeHtml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, '&');
+}
@@ -0,0 +1,18 @@
+/**
+ * Type declarations for the slide directive helpers (directives.js)
+ */
+
+export type SlideAttributes = Record<string, string | boolean | number | undefined | null>;
+
+export function extractSlideDirectives(markdown: string): {
+  attributes: Record<string, string | false>;
+  body: string;
+};
+
+export function parseAttributes(text: string): Record<string, string>;
+
+export function mergeSlideAttributes(defaults: SlideAttributes, overrides: SlideAttributes): SlideAttributes;
+
+export function buildAttributes(attributes: SlideAttributes): string;
+
+export function escapeAttribute(value: unknown): string;
@@ -0,0 +1,140 @@
+/**
+ * Slide Directives
+ * Per-slide settings written as HTML comments inside a slide
+ *
+ *   <!-- .slide: data-background-video="intro.mp4" data-transition="zoom" -->
+ *   <!-- @bg: #123 -->
+ *
+ *   <!-- @bg: linear-gradient(to bottom, #283b95, #17b2c3) -->
+ *
+ * Element directives (<!-- .element: class="fragment" -->) are left in place
+ * for the renderer, they apply to the element they follow.
+ */
+
+import { BACKGROUND_MEDIA, BACKGROUND_MEDIA_SETTINGS, backgroundFlag, isBackgroundFlag } from './backgrounds.js';
+
+const SLIDE_DIRECTIVE = /<!--\s*\.slide:\s*([\s\S]*?)\s*-->/g;
+const SHORTHAND_DIRECTIVE = /^[ \t]*<!--\s*@([\w-]+):\s*(.*?)\s*-->[ \t]*$/gm;
+const ATTRIBUTE = /([^\s=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"']+)))?/g;
+
+const IMAGE_EXTENSIONS = /\.(png|jpe?g|gif|svg|webp|avif|bmp)(\?.*)?$/i;
+const VIDEO_EXTENSIONS = /\.(mp4|webm|ogv|mov|m4v)(\?.*)?$/i;
+const GRADIENT = /^(repeating-)?(linear|radial|conic)-gradient\(/i;
+
+/**
+ * Shorthand keys understood by <!-- @key: value --> directives. Keys not
+ * listed here become data-<key> attributes.
+ */
+const SHORTHAND_ATTRIBUTES = {
+  'bg-color': 'data-background-color',
+  'bg-image': 'data-background-image',
+  'bg-video': 'data-background-video',
+  'bg-iframe': 'data-background-iframe',
+  'bg-gradient': 'data-background-gradient',
+  'bg-size': 'data-background-size',
+  'bg-position': 'data-background-position',
+  'bg-repeat': 'data-background-repeat',
+  'bg-opacity': 'data-background-opacity',
+  'bg-loop': 'data-background-video-loop',
+  'bg-muted': 'data-background-video-muted',
+  'bg-interactive': 'data-background-interactive',
+  align: 'data-text-align',
+  'text-align': 'data-text-align',
+  class: 'class',
+  id: 'id',
+  state: 'data-state'
+};
+
+/**
+ * Remove slide directives from a slide's Markdown and collect their
+ * attributes. Later directives win over earlier ones. Background flags
+ * such as `data-background-video-loop` set to "false" turn off the deck's
+ * flag instead of being written out.
+ */
+export function extractSlideDirectives(markdown) {
+  const attributes = {};
+
+  let body = markdown.replace(SLIDE_DIRECTIVE, (_, attributeText) => {
+    Object.assign(attributes, parseAttributes(attributeText));
+    return '';
+  });
+
+  body = body.replace(SHORTHAND_DIRECTIVE, (_, key, value) => {
+    const [name, attributeValue] = resolveShorthand(key.toLowerCase(), value);
+    attributes[name] = attributeValue;
+    return '';
+  });
+
+  Object.keys(attributes).filter(isBackgroundFlag).forEach(name => {
+    attributes[name] = backgroundFlag(attributes[name]);
+  });
+
+  return { attributes, body: body.replace(/\n{3,}/g, '\n\n') };
+}
+
+/**
+ * Parse an attribute list such as `class="fragment" data-index=2 hidden`
+ */
+export function parseAttributes(text) {
+  const attributes = {};
+  let match;
+
+  ATTRIBUTE.lastIndex = 0;
+  while ((match = ATTRIBUTE.exec(text)) !== null) {
+    attributes[match[1]] = match[2] ?? match[3] ?? match[4] ?? '';
+  }
+
+  return attributes;
+}
+
+/**
+ * Merge slide attributes over the deck defaults. A slide that brings its own
+ * background media drops the deck background media and its settings; a
+ * slide color drops the deck gradient, which would cover it.
+ */
+export function mergeSlideAttributes(defaults, overrides) {
+  const merged = { ...defaults };
+
+  if (BACKGROUND_MEDIA.some(name => name in overrides)) {
+    [...BACKGROUND_MEDIA, ...BACKGROUND_MEDIA_SETTINGS].forEach(name => delete merged[name]);
+  } else if ('data-background-color' in overrides) {
+    delete merged['data-background-gradient'];
+  }
+
+  Object.entries(overrides).forEach(([name, value]) => {
+    merged[name] = name === 'class' && merged.class ? `${merged.class} ${value}` : value;
+  });
+
+  return merged;
+}
+
+/**
+ * Serialize an attribute map, skipping empty values
+ */
+export function buildAttributes(attributes) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null && value !== false)
+    .map(([name, value]) => (value === '' || value === true ? name : `${name}="${escapeAttribute(value)}"`))
+    .join(' ');
+}
+
+export function escapeAttribute(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function resolveShorthand(key, value) {
+  if (key === 'bg' || key === 'background') {
+    if (VIDEO_EXTENSIONS.test(value)) return ['data-background-video', value];
+    if (GRADIENT.test(value)) return ['data-background-gradient', value];
+    if (IMAGE_EXTENSIONS.test(value) || /^(https?:|data:image\/|\.{0,2}\/)/.test(value)) {
+      return ['data-background-image', value];
+    }
+    return ['data-background-color', value];
+  }
+
+  return [SHORTHAND_ATTRIBUTES[key] || `data-${key}`, value];
+}
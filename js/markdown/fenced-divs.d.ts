@@ -0,0 +1,15 @@
+/**
+ * Type declarations for the shared fenced div renderer (fenced-divs.js)
+ */
+
+export interface DivFence {
+  open: boolean;
+  classes?: string[];
+  attributes?: Record<string, string>;
+}
+
+export function parseDivFence(line: string): DivFence | null;
+
+export function hasFencedDivs(markdown: string): boolean;
+
+export function expandFencedDivs(markdown: string): string;
@@ -0,0 +1,129 @@
+/**
+ * Fenced Divs
+ * Pandoc-style containers for slide layout:
+ *
+ *   :::: {.columns}
+ *   ::: {.column width="40%"}
+ *   Left
+ *   :::
+ *   ::: column
+ *   Right
+ *   :::
+ *   ::::
+ *
+ * A fence opens with three or more colons followed by a class name or an
+ * attribute block, and a line of colons closes the innermost open div. The
+ * content stays Markdown: fences become <div> lines surrounded by blank lines,
+ * which marked (and the Reveal.js Markdown plugin) pass through as HTML while
+ * rendering the lines between them. `columns`, `column`, `center` and
+ * `callout` get inline flexbox styles so they lay out without a stylesheet.
+ * `::: notes` blocks are speaker notes and handled by notes.js.
+ */
+
+import { scanLines } from './splitter.js';
+import { buildAttributes, escapeAttribute } from './directives.js';
+
+const DIV_FENCE = /^ {0,3}:{3,}[ \t]*(?:([\w-]+)|\{([^}]*)\})?[ \t]*:*[ \t]*$/;
+const FENCE_ATTRIBUTE = /[.#][\w-]+|[\w-]+=(?:"[^"]*"|'[^']*'|[^\s"'}]+)/g;
+
+const CONTAINER_STYLES = {
+  columns: 'display: flex; gap: 1em;',
+  column: 'flex: 1;',
+  center: 'text-align: center;',
+  callout: 'border-left: 0.25em solid currentColor; padding: 0.5em 1em; text-align: left;'
+};
+
+/**
+ * Parse a fence line. Returns `{ open: true, classes, attributes }` for an
+ * opening fence, `{ open: false }` for a closing one and null otherwise.
+ */
+export function parseDivFence(line) {
+  const match = line.match(DIV_FENCE);
+  if (!match) return null;
+
+  const [, name, block] = match;
+  if (name === undefined && block === undefined) {
+    return { open: false };
+  }
+
+  const classes = name ? [name] : [];
+  const attributes = {};
+  (block || '').match(FENCE_ATTRIBUTE)?.forEach(part => {
+    if (part.startsWith('.')) {
+      classes.push(part.slice(1));
+    } else if (part.startsWith('#')) {
+      attributes.id = part.slice(1);
+    } else {
+      const [, key, value] = part.match(/^([\w-]+)=(.*)$/);
+      attributes[key] = value.replace(/^(["'])(.*)\1$/, '$2');
+    }
+  });
+
+  return { open: true, classes, attributes };
+}
+
+/**
+ * Whether a slide's Markdown holds a fenced div outside code blocks
+ */
+export function hasFencedDivs(markdown) {
+  return scanLines(markdown).some(entry => entry.type === 'text' && parseDivFence(entry.text)?.open);
+}
+
+/**
+ * Rewrite the fenced divs of a slide as HTML <div> lines. Divs left open
+ * are closed at the end of the slide; a closing fence without an open div
+ * is kept as text.
+ */
+export function expandFencedDivs(markdown) {
+  const lines = [];
+  let depth = 0;
+  let changed = false;
+
+  scanLines(markdown).forEach(entry => {
+    const fence = entry.type === 'text' ? parseDivFence(entry.text) : null;
+
+    if (fence?.open) {
+      depth++;
+      changed = true;
+      lines.push('', openingTag(fence), '');
+    } else if (fence && depth > 0) {
+      depth--;
+      lines.push('', '</div>', '');
+    } else {
+      lines.push(entry.text);
+    }
+  });
+
+  for (; depth > 0; depth--) {
+    lines.push('', '</div>');
+  }
+
+  return changed ? lines.join('\n').replace(/\n{3,}/g, '\n\n').replace(/^\n+|\n+$/g, '') : markdown;
+}
+
+function openingTag({ classes, attributes }) {
+  const { width, style, ...rest } = attributes;
+  const styles = classes.map(name => CONTAINER_STYLES[name]).filter(Boolean);
+  const isColumn = classes.includes('column');
+  const title = classes.includes('callout') ? rest.title : undefined;
+  if (title !== undefined) delete rest.title;
+
+  // A column width of "40%" or "40" keeps the column at that share
+  if (width !== undefined && isColumn) {
+    const basis = /^\d+(\.\d+)?$/.test(width) ? `${width}%` : width;
+    styles.splice(styles.indexOf(CONTAINER_STYLES.column), 1, `flex: 0 0 ${basis};`);
+  } else if (width !== undefined) {
+    rest.width = width;
+  }
+  if (style) styles.push(style);
+
+  const attributeText = buildAttributes({
+    id: rest.id,
+    class: classes.join(' ') || undefined,
+    ...rest,
+    style: styles.join(' ') || undefined
+  });
+  const tag = attributeText ? `<div ${attributeText}>` : '<div>';
+
+  return title ? `${tag}\n<p class="callout-title"><strong>${escapeAttribute(title)}</strong></p>` : tag;
+}
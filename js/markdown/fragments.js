@@ -0,0 +1,269 @@
+/**
+ * Fragments
+ * Turns slide content into Reveal.js fragments without hand-written HTML.
+ *
+ *   + Shown one at a time           (a `+` bullet is a fragment)
+ *   - Item {.fragment .fade-up}     (attribute block on the item)
+ *   ![Chart](chart.png){.fragment}  (attribute block on an image)
+ *
+ * Decks and slides can also make every list item, paragraph or image a
+ * fragment, with a default effect and an order (`fragments: lists`,
+ * `fragment-effect: fade-up`, `fragment-order: reverse`).
+ */
+
+import { scanLines } from './splitter.js';
+import { tokenizeHtml, setTokenAttributes, addTokenClasses, hasTokenClass, serializeTokens } from './html-tokens.js';
+import { parseDivFence } from './fenced-divs.js';
+
+export const FRAGMENT_TARGETS = ['lists', 'paragraphs', 'images'];
+export const FRAGMENT_ORDERS = ['sequential', 'reverse', 'together'];
+
+const FRAGMENT_BULLET = /^(\s*)\+(\s+)(?=\S)/;
+// Quotes arrive escaped by the Markdown renderer
+const BLOCK_ITEM = String.raw`(?:[.#][\w-]+|[\w-]+=(?:"[^"]*"|'[^']*'|&quot;.*?&quot;|&#39;.*?&#39;|(?:&\w+;|[^\s}"'&])+))`;
+const ATTRIBUTE_BLOCK = String.raw`\{\s*(${BLOCK_ITEM}(?:\s+${BLOCK_ITEM})*)\s*\}`;
+const LEADING_BLOCK = new RegExp(String.raw`^\s*${ATTRIBUTE_BLOCK}[ \t]*`);
+const TRAILING_BLOCK = new RegExp(String.raw`[ \t]*${ATTRIBUTE_BLOCK}\s*$`);
+const ANY_BLOCK = new RegExp(ATTRIBUTE_BLOCK);
+const BLOCK_PART = new RegExp(BLOCK_ITEM, 'g');
+
+// Slide directives that override the deck settings, e.g. <!-- @fragments: all -->
+const SLIDE_OPTIONS = {
+  'data-fragments': 'fragments',
+  'data-fragment-effect': 'fragmentEffect',
+  'data-fragment-order': 'fragmentOrder'
+};
+
+/**
+ * Rewrite `+` bullets as `-` bullets marked with `{.fragment}`. Code blocks
+ * are left alone and line numbers do not change.
+ */
+export function markFragmentBullets(markdown) {
+  return scanLines(markdown)
+    .map(entry => (entry.type === 'text' ? entry.text.replace(FRAGMENT_BULLET, '$1-$2{.fragment} ') : entry.text))
+    .join('\n');
+}
+
+/**
+ * Whether a slide's Markdown uses `+` bullets or attribute blocks. The
+ * attribute blocks of fenced div fences do not count.
+ */
+export function hasFragmentMarkers(markdown) {
+  return scanLines(markdown).some(entry => (
+    entry.type === 'text'
+    && (FRAGMENT_BULLET.test(entry.text) || (ANY_BLOCK.test(entry.text) && !parseDivFence(entry.text)))
+  ));
+}
+
+/**
+ * Move the fragment settings of a slide out of its section attributes.
+ * Returns the remaining attributes and the settings as deck-style options.
+ */
+export function extractFragmentOptions(attributes) {
+  const remaining = { ...attributes };
+  const options = {};
+
+  Object.entries(SLIDE_OPTIONS).forEach(([attribute, option]) => {
+    if (attribute in remaining) {
+      options[option] = remaining[attribute];
+      delete remaining[attribute];
+    }
+  });
+
+  return { attributes: remaining, options };
+}
+
+/**
+ * Normalize the `fragments`, `fragmentEffect` and `fragmentOrder` options.
+ * `fragments` may be true (lists), `all`, `none`, or a list of targets.
+ */
+export function resolveFragmentSettings(options = {}) {
+  const { fragments, fragmentEffect, fragmentOrder } = options;
+  const order = fragmentOrder ? String(fragmentOrder).trim().toLowerCase() : 'sequential';
+
+  if (!FRAGMENT_ORDERS.includes(order)) {
+    throw new Error(`Unknown fragment order "${fragmentOrder}", expected ${FRAGMENT_ORDERS.join(', ')}`);
+  }
+
+  return {
+    targets: parseTargets(fragments),
+    effect: fragmentEffect ? String(fragmentEffect).trim() : null,
+    order
+  };
+}
+
+function parseTargets(value) {
+  if (value === true) return ['lists'];
+  if (value === undefined || value === null || value === false) return [];
+
+  const names = (Array.isArray(value) ? value : String(value).split(/[\s,]+/))
+    .map(name => String(name).trim().toLowerCase())
+    .filter(Boolean);
+
+  if (names.length === 1 && ['true', 'yes', 'on'].includes(names[0])) return ['lists'];
+  if (names.length === 1 && ['false', 'no', 'off', 'none'].includes(names[0])) return [];
+  if (names.includes('all')) return [...FRAGMENT_TARGETS];
+
+  return [...new Set(names.map(name => {
+    const target = name.endsWith('s') ? name : `${name}s`;
+    if (!FRAGMENT_TARGETS.includes(target)) {
+      throw new Error(`Unknown fragment target "${name}", expected ${FRAGMENT_TARGETS.join(', ')} or all`);
+    }
+    return target;
+  }))];
+}
+
+/**
+ * Apply attribute blocks and the automatic fragment settings to rendered
+ * slide HTML. A block at the start of a list item applies to the item, one
+ * right after an image to the image, and one at the end of an element's
+ * text to that element. `effect` is added to fragments without an effect.
+ */
+export function applyFragments(html, settings = {}) {
+  const { targets = [], effect = null, order = 'sequential' } = settings;
+  const tokens = tokenizeHtml(html);
+
+  applyAttributeBlocks(tokens);
+
+  tokens
+    .filter((token, index) => isAutomaticTarget(tokens, index, targets))
+    .forEach(token => addTokenClasses(token, ['fragment']));
+
+  // Plain fragments take the default effect, explicit effects are kept
+  if (effect) {
+    tokens
+      .filter(token => token.type === 'open' && token.attributes.class?.trim() === 'fragment')
+      .forEach(token => addTokenClasses(token, [effect]));
+  }
+
+  if (order !== 'sequential') {
+    const fragments = tokens.filter(token => token.type === 'open' && hasTokenClass(token, 'fragment')
+      && !('data-fragment-index' in token.attributes));
+    fragments.forEach((token, index) => {
+      const fragmentIndex = order === 'reverse' ? fragments.length - 1 - index : 0;
+      setTokenAttributes(token, { 'data-fragment-index': String(fragmentIndex) });
+    });
+  }
+
+  return serializeTokens(tokens);
+}
+
+function applyAttributeBlocks(tokens) {
+  const stack = [];
+
+  tokens.forEach((token, index) => {
+    if (token.type === 'open') {
+      if (!token.isVoid) stack.push(token);
+      return;
+    }
+    if (token.type === 'close') {
+      const position = stack.map(element => element.name).lastIndexOf(token.name);
+      if (position !== -1) stack.length = position;
+      return;
+    }
+    if (token.type !== 'text' || stack.some(element => element.name === 'pre' || element.name === 'code')) {
+      return;
+    }
+
+    const previous = tokens[index - 1];
+    const parent = stack[stack.length - 1];
+    const next = tokens[index + 1];
+
+    // ![alt](src){.fragment}
+    if (previous?.type === 'open' && previous.name === 'img') {
+      token.text = token.text.replace(LEADING_BLOCK, (_, block) => {
+        applyBlock(previous, block);
+        return '';
+      });
+    }
+
+    // - {.fragment} item, also in loose lists where the item holds a <p>
+    const listItem = parent?.name === 'li' ? parent
+      : parent?.name === 'p' && stack[stack.length - 2]?.name === 'li' && tokens[index - 2] === stack[stack.length - 2]
+        ? stack[stack.length - 2] : null;
+    if (listItem && previous === parent) {
+      token.text = token.text.replace(LEADING_BLOCK, (_, block) => {
+        applyBlock(listItem, block);
+        return '';
+      });
+    }
+
+    // Item {.fragment}, Heading {.fragment}, or an item followed by a sub-list
+    const endsElement = next?.type === 'close' && next.name === parent?.name;
+    const beforeSubList = parent?.name === 'li' && next?.type === 'open' && (next.name === 'ul' || next.name === 'ol');
+    if (parent && (endsElement || beforeSubList)) {
+      const target = parent.name === 'p' && stack[stack.length - 2]?.name === 'li' ? stack[stack.length - 2] : parent;
+      token.text = token.text.replace(TRAILING_BLOCK, (_, block) => {
+        applyBlock(target, block);
+        return beforeSubList ? '\n' : '';
+      });
+    }
+  });
+}
+
+function applyBlock(token, block) {
+  const classes = [];
+  const attributes = {};
+
+  block.match(BLOCK_PART).forEach(part => {
+    if (part.startsWith('.')) {
+      classes.push(part.slice(1));
+    } else if (part.startsWith('#')) {
+      attributes.id = part.slice(1);
+    } else {
+      const [, name, value] = part.match(/^([\w-]+)=(.*)$/);
+      attributes[name === 'index' ? 'data-fragment-index' : name] = decodeEntities(value).replace(/^(["'])(.*)\1$/, '$2');
+    }
+  });
+
+  if (classes.length) addTokenClasses(token, classes);
+  if (Object.keys(attributes).length) setTokenAttributes(token, attributes);
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+function isAutomaticTarget(tokens, index, targets) {
+  const token = tokens[index];
+  if (token.type !== 'open' || hasTokenClass(token, 'fragment')) return false;
+
+  if (token.name === 'li') return targets.includes('lists');
+  if (token.name === 'img') return targets.includes('images');
+  if (token.name !== 'p' || !targets.includes('paragraphs')) return false;
+
+  // Paragraphs inside list items follow the items, and a paragraph holding
+  // only an image counts as an image
+  const enclosing = enclosingElement(tokens, index);
+  if (enclosing === 'li') return false;
+  return !isImageOnly(tokens, index);
+}
+
+function enclosingElement(tokens, index) {
+  let depth = 0;
+  for (let i = index - 1; i >= 0; i--) {
+    const token = tokens[i];
+    if (token.type === 'close') depth++;
+    else if (token.type === 'open' && !token.isVoid) {
+      if (depth === 0) return token.name;
+      depth--;
+    }
+  }
+  return null;
+}
+
+function isImageOnly(tokens, index) {
+  const content = [];
+  for (let i = index + 1; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type === 'close' && token.name === 'p') break;
+    if (token.type === 'text' && token.text.trim() === '') continue;
+    content.push(token);
+  }
+  return content.length === 1 && content[0].type === 'open' && content[0].name === 'img';
+}
@@ -0,0 +1,17 @@
+/**
+ * Type declarations for the shared front matter parser (front-matter.js)
+ */
+
+export interface FrontMatter {
+  data: Record<string, unknown>;
+  body: string;
+  lineOffset: number;
+}
+
+export function parseFrontMatter(mdText: string): FrontMatter;
+
+export function matchFrontMatter(text: string): RegExpMatchArray | null;
+
+export function frontMatterToOptions(data?: Record<string, unknown>): Record<string, unknown>;
+
+export function parseYaml(text: string): unknown;
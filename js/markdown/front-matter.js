@@ -0,0 +1,341 @@
+/**
+ * Front Matter
+ * Parses the YAML front matter block at the top of a Markdown deck
+ */
+
+const FRONT_MATTER_PATTERN = /^\uFEFF?---[ \t]*\n([\s\S]*?\n)?(?:---|\.\.\.)[ \t]*(?:\n|$)/;
+const FRONT_MATTER_KEY = /^\s*("[^"]*"|'[^']*'|[\w-]+)\s*:(\s|$)/;
+
+/**
+ * Front matter keys that map onto convertMarkdownToSlides options
+ */
+const OPTION_ALIASES = {
+  background: 'bgColor',
+  backgroundColor: 'bgColor',
+  bgColor: 'bgColor',
+  backgroundImage: 'bgImage',
+  bgImage: 'bgImage',
+  backgroundGradient: 'bgGradient',
+  backgroundVideo: 'bgVideo',
+  backgroundVideoLoop: 'bgVideoLoop',
+  backgroundVideoMuted: 'bgVideoMuted',
+  backgroundIframe: 'bgIframe',
+  backgroundInteractive: 'bgInteractive',
+  backgroundSize: 'bgSize',
+  backgroundPosition: 'bgPosition',
+  backgroundRepeat: 'bgRepeat',
+  backgroundOpacity: 'bgOpacity',
+  parallax: 'parallaxBackgroundImage',
+  parallaxImage: 'parallaxBackgroundImage',
+  parallaxSize: 'parallaxBackgroundSize',
+  align: 'textAlign',
+  textAlign: 'textAlign',
+  customCss: 'css',
+  css: 'css'
+};
+
+/**
+ * Split a Markdown document into its front matter data and body.
+ * `lineOffset` is the number of source lines consumed by the block.
+ */
+export function parseFrontMatter(mdText) {
+  const text = String(mdText ?? '').replace(/\r\n?/g, '\n');
+  const match = matchFrontMatter(text);
+
+  if (!match) {
+    return { data: {}, body: text, lineOffset: 0 };
+  }
+
+  let data;
+  try {
+    data = parseYaml(match[1] || '');
+  } catch (error) {
+    // Report lines relative to the file, the block starts after the opening ---
+    const line = error.line ? error.line + 1 : 1;
+    throw new Error(`Invalid front matter (line ${line}): ${error.reason || error.message}`);
+  }
+
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Invalid front matter: expected "key: value" pairs');
+  }
+
+  return {
+    data,
+    body: text.slice(match[0].length),
+    lineOffset: match[0].split('\n').length - (match[0].endsWith('\n') ? 1 : 0)
+  };
+}
+
+/**
+ * Find the front matter block at the start of LF-normalized text without
+ * parsing it. Returns the RegExp match or null.
+ */
+export function matchFrontMatter(text) {
+  const match = text.match(FRONT_MATTER_PATTERN);
+
+  // A deck may open with a slide separator, only a block of "key: value"
+  // pairs counts as front matter
+  const firstLine = (match?.[1] || '').split('\n').find(line => line.trim() !== '');
+  if (!match || (firstLine !== undefined && !FRONT_MATTER_KEY.test(firstLine))) {
+    return null;
+  }
+
+  return match;
+}
+
+/**
+ * Map front matter data onto convertMarkdownToSlides options.
+ * Keys may be written in camelCase or kebab-case.
+ */
+export function frontMatterToOptions(data = {}) {
+  const options = {};
+
+  Object.entries(data).forEach(([key, value]) => {
+    const name = toCamelCase(key);
+    options[OPTION_ALIASES[name] || name] = value;
+  });
+
+  return options;
+}
+
+/**
+ * Parse the YAML subset used in deck front matter: nested maps, block and
+ * flow lists, quoted and plain scalars, and `|` / `>` block scalars.
+ */
+export function parseYaml(text) {
+  const state = { lines: String(text).replace(/\r\n?/g, '\n').split('\n'), index: 0 };
+  const value = parseNode(state, 0);
+
+  skipEmptyLines(state);
+  if (state.index < state.lines.length) {
+    throw yamlError(state.index, 'Unexpected indentation');
+  }
+
+  return value ?? {};
+}
+
+function parseNode(state, minIndent) {
+  skipEmptyLines(state);
+  if (state.index >= state.lines.length) return null;
+
+  const line = state.lines[state.index];
+  const indent = indentOf(line);
+  if (indent < minIndent) return null;
+
+  return isListItem(line.trim()) ? parseList(state, indent) : parseMap(state, indent);
+}
+
+function parseMap(state, indent) {
+  const result = {};
+
+  while (skipEmptyLines(state) < state.lines.length) {
+    const line = state.lines[state.index];
+    const lineIndent = indentOf(line);
+
+    if (lineIndent < indent) break;
+    if (lineIndent > indent) throw yamlError(state.index, 'Unexpected indentation');
+
+    const content = stripComment(line.trim());
+    const match = content.match(/^("[^"]*"|'[^']*'|[^:]+?)\s*:(?:\s+(.*))?$/);
+    if (!match || isListItem(content)) {
+      throw yamlError(state.index, `Expected "key: value", got "${content}"`);
+    }
+
+    const key = parseScalar(match[1]);
+    const rest = (match[2] || '').trim();
+    state.index++;
+
+    if (rest === '') {
+      // A list may sit at the same indentation as its parent key
+      skipEmptyLines(state);
+      const next = state.lines[state.index];
+      const nestedList = next !== undefined && indentOf(next) === indent && isListItem(next.trim());
+      result[key] = nestedList ? parseList(state, indent) : parseNode(state, indent + 1);
+    } else if (/^[|>][+-]?$/.test(rest)) {
+      result[key] = parseBlockScalar(state, indent, rest);
+    } else {
+      result[key] = parseScalar(rest, state.index - 1);
+    }
+  }
+
+  return result;
+}
+
+function parseList(state, indent) {
+  const result = [];
+
+  while (skipEmptyLines(state) < state.lines.length) {
+    const line = state.lines[state.index];
+    const lineIndent = indentOf(line);
+    const content = line.trim();
+
+    if (lineIndent < indent || !isListItem(content)) break;
+    if (lineIndent > indent) throw yamlError(state.index, 'Unexpected indentation');
+
+    const rest = stripComment(content.slice(1).trim());
+
+    if (rest === '') {
+      state.index++;
+      result.push(parseNode(state, indent + 1));
+    } else if (/^("[^"]*"|'[^']*'|[^:"'[{]+?)\s*:(\s|$)/.test(rest)) {
+      // "- key: value" starts a map nested at the item's content column
+      const column = lineIndent + content.indexOf(rest);
+      state.lines[state.index] = ' '.repeat(column) + rest;
+      result.push(parseMap(state, column));
+    } else {
+      state.index++;
+      result.push(parseScalar(rest, state.index - 1));
+    }
+  }
+
+  return result;
+}
+
+function parseBlockScalar(state, parentIndent, indicator) {
+  const lines = [];
+  let blockIndent = null;
+
+  while (state.index < state.lines.length) {
+    const line = state.lines[state.index];
+
+    if (line.trim() === '') {
+      lines.push('');
+      state.index++;
+      continue;
+    }
+
+    const lineIndent = indentOf(line);
+    if (lineIndent <= parentIndent) break;
+
+    blockIndent = blockIndent ?? lineIndent;
+    lines.push(line.slice(Math.min(blockIndent, lineIndent)));
+    state.index++;
+  }
+
+  // Trailing blank lines belong to whatever follows the block
+  while (lines.length && lines[lines.length - 1] === '') {
+    lines.pop();
+    state.index--;
+  }
+  while (state.index < state.lines.length && state.lines[state.index].trim() === '') {
+    state.index++;
+  }
+
+  const text = indicator[0] === '>'
+    ? lines.join('\n').replace(/([^\n])\n(?=[^\n])/g, '$1 ')
+    : lines.join('\n');
+
+  return indicator.endsWith('-') ? text : text + '\n';
+}
+
+function parseScalar(raw, lineIndex) {
+  const value = stripComment(String(raw).trim());
+
+  if (value.startsWith('"')) {
+    if (!/^"(?:[^"\\]|\\.)*"$/.test(value)) throw yamlError(lineIndex, 'Unterminated string');
+    return value.slice(1, -1).replace(/\\(["\\nt])/g, (_, char) => (
+      { n: '\n', t: '\t' }[char] || char
+    ));
+  }
+
+  if (value.startsWith("'")) {
+    if (!/^'(?:[^']|'')*'$/.test(value)) throw yamlError(lineIndex, 'Unterminated string');
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+
+  if (value.startsWith('[')) {
+    if (!value.endsWith(']')) throw yamlError(lineIndex, 'Unterminated list');
+    return splitFlow(value.slice(1, -1)).map(item => parseScalar(item, lineIndex));
+  }
+
+  if (value.startsWith('{')) {
+    if (!value.endsWith('}')) throw yamlError(lineIndex, 'Unterminated map');
+    return Object.fromEntries(splitFlow(value.slice(1, -1)).map(entry => {
+      const separator = entry.indexOf(':');
+      if (separator === -1) throw yamlError(lineIndex, `Expected "key: value", got "${entry}"`);
+      return [parseScalar(entry.slice(0, separator), lineIndex), parseScalar(entry.slice(separator + 1), lineIndex)];
+    }));
+  }
+
+  if (value === '' || value === '~' || value === 'null') return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(value)) return Number(value);
+
+  return value;
+}
+
+/**
+ * Split the inside of a flow collection on commas that are not nested or quoted
+ */
+function splitFlow(text) {
+  const items = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '[' || char === '{') {
+      depth++;
+    } else if (char === ']' || char === '}') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      items.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+
+  if (current.trim()) items.push(current);
+  return items.map(item => item.trim());
+}
+
+function stripComment(text) {
+  let quote = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i).trimEnd();
+    }
+  }
+
+  return text;
+}
+
+function skipEmptyLines(state) {
+  while (state.index < state.lines.length) {
+    const trimmed = state.lines[state.index].trim();
+    if (trimmed !== '' && !trimmed.startsWith('#')) break;
+    state.index++;
+  }
+  return state.index;
+}
+
+function isListItem(content) {
+  return content === '-' || content.startsWith('- ');
+}
+
+function indentOf(line) {
+  return line.match(/^ */)[0].length;
+}
+
+function toCamelCase(key) {
+  return String(key).replace(/[-_]+([a-z0-9])/gi, (_, char) => char.toUpperCase());
+}
+
+function yamlError(lineIndex, reason) {
+  const error = new Error(`${reason} (line ${lineIndex + 1})`);
+  error.line = lineIndex + 1;
+  error.reason = reason;
+  return error;
+}
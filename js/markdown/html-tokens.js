@@ -0,0 +1,103 @@
+/**
+ * HTML Tokens
+ * A small tokenizer for rendered slide HTML, used to adjust attributes
+ * after rendering without a DOM
+ */
+
+import { parseAttributes, escapeAttribute } from './directives.js';
+
+const TOKEN = /<!--([\s\S]*?)-->|<(\/?)([a-zA-Z][\w-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/g;
+
+export const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+/**
+ * Split HTML into `text`, `comment`, `open` and `close` tokens. Open tags
+ * carry their attributes, still escaped as in the source.
+ */
+export function tokenizeHtml(html) {
+  const tokens = [];
+  const pattern = new RegExp(TOKEN.source, 'g');
+  let position = 0;
+  let match;
+
+  while ((match = pattern.exec(html)) !== null) {
+    const [text, comment, closing, tagName, attributeText, selfClosing] = match;
+
+    if (match.index > position) {
+      tokens.push({ type: 'text', text: html.slice(position, match.index) });
+    }
+
+    if (comment !== undefined) {
+      tokens.push({ type: 'comment', text, comment });
+    } else if (closing) {
+      tokens.push({ type: 'close', text, name: tagName.toLowerCase() });
+    } else {
+      const name = tagName.toLowerCase();
+      const attributes = parseAttributes(attributeText);
+      Object.keys(attributes).forEach(key => {
+        attributes[key] = attributes[key].replace(/"/g, '&quot;');
+      });
+
+      tokens.push({
+        type: 'open',
+        text,
+        name,
+        attributes,
+        selfClosing: Boolean(selfClosing),
+        isVoid: Boolean(selfClosing) || VOID_ELEMENTS.has(name),
+        changed: false
+      });
+    }
+
+    position = match.index + text.length;
+  }
+
+  if (position < html.length) {
+    tokens.push({ type: 'text', text: html.slice(position) });
+  }
+
+  return tokens;
+}
+
+/**
+ * Set attributes on an open tag token. Values are escaped here.
+ */
+export function setTokenAttributes(token, attributes) {
+  Object.entries(attributes).forEach(([name, value]) => {
+    token.attributes[name] = escapeAttribute(value);
+  });
+  token.changed = true;
+}
+
+/**
+ * Add classes to an open tag token, keeping the classes it already has
+ */
+export function addTokenClasses(token, classes) {
+  const current = (token.attributes.class || '').split(/\s+/).filter(Boolean);
+  const merged = [...new Set([...current, ...classes])];
+  token.attributes.class = escapeAttribute(merged.join(' '));
+  token.changed = true;
+}
+
+/**
+ * Whether an open tag token has a class
+ */
+export function hasTokenClass(token, className) {
+  return (token.attributes.class || '').split(/\s+/).includes(className);
+}
+
+/**
+ * Turn tokens back into HTML. Unchanged tags keep their original text.
+ */
+export function serializeTokens(tokens) {
+  return tokens.map(token => {
+    if (token.type !== 'open' || !token.changed) return token.text;
+
+    const attributeText = Object.entries(token.attributes)
+      .map(([name, value]) => `${name}="${value}"`)
+      .join(' ');
+    return `<${token.name}${attributeText ? ' ' + attributeText : ''}${token.selfClosing ? ' /' : ''}>`;
+  }).join('');
+}
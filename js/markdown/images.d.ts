@@ -0,0 +1,31 @@
+/**
+ * Type declarations for the shared image helpers (images.js)
+ */
+
+export const IMAGE_ALIGNMENTS: string[];
+
+export interface ImageContent {
+  imageUrl?: string;
+  alt?: string;
+  caption?: string;
+  fitWidth?: boolean;
+  centerImage?: boolean;
+  align?: string;
+  width?: string | number;
+  height?: string | number;
+}
+
+export function expandImageSizes(markdown: string): string;
+
+export function hasImageLayout(markdown: string): boolean;
+
+export function extractBackgroundImages(markdown: string): {
+  markdown: string;
+  attributes: Record<string, string>;
+};
+
+export function imageStyle(options?: ImageContent): string;
+
+export function renderImage(content?: ImageContent): string;
+
+export function applyImageLayout(html: string): string;
@@ -0,0 +1,190 @@
+/**
+ * Images
+ * Sizing, placement and captions for Markdown images, and images used as
+ * the slide background:
+ *
+ *   ![Chart](chart.png){width=60% .right}   (attribute block)
+ *   ![Chart](chart.png =400x)               (width x height, either optional)
+ *   ![Chart](chart.png "Q3 revenue")        (alone in a paragraph: a figure)
+ *   ![bg contain top](photo.jpg)            (the slide background)
+ *
+ * `.fit`, `.center`, `.left` and `.right` are the `fitWidth`, `centerImage`
+ * and `align` fields of image nodes, so Markdown images and image nodes are
+ * styled by the same imageStyle. Styles are inline, so images lay out
+ * without a stylesheet.
+ */
+
+import { scanLines } from './splitter.js';
+import { escapeAttribute } from './directives.js';
+import { tokenizeHtml, setTokenAttributes, hasTokenClass, serializeTokens } from './html-tokens.js';
+
+export const IMAGE_ALIGNMENTS = ['left', 'right'];
+
+const SIZED_IMAGE = /(!\[[^\]]*\]\(\s*(?:<[^>]*>|[^\s)]+))\s+=(\d+(?:\.\d+)?(?:%|px|em)?)?x(\d+(?:\.\d+)?(?:%|px|em)?)?((?:\s+(?:"[^"]*"|'[^']*'))?\s*\))(\{[^}]*\})?/g;
+const TITLED_IMAGE = /!\[[^\]]*\]\(\s*(?:<[^>]*>|[^\s)]+)\s+(?:"[^"]*"|'[^']*')\s*\)/;
+const BACKGROUND_IMAGE = /!\[\s*bg\b([^\]]*)\]\(\s*(?:<([^>]*)>|([^\s)]+))(?:\s+(?:"[^"]*"|'[^']*'))?\s*\)/gi;
+const BACKGROUND_SIZES = ['cover', 'contain', 'auto'];
+const BACKGROUND_POSITIONS = ['top', 'bottom', 'left', 'right', 'center'];
+const LENGTH = /^\d+(\.\d+)?(%|px|em)?$/;
+
+/**
+ * Rewrite `![alt](src =WxH)` sizes as attribute blocks, merged into a block
+ * that already follows the image. Code is left alone.
+ */
+export function expandImageSizes(markdown) {
+  return scanLines(markdown)
+    .map(entry => (entry.type === 'text' ? entry.text.replace(SIZED_IMAGE, sizedImage) : entry.text))
+    .join('\n');
+}
+
+/**
+ * Whether a slide's Markdown sizes an image or gives one a caption, which
+ * the Reveal.js Markdown plugin would not render
+ */
+export function hasImageLayout(markdown) {
+  return scanLines(markdown).some(entry => (
+    entry.type === 'text' && (new RegExp(SIZED_IMAGE.source).test(entry.text) || TITLED_IMAGE.test(entry.text))
+  ));
+}
+
+/**
+ * Take `![bg ...](src)` images out of a slide. The last one becomes the
+ * slide background; the words after `bg` set its size (`cover`, `contain`,
+ * `auto` or a length) and position (`top`, `left`, ...). Returns the
+ * Markdown and the attributes for the slide's <section>.
+ */
+export function extractBackgroundImages(markdown) {
+  const attributes = {};
+  let found = false;
+
+  const lines = scanLines(markdown).flatMap(entry => {
+    if (entry.type !== 'text' || !new RegExp(BACKGROUND_IMAGE.source, 'i').test(entry.text)) {
+      return [entry.text];
+    }
+
+    found = true;
+    const text = entry.text.replace(BACKGROUND_IMAGE, (_, options, bracketed, plain) => {
+      Object.keys(attributes).forEach(name => delete attributes[name]);
+      Object.assign(attributes, backgroundAttributes(bracketed ?? plain, options));
+      return '';
+    });
+    return text.trim() ? [text] : [];
+  });
+
+  return {
+    markdown: found ? lines.join('\n').replace(/\n{3,}/g, '\n\n').trim() : markdown,
+    attributes
+  };
+}
+
+/**
+ * Inline style for an image. `width` and `height` are lengths; numbers are
+ * pixels.
+ */
+export function imageStyle({ fitWidth = false, centerImage = false, align = '', width, height } = {}) {
+  const styles = [];
+
+  if (fitWidth) styles.push('width: 100%;');
+  else if (width) styles.push(`width: ${cssLength(width)};`);
+  if (height) styles.push(`height: ${cssLength(height)};`);
+  if (centerImage) styles.push('margin: 0 auto; display: block;');
+  if (IMAGE_ALIGNMENTS.includes(align)) {
+    styles.push(`float: ${align}; margin-${align === 'left' ? 'right' : 'left'}: 1em;`);
+  }
+
+  return styles.join(' ');
+}
+
+/**
+ * Render an image node's content: the image, in a <figure> with its caption
+ * when it has one
+ */
+export function renderImage(content = {}) {
+  const { imageUrl = '', alt = '', caption = '' } = content;
+  const style = imageStyle(caption ? { ...content, align: '' } : content);
+  const image = `<img src="${escapeAttribute(imageUrl)}" alt="${escapeAttribute(alt)}"${style ? ` style="${style}"` : ''}>`;
+
+  return caption
+    ? `<figure class="image-figure" style="${figureStyle(content)}">${image}`
+      + `<figcaption class="image-caption">${escapeAttribute(caption)}</figcaption></figure>`
+    : image;
+}
+
+/**
+ * Style rendered Markdown images after their attribute blocks were applied:
+ * `.fit`, `.center`, `.left` and `.right` become inline styles, and an
+ * image with a title alone in a paragraph becomes a figure captioned with
+ * the title. Sizes stay `width` and `height` attributes.
+ */
+export function applyImageLayout(html) {
+  const tokens = tokenizeHtml(html);
+
+  tokens.forEach((token, index) => {
+    if (token.type !== 'open' || token.name !== 'img') return;
+
+    // <p><img title="..."></p> becomes a captioned figure
+    const [open, close] = [tokens[index - 1], tokens[index + 1]];
+    const caption = token.attributes.title;
+    const isFigure = Boolean(caption) && open?.type === 'open' && open.name === 'p'
+      && close?.type === 'close' && close.name === 'p';
+
+    const options = imageOptions(token);
+    const style = [imageStyle(isFigure ? { ...options, align: '' } : options), token.attributes.style].filter(Boolean).join(' ');
+    if (style) setTokenAttributes(token, { style: decode(style) });
+
+    if (isFigure) {
+      delete token.attributes.title;
+      token.changed = true;
+      open.name = 'figure';
+      setTokenAttributes(open, {
+        class: ['image-figure', open.attributes.class].filter(Boolean).join(' '),
+        style: figureStyle(options)
+      });
+      close.text = `<figcaption class="image-caption">${caption}</figcaption></figure>`;
+    }
+  });
+
+  return serializeTokens(tokens);
+}
+
+function sizedImage(_, image, width, height, rest, block) {
+  const size = [width && `width=${width}`, height && `height=${height}`].filter(Boolean).join(' ');
+  const merged = block ? `{${size} ${block.slice(1, -1).trim()}}` : `{${size}}`;
+  return `${image}${rest.trimStart().startsWith(')') ? ')' : ` ${rest.trim()}`}${size || block ? merged : ''}`;
+}
+
+function backgroundAttributes(src, options) {
+  const words = options.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  const size = words.find(word => BACKGROUND_SIZES.includes(word) || LENGTH.test(word));
+  const position = words.filter(word => BACKGROUND_POSITIONS.includes(word)).join(' ');
+
+  return {
+    'data-background-image': src,
+    ...(size ? { 'data-background-size': cssLength(size) } : {}),
+    ...(position ? { 'data-background-position': position } : {})
+  };
+}
+
+function imageOptions(token) {
+  return {
+    fitWidth: hasTokenClass(token, 'fit'),
+    centerImage: hasTokenClass(token, 'center'),
+    align: IMAGE_ALIGNMENTS.find(align => hasTokenClass(token, align)) || ''
+  };
+}
+
+// A figure takes the place of its image: it floats or centers instead
+function figureStyle({ centerImage = false, align = '' } = {}) {
+  if (IMAGE_ALIGNMENTS.includes(align)) {
+    return `float: ${align}; margin: 0 ${align === 'left' ? '1em 0 0' : '0 0 1em'};`;
+  }
+  return centerImage ? 'margin: 0; text-align: center;' : 'margin: 0;';
+}
+
+function cssLength(value) {
+  return /^\d+(\.\d+)?$/.test(String(value)) ? `${value}px` : String(value);
+}
+
+function decode(text) {
+  return text.replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+}
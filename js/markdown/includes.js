@@ -0,0 +1,194 @@
+/**
+ * Include Directives
+ * Compose a deck from several Markdown files. A line holding only
+ *
+ *   <!-- include: modules/02-setup.md -->
+ *   !include modules/02-setup.md slides=2-4
+ *
+ * is replaced by the named file, resolved relative to the including file.
+ * `slides` picks horizontal slides by number: `3`, `2-4`, `5-` or `1,3-4`.
+ * Includes are resolved recursively; files are read through the synchronous
+ * `readFile(path)` passed in, so the same code runs in Node and the browser.
+ */
+
+import { scanLines, splitSlides } from './splitter.js';
+
+const INCLUDE_COMMENT = /^ {0,3}<!--\s*include:\s*(.+?)\s*-->\s*$/i;
+const INCLUDE_LINE = /^ {0,3}!include\s+(.+?)\s*$/;
+const SLIDE_RANGE = /\s+slides\s*=\s*([\d,\s-]+)$/;
+
+/**
+ * List the include directives in a Markdown document, skipping code blocks
+ */
+export function findIncludes(markdown) {
+  return scanLines(markdown)
+    .filter(entry => entry.type === 'text' || entry.type === 'html')
+    .map(entry => {
+      const match = entry.text.match(INCLUDE_COMMENT) || entry.text.match(INCLUDE_LINE);
+      if (!match) return null;
+
+      const range = match[1].match(SLIDE_RANGE);
+      return {
+        line: entry.line,
+        path: (range ? match[1].slice(0, range.index) : match[1]).trim().replace(/^(["'])(.*)\1$/, '$2'),
+        slides: range ? range[1].replace(/\s+/g, '') : null
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Replace include directives with the content of the files they name.
+ * `filePath` is the path of `markdown` itself, used to resolve relative
+ * includes. Throws on missing files, bad ranges and include cycles.
+ */
+export function resolveIncludes(markdown, options = {}) {
+  if (findIncludes(markdown).length === 0) {
+    return markdown;
+  }
+
+  return expandIncludes(markdown, options).map(entry => entry.text).join('\n');
+}
+
+/**
+ * Resolve includes like resolveIncludes and map every line of the result
+ * back to where it came from: `sources[i]` is the `{ file, line }` of line
+ * `i + 1`, with `file` the `filePath` of the including document or the
+ * path of an included file. Separators between included slides map to the
+ * include directive.
+ */
+export function resolveIncludeSources(markdown, options = {}) {
+  const entries = expandIncludes(markdown, options);
+
+  return {
+    markdown: entries.map(entry => entry.text).join('\n'),
+    sources: entries.map(({ file, line }) => ({ file, line }))
+  };
+}
+
+// The lines of `markdown` with includes resolved, each `{ text, file, line }`
+function expandIncludes(markdown, options) {
+  const { readFile, filePath = '', separator = '---', verticalSeparator = '--' } = options;
+  const chain = options.chain || (filePath ? [normalizePath(filePath)] : []);
+  const lines = String(markdown).replace(/\r\n?/g, '\n').split('\n')
+    .map((text, index) => [{ text, file: filePath, line: index + 1 }]);
+  const where = filePath ? ` in ${filePath}` : '';
+
+  findIncludes(markdown).forEach(include => {
+    const location = `include "${include.path}" (line ${include.line}${where})`;
+    if (typeof readFile !== 'function') {
+      throw new Error(`Cannot resolve ${location}: no files to include from`);
+    }
+
+    const target = joinPath(dirname(filePath), include.path);
+    if (chain.includes(target)) {
+      throw new Error(`Include cycle: ${[...chain, target].join(' → ')}`);
+    }
+
+    let content;
+    try {
+      content = readFile(target);
+    } catch (error) {
+      throw new Error(`Cannot resolve ${location}: ${error.message}`);
+    }
+
+    const resolved = expandIncludes(content, {
+      ...options,
+      filePath: target,
+      chain: [...chain, target]
+    });
+
+    const directive = { file: filePath, line: include.line };
+    lines[include.line - 1] = selectSlides(resolved, include.slides, { separator, verticalSeparator, location, directive });
+  });
+
+  return lines.flat();
+}
+
+/**
+ * Resolve every include directive of a document on its own and list the
+ * ones that fail as `{ line, path, message }`, instead of throwing on the
+ * first
+ */
+export function findIncludeErrors(markdown, options = {}) {
+  const lines = String(markdown).replace(/\r\n?/g, '\n').split('\n');
+
+  return findIncludes(markdown).flatMap(include => {
+    // The other lines are blanked, so messages keep the directive's line
+    const alone = lines.map((text, index) => (index === include.line - 1 ? text : '')).join('\n');
+    try {
+      resolveIncludes(alone, options);
+      return [];
+    } catch (error) {
+      return [{ line: include.line, path: include.path, message: error.message }];
+    }
+  });
+}
+
+/**
+ * Keep the horizontal slides of the `lines` listed in `range`. The front
+ * matter of an included file is always dropped.
+ */
+function selectSlides(lines, range, { separator, verticalSeparator, location, directive }) {
+  const stacks = splitSlides(lines.map(entry => entry.text).join('\n'), { separator, verticalSeparator });
+  const picked = range ? parseRange(range, stacks.length, location).map(number => stacks[number - 1]) : stacks;
+  const between = text => ['', text, ''].map(line => ({ text: line, ...directive }));
+  const join = (groups, text) => groups.flatMap((group, index) => (index > 0 ? [...between(text), ...group] : group));
+
+  return join(
+    picked.map(stack => join(stack.map(slide => lines.slice(slide.startLine - 1, slide.endLine)), verticalSeparator)),
+    separator
+  );
+}
+
+function parseRange(range, count, location) {
+  const numbers = [];
+
+  range.split(',').filter(Boolean).forEach(part => {
+    const match = part.match(/^(\d+)(?:(-)(\d*))?$/);
+    if (!match) {
+      throw new Error(`Cannot resolve ${location}: invalid slide range "${range}"`);
+    }
+
+    const start = Number(match[1]);
+    const end = match[2] ? (match[3] ? Number(match[3]) : count) : start;
+    if (start < 1 || end > count || start > end) {
+      throw new Error(`Cannot resolve ${location}: slides ${part} are outside 1-${count}`);
+    }
+
+    for (let number = start; number <= end; number++) numbers.push(number);
+  });
+
+  return numbers;
+}
+
+/**
+ * Join and normalize posix-style paths, keeping leading ".." segments
+ */
+export function joinPath(base, relative) {
+  if (relative.startsWith('/')) return normalizePath(relative);
+  return normalizePath(base ? `${base}/${relative}` : relative);
+}
+
+function normalizePath(filePath) {
+  const absolute = filePath.startsWith('/');
+  const parts = [];
+
+  filePath.replace(/\\/g, '/').split('/').forEach(part => {
+    if (part === '' || part === '.') return;
+    if (part === '..' && parts.length && parts[parts.length - 1] !== '..') {
+      parts.pop();
+    } else if (part !== '..' || !absolute) {
+      parts.push(part);
+    }
+  });
+
+  return (absolute ? '/' : '') + parts.join('/');
+}
+
+function dirname(filePath) {
+  const normalized = normalizePath(filePath);
+  const index = normalized.lastIndexOf('/');
+  if (index === -1) return '';
+  return index === 0 ? '/' : normalized.slice(0, index);
+}
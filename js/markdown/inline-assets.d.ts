@@ -0,0 +1,32 @@
+/**
+ * Type declarations for the asset inliner (inline-assets.js)
+ */
+
+export type AssetKind = 'stylesheet' | 'script' | 'font' | 'image' | 'video' | 'audio' | 'iframe' | 'embed' | 'track' | 'media';
+
+export interface AssetReport {
+  /** Size of the page in bytes after inlining, or of the page and its files when bundled */
+  size: number;
+  assets: { url: string; kind: AssetKind; size: number }[];
+  failed: { url: string; kind: AssetKind; error: string }[];
+  external: { url: string; kind: AssetKind }[];
+}
+
+export interface InlineAssetsOptions {
+  baseUrl?: string;
+  loadAsset?: (url: string) => Promise<{ bytes: Uint8Array; type?: string }>;
+}
+
+export function inlineAssets(
+  html: string,
+  options?: InlineAssetsOptions
+): Promise<{ html: string; report: AssetReport }>;
+
+export function bundleAssets(
+  html: string,
+  options?: InlineAssetsOptions
+): Promise<{ html: string; files: Map<string, Uint8Array>; report: AssetReport }>;
+
+export function formatAssetReport(report: AssetReport, options?: { limit?: number }): string;
+
+export function formatBytes(bytes: number): string;
@@ -0,0 +1,421 @@
+/**
+ * Inline Assets
+ * Makes an exported page work offline: the stylesheets, scripts, fonts and
+ * images it references are fetched at export time and either written into
+ * the page, fonts and images as data URIs, or bundled as files next to it.
+ * Stylesheet imports are followed, and fonts offered in several formats
+ * keep only WOFF2, which every browser that runs Reveal.js reads. Assets
+ * that cannot be fetched keep their URL, and media that is too large to
+ * carry (video, iframes, module imports) stays external; the report lists
+ * both.
+ */
+
+import { tokenizeHtml, serializeTokens, setTokenAttributes } from './html-tokens.js';
+
+const MIME_TYPES = {
+  css: 'text/css',
+  js: 'text/javascript',
+  mjs: 'text/javascript',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  svg: 'image/svg+xml',
+  ico: 'image/x-icon',
+  bmp: 'image/bmp',
+  woff2: 'font/woff2',
+  woff: 'font/woff',
+  ttf: 'font/ttf',
+  otf: 'font/otf',
+  eot: 'application/vnd.ms-fontobject'
+};
+
+const FONT_EXTENSIONS = ['woff2', 'woff', 'ttf', 'otf', 'eot'];
+
+// Attributes that load media too large to carry with the page
+const EXTERNAL_ATTRIBUTES = {
+  'data-background-video': 'video',
+  'data-background-iframe': 'iframe'
+};
+
+const CSS_URL = /url\(\s*(?:"([^"]*)"|'([^']*)'|([^)'"\s]*))\s*\)/g;
+const CSS_IMPORT = /@import\s+(?:url\(\s*(?:"([^"]*)"|'([^']*)'|([^)'"\s]*))\s*\)|"([^"]*)"|'([^']*)')[^;]*;/g;
+const MODULE_IMPORT = /(?:\bfrom\s*|\bimport\s*\(?\s*)(["'])(https?:\/\/[^"']+)\1/g;
+
+/**
+ * Inline the assets of an HTML page. `baseUrl` resolves relative URLs (the
+ * document's URL in the browser); `loadAsset(url)` resolves to `{ bytes,
+ * type }` and defaults to `fetch`. Resolves to `{ html, report }`.
+ */
+export async function inlineAssets(html, { baseUrl = globalThis.document?.baseURI, loadAsset = fetchAsset } = {}) {
+  const { html: result, report } = await rewriteAssets(html, { baseUrl, loadAsset }, {
+    reference: asset => dataUri(asset)
+  });
+
+  report.size = new TextEncoder().encode(result).length;
+  return { html: result, report };
+}
+
+/**
+ * Bundle the assets of an HTML page as files next to it: stylesheets and
+ * scripts in `vendor/` under their own names, images and fonts in `assets/`
+ * under content-hashed names. Images embedded as data URLs are extracted
+ * too. Takes the options of `inlineAssets` and resolves to `{ html, files,
+ * report }`, `files` mapping each relative path to its bytes.
+ */
+export async function bundleAssets(html, { baseUrl = globalThis.document?.baseURI, loadAsset = fetchAsset } = {}) {
+  const files = new Map();
+  const owners = new Map();
+
+  // Vendor files that share a name are told apart by their hash
+  const store = async (asset, url, path) => {
+    if (owners.has(path) && owners.get(path) !== url) {
+      path = path.replace(/[^/]*$/, hashedName(asset, url));
+    }
+    owners.set(path, url);
+    files.set(path, asset.bytes);
+    return path;
+  };
+
+  const { html: result, report } = await rewriteAssets(html, { baseUrl, loadAsset, extractDataUrls: true }, {
+    reference: async (asset, url, from = '') =>
+      relativePath(from, await store(asset, url, `assets/${hashedName(asset, url)}`)),
+    vendor: (asset, url) => store(asset, url, `vendor/${fileName(asset, url)}`)
+  });
+
+  report.size = [...files.values()].reduce((total, bytes) => total + bytes.length, new TextEncoder().encode(result).length);
+  return { html: result, files, report };
+}
+
+/**
+ * Describe an asset report for people: the export size, the largest assets
+ * and what could not be included
+ */
+export function formatAssetReport(report, { limit = 5 } = {}) {
+  const lines = [
+    `${formatBytes(report.size)}${report.failed.length + report.external.length === 0 ? ', fully offline' : ''}`
+  ];
+
+  [...report.assets]
+    .sort((a, b) => b.size - a.size)
+    .slice(0, limit)
+    .forEach(asset => lines.push(`  ${formatBytes(asset.size).padStart(9)}  ${asset.kind} ${asset.url}`));
+  if (report.assets.length > limit) {
+    lines.push(`  … and ${report.assets.length - limit} more assets`);
+  }
+  report.failed.forEach(asset => lines.push(`  not included: ${asset.kind} ${asset.url} (${asset.error})`));
+  report.external.forEach(asset => lines.push(`  still online: ${asset.kind} ${asset.url}`));
+
+  return lines.join('\n');
+}
+
+/**
+ * Sizes in B, kB or MB
+ */
+export function formatBytes(bytes) {
+  if (bytes < 1000) return `${bytes} B`;
+  if (bytes < 1000 * 1000) return `${(bytes / 1000).toFixed(1)} kB`;
+  return `${(bytes / 1000 / 1000).toFixed(1)} MB`;
+}
+
+// Walk the page, replacing every asset reference with what `writer` makes
+// of the asset: `reference(asset, url, from)` returns the new URL, relative
+// to the folder `from`; `vendor(asset, url)`, when given, stores stylesheets
+// and scripts as files instead of inlining them
+async function rewriteAssets(html, { baseUrl, loadAsset, extractDataUrls = false }, writer) {
+  const cache = new Map();
+  const report = { size: 0, assets: [], failed: [], external: [] };
+
+  // Each URL is loaded once, however often the page refers to it
+  const load = (url, kind) => {
+    if (!cache.has(url)) {
+      const label = url.startsWith('data:') ? `${url.slice(0, url.indexOf(',') + 1)}…` : url;
+      const loading = url.startsWith('data:') ? Promise.resolve().then(() => decodeDataUrl(url)) : loadAsset(url);
+      cache.set(url, loading.then(
+        asset => {
+          report.assets.push({ url: label, kind, size: asset.bytes.length });
+          return { ...asset, type: mimeType(url, asset.type) };
+        },
+        error => {
+          report.failed.push({ url: label, kind, error: error.message });
+          return null;
+        }
+      ));
+    }
+    return cache.get(url);
+  };
+
+  const context = { baseUrl, load, report, writer, extractDataUrls };
+  const tokens = tokenizeHtml(html);
+  let rawText = null;
+
+  for (const token of tokens) {
+    if (token.type === 'text' && rawText === 'style') {
+      token.text = await rewriteCss(token.text, baseUrl, context);
+    } else if (token.type === 'text' && rawText === 'script') {
+      for (const [, , url] of token.text.matchAll(MODULE_IMPORT)) {
+        addExternal(report, url, 'script');
+      }
+    } else if (token.type === 'open') {
+      rawText = ['style', 'script'].includes(token.name) ? token.name : null;
+      await rewriteTag(token, context);
+    } else if (token.type === 'close') {
+      rawText = null;
+    }
+  }
+
+  return { html: serializeTokens(tokens), report };
+}
+
+async function rewriteTag(token, context) {
+  const { name, attributes } = token;
+  const { writer } = context;
+  const url = value => decodeEntities(attributes[value] || '');
+  const rel = url('rel').toLowerCase().split(/\s+/);
+
+  if (name === 'link' && rel.includes('stylesheet') && attributes.href) {
+    const cssUrl = resolve(url('href'), context);
+    const asset = cssUrl && (await context.load(cssUrl, 'stylesheet'));
+    if (asset && writer.vendor) {
+      const css = await rewriteCss(decodeText(asset.bytes), cssUrl, { ...context, folder: 'vendor/' });
+      setTokenAttributes(token, { href: await writer.vendor({ ...asset, bytes: new TextEncoder().encode(css) }, cssUrl) });
+    } else if (asset) {
+      const css = await rewriteCss(decodeText(asset.bytes), cssUrl, context);
+      token.text = `<style>\n${css.replace(/<\/style/gi, '<\\/style')}\n</style>`;
+    }
+    return;
+  }
+
+  if (name === 'link' && rel.includes('icon') && attributes.href) {
+    await rewriteAttribute(token, 'href', 'image', context);
+    return;
+  }
+
+  if (name === 'script' && attributes.src) {
+    const scriptUrl = resolve(url('src'), context);
+    const asset = scriptUrl && (await context.load(scriptUrl, 'script'));
+    if (asset && writer.vendor) {
+      setTokenAttributes(token, { src: await writer.vendor(asset, scriptUrl) });
+    } else if (asset) {
+      const rest = Object.entries(attributes)
+        .filter(([attribute]) => attribute !== 'src')
+        .map(([attribute, value]) => ` ${attribute}="${value}"`)
+        .join('');
+      token.text = `<script${rest}>${decodeText(asset.bytes).replace(/<\/script/gi, '<\\/script')}`;
+    }
+    return;
+  }
+
+  if (name === 'img') {
+    // Reveal.js lazy-loads images from data-src
+    await rewriteAttribute(token, 'src', 'image', context);
+    await rewriteAttribute(token, 'data-src', 'image', context);
+  } else if (name === 'video') {
+    await rewriteAttribute(token, 'poster', 'image', context);
+  }
+  if (['video', 'audio', 'source', 'iframe', 'embed', 'track'].includes(name) && attributes.src) {
+    addExternal(context.report, resolve(url('src'), context) || url('src'), name === 'source' ? 'media' : name);
+  }
+
+  await rewriteAttribute(token, 'data-background-image', 'image', context);
+  Object.entries(EXTERNAL_ATTRIBUTES).forEach(([attribute, kind]) => {
+    if (attributes[attribute]) {
+      addExternal(context.report, resolve(url(attribute), context) || url(attribute), kind);
+    }
+  });
+
+  if (attributes.style && /url\(/i.test(attributes.style)) {
+    setTokenAttributes(token, { style: await rewriteCss(decodeEntities(attributes.style), context.baseUrl, context) });
+  }
+}
+
+// Replace a URL attribute with the written asset
+async function rewriteAttribute(token, attribute, kind, context) {
+  const value = decodeEntities(token.attributes[attribute] || '');
+  const url = resolve(value, context);
+  const asset = url && (await context.load(url, kind));
+
+  if (asset) {
+    setTokenAttributes(token, { [attribute]: await context.writer.reference(asset, url, '') });
+  }
+}
+
+/**
+ * Rewrite the imports, fonts and images of a stylesheet loaded from
+ * `cssUrl`. Imported stylesheets are inlined with their own URLs resolved
+ * against their own location; `context.folder` is where the stylesheet
+ * itself is written.
+ */
+async function rewriteCss(css, cssUrl, context, seen = new Set()) {
+  const local = { ...context, baseUrl: cssUrl };
+  const imports = [];
+
+  // Imports are set aside so their url() is not read as an image
+  let result = preferWoff2(css).replace(new RegExp(CSS_IMPORT.source, 'g'), (match, ...groups) => {
+    imports.push({ match, reference: groups.slice(0, 5).find(group => group !== undefined) });
+    return `\uE010${imports.length - 1}\uE011`;
+  });
+
+  result = await replaceAsync(result, CSS_URL, async (match, ...groups) => {
+    const reference = groups.slice(0, 3).find(group => group !== undefined) || '';
+    const url = resolve(reference, local);
+    if (!url) return match;
+
+    const kind = FONT_EXTENSIONS.includes(extensionOf(reference)) ? 'font' : 'image';
+    const asset = await context.load(url, kind);
+    return asset ? `url("${await context.writer.reference(asset, url, context.folder)}")` : match;
+  });
+
+  const inlinedImports = [];
+  for (const { match, reference } of imports) {
+    const url = resolve(reference, local);
+    // An import cycle is left as it is
+    const asset = url && !seen.has(url) ? await context.load(url, 'stylesheet') : null;
+    inlinedImports.push(asset ? await rewriteCss(decodeText(asset.bytes), url, context, new Set([...seen, url])) : match);
+  }
+
+  return result.replace(/\uE010(\d+)\uE011/g, (_, index) => inlinedImports[index]);
+}
+
+// Keep only the WOFF2 source of @font-face rules that offer one, dropping
+// the other src declarations (such as the bare EOT one for old IE)
+function preferWoff2(css) {
+  return css.replace(/@font-face\s*{[^}]*}/gi, rule => {
+    const sources = [...rule.matchAll(/src\s*:([^;}]*)/gi)].flatMap(([, value]) => value.split(/,(?![^(]*\))/));
+    const woff2 = sources.find(source => /format\(\s*["']?woff2["']?\s*\)/i.test(source));
+    if (!woff2) return rule;
+
+    let replaced = false;
+    return rule.replace(/src\s*:[^;}]*;?/gi, () => {
+      if (replaced) return '';
+      replaced = true;
+      return `src: ${woff2.trim()};`;
+    });
+  });
+}
+
+function resolve(url, { baseUrl, extractDataUrls }) {
+  if (url.startsWith('data:') && extractDataUrls) return url;
+  if (!url || url.startsWith('data:') || url.startsWith('#')) return null;
+  try {
+    return new URL(url, baseUrl).href;
+  } catch {
+    return null;
+  }
+}
+
+function addExternal(report, url, kind) {
+  if (url && !url.startsWith('data:') && !report.external.some(asset => asset.url === url)) {
+    report.external.push({ url, kind });
+  }
+}
+
+async function fetchAsset(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return {
+    bytes: new Uint8Array(await response.arrayBuffer()),
+    type: response.headers.get('content-type') || ''
+  };
+}
+
+function mimeType(url, type = '') {
+  const declared = type.split(';')[0].trim().toLowerCase();
+  // Servers often send fonts and SVG as octet streams
+  if (declared && declared !== 'application/octet-stream' && declared !== 'text/plain') {
+    return declared;
+  }
+  return MIME_TYPES[extensionOf(url)] || declared || 'application/octet-stream';
+}
+
+function extensionOf(url) {
+  return (url.split(/[?#]/)[0].match(/\.([a-z0-9]+)$/i)?.[1] || '').toLowerCase();
+}
+
+function dataUri({ bytes, type }) {
+  let binary = '';
+  for (let index = 0; index < bytes.length; index += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(index, index + 0x8000));
+  }
+  return `data:${type};base64,${btoa(binary)}`;
+}
+
+function decodeDataUrl(url) {
+  const comma = url.indexOf(',');
+  if (comma < 0) {
+    throw new Error('Malformed data URL');
+  }
+
+  const header = url.slice('data:'.length, comma);
+  const payload = url.slice(comma + 1);
+  const bytes = /;base64$/i.test(header)
+    ? Uint8Array.from(atob(payload.replace(/\s/g, '')), character => character.charCodeAt(0))
+    : new TextEncoder().encode(decodeURIComponent(payload));
+  return { bytes, type: header.replace(/;base64$/i, '') };
+}
+
+// The last segment of the URL's path, safe to use as a file name; data URLs
+// are named after their type
+function fileName({ type }, url) {
+  const segment = url.startsWith('data:') ? '' : new URL(url).pathname.split('/').pop();
+  const name = segment.replace(/[^\w.-]+/g, '-').replace(/^[.-]+/, '').slice(-60);
+  if (/\.[a-z0-9]+$/i.test(name)) return name;
+
+  const extension = Object.keys(MIME_TYPES).find(candidate => MIME_TYPES[candidate] === type);
+  return `${name || type.split('/')[0] || 'asset'}${extension ? `.${extension}` : ''}`;
+}
+
+// The file name with the start of the content's hash, so an asset that
+// changes gets a new name
+function hashedName(asset, url) {
+  const hash = contentHash(asset.bytes).slice(0, 10);
+  const [, stem, extension = ''] = fileName(asset, url).match(/^(.*?)(\.[^.]*)?$/);
+  return `${stem}-${hash}${extension}`;
+}
+
+// A 53-bit hash of the bytes (cyrb53) as 14 hex digits. Names need no
+// cryptographic hash, and crypto.subtle is missing from Node 18 and from
+// pages served over plain HTTP.
+function contentHash(bytes) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (const byte of bytes) {
+    h1 = Math.imul(h1 ^ byte, 2654435761);
+    h2 = Math.imul(h2 ^ byte, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+}
+
+function relativePath(from, path) {
+  return '../'.repeat(from.split('/').filter(Boolean).length) + path;
+}
+
+function decodeText(bytes) {
+  return new TextDecoder().decode(bytes);
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+async function replaceAsync(text, pattern, replacer) {
+  const matches = [...text.matchAll(new RegExp(pattern.source, pattern.flags))];
+  const replacements = [];
+  for (const match of matches) {
+    replacements.push(await replacer(...match));
+  }
+
+  let index = 0;
+  return text.replace(new RegExp(pattern.source, pattern.flags), () => replacements[index++]);
+}
@@ -0,0 +1,55 @@
+/**
+ * Type declarations for the deck linter (lint.js)
+ */
+
+export type LintSeverity = 'off' | 'warning' | 'error';
+
+export type LintRuleName =
+  | 'image-alt'
+  | 'word-budget'
+  | 'heading-increment'
+  | 'empty-slide'
+  | 'duplicate-title'
+  | 'internal-link'
+  | 'include'
+  | 'font-size'
+  | 'contrast';
+
+export interface LintRule {
+  severity: LintSeverity;
+  max?: number;
+  min?: number;
+}
+
+/**
+ * Rule settings as written in front matter or project settings
+ */
+export type LintConfig = Partial<Record<string, boolean | LintSeverity | Partial<LintRule>>>;
+
+export interface LintProblem {
+  rule: LintRuleName;
+  severity: Exclude<LintSeverity, 'off'>;
+  message: string;
+  /** Line in the linted file, or in `file` */
+  line: number;
+  slide: string | null;
+  /** The included file the problem is in */
+  file?: string;
+}
+
+export interface LintOptions {
+  lint?: LintConfig;
+  readFile?: (path: string) => string;
+  filePath?: string;
+  /** Measures rendered slide HTML, for numbering continuation slides */
+  measureSlide?: (html: string) => number;
+  [option: string]: unknown;
+}
+
+export const LINT_SEVERITIES: LintSeverity[];
+
+export const LINT_RULES: Record<LintRuleName, LintRule>;
+
+export function resolveLintRules(...configs: (LintConfig | undefined)[]): Record<LintRuleName, LintRule>;
+
+export function lintDeck(markdown: string, options?: LintOptions): LintProblem[];
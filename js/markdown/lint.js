@@ -0,0 +1,469 @@
+/**
+ * Deck Linter
+ * Checks a Markdown deck for problems and reports each one with its rule,
+ * severity, slide and source line. Rules are switched off or on, or given
+ * options, in the front matter:
+ *
+ *   lint:
+ *     word-budget: { max: 60 }
+ *     font-size: error
+ *     duplicate-title: off
+ *
+ * A rule is `off`, `warning` or `error`, or a map of its options with an
+ * optional `severity`. Project settings configure the same rules, the front
+ * matter wins. Slides are checked with their includes resolved and
+ * numbered as presented; lines point into the file each problem is in.
+ */
+
+import { parseFrontMatter, frontMatterToOptions } from './front-matter.js';
+import { scanLines, splitSlides } from './splitter.js';
+import { extractSlideDirectives, mergeSlideAttributes } from './directives.js';
+import { extractBackgroundImages } from './images.js';
+import { extractNotes } from './notes.js';
+import { findIncludeErrors, resolveIncludeSources } from './includes.js';
+import { findTitle, addTableOfContents } from './toc.js';
+import { BACKGROUND_MEDIA, backgroundAttributes } from './backgrounds.js';
+import { isValidHexColor, getContrastColor, contrastRatio } from './colors.js';
+import { numberSlides } from '../../slides.js';
+
+export const LINT_SEVERITIES = ['off', 'warning', 'error'];
+
+/**
+ * Every rule with its default severity and options
+ */
+export const LINT_RULES = {
+  'image-alt': { severity: 'warning' },
+  'word-budget': { severity: 'warning', max: 80 },
+  'heading-increment': { severity: 'warning' },
+  'empty-slide': { severity: 'warning' },
+  'duplicate-title': { severity: 'warning' },
+  'internal-link': { severity: 'error' },
+  include: { severity: 'error' },
+  'font-size': { severity: 'warning', min: 24 },
+  contrast: { severity: 'warning', min: 4.5 }
+};
+
+// Body text color of the Reveal.js themes
+const THEME_TEXT_COLORS = {
+  black: '#ffffff',
+  'black-contrast': '#ffffff',
+  white: '#222222',
+  'white-contrast': '#000000',
+  league: '#eeeeee',
+  beige: '#333333',
+  sky: '#333333',
+  night: '#eeeeee',
+  serif: '#000000',
+  simple: '#000000',
+  solarized: '#657b83',
+  blood: '#eeeeee',
+  moon: '#93a1a1',
+  dracula: '#f8f8f2'
+};
+
+// Background color of the Reveal.js themes, used when a deck sets none
+const THEME_BACKGROUND_COLORS = {
+  black: '#191919',
+  'black-contrast': '#000000',
+  white: '#ffffff',
+  'white-contrast': '#ffffff',
+  league: '#1c1e20',
+  beige: '#f7f3de',
+  sky: '#f7fbfc',
+  night: '#111111',
+  serif: '#f0f1eb',
+  simple: '#ffffff',
+  solarized: '#fdf6e3',
+  blood: '#222222',
+  moon: '#002b36',
+  dracula: '#282a36'
+};
+
+// Reveal.js sizes the slide text relative to the theme's base font size
+const BASE_FONT_SIZE = 42;
+
+const ATX_HEADING = /^ {0,3}(#{1,6})[ \t]+(.*?)(?:[ \t]+#+)?[ \t]*$/;
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+const MARKDOWN_IMAGE = /!\[([^\]]*)\]\(\s*(?:<[^>]*>|[^\s)]+)/g;
+const HTML_IMAGE = /<img\b[^>]*>/gi;
+const INTERNAL_LINK = /\]\(\s*<?#\/([^\s)>]*)|\bhref\s*=\s*["']#\/([^"']*)["']/g;
+const STYLE_ATTRIBUTE = /\bstyle\s*=\s*(?:"([^"]*)"|'([^']*)')/gi;
+const ID_ATTRIBUTE = /\bid\s*=\s*(?:"([^"]*)"|'([^']*)')|\{[^}]*?#([\w-]+)[^}]*\}/g;
+const WORD = /[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu;
+const FONT_SIZE = /^(\d+(?:\.\d+)?)(px|pt|em|rem|%)$/;
+
+/**
+ * Merge rule configurations, later ones winning per rule, over the
+ * defaults. Returns a map of every rule to its `severity` and options.
+ * Throws on unknown rules, severities and options.
+ */
+export function resolveLintRules(...configs) {
+  const rules = Object.fromEntries(Object.entries(LINT_RULES).map(([name, rule]) => [name, { ...rule }]));
+
+  configs.filter(config => config !== undefined && config !== null).forEach(config => {
+    if (typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error('Invalid lint settings, expected "rule: setting" pairs');
+    }
+
+    Object.entries(config).forEach(([key, value]) => {
+      const name = key.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`);
+      if (!LINT_RULES[name]) {
+        throw new Error(`Unknown lint rule "${key}", expected ${Object.keys(LINT_RULES).join(', ')}`);
+      }
+      rules[name] = { ...rules[name], ...ruleSetting(name, value) };
+    });
+  });
+
+  return rules;
+}
+
+/**
+ * Lint a Markdown deck. `options` holds the deck options (front matter
+ * settings win), `lint` for the project's rule settings, and `readFile` and
+ * `filePath` to resolve includes as in convertMarkdownToSlides. Returns the
+ * problems in deck order, each `{ rule, severity, message, line, slide }`
+ * where `slide` is a slide number such as "3" or "3.2" in the deck as
+ * presented, or null for problems with the deck settings. Problems in an
+ * included file also name that `file`, and `line` is a line of it.
+ */
+export function lintDeck(markdown, options = {}) {
+  const text = String(markdown ?? '').replace(/\r\n?/g, '\n');
+  const { data } = parseFrontMatter(text);
+  const deckOptions = { ...options, ...frontMatterToOptions(data) };
+  const rules = resolveLintRules(options.lint, data.lint);
+  const { separator = '---', verticalSeparator = '--', readFile, filePath } = deckOptions;
+
+  // Slides are numbered and checked in the deck as presented, includes
+  // resolved. An include that does not resolve keeps its place as an empty
+  // comment; the include rule reports it.
+  const includeOptions = { readFile, filePath, separator, verticalSeparator };
+  const failed = new Set(findIncludeErrors(text, includeOptions).map(error => error.line));
+  const patched = text.split('\n').map((line, index) => (failed.has(index + 1) ? '<!-- -->' : line)).join('\n');
+  const { markdown: source, sources } = resolveIncludeSources(patched, includeOptions);
+  const rootLines = sources.map(origin => (!origin.file || origin.file === filePath ? origin.line : null));
+
+  // Numbers come from the converted deck, which holds the agenda, section
+  // dividers and continuation slides. A deck that does not convert is
+  // numbered by its source slides.
+  const stacks = splitSlides(source, { separator, verticalSeparator });
+  let numbers = new Map();
+  try {
+    numbers = numberSlides(patched, options);
+  } catch {
+    // The conversion error is the preview's to report
+  }
+
+  const slides = stacks.flatMap((stack, h) => stack.map((slide, v) => ({
+    ...slide,
+    number: numbers.get(slide.startLine) ?? (stack.length > 1 ? `${h + 1}.${v + 1}` : String(h + 1)),
+    lines: scanLines(slide.content).map(entry => ({ ...entry, line: slide.startLine + entry.line - 1 }))
+  })));
+
+  const context = {
+    text,
+    source,
+    slides,
+    deckOptions,
+    readFile,
+    filePath,
+    separator,
+    verticalSeparator,
+    frontMatterLine: key => frontMatterLine(text, key),
+    deckLine: line => rootLines.indexOf(line) + 1
+  };
+  const problems = [];
+
+  Object.entries(rules).forEach(([name, rule]) => {
+    if (rule.severity === 'off') return;
+    CHECKS[name](context, rule).forEach(problem => {
+      problems.push({ rule: name, severity: rule.severity, message: problem.message, line: problem.line, slide: problem.slide ?? null });
+    });
+  });
+
+  // Checks count lines in the resolved deck; problems report their source
+  const order = Object.keys(LINT_RULES);
+  return problems
+    .sort((a, b) => a.line - b.line || order.indexOf(a.rule) - order.indexOf(b.rule))
+    .map(problem => {
+      const origin = sources[problem.line - 1];
+      if (!origin) return problem;
+      return rootLines[problem.line - 1] === null
+        ? { ...problem, line: origin.line, file: origin.file }
+        : { ...problem, line: origin.line };
+    });
+}
+
+const CHECKS = {
+  'image-alt': ({ slides }) => slides.flatMap(slide => contentLines(slide).flatMap(entry => [
+    ...[...entry.text.matchAll(MARKDOWN_IMAGE)]
+      .filter(([, alt]) => !alt.trim())
+      .map(() => ({ message: 'Image has no alt text', line: entry.line, slide: slide.number })),
+    ...[...entry.text.matchAll(HTML_IMAGE)]
+      .filter(([tag]) => !/\balt\s*=/i.test(tag))
+      .map(() => ({ message: '<img> has no alt attribute', line: entry.line, slide: slide.number }))
+  ])),
+
+  'word-budget': ({ slides }, { max }) => slides.flatMap(slide => {
+    const count = countWords(slide.content);
+    return count > max
+      ? [{ message: `Slide has ${count} words, over the budget of ${max}`, line: slide.startLine, slide: slide.number }]
+      : [];
+  }),
+
+  'heading-increment': ({ slides }) => slides.flatMap(slide => {
+    const headings = findHeadings(visibleLines(slide));
+    return headings.slice(1).flatMap((heading, index) => (
+      heading.level > headings[index].level + 1
+        ? [{ message: `Heading level jumps from H${headings[index].level} to H${heading.level}`, line: heading.line, slide: slide.number }]
+        : []
+    ));
+  }),
+
+  'empty-slide': ({ slides }) => slides.flatMap(slide => {
+    const { attributes, body } = slideParts(slide);
+    const isEmpty = !extractNotes(body).content.trim() && !BACKGROUND_MEDIA.some(name => attributes[name]);
+    return isEmpty ? [{ message: 'Slide has no content', line: slide.startLine, slide: slide.number }] : [];
+  }),
+
+  'duplicate-title': ({ slides }) => {
+    const seen = new Map();
+    return slides.flatMap(slide => {
+      const title = findTitle(slide.content);
+      if (!title) return [];
+
+      const key = title.text.toLowerCase();
+      const first = seen.get(key);
+      if (!first) {
+        seen.set(key, slide);
+        return [];
+      }
+      return [{ message: `Title "${title.text}" is also the title of slide ${first.number}`, line: slide.startLine, slide: slide.number }];
+    });
+  },
+
+  'internal-link': context => {
+    const targets = linkTargets(context);
+    return context.slides.flatMap(slide => contentLines(slide).flatMap(entry => (
+      [...entry.text.matchAll(INTERNAL_LINK)].flatMap(match => {
+        const target = decodeURIComponent(match[1] ?? match[2]);
+        const problem = checkLinkTarget(target, targets);
+        return problem ? [{ message: `Link to #/${target} ${problem}`, line: entry.line, slide: slide.number }] : [];
+      })
+    )));
+  },
+
+  include: ({ text, slides, readFile, filePath, separator, verticalSeparator, deckLine }) => (
+    findIncludeErrors(text, { readFile, filePath, separator, verticalSeparator }).map(error => ({
+      message: error.message,
+      line: deckLine(error.line),
+      slide: slideAt(slides, deckLine(error.line))?.number
+    }))
+  ),
+
+  'font-size': ({ slides, deckOptions, frontMatterLine }, { min }) => {
+    const base = Number(deckOptions.fontSize) || BASE_FONT_SIZE;
+    const deckProblem = deckOptions.fontSize !== undefined && base < min
+      ? [{ message: `Font size ${base}px is below ${min}px`, line: frontMatterLine(['font-size']) }]
+      : [];
+
+    return deckProblem.concat(slides.flatMap(slide => contentLines(slide).flatMap(entry => (
+      inlineStyles(entry.text).flatMap(style => {
+        const value = style['font-size'];
+        const size = value && pixelSize(value, base);
+        if (!size || size >= min) return [];
+
+        const shown = value.endsWith('px') ? value : `${value} (${Math.round(size)}px)`;
+        return [{ message: `Font size ${shown} is below ${min}px`, line: entry.line, slide: slide.number }];
+      })
+    ))));
+  },
+
+  contrast: ({ slides, deckOptions, frontMatterLine }, { min }) => {
+    const theme = deckOptions.theme || 'black';
+    const textColor = THEME_TEXT_COLORS[theme];
+    const deckAttributes = {
+      'data-background-color': deckOptions.bgColor || THEME_BACKGROUND_COLORS[theme],
+      ...backgroundAttributes({
+        backgroundGradient: deckOptions.bgGradient,
+        backgroundImage: deckOptions.bgImage,
+        backgroundVideo: deckOptions.bgVideo,
+        backgroundIframe: deckOptions.bgIframe
+      })
+    };
+
+    // A poor deck background is reported once, not on every slide. The
+    // theme's own background is left to the theme.
+    const deckBackground = plainBackground(deckAttributes);
+    const problems = textColor && deckOptions.bgColor && deckBackground && contrastRatio(textColor, deckBackground) < min
+      ? [{ message: contrastMessage('Theme text', textColor, deckBackground, min), line: frontMatterLine(['bg-color', 'background', 'background-color']) }]
+      : [];
+
+    return problems.concat(slides.flatMap(slide => {
+      const { attributes } = slideParts(slide);
+      const background = plainBackground(mergeSlideAttributes(deckAttributes, attributes));
+      if (!background) return [];
+
+      const slideProblem = textColor && attributes['data-background-color'] && contrastRatio(textColor, background) < min
+        ? [{ message: contrastMessage('Theme text', textColor, background, min), line: slide.startLine, slide: slide.number }]
+        : [];
+
+      return slideProblem.concat(contentLines(slide).flatMap(entry => inlineStyles(entry.text).flatMap(style => {
+        const color = style.color;
+        return isValidHexColor(color) && contrastRatio(color, background) < min
+          ? [{ message: contrastMessage('Text', color, background, min), line: entry.line, slide: slide.number }]
+          : [];
+      })));
+    }));
+  }
+};
+
+function ruleSetting(name, value) {
+  if (value === false || value === null) return { severity: 'off' };
+  if (value === true) return { severity: LINT_RULES[name].severity };
+  if (typeof value === 'string') return { severity: checkSeverity(name, value) };
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`Invalid setting for lint rule "${name}", expected off, warning, error or options`);
+  }
+
+  const { severity, ...settings } = value;
+  Object.keys(settings).forEach(option => {
+    if (!(option in LINT_RULES[name]) || Number.isNaN(Number(settings[option]))) {
+      throw new Error(`Invalid option "${option}" for lint rule "${name}"`);
+    }
+    settings[option] = Number(settings[option]);
+  });
+
+  return severity === undefined ? settings : { ...settings, severity: checkSeverity(name, severity) };
+}
+
+function checkSeverity(name, severity) {
+  const value = String(severity).trim().toLowerCase();
+  if (!LINT_SEVERITIES.includes(value)) {
+    throw new Error(`Invalid severity "${severity}" for lint rule "${name}", expected ${LINT_SEVERITIES.join(', ')}`);
+  }
+  return value;
+}
+
+// The lines of a slide before speaker notes started by `Note:` or `???`
+function visibleLines(slide) {
+  const notesStart = slide.lines.findIndex(entry => entry.type === 'text' && /^ {0,3}(notes?:|\?\?\?[ \t]*$)/i.test(entry.text));
+  return notesStart === -1 ? slide.lines : slide.lines.slice(0, notesStart);
+}
+
+// Visible lines outside code
+function contentLines(slide) {
+  return visibleLines(slide).filter(entry => entry.type === 'text' || entry.type === 'html');
+}
+
+function slideParts(slide) {
+  const { attributes: directiveAttributes, body: directiveBody } = extractSlideDirectives(slide.content);
+  const { markdown: body, attributes: imageAttributes } = extractBackgroundImages(directiveBody);
+  return { attributes: { ...imageAttributes, ...directiveAttributes }, body };
+}
+
+function slideAt(slides, line) {
+  return slides.find(slide => line >= slide.startLine && line <= slide.endLine);
+}
+
+function findHeadings(lines) {
+  return lines.flatMap((entry, index) => {
+    if (entry.type !== 'text') return [];
+
+    const atx = entry.text.match(ATX_HEADING);
+    if (atx) return [{ level: atx[1].length, line: entry.line }];
+
+    const next = lines[index + 1];
+    const previous = lines[index - 1];
+    if (next?.type === 'text' && SETEXT_UNDERLINE.test(next.text) && (!previous || previous.type !== 'text')) {
+      return [{ level: next.text.trim().startsWith('=') ? 1 : 2, line: entry.line }];
+    }
+    return [];
+  });
+}
+
+function countWords(markdown) {
+  const { body } = extractSlideDirectives(markdown);
+  const { content } = extractNotes(extractBackgroundImages(body).markdown);
+
+  return scanLines(content)
+    .filter(entry => entry.type === 'text' || entry.type === 'html')
+    .map(entry => entry.text
+      .replace(/<!--[\s\S]*?-->|<[^>]*>/g, ' ')
+      .replace(/!\[[^\]]*\]\([^)]*\)|\]\([^)]*\)|\{[^}]*\}/g, ' '))
+    .join(' ')
+    .match(WORD)?.length ?? 0;
+}
+
+// Slide ids and the number of vertical slides of each horizontal slide, in
+// the deck as presented: includes resolved and agenda ids added
+function linkTargets({ source, deckOptions, separator, verticalSeparator }) {
+  const stacks = addTableOfContents(splitSlides(source, { separator, verticalSeparator }), {
+    depth: Number(deckOptions.tocDepth) || 1,
+    dividers: deckOptions.sectionDividers === true || deckOptions.sectionDividers === 'true'
+  });
+  const ids = new Set(stacks.flat().flatMap(slide => [
+    extractSlideDirectives(slide.content).attributes.id,
+    ...[...slide.content.matchAll(ID_ATTRIBUTE)].map(match => match[1] ?? match[2] ?? match[3])
+  ]).filter(Boolean));
+
+  return { ids, stacks: stacks.map(stack => stack.length) };
+}
+
+// Reveal.js reads `#/2/1` as 0-based slide indices and anything else as
+// the id of an element on a slide
+function checkLinkTarget(target, { ids, stacks }) {
+  const [h, v] = target.split('/');
+  if (!/^\d*$/.test(h)) {
+    return ids.has(target) ? null : 'does not match a slide id';
+  }
+
+  const index = Number(h || 0);
+  if (index >= stacks.length) {
+    return `points past the last slide (the deck has ${stacks.length})`;
+  }
+  if (v !== undefined && /^\d+$/.test(v) && Number(v) >= stacks[index]) {
+    return `points past the last vertical slide of slide ${index + 1}`;
+  }
+  return null;
+}
+
+function inlineStyles(text) {
+  return [...text.matchAll(STYLE_ATTRIBUTE)].map(match => Object.fromEntries(
+    (match[1] ?? match[2]).split(';')
+      .map(declaration => declaration.split(':').map(part => part.trim().toLowerCase()))
+      .filter(([name, value]) => name && value)
+  ));
+}
+
+function pixelSize(value, base) {
+  const match = value.replace(/\s*!important$/, '').match(FONT_SIZE);
+  if (!match) return null;
+
+  const size = Number(match[1]);
+  switch (match[2]) {
+    case 'pt': return size * 4 / 3;
+    case 'em':
+    case 'rem': return size * base;
+    case '%': return size * base / 100;
+    default: return size;
+  }
+}
+
+// The background color, when no media covers it
+function plainBackground(attributes) {
+  const color = attributes['data-background-color'];
+  return isValidHexColor(color) && !BACKGROUND_MEDIA.some(name => attributes[name]) ? color : null;
+}
+
+function contrastMessage(subject, color, background, min) {
+  const ratio = contrastRatio(color, background);
+  return `${subject} ${color} on ${background} has a contrast ratio of ${ratio.toFixed(1)}:1, below ${min}:1; `
+    + `${getContrastColor(background)} text would read better`;
+}
+
+// The line of a front matter setting, under any of its names, or line 1
+function frontMatterLine(text, keys) {
+  const pattern = new RegExp(`^(${keys.map(key => key.replace(/-/g, '[-_]?')).join('|')})\\s*:`, 'i');
+  const entry = scanLines(text).find(item => item.type === 'front-matter' && pattern.test(item.text));
+  return entry ? entry.line : 1;
+}
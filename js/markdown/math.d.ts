@@ -0,0 +1,25 @@
+/**
+ * Type declarations for the shared math renderer (math.js)
+ */
+
+export const KATEX_STYLESHEET: string;
+
+export interface MathOptions {
+  macros?: Record<string, string>;
+  numbering?: { count: number };
+}
+
+export interface ExtractedMath {
+  markdown: string;
+  math: string[];
+}
+
+export function resolveMacros(macros?: unknown): Record<string, string>;
+
+export function hasMath(markdown: string): boolean;
+
+export function extractMath(markdown: string, options?: MathOptions): ExtractedMath;
+
+export function restoreMath(html: string, math: string[]): string;
+
+export function renderMath(tex: string, options?: MathOptions & { displayMode?: boolean }): string;
@@ -0,0 +1,176 @@
+/**
+ * Math
+ * Renders TeX math with KaTeX at conversion time:
+ *
+ *   Inline $e^{i\pi} + 1 = 0$ math
+ *
+ *   $$
+ *   \int_0^1 x^2 \, dx = \frac{1}{3}
+ *   $$
+ *
+ * Math is taken out of the Markdown before it is rendered, replaced by
+ * placeholders, and the KaTeX HTML is put back afterwards, so Markdown never
+ * sees underscores or backslashes in formulas. Dollars in code spans and
+ * code blocks and escaped dollars (`\$`) are left alone. Like Pandoc, `$`
+ * only opens inline math before a non-space and only closes it after one,
+ * when no digit follows, so "$5 and $10" stays text.
+ */
+
+import katex from 'katex';
+import { scanLines } from './splitter.js';
+
+/**
+ * Stylesheet for the HTML KaTeX produces
+ */
+export const KATEX_STYLESHEET = 'https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/katex.min.css';
+
+const PLACEHOLDER = /\uE000(\d+)\uE001/g;
+const INLINE_MATH = /^\$(?!\s)((?:\\[\s\S]|[^\\$])+?)(?<!\s)\$(?!\d)/;
+const NO_NUMBER = /\\(?:notag|nonumber)\b/;
+const TAG = /\\tag\*?\{/;
+
+/**
+ * Whether a slide's Markdown holds math outside code
+ */
+export function hasMath(markdown) {
+  return extractMath(markdown, { render: () => '' }).math.length > 0;
+}
+
+/**
+ * Replace the math of a slide with placeholders. Returns the Markdown and
+ * the rendered HTML of each formula, for restoreMath.
+ *
+ * `macros` are KaTeX macros shared by the deck. With `numbering`, an object
+ * such as `{ count: 0 }` kept for the whole deck, display equations are
+ * numbered in order unless they use `\tag`, `\notag` or `\nonumber`.
+ */
+export function extractMath(markdown, options = {}) {
+  const { render = renderMath, ...renderOptions } = options;
+  const math = [];
+  const placeholder = (tex, displayMode) => {
+    math.push(render(tex, { ...renderOptions, displayMode }));
+    return `\uE000${math.length - 1}\uE001`;
+  };
+
+  // Code blocks are kept apart, the lines in between are scanned as a whole
+  const chunks = [];
+  scanLines(markdown).forEach(entry => {
+    const isProse = entry.type === 'text' || entry.type === 'blank';
+    const last = chunks[chunks.length - 1];
+    if (last && last.isProse === isProse) {
+      last.lines.push(entry.text);
+    } else {
+      chunks.push({ isProse, lines: [entry.text] });
+    }
+  });
+
+  const result = chunks
+    .map(chunk => (chunk.isProse ? replaceMath(chunk.lines.join('\n'), placeholder) : chunk.lines.join('\n')))
+    .join('\n');
+
+  return { markdown: math.length ? result : markdown, math };
+}
+
+/**
+ * Put the rendered math back into HTML made from extractMath's Markdown
+ */
+export function restoreMath(html, math) {
+  return math.length ? html.replace(PLACEHOLDER, (_, index) => math[index]) : html;
+}
+
+/**
+ * Turn the `math-macros` front matter map into KaTeX macros. The leading
+ * backslash of a name may be left out (`RR: \mathbb{R}`).
+ */
+export function resolveMacros(macros = {}) {
+  if (macros === null || typeof macros !== 'object' || Array.isArray(macros)) {
+    throw new Error('Invalid math-macros, expected "name: definition" pairs');
+  }
+  return Object.fromEntries(Object.entries(macros).map(([name, definition]) => [
+    name.startsWith('\\') ? name : `\\${name}`,
+    String(definition)
+  ]));
+}
+
+/**
+ * Render one formula to HTML. Errors are shown in the slide instead of
+ * being thrown.
+ */
+export function renderMath(tex, options = {}) {
+  const { displayMode = false, macros = {}, numbering } = options;
+  let source = tex.trim();
+
+  if (displayMode && numbering) {
+    if (NO_NUMBER.test(source)) {
+      source = source.replace(new RegExp(NO_NUMBER, 'g'), '');
+    } else if (!TAG.test(source)) {
+      numbering.count++;
+      source = `${source} \\tag{${numbering.count}}`;
+    }
+  }
+
+  return katex.renderToString(source, { displayMode, macros, throwOnError: false });
+}
+
+function replaceMath(text, placeholder) {
+  let result = '';
+  let index = 0;
+
+  while (index < text.length) {
+    const char = text[index];
+
+    if (char === '\\') {
+      result += text.slice(index, index + 2);
+      index += 2;
+    } else if (char === '`') {
+      const end = closingBackticks(text, index);
+      result += text.slice(index, end);
+      index = end;
+    } else if (text.startsWith('$$', index)) {
+      const end = findUnescaped(text, '$$', index + 2);
+      const tex = end === -1 ? '' : text.slice(index + 2, end);
+      if (tex.trim()) {
+        result += placeholder(tex, true);
+        index = end + 2;
+      } else {
+        result += '$$';
+        index += 2;
+      }
+    } else if (char === '$') {
+      const match = text.slice(index).match(INLINE_MATH);
+      if (match && !/\n[ \t]*\n/.test(match[1])) {
+        result += placeholder(match[1], false);
+        index += match[0].length;
+      } else {
+        result += char;
+        index++;
+      }
+    } else {
+      result += char;
+      index++;
+    }
+  }
+
+  return result;
+}
+
+// Index after the code span opened at `start`, or after its backticks when
+// the span is never closed
+function closingBackticks(text, start) {
+  const fence = text.slice(start).match(/^`+/)[0];
+  const closing = new RegExp(`(?<!\`)${fence}(?!\`)`, 'g');
+  closing.lastIndex = start + fence.length;
+  const match = closing.exec(text);
+  return match ? match.index + fence.length : start + fence.length;
+}
+
+function findUnescaped(text, search, from) {
+  for (let index = from; index < text.length; index++) {
+    if (text[index] === '\\') {
+      index++;
+    } else if (text.startsWith(search, index)) {
+      return index;
+    }
+  }
+  return -1;
+}
@@ -0,0 +1,12 @@
+/**
+ * Type declarations for the shared speaker notes parser (notes.js)
+ */
+
+export interface SlideNotes {
+  content: string;
+  notes: string;
+}
+
+export function extractNotes(markdown: string): SlideNotes;
+
+export function joinNotes(content: string, notes: string): string;
@@ -0,0 +1,111 @@
+/**
+ * Speaker Notes
+ * Separates speaker notes from slide content. Notes are kept as Markdown;
+ * every renderer formats them the same way. Recognized forms:
+ *
+ *   Note: ... / Notes: ...      (the rest of the slide)
+ *   ???                         (remark style, the rest of the slide)
+ *   <!-- notes ... -->          (a block anywhere in the slide)
+ *   ::: notes ... :::           (a fenced div anywhere in the slide)
+ *
+ * Lines in code blocks are never notes.
+ */
+
+import { scanLines } from './splitter.js';
+import { parseDivFence } from './fenced-divs.js';
+
+const NOTES_LINE = /^ {0,3}notes?:[ \t]?(.*)$/i;
+const REMARK_SEPARATOR = /^ {0,3}\?\?\?[ \t]*$/;
+const NOTES_COMMENT = /^ {0,3}<!--[ \t]*notes?\b:?(.*)$/i;
+
+/**
+ * Split a slide's Markdown into `content` and `notes`. Notes from several
+ * blocks are joined with a blank line; `notes` is '' when there are none.
+ */
+export function extractNotes(markdown) {
+  const content = [];
+  const notes = [];
+  let comment = null;
+  let fenced = null;
+  let rest = null;
+
+  scanLines(markdown).forEach(entry => {
+    if (rest) {
+      rest.push(entry.text);
+      return;
+    }
+
+    if (comment) {
+      const end = entry.text.indexOf('-->');
+      comment.push(end === -1 ? entry.text : entry.text.slice(0, end));
+      if (end !== -1) {
+        notes.push(comment.join('\n'));
+        comment = null;
+      }
+      return;
+    }
+
+    // Divs nested in the notes belong to them
+    const fence = entry.type === 'text' ? parseDivFence(entry.text) : null;
+    if (fenced) {
+      fenced.depth += fence ? (fence.open ? 1 : -1) : 0;
+      if (fenced.depth === 0) {
+        notes.push(fenced.lines.join('\n'));
+        fenced = null;
+      } else {
+        fenced.lines.push(entry.text);
+      }
+      return;
+    }
+    if (fence?.open && fence.classes.includes('notes')) {
+      fenced = { depth: 1, lines: [] };
+      return;
+    }
+
+    const isProse = entry.type === 'text' || entry.type === 'html';
+    const commentMatch = isProse && entry.text.match(NOTES_COMMENT);
+    if (commentMatch) {
+      const end = commentMatch[1].indexOf('-->');
+      if (end === -1) {
+        comment = [commentMatch[1]];
+      } else {
+        notes.push(commentMatch[1].slice(0, end));
+      }
+      return;
+    }
+
+    const lineMatch = entry.type === 'text' && entry.text.match(NOTES_LINE);
+    if (lineMatch || (entry.type === 'text' && REMARK_SEPARATOR.test(entry.text))) {
+      rest = lineMatch ? [lineMatch[1]] : [];
+      return;
+    }
+
+    content.push(entry.text);
+  });
+
+  // An unclosed comment is kept as notes rather than dropped
+  if (comment) notes.push(comment.join('\n'));
+  if (fenced) notes.push(fenced.lines.join('\n'));
+  if (rest) notes.push(rest.join('\n'));
+
+  return {
+    content: content.join('\n').replace(/\n{3,}/g, '\n\n'),
+    notes: notes.map(dedent).filter(Boolean).join('\n\n')
+  };
+}
+
+/**
+ * Write content and notes back as one slide, using the `Note:` form the
+ * Reveal.js Markdown plugin understands
+ */
+export function joinNotes(content, notes) {
+  return notes ? `${content.trimEnd()}\n\nNote:\n${notes}` : content;
+}
+
+// Notes in an indented comment block keep their relative indentation
+function dedent(text) {
+  const lines = text.replace(/^\s*\n|\s+$/g, '').split('\n');
+  const indents = lines.filter(line => line.trim()).map(line => line.match(/^[ \t]*/)[0].length);
+  const indent = indents.length ? Math.min(...indents) : 0;
+  return lines.map(line => line.slice(indent)).join('\n').trim();
+}
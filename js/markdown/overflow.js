@@ -0,0 +1,244 @@
+/**
+ * Slide Overflow
+ * Finds slides taller than the presentation area and splits them into
+ * "(cont.)" continuation slides at list item or paragraph boundaries.
+ *
+ * Without a browser the height of a slide is estimated from its rendered
+ * HTML with the metrics of the default Reveal.js themes. The preview passes
+ * its own measurement instead.
+ */
+
+import { scanLines } from './splitter.js';
+import { tokenizeHtml, hasTokenClass } from './html-tokens.js';
+import { extractNotes, joinNotes } from './notes.js';
+import { parseDivFence } from './fenced-divs.js';
+
+export const OVERFLOW_MODES = ['warn', 'split'];
+
+// Font size multipliers and line heights of the default themes
+const BLOCK_METRICS = {
+  h1: { size: 2.5, lineHeight: 1.2, spacing: 20 },
+  h2: { size: 1.6, lineHeight: 1.2, spacing: 20 },
+  h3: { size: 1.3, lineHeight: 1.2, spacing: 20 },
+  h4: { size: 1, lineHeight: 1.2, spacing: 20 },
+  h5: { size: 1, lineHeight: 1.2, spacing: 20 },
+  h6: { size: 1, lineHeight: 1.2, spacing: 20 },
+  p: { size: 1, lineHeight: 1.3, spacing: 20 },
+  li: { size: 1, lineHeight: 1.3, spacing: 0 },
+  dt: { size: 1, lineHeight: 1.3, spacing: 0 },
+  dd: { size: 1, lineHeight: 1.3, spacing: 0 },
+  tr: { size: 1, lineHeight: 1.3, spacing: 0 },
+  figcaption: { size: 0.8, lineHeight: 1.3, spacing: 0 },
+  pre: { size: 0.55, lineHeight: 1.2, spacing: 20, monospace: true, maxHeight: 400 }
+};
+const CHARACTER_WIDTH = 0.5;
+const MONOSPACE_WIDTH = 0.6;
+const INDENT = 1;
+const LINE_BREAK = '\x1e';
+
+const HEADING = /^ {0,3}#{1,6}\s/;
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)\s*$/;
+const LIST_ITEM = /^ {0,3}([-*+]|\d{1,9}[.)])(\s|$)/;
+const INDENTED = /^\s/;
+
+/**
+ * Estimate the height in pixels of rendered slide HTML. Speaker notes and
+ * MathML are ignored. `imageHeight` is used for images without a height
+ * attribute.
+ */
+export function estimateSlideHeight(html, options = {}) {
+  const { width = 960, fontSize = 42, imageHeight = 300 } = options;
+  const stack = [];
+  const blocks = [];
+  let total = 0;
+
+  tokenizeHtml(html).forEach(token => {
+    if (token.type === 'open' && !token.isVoid) {
+      stack.push(token);
+      if (BLOCK_METRICS[token.name]) {
+        blocks.push({ token, text: '', depth: stack.filter(item => item.name === 'ul' || item.name === 'ol').length });
+      }
+      return;
+    }
+    if (token.type === 'close') {
+      const position = stack.map(item => item.name).lastIndexOf(token.name);
+      if (position !== -1) stack.length = position;
+      return;
+    }
+    // Notes are not shown, KaTeX repeats each formula as hidden MathML, the
+    // steps of a code block are copies stacked on its first step and the
+    // deck chrome is fixed to the slide edges
+    if (stack.some(item => item.name === 'aside' || item.name === 'math' || 'data-code-step' in item.attributes
+      || hasTokenClass(item, 'slide-chrome'))) return;
+
+    const block = [...blocks].reverse().find(item => stack.includes(item.token));
+    if (token.type === 'open' && token.name === 'img') {
+      total += Number.parseFloat(token.attributes.height) || imageHeight;
+    } else if (token.type === 'open' && token.name === 'br') {
+      if (block) block.text += LINE_BREAK;
+    } else if (token.type === 'text') {
+      if (block) {
+        block.text += token.text;
+      } else if (token.text.trim()) {
+        blocks.push({ token: null, text: token.text, depth: 0 });
+      }
+    }
+  });
+
+  return total + blocks.reduce((sum, block) => sum + blockHeight(block, { width, fontSize }), 0);
+}
+
+function blockHeight({ token, text, depth }, { width, fontSize }) {
+  const metrics = BLOCK_METRICS[token?.name] || BLOCK_METRICS.p;
+  const size = fontSize * metrics.size;
+  // Soft line breaks wrap like spaces, except in code
+  const content = metrics.monospace
+    ? text.replace(/\n$/, '').replace(/\n/g, LINE_BREAK)
+    : text.replace(/\s*\n\s*/g, ' ').trim();
+  if (!content) return 0;
+
+  const available = width - depth * INDENT * fontSize;
+  const characterWidth = size * (metrics.monospace ? MONOSPACE_WIDTH : CHARACTER_WIDTH);
+  const lines = content
+    .replace(/&(#\d+|#x[\da-f]+|\w+);/gi, 'x')
+    .split(LINE_BREAK)
+    .reduce((count, line) => count + Math.max(1, Math.ceil((line.length * characterWidth) / available)), 0);
+
+  const height = lines * size * metrics.lineHeight;
+  return Math.min(height, metrics.maxHeight ?? height) + metrics.spacing;
+}
+
+/**
+ * Split a slide's Markdown into parts that each satisfy `fits(markdown)`.
+ * Parts break between top-level paragraphs, list items and other blocks;
+ * a leading heading is repeated with "(cont.)" and speaker notes stay on
+ * the first part. A single block that does not fit gets a part of its own.
+ */
+export function splitSlideContent(markdown, fits) {
+  const { content, notes } = extractNotes(markdown);
+
+  const blocks = splitBlocks(content);
+  const heading = blocks.length > 1 && isHeading(blocks[0]) ? blocks.shift() : null;
+  const continuation = heading ? `${continuationHeading(heading.trimEnd())}\n` : null;
+
+  // Blocks keep their trailing blank lines, so tight lists stay tight
+  const compose = (index, parts) => [index === 0 ? heading : continuation, ...parts]
+    .filter(Boolean)
+    .join('\n')
+    .replace(/\n+$/, '');
+  const groups = [];
+  let current = [];
+
+  blocks.forEach(block => {
+    if (current.length > 0 && !fits(compose(groups.length, [...current, block]))) {
+      groups.push(current);
+      current = [];
+    }
+    current.push(block);
+  });
+  groups.push(current);
+
+  if (groups.length === 1) {
+    return [markdown];
+  }
+
+  return groups.map((group, index) => {
+    const part = compose(index, group);
+    return index === 0 ? joinNotes(part, notes) : part;
+  });
+}
+
+/**
+ * Group Markdown lines into top-level blocks: paragraphs, list items,
+ * headings, code blocks, HTML blocks and fenced divs
+ */
+function splitBlocks(markdown) {
+  const blocks = [];
+  let current = null;
+  let previousBlank = true;
+
+  scanLines(markdown).forEach(entry => {
+    if (entry.type === 'blank') {
+      if (current) current.push('');
+      previousBlank = true;
+      return;
+    }
+
+    const fence = entry.type === 'text' ? parseDivFence(entry.text) : null;
+    const continues = current && (
+      current.divDepth > 0
+      || entry.type === 'code'
+      || (entry.type === 'fence' && current.inFence)
+      || (!previousBlank && !HEADING.test(entry.text) && !LIST_ITEM.test(entry.text))
+      || (previousBlank && INDENTED.test(entry.text) && current.isListItem)
+      || (!previousBlank && SETEXT_UNDERLINE.test(entry.text))
+    );
+
+    if (!continues) {
+      current = [];
+      current.isListItem = LIST_ITEM.test(entry.text);
+      current.inFence = false;
+      current.divDepth = 0;
+      blocks.push(current);
+    }
+
+    current.push(entry.text);
+    if (fence) current.divDepth = Math.max(0, current.divDepth + (fence.open ? 1 : -1));
+    if (entry.type === 'fence') current.inFence = !current.inFence;
+    previousBlank = false;
+  });
+
+  return blocks.map(lines => lines.join('\n'));
+}
+
+function isHeading(block) {
+  const lines = block.split('\n');
+  return HEADING.test(lines[0]) || (lines.length === 2 && SETEXT_UNDERLINE.test(lines[1]));
+}
+
+function continuationHeading(heading) {
+  const lines = heading.split('\n');
+  const strip = text => text.replace(/\s*\{[^}]*\}\s*$/, '').replace(/\s+#+\s*$/, '').trimEnd();
+
+  if (HEADING.test(lines[0])) {
+    return `${strip(lines[0])} (cont.)`;
+  }
+  const level = lines[1].trim().startsWith('=') ? '#' : '##';
+  return `${level} ${strip(lines[0]).trim()} (cont.)`;
+}
+
+/**
+ * List the slides of converted deck HTML with their Reveal.js number
+ * (`3` or `3.2`), section attributes and inner HTML. Stacks are not listed
+ * themselves, only the slides in them.
+ */
+export function listSlides(deckHtml) {
+  const tokens = tokenizeHtml(deckHtml);
+  const slides = [];
+  const open = [];
+  let horizontal = 0;
+
+  tokens.forEach((token, index) => {
+    if (token.type === 'open' && token.name === 'section') {
+      if (open.length === 0) {
+        horizontal += 1;
+      } else {
+        open[0].vertical += 1;
+      }
+      open.push({ token, start: index + 1, vertical: 0, hasChildren: false });
+      if (open.length > 1) open[open.length - 2].hasChildren = true;
+    } else if (token.type === 'close' && token.name === 'section' && open.length > 0) {
+      const section = open.pop();
+      if (section.hasChildren) return;
+
+      const vertical = open.length > 0 ? open[0].vertical : 0;
+      slides.push({
+        number: vertical ? `${horizontal}.${vertical}` : String(horizontal),
+        attributes: section.token.attributes,
+        html: tokens.slice(section.start, index).map(item => item.text).join('')
+      });
+    }
+  });
+
+  return slides;
+}
@@ -0,0 +1,71 @@
+/**
+ * Type declarations for the PDF helpers (pdf.js)
+ */
+
+export type PdfPageSize = 'A4' | 'Letter' | '16:9' | '4:3';
+
+export type PdfLayout = 'slides' | 'notes';
+
+export type PdfFragmentMode = 'expanded' | 'separate';
+
+export type PdfQuality = 'low' | 'medium' | 'high';
+
+export interface PdfOptions {
+  pageSize?: PdfPageSize;
+  layout?: PdfLayout;
+  fragments?: PdfFragmentMode;
+  quality?: PdfQuality;
+}
+
+export interface PdfSlide {
+  html: string;
+  /** Rendered speaker notes */
+  notes?: string;
+  backgroundColor?: string;
+}
+
+export interface PdfRenderOptions extends PdfOptions {
+  textAlign?: string;
+  fontSize?: number;
+  stylesheets?: string[];
+  title?: string;
+}
+
+export interface PdfPage {
+  jpeg: Uint8Array;
+  imageWidth: number;
+  imageHeight: number;
+  width: number;
+  height: number;
+}
+
+export const PDF_PAGE_SIZES: Record<PdfPageSize, { width: number; height: number }>;
+
+export const PDF_LAYOUTS: PdfLayout[];
+
+export const PDF_FRAGMENT_MODES: PdfFragmentMode[];
+
+export function resolvePdfOptions(options?: PdfOptions): Required<PdfOptions>;
+
+export function fragmentSteps(root: ParentNode): HTMLElement[][];
+
+export function showFragmentSteps(steps: HTMLElement[][], count?: number): void;
+
+export interface SlideStage {
+  createPage(html: string, style?: { backgroundColor?: string; textAlign?: string; fontSize?: number }): HTMLElement;
+  capture(page: HTMLElement, type?: string): Promise<{ bytes: Uint8Array<ArrayBuffer>; imageWidth: number; imageHeight: number }>;
+  close(): void;
+}
+
+export function openSlideStage(options: {
+  width: number;
+  height: number;
+  scale?: number;
+  stylesheets?: string[];
+  textAlign?: string;
+  fontSize?: number;
+}): Promise<SlideStage>;
+
+export function renderPdf(slides: PdfSlide[], options?: PdfRenderOptions): Promise<Uint8Array<ArrayBuffer>>;
+
+export function writePdf(pages: PdfPage[], options?: { title?: string }): Uint8Array<ArrayBuffer>;
@@ -0,0 +1,315 @@
+/**
+ * PDF
+ * Page sizes and options shared by the PDF exports, and the rasterized
+ * export used in the browser: each slide is laid out on a page of its own,
+ * drawn to a canvas with html2canvas and written into a PDF as a JPEG. The
+ * CLI prints through headless Chromium instead, which keeps text
+ * selectable.
+ */
+
+import { getContrastColor, isValidHexColor } from './colors.js';
+
+/**
+ * Landscape page sizes in CSS pixels (96 per inch)
+ */
+export const PDF_PAGE_SIZES = {
+  A4: { width: 1123, height: 794 },
+  Letter: { width: 1056, height: 816 },
+  '16:9': { width: 1280, height: 720 },
+  '4:3': { width: 1024, height: 768 }
+};
+
+/**
+ * `slides` prints one slide per page; `notes` follows each slide that has
+ * speaker notes with a page holding them
+ */
+export const PDF_LAYOUTS = ['slides', 'notes'];
+
+/**
+ * `expanded` prints each slide once with every fragment shown; `separate`
+ * prints a page per fragment step
+ */
+export const PDF_FRAGMENT_MODES = ['expanded', 'separate'];
+
+// Canvas pixels per CSS pixel
+const QUALITY_SCALES = { low: 1, medium: 1.5, high: 2 };
+
+const PAGE_STYLES = `
+  .pdf-page { box-sizing: border-box; display: flex; flex-direction: column; justify-content: center;
+    overflow: hidden; padding: 48px 64px; font-family: Arial, Helvetica, sans-serif; line-height: 1.3; }
+  .pdf-page h1 { font-size: 2.2em; margin: 0.3em 0; }
+  .pdf-page h2 { font-size: 1.7em; margin: 0.3em 0; }
+  .pdf-page h3 { font-size: 1.3em; margin: 0.3em 0; }
+  .pdf-page p, .pdf-page ul, .pdf-page ol { margin: 0.4em 0; }
+  .pdf-page img, .pdf-page svg { max-width: 100%; max-height: 60%; }
+  .pdf-page pre { text-align: left; font-size: 0.6em; white-space: pre-wrap; padding: 0.8em; border-radius: 4px;
+    background: rgba(127, 127, 127, 0.15); }
+  .pdf-page code { font-family: 'Courier New', monospace; }
+  .pdf-page aside.notes, .pdf-page .slide-chrome { display: none; }
+  .pdf-page.pdf-notes { justify-content: flex-start; }
+  .pdf-page.pdf-notes h1 { font-size: 1.4em; border-bottom: 1px solid #999; padding-bottom: 0.3em; }
+`;
+
+/**
+ * Validate the PDF options and fill in the defaults
+ */
+export function resolvePdfOptions(options = {}) {
+  const { pageSize = '16:9', layout = 'slides', fragments = 'expanded', quality = 'high' } = options;
+
+  if (!PDF_PAGE_SIZES[pageSize]) {
+    throw new Error(`Unknown page size "${pageSize}", expected ${Object.keys(PDF_PAGE_SIZES).join(', ')}`);
+  }
+  if (!PDF_LAYOUTS.includes(layout)) {
+    throw new Error(`Unknown PDF layout "${layout}", expected ${PDF_LAYOUTS.join(', ')}`);
+  }
+  if (!PDF_FRAGMENT_MODES.includes(fragments)) {
+    throw new Error(`Unknown fragment mode "${fragments}", expected ${PDF_FRAGMENT_MODES.join(', ')}`);
+  }
+  if (!QUALITY_SCALES[quality]) {
+    throw new Error(`Unknown PDF quality "${quality}", expected ${Object.keys(QUALITY_SCALES).join(', ')}`);
+  }
+
+  return { pageSize, layout, fragments, quality };
+}
+
+/**
+ * Group the fragments of a slide in the order Reveal.js shows them:
+ * fragments with a `data-fragment-index` by index, then the others in
+ * document order, each a step of its own
+ */
+export function fragmentSteps(root) {
+  const indexed = new Map();
+  const unordered = [];
+
+  root.querySelectorAll('.fragment').forEach(fragment => {
+    const index = Number.parseInt(fragment.getAttribute('data-fragment-index'), 10);
+    if (Number.isNaN(index)) {
+      unordered.push([fragment]);
+    } else {
+      indexed.set(index, [...(indexed.get(index) || []), fragment]);
+    }
+  });
+
+  return [
+    ...[...indexed.keys()].sort((a, b) => a - b).map(index => indexed.get(index)),
+    ...unordered
+  ];
+}
+
+/**
+ * Show the fragments of the first `count` steps and hide the rest. Hidden
+ * fragments keep their space, as they do in the presentation.
+ */
+export function showFragmentSteps(steps, count = steps.length) {
+  steps.forEach((fragments, index) => {
+    fragments.forEach(fragment => {
+      fragment.style.visibility = index < count ? '' : 'hidden';
+    });
+  });
+}
+
+/**
+ * Lay slides out off screen at `width`×`height` CSS pixels and draw them
+ * with html2canvas at `scale` canvas pixels per CSS pixel, after loading
+ * `stylesheets` for them. `textAlign` and `fontSize` set the slide text.
+ * Resolves to `{ createPage(html, style), capture(page, type), close() }`;
+ * `capture` resolves to `{ bytes, imageWidth, imageHeight }`.
+ */
+export async function openSlideStage({ width, height, scale = 1, stylesheets = [], textAlign, fontSize }) {
+  const { default: html2canvas } = await import('html2canvas');
+
+  const container = document.createElement('div');
+  container.style.cssText = 'position: fixed; left: -100000px; top: 0;';
+  container.innerHTML = `<style>${PAGE_STYLES}</style>`;
+  document.body.appendChild(container);
+  await Promise.all(stylesheets.map(href => loadStylesheet(container, href)));
+
+  return {
+    createPage: (html, style = {}) => createPage(container, html, { width, height, textAlign, fontSize, ...style }),
+    async capture(page, type = 'image/jpeg') {
+      const canvas = await html2canvas(page, {
+        scale,
+        backgroundColor: page.style.backgroundColor || '#ffffff',
+        useCORS: true,
+        logging: false
+      });
+      return {
+        bytes: dataUrlToBytes(canvas.toDataURL(type, 0.92)),
+        imageWidth: canvas.width,
+        imageHeight: canvas.height
+      };
+    },
+    close: () => container.remove()
+  };
+}
+
+/**
+ * Render slides to a PDF in the browser. `slides` holds `{ html, notes,
+ * backgroundColor }` per slide, where `notes` is rendered HTML. Other
+ * options: `textAlign`, `fontSize`, `stylesheets` to load for the slides
+ * and `title`. Resolves to the PDF bytes.
+ */
+export async function renderPdf(slides, options = {}) {
+  const { pageSize, layout, fragments, quality } = resolvePdfOptions(options);
+  const { width, height } = PDF_PAGE_SIZES[pageSize];
+  const stage = await openSlideStage({ ...options, width, height, scale: QUALITY_SCALES[quality] });
+
+  const capture = async page => {
+    const { bytes, imageWidth, imageHeight } = await stage.capture(page);
+    return { jpeg: bytes, imageWidth, imageHeight, width, height };
+  };
+
+  try {
+    const pages = [];
+
+    for (const slide of slides) {
+      const page = stage.createPage(slide.html, { backgroundColor: slide.backgroundColor });
+      const steps = fragments === 'separate' ? fragmentSteps(page) : [];
+
+      // The slide before its first fragment, then one page per step
+      for (let count = 0; count <= steps.length; count++) {
+        showFragmentSteps(steps, count);
+        pages.push(await capture(page));
+      }
+      const title = page.querySelector('h1, h2, h3, h4, h5, h6')?.textContent || '';
+      page.remove();
+
+      if (layout === 'notes' && slide.notes) {
+        const notesPage = stage.createPage(`${title ? `<h1>${escapeHtml(title)}</h1>` : ''}${slide.notes}`, {
+          backgroundColor: '#ffffff',
+          textAlign: 'left',
+          fontSize: 20
+        });
+        notesPage.classList.add('pdf-notes');
+        pages.push(await capture(notesPage));
+        notesPage.remove();
+      }
+    }
+
+    return writePdf(pages, { title: options.title });
+  } finally {
+    stage.close();
+  }
+}
+
+/**
+ * Write a PDF of full-page JPEG images. Each page is `{ jpeg, imageWidth,
+ * imageHeight, width, height }`, the page size in CSS pixels.
+ */
+export function writePdf(pages, { title } = {}) {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+
+  const write = chunk => {
+    const bytes = typeof chunk === 'string' ? encoder.encode(chunk) : chunk;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  const object = (id, ...parts) => {
+    offsets[id] = length;
+    write(`${id} 0 obj\n`);
+    parts.forEach(write);
+    write('\nendobj\n');
+  };
+
+  // Catalog, page tree and info come first; each page takes three objects
+  const pageId = index => 4 + index * 3;
+  // The binary comment marks the file as binary for transfer tools
+  write('%PDF-1.4\n%');
+  write(new Uint8Array([0xe2, 0xe3, 0xcf, 0xd3, 0x0a]));
+  object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+  object(2, `<< /Type /Pages /Kids [${pages.map((_, index) => `${pageId(index)} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+  object(3, `<< /Producer (md2reveal)${title ? ` /Title ${pdfString(title)}` : ''} >>`);
+
+  pages.forEach((page, index) => {
+    const id = pageId(index);
+    const [width, height] = [page.width, page.height].map(pixels => formatNumber(pixels * 0.75));
+    const content = `q ${width} 0 0 ${height} 0 0 cm /Im0 Do Q`;
+
+    object(
+      id,
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+        `/Resources << /XObject << /Im0 ${id + 1} 0 R >> >> /Contents ${id + 2} 0 R >>`
+    );
+    object(
+      id + 1,
+      `<< /Type /XObject /Subtype /Image /Width ${page.imageWidth} /Height ${page.imageHeight} ` +
+        `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>\nstream\n`,
+      page.jpeg,
+      '\nendstream'
+    );
+    object(id + 2, `<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+  });
+
+  const xref = length;
+  const size = pageId(pages.length);
+  write(`xref\n0 ${size}\n0000000000 65535 f \n`);
+  for (let id = 1; id < size; id++) {
+    write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+  }
+  write(`trailer\n<< /Size ${size} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+  const pdf = new Uint8Array(length);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    pdf.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return pdf;
+}
+
+function createPage(container, html, { width, height, backgroundColor, textAlign = 'center', fontSize = 32 }) {
+  const page = document.createElement('div');
+  const background = isValidHexColor(backgroundColor || '') ? backgroundColor : '#ffffff';
+
+  page.className = 'pdf-page';
+  page.style.width = `${width}px`;
+  page.style.height = `${height}px`;
+  page.style.backgroundColor = background;
+  page.style.color = getContrastColor(background);
+  page.style.textAlign = textAlign;
+  page.style.fontSize = `${Number(fontSize) || 32}px`;
+  page.innerHTML = html;
+  container.appendChild(page);
+  return page;
+}
+
+function loadStylesheet(container, href) {
+  return new Promise(resolve => {
+    const link = document.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = href;
+    // A stylesheet that fails to load only costs formatting
+    link.onload = link.onerror = () => resolve();
+    container.appendChild(link);
+  });
+}
+
+function dataUrlToBytes(dataUrl) {
+  const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+// Text strings as UTF-16 with a byte order mark, which every reader accepts
+function pdfString(text) {
+  const hex = [...String(text)]
+    .flatMap(char => {
+      const code = char.codePointAt(0);
+      return code > 0xffff
+        ? [0xd800 + ((code - 0x10000) >> 10), 0xdc00 + ((code - 0x10000) & 0x3ff)]
+        : [code];
+    })
+    .map(unit => unit.toString(16).padStart(4, '0'))
+    .join('');
+  return `<FEFF${hex.toUpperCase()}>`;
+}
+
+function formatNumber(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
@@ -0,0 +1,128 @@
+/**
+ * Static Rendering
+ * Renders slide Markdown to final HTML at conversion time, so a deck can be
+ * shown without the RevealMarkdown plugin. Works in Node without a DOM.
+ */
+
+import { Marked } from 'marked';
+import DOMPurify from 'dompurify';
+import { parseAttributes } from './directives.js';
+import { tokenizeHtml, setTokenAttributes, serializeTokens } from './html-tokens.js';
+import { markFragmentBullets, applyFragments } from './fragments.js';
+import { extractNotes } from './notes.js';
+import { expandFencedDivs } from './fenced-divs.js';
+import { extractMath, restoreMath } from './math.js';
+import { extractDiagrams, restoreDiagrams } from './diagrams.js';
+import { extractCodeBlocks, restoreCodeBlocks } from './code-blocks.js';
+import { expandImageSizes, applyImageLayout } from './images.js';
+
+// A private instance keeps the app's global marked options out of decks
+const markdown = new Marked({ gfm: true });
+
+const ELEMENT_DIRECTIVE = /^\s*\.element:\s*([\s\S]*?)\s*$/;
+
+let purifier = DOMPurify;
+
+/**
+ * Render one slide's Markdown to HTML. Speaker notes, in any form that
+ * extractNotes recognizes, become an <aside class="notes">. Element
+ * directives with no element to attach to are returned as `attributes` for
+ * the slide's <section>. `fragments` holds the resolved fragment settings
+ * for the slide content; the notes never get fragments. `math` holds the
+ * deck's KaTeX `macros` and equation `numbering` (see math.js); formulas are
+ * rendered by KaTeX after sanitizing, so its markup is kept intact.
+ * Mermaid fences become `<pre class="mermaid">` for renderDiagrams and
+ * other code fences are highlighted with Prism (see code-blocks.js). Images
+ * are sized, placed and captioned as described in images.js.
+ */
+export function renderSlideMarkdown(source, options = {}) {
+  const { sanitize = true, fragments, math: mathOptions = {} } = options;
+  const clean = html => (sanitize ? sanitizeHtml(html) : html);
+  const { content, notes } = extractNotes(source);
+  const { markdown: withoutDiagrams, diagrams } = extractDiagrams(content);
+  const { markdown: withoutCode, blocks } = extractCodeBlocks(withoutDiagrams);
+  const { markdown: text, math } = extractMath(withoutCode, mathOptions);
+
+  const { html, attributes } = applyElementDirectives(markdown.parse(markFragmentBullets(expandFencedDivs(expandImageSizes(text)))));
+  const rendered = restoreMath(clean(applyImageLayout(applyFragments(html, fragments))), math);
+  let result = restoreDiagrams(restoreCodeBlocks(rendered, blocks), diagrams).trim();
+
+  if (notes) {
+    result += `\n<aside class="notes">${renderNotes(notes, { sanitize, macros: mathOptions.macros })}</aside>`;
+  }
+
+  return { html: result, attributes };
+}
+
+/**
+ * Render speaker notes Markdown to HTML. Math in notes is never numbered.
+ */
+export function renderNotes(notes, options = {}) {
+  const { sanitize = true, macros } = options;
+  const { markdown: withoutCode, blocks } = extractCodeBlocks(notes);
+  const { markdown: text, math } = extractMath(withoutCode, { macros });
+  const html = markdown.parse(expandFencedDivs(text));
+  return restoreCodeBlocks(restoreMath(sanitize ? sanitizeHtml(html) : html, math), blocks).trim();
+}
+
+/**
+ * Apply `<!-- .element: ... -->` comments the way RevealMarkdown does: to
+ * the closest preceding sibling element, otherwise to the parent element.
+ */
+export function applyElementDirectives(html) {
+  const tokens = tokenizeHtml(html);
+  const stack = [{ element: null, lastChild: null }];
+  const attributes = {};
+
+  tokens.forEach(token => {
+    const frame = stack[stack.length - 1];
+
+    if (token.type === 'comment') {
+      const directive = token.comment.match(ELEMENT_DIRECTIVE);
+      if (!directive) return;
+
+      const target = frame.lastChild || frame.element;
+      const added = parseAttributes(directive[1]);
+      if (target) {
+        setTokenAttributes(target, added);
+      } else {
+        Object.assign(attributes, added);
+      }
+      token.text = '';
+    } else if (token.type === 'close') {
+      const index = stack.map(item => item.element?.name).lastIndexOf(token.name);
+      if (index > 0) stack.length = index;
+    } else if (token.type === 'open') {
+      if (token.name !== 'br') frame.lastChild = token;
+      if (!token.isVoid) stack.push({ element: token, lastChild: null });
+    }
+  });
+
+  return { html: serializeTokens(tokens), attributes };
+}
+
+/**
+ * Sanitize with DOMPurify on `window` from now on. Node has no DOM of its
+ * own, so the CLI passes a jsdom window.
+ */
+export function useSanitizerWindow(window) {
+  purifier = DOMPurify(window);
+}
+
+/**
+ * Sanitize rendered HTML with DOMPurify. Without a DOM, and no window given
+ * to useSanitizerWindow, only a minimal filter runs: it drops scripts,
+ * frames, event handlers and plain script URLs but misses encoded URLs and
+ * much else, so treat that output as unsanitized.
+ */
+export function sanitizeHtml(html) {
+  if (purifier.isSupported && typeof purifier.sanitize === 'function') {
+    return purifier.sanitize(html);
+  }
+
+  return html
+    .replace(/<(script|iframe|object|embed|noscript|template)\b[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/<\/?(script|iframe|object|embed|noscript|template|base|meta|link|frame|frameset)\b[^>]*>/gi, '')
+    .replace(/\s+on[a-z]+\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/gi, '')
+    .replace(/\s+(href|src|action|formaction|xlink:href)\s*=\s*("\s*(?:javascript|vbscript):[^"]*"|'\s*(?:javascript|vbscript):[^']*'|(?:javascript|vbscript):[^\s>]*)/gi, '');
+}
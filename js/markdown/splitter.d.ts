@@ -0,0 +1,28 @@
+/**
+ * Type declarations for the shared slide splitter (splitter.js)
+ */
+
+export type LineType = 'front-matter' | 'fence' | 'code' | 'html' | 'blank' | 'text';
+
+export interface ScannedLine {
+  text: string;
+  line: number;
+  type: LineType;
+}
+
+export interface SourceSlide {
+  content: string;
+  startLine: number;
+  endLine: number;
+}
+
+export interface SplitOptions {
+  separator?: string;
+  verticalSeparator?: string | null;
+}
+
+export function normalizeLineEndings(text: string): string;
+
+export function scanLines(markdown: string): ScannedLine[];
+
+export function splitSlides(markdown: string, options?: SplitOptions): SourceSlide[][];
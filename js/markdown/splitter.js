@@ -0,0 +1,209 @@
+/**
+ * Slide Splitter
+ * Splits a Markdown deck into slides on separator lines. Separators inside
+ * fenced code, HTML blocks and front matter are ignored, as is a `---` that
+ * underlines a setext heading.
+ */
+
+import { matchFrontMatter } from './front-matter.js';
+
+const FENCE_OPEN = /^ {0,3}(`{3,}|~{3,})(.*)$/;
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+
+// Lines that start a block of their own and so cannot be a paragraph a
+// setext underline would attach to
+const NON_PARAGRAPH = /^ {0,3}(#{1,6}(\s|$)|>|[-*+](\s|$)|\d{1,9}[.)](\s|$)|\||<)/;
+
+const HTML_RAW_OPEN = /^ {0,3}<(script|pre|style|textarea)(\s|>|$)/i;
+const HTML_COMMENT_OPEN = /^ {0,3}<!--/;
+const HTML_BLOCK_OPEN = new RegExp(
+  '^ {0,3}</?(address|article|aside|base|basefont|blockquote|body|caption|center|col|colgroup|' +
+  'dd|details|dialog|dir|div|dl|dt|fieldset|figcaption|figure|footer|form|frame|frameset|' +
+  'h[1-6]|head|header|hr|html|iframe|legend|li|link|main|menu|menuitem|nav|noframes|ol|' +
+  'optgroup|option|p|param|search|section|summary|table|tbody|td|tfoot|th|thead|title|tr|' +
+  'track|ul)(\\s|/?>|$)',
+  'i'
+);
+const HTML_TAG_LINE = /^ {0,3}(<[a-z][\w-]*(\s+[a-z_:][\w.:-]*(\s*=\s*("[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*\s*\/?>|<\/[a-z][\w-]*\s*>)\s*$/i;
+
+// Most HTML blocks run until the next blank line
+const BLANK_LINE = line => line.trim() === '';
+
+/**
+ * Convert CRLF and lone CR line endings to LF
+ */
+export function normalizeLineEndings(text) {
+  return String(text ?? '').replace(/\r\n?/g, '\n');
+}
+
+/**
+ * Classify every line of a Markdown document. Each entry holds the line
+ * text, its 1-based line number and one of `front-matter`, `fence`, `code`,
+ * `html`, `blank` or `text`.
+ */
+export function scanLines(markdown) {
+  const text = normalizeLineEndings(markdown);
+  const lines = text.split('\n');
+  const frontMatter = matchFrontMatter(text);
+  const frontMatterLines = frontMatter ? frontMatter[0].replace(/\n$/, '').split('\n').length : 0;
+
+  let fence = null;
+  let htmlEnd = null;
+
+  return lines.map((line, index) => {
+    const entry = { text: line, line: index + 1, type: 'text' };
+
+    if (index < frontMatterLines) {
+      entry.type = 'front-matter';
+    } else if (fence) {
+      entry.type = 'fence';
+      if (isClosingFence(line, fence)) {
+        fence = null;
+      } else {
+        entry.type = 'code';
+      }
+    } else if (htmlEnd) {
+      entry.type = line.trim() === '' && htmlEnd === BLANK_LINE ? 'blank' : 'html';
+      if (htmlEnd(line)) htmlEnd = null;
+    } else if (line.trim() === '') {
+      entry.type = 'blank';
+    } else if (FENCE_OPEN.test(line) && !isBacktickInfoInvalid(line)) {
+      const [, marker] = line.match(FENCE_OPEN);
+      fence = { char: marker[0], length: marker.length };
+      entry.type = 'fence';
+    } else {
+      htmlEnd = htmlBlockEnd(line, lines[index - 1]);
+      if (htmlEnd) {
+        entry.type = 'html';
+        // Raw and comment blocks may close on the line that opened them
+        if (htmlEnd !== BLANK_LINE && htmlEnd(line.replace(/^\s*<!--/, ''))) htmlEnd = null;
+      }
+    }
+
+    return entry;
+  });
+}
+
+/**
+ * Split a Markdown document into slides. The result holds one array per
+ * horizontal slide, each listing its vertical slides with their content and
+ * the first and last source line (1-based, counted in the original file).
+ * Pass a falsy `verticalSeparator` to keep every horizontal slide whole.
+ */
+export function splitSlides(markdown, options = {}) {
+  const { separator = '---', verticalSeparator = '--' } = options;
+  const lines = scanLines(markdown);
+  const stacks = [[]];
+  let current = null;
+  let previous = null;
+
+  const closeSlide = () => {
+    if (current) stacks[stacks.length - 1].push(current);
+    current = null;
+  };
+
+  lines.forEach(entry => {
+    if (entry.type === 'front-matter') return;
+
+    const kind = separatorKind(entry, previous, separator, verticalSeparator);
+    if (kind) {
+      closeSlide();
+      if (kind === 'horizontal') stacks.push([]);
+      // A separator that opens a new slide also ends any open paragraph
+      previous = null;
+      return;
+    }
+
+    if (!current) {
+      current = { lines: [], startLine: entry.line, endLine: entry.line };
+    }
+    current.lines.push(entry.text);
+    current.endLine = entry.line;
+    previous = entry;
+  });
+  closeSlide();
+
+  return stacks
+    .map(stack => stack.map(trimSlide).filter(slide => slide.content !== ''))
+    .filter(stack => stack.length > 0);
+}
+
+function separatorKind(entry, previous, separator, verticalSeparator) {
+  if (entry.type !== 'text') return null;
+
+  const candidate = entry.text.replace(/[ \t]+$/, '');
+  if (/^ {4}/.test(candidate)) return null;
+
+  const trimmed = candidate.trim();
+  const kind = trimmed === separator
+    ? 'horizontal'
+    : verticalSeparator && trimmed === verticalSeparator ? 'vertical' : null;
+
+  if (!kind) return null;
+
+  // "Title\n---" is a setext heading, not a slide break
+  if (SETEXT_UNDERLINE.test(candidate) && previous && isParagraphLine(previous)) {
+    return null;
+  }
+
+  return kind;
+}
+
+function isParagraphLine(entry) {
+  return entry.type === 'text' && !NON_PARAGRAPH.test(entry.text) && !/^ {4}/.test(entry.text);
+}
+
+function isClosingFence(line, fence) {
+  const match = line.match(/^ {0,3}(`{3,}|~{3,})[ \t]*$/);
+  return Boolean(match && match[1][0] === fence.char && match[1].length >= fence.length);
+}
+
+function isBacktickInfoInvalid(line) {
+  const [, marker, info] = line.match(FENCE_OPEN);
+  return marker[0] === '`' && info.includes('`');
+}
+
+/**
+ * Work out how an HTML block opened by `line` ends, following the CommonMark
+ * block start conditions. Returns a predicate for the closing line, or null
+ * when the line does not open an HTML block.
+ */
+function htmlBlockEnd(line, previousLine) {
+  const raw = line.match(HTML_RAW_OPEN);
+  if (raw) {
+    const closing = new RegExp(`</${raw[1]}>`, 'i');
+    return text => closing.test(text);
+  }
+
+  if (HTML_COMMENT_OPEN.test(line)) {
+    return text => text.includes('-->');
+  }
+
+  if (HTML_BLOCK_OPEN.test(line)) {
+    return BLANK_LINE;
+  }
+
+  // Any other complete tag on its own line, unless it would interrupt a paragraph
+  const interruptsParagraph = previousLine !== undefined && previousLine.trim() !== '';
+  if (HTML_TAG_LINE.test(line) && !interruptsParagraph) {
+    return BLANK_LINE;
+  }
+
+  return null;
+}
+
+function trimSlide(slide) {
+  const { lines } = slide;
+  let { startLine, endLine } = slide;
+
+  while (lines.length && lines[0].trim() === '') {
+    lines.shift();
+    startLine++;
+  }
+  while (lines.length && lines[lines.length - 1].trim() === '') {
+    lines.pop();
+    endLine--;
+  }
+
+  return { content: lines.join('\n'), startLine, endLine };
+}
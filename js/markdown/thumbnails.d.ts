@@ -0,0 +1,57 @@
+/**
+ * Type declarations for the slide images (thumbnails.js)
+ */
+
+import type { PdfFragmentMode } from './pdf.js';
+
+export interface ImageOptions {
+  /** WIDTHxHEIGHT in pixels */
+  size?: string;
+  fragments?: PdfFragmentMode;
+}
+
+export interface ImageSlide {
+  html: string;
+  backgroundColor?: string;
+}
+
+export interface ImageRenderOptions extends ImageOptions {
+  textAlign?: string;
+  fontSize?: number;
+  stylesheets?: string[];
+}
+
+export interface SlideImage {
+  file: string;
+  slide: number;
+  step: number;
+  title: string;
+  bytes: Uint8Array;
+}
+
+export interface ImageIndex {
+  title: string;
+  size?: string;
+  images: { file: string; slide: number; step: number; title: string }[];
+}
+
+export const IMAGE_SIZES: string[];
+
+export function parseImageSize(size: string): { width: number; height: number };
+
+export function resolveImageOptions(options?: ImageOptions): Required<ImageOptions>;
+
+export function imageLayout(size: string): { width: number; height: number; scale: number };
+
+export function imageFileName(slide: number, step?: number, total?: number): string;
+
+export function renderSlideImages(slides: ImageSlide[], options?: ImageRenderOptions): Promise<SlideImage[]>;
+
+export function renderThumbnails(slides: ImageSlide[], options?: ImageRenderOptions): Promise<string[]>;
+
+export function imageIndex(images: SlideImage[], options?: { title?: string; size?: string }): ImageIndex;
+
+export function createImageArchive(
+  images: SlideImage[],
+  options?: { title?: string; size?: string }
+): Promise<Uint8Array<ArrayBuffer>>;
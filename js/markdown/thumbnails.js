@@ -0,0 +1,201 @@
+/**
+ * Slide Images
+ * PNG images of slides for chat posts, docs and social previews: one image
+ * per slide, or per fragment step, at a chosen size. The browser draws them
+ * with html2canvas; `md2reveal images` takes screenshots in headless
+ * Chromium instead. Both pack the images into a ZIP with an index. Small
+ * thumbnails are cached for the template gallery and the slide sorter.
+ */
+
+import { PDF_FRAGMENT_MODES, fragmentSteps, showFragmentSteps, openSlideStage } from './pdf.js';
+
+/**
+ * Sizes offered in the export menus, WIDTHxHEIGHT in pixels
+ */
+export const IMAGE_SIZES = ['320x180', '640x360', '1280x720', '1920x1080', '3840x2160'];
+
+// Slides are laid out this wide, like a Reveal.js deck, and scaled to the
+// image size, so small images show the same slide rather than wrapped text
+const LAYOUT_WIDTH = 1280;
+
+const MAX_THUMBNAILS = 200;
+const thumbnailCache = new Map();
+
+/**
+ * Read a WIDTHxHEIGHT image size such as 1920x1080
+ */
+export function parseImageSize(size) {
+  const match = /^(\d+)\s*[x×]\s*(\d+)$/i.exec(String(size).trim());
+  const [width, height] = match ? [Number(match[1]), Number(match[2])] : [];
+
+  if (!match || [width, height].some(pixels => pixels < 16 || pixels > 8192)) {
+    throw new Error(`Unknown image size "${size}", expected WIDTHxHEIGHT from 16 to 8192 pixels, such as 1920x1080`);
+  }
+  return { width, height };
+}
+
+/**
+ * Validate the image options and fill in the defaults: `size` and
+ * `fragments`, which takes the fragment modes of the PDF export
+ */
+export function resolveImageOptions(options = {}) {
+  const { size = '1280x720', fragments = 'expanded' } = options;
+
+  parseImageSize(size);
+  if (!PDF_FRAGMENT_MODES.includes(fragments)) {
+    throw new Error(`Unknown fragment mode "${fragments}", expected ${PDF_FRAGMENT_MODES.join(', ')}`);
+  }
+
+  return { size, fragments };
+}
+
+/**
+ * The CSS size slides are laid out at for an image size, and the scale
+ * from it to the image
+ */
+export function imageLayout(size) {
+  const { width, height } = parseImageSize(size);
+  return { width: LAYOUT_WIDTH, height: Math.round((LAYOUT_WIDTH * height) / width), scale: width / LAYOUT_WIDTH };
+}
+
+/**
+ * File name of a slide image: slide-03.png for the slide, slide-03-2.png
+ * for its second fragment step. Slide numbers are padded to the digits of
+ * `total`, so the files sort in slide order.
+ */
+export function imageFileName(slide, step = 0, total = slide) {
+  const number = String(slide).padStart(Math.max(2, String(total).length), '0');
+  return `slide-${number}${step > 0 ? `-${step}` : ''}.png`;
+}
+
+/**
+ * Render slides to PNG images in the browser. `slides` holds `{ html,
+ * backgroundColor }` per slide; other options are `size`, `fragments`
+ * (`separate` for an image per fragment step), `textAlign`, `fontSize` and
+ * `stylesheets`. Resolves to `{ file, slide, step, title, bytes }` per
+ * image.
+ */
+export async function renderSlideImages(slides, options = {}) {
+  const { size, fragments } = resolveImageOptions(options);
+  const stage = await openSlideStage({ ...options, ...imageLayout(size) });
+
+  try {
+    const images = [];
+
+    for (const [index, slide] of slides.entries()) {
+      const page = stage.createPage(slide.html, { backgroundColor: slide.backgroundColor });
+      const steps = fragments === 'separate' ? fragmentSteps(page) : [];
+      const title = page.querySelector('h1, h2, h3, h4, h5, h6')?.textContent.trim() || '';
+
+      // The slide before its first fragment, then one image per step
+      for (let step = 0; step <= steps.length; step++) {
+        showFragmentSteps(steps, step);
+        const { bytes } = await stage.capture(page, 'image/png');
+        images.push({ file: imageFileName(index + 1, step, slides.length), slide: index + 1, step, title, bytes });
+      }
+      page.remove();
+    }
+
+    return images;
+  } finally {
+    stage.close();
+  }
+}
+
+/**
+ * PNG data URLs of small slide images with every fragment shown, for the
+ * template gallery and the slide sorter. The most recently used images
+ * are cached by slide and size, so only changed slides are drawn again.
+ */
+export async function renderThumbnails(slides, { size = '320x180', ...options } = {}) {
+  const key = slide =>
+    JSON.stringify([size, slide.html, slide.backgroundColor || '', options.textAlign || '', options.fontSize || '']);
+  const missing = slides.filter(slide => !thumbnailCache.has(key(slide)));
+
+  if (missing.length > 0) {
+    const images = await renderSlideImages(missing, { ...options, size, fragments: 'expanded' });
+    missing.forEach((slide, index) => thumbnailCache.set(key(slide), pngDataUrl(images[index].bytes)));
+  }
+
+  // Thumbnails move to the end of the cache when used, so the least
+  // recently used go first
+  const thumbnails = slides.map(slide => {
+    const thumbnail = thumbnailCache.get(key(slide));
+    thumbnailCache.delete(key(slide));
+    thumbnailCache.set(key(slide), thumbnail);
+    return thumbnail;
+  });
+  [...thumbnailCache.keys()].slice(0, Math.max(0, thumbnailCache.size - MAX_THUMBNAILS)).forEach(stale => {
+    thumbnailCache.delete(stale);
+  });
+
+  return thumbnails;
+}
+
+/**
+ * The index of an image archive: the deck title and image size, and each
+ * image's file, slide number, fragment step and slide title
+ */
+export function imageIndex(images, { title = 'Presentation', size } = {}) {
+  return {
+    title,
+    size,
+    images: images.map(({ file, slide, step, title: slideTitle }) => ({ file, slide, step, title: slideTitle }))
+  };
+}
+
+/**
+ * Pack slide images into a ZIP: the PNG files, index.json (see
+ * `imageIndex`) and an index.html contact sheet. Resolves to the ZIP bytes.
+ */
+export async function createImageArchive(images, options = {}) {
+  const { default: JSZip } = await import('jszip');
+  const index = imageIndex(images, options);
+  const zip = new JSZip();
+
+  images.forEach(image => zip.file(image.file, new Uint8Array(image.bytes)));
+  zip.file('index.json', JSON.stringify(index, null, 2));
+  zip.file('index.html', contactSheet(index));
+
+  return zip.generateAsync({ type: 'uint8array' });
+}
+
+function contactSheet({ title, images }) {
+  const figures = images.map(image => {
+    const caption = `${image.slide}${image.step > 0 ? `.${image.step}` : ''}${image.title ? ` ${image.title}` : ''}`;
+    return `  <figure><a href="${image.file}"><img src="${image.file}" alt="${escapeHtml(caption)}"></a>` +
+      `<figcaption>${escapeHtml(caption)}</figcaption></figure>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: Arial, Helvetica, sans-serif; margin: 24px; display: grid; gap: 16px;
+      grid-template-columns: repeat(auto-fill, minmax(320px, 1fr)); }
+    h1 { grid-column: 1 / -1; margin: 0; }
+    figure { margin: 0; }
+    img { width: 100%; border: 1px solid #ccc; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+${figures.join('\n')}
+</body>
+</html>
+`;
+}
+
+function pngDataUrl(bytes) {
+  let binary = '';
+  for (let index = 0; index < bytes.length; index += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(index, index + 0x8000));
+  }
+  return `data:image/png;base64,${btoa(binary)}`;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
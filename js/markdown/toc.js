@@ -0,0 +1,220 @@
+/**
+ * Table of Contents
+ * Agenda slides and section dividers built from slide titles.
+ *
+ *   ## Agenda
+ *
+ *   [[toc]]                 (or <!-- toc -->)
+ *
+ * The placeholder becomes a list of the deck's sections, each linking to its
+ * slide with a Reveal.js internal link (`#/slide-id`). Sections are the
+ * slides titled with an H1; with `depth: 2` their H2 slides are listed
+ * below them. Section dividers ("Part 2 of 5") can be inserted before each
+ * H1 slide. The first slide is the title slide and never a section.
+ */
+
+import { scanLines } from './splitter.js';
+import { extractSlideDirectives, escapeAttribute } from './directives.js';
+
+const TOC_PLACEHOLDER = /^ {0,3}(?:\[\[toc\]\]|<!--\s*toc\s*-->)\s*$/i;
+const TOC_PLACEHOLDER_HTML = /(?:<p>\s*)?(?:\[\[toc\]\]|<!--\s*toc\s*-->)(?:\s*<\/p>)?/gi;
+const ATX_HEADING = /^ {0,3}(#{1,6})[ \t]+(.*?)(?:[ \t]+#+)?[ \t]*$/;
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+const ATTRIBUTE_BLOCK = /\s*\{[^}]*\}\s*$/;
+
+/**
+ * Whether a slide's Markdown holds a `[[toc]]` or `<!-- toc -->` line
+ */
+export function hasTocPlaceholder(markdown) {
+  return scanLines(markdown).some(entry => isPlaceholder(entry));
+}
+
+/**
+ * Replace the placeholder lines of a slide with `replacement`
+ */
+export function replaceTocPlaceholder(markdown, replacement) {
+  return scanLines(markdown)
+    .map(entry => (isPlaceholder(entry) ? replacement : entry.text))
+    .join('\n');
+}
+
+/**
+ * Replace the placeholder in HTML produced from a slide, e.g. by an engine
+ * that renders Markdown itself
+ */
+export function replaceTocPlaceholderHtml(html, replacement) {
+  return html.replace(TOC_PLACEHOLDER_HTML, () => replacement);
+}
+
+function isPlaceholder(entry) {
+  return (entry.type === 'text' || entry.type === 'html') && TOC_PLACEHOLDER.test(entry.text);
+}
+
+/**
+ * Find the first heading of a slide. Returns `{ level, text }` or null.
+ */
+export function findTitle(markdown) {
+  const lines = scanLines(markdown);
+
+  for (let index = 0; index < lines.length; index++) {
+    const entry = lines[index];
+    if (entry.type !== 'text') continue;
+
+    const atx = entry.text.match(ATX_HEADING);
+    if (atx && atx[2]) {
+      return { level: atx[1].length, text: atx[2].replace(ATTRIBUTE_BLOCK, '').trim() };
+    }
+
+    const next = lines[index + 1];
+    const previous = lines[index - 1];
+    if (next?.type === 'text' && SETEXT_UNDERLINE.test(next.text) && (!previous || previous.type !== 'text')) {
+      return { level: next.text.trim().startsWith('=') ? 1 : 2, text: entry.text.replace(ATTRIBUTE_BLOCK, '').trim() };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Create a function that turns titles into unique slide ids
+ */
+export function createSlugger(taken = []) {
+  const used = new Set(taken);
+
+  return text => {
+    const base = String(text)
+      .toLowerCase()
+      .replace(/<[^>]*>|[*_`~[\]()]/g, '')
+      .replace(/[^\w\s-]/g, '')
+      .trim()
+      .replace(/[\s_]+/g, '-') || 'section';
+
+    let slug = base;
+    for (let count = 2; used.has(slug); count++) {
+      slug = `${base}-${count}`;
+    }
+    used.add(slug);
+    return slug;
+  };
+}
+
+/**
+ * Pick the outline entries from a list of slides, each `{ title, id }` where
+ * `title` comes from findTitle. `skip(index)` leaves slides out, such as the
+ * agenda slide itself. `depth` counts from the highest heading level used,
+ * so a deck of H2 slides still gets an agenda. Entries keep the index of
+ * their slide; sections (H1) are numbered with `part`.
+ */
+export function buildOutline(slides, { depth = 1, skip = () => false } = {}) {
+  const titled = slides
+    .map((slide, index) => ({ ...slide, index }))
+    .filter(slide => slide.index > 0 && slide.title && !skip(slide.index));
+  const top = Math.min(...titled.map(slide => slide.title.level));
+
+  const entries = titled
+    .filter(slide => slide.title.level < top + depth)
+    .map(slide => ({ index: slide.index, level: slide.title.level, text: slide.title.text, id: slide.id }));
+
+  entries.filter(entry => entry.level === 1).forEach((entry, position) => {
+    entry.part = position + 1;
+  });
+
+  return entries;
+}
+
+/**
+ * Format the progress shown on a section divider
+ */
+export function sectionProgress(part, total) {
+  return `Part ${part} of ${total}`;
+}
+
+/**
+ * Render the outline as a nested Markdown list of internal links
+ */
+export function agendaMarkdown(entries) {
+  const top = Math.min(...entries.map(entry => entry.level));
+  return entries
+    .map(entry => `${'  '.repeat(entry.level - top)}- [${entry.text}](#/${entry.id})`)
+    .join('\n');
+}
+
+/**
+ * Render the outline as a nested HTML list of internal links. Titles are
+ * escaped, so they show as written.
+ */
+export function agendaHtml(entries) {
+  const render = (items, level) => {
+    const children = [];
+    items.forEach(entry => {
+      if (entry.level > level && children.length > 0) {
+        children[children.length - 1].nested.push(entry);
+      } else {
+        children.push({ entry, nested: [] });
+      }
+    });
+
+    const list = children.map(({ entry, nested }) => {
+      const link = `<a href="#/${escapeAttribute(entry.id)}">${escapeAttribute(entry.text)}</a>`;
+      return `<li>${link}${nested.length ? render(nested, level + 1) : ''}</li>`;
+    });
+    return `<ul${level === top ? ' class="toc"' : ''}>${list.join('')}</ul>`;
+  };
+
+  const top = Math.min(...entries.map(entry => entry.level));
+  return entries.length ? render(entries, top) : '';
+}
+
+/**
+ * Replace the TOC placeholders of a deck, give every listed slide an id and
+ * optionally insert section dividers before H1 slides. Works on the stacks
+ * of source slides returned by splitSlides.
+ */
+export function addTableOfContents(stacks, { depth = 1, dividers = false } = {}) {
+  const slides = stacks.flatMap((stack, stackIndex) => stack.map(slide => ({ slide, stackIndex })));
+  const isAgenda = index => hasTocPlaceholder(slides[index].slide.content);
+  if (!dividers && !slides.some((_, index) => isAgenda(index))) {
+    return stacks;
+  }
+
+  const ownIds = slides.map(({ slide }) => extractSlideDirectives(slide.content).attributes.id);
+  const slug = createSlugger(ownIds.filter(Boolean));
+  const titles = slides.map(({ slide }) => findTitle(slide.content));
+  const outline = buildOutline(
+    titles.map((title, index) => ({ title, id: ownIds[index] || (title ? slug(title.text) : undefined) })),
+    { depth, skip: isAgenda }
+  );
+  const byIndex = new Map(outline.map(entry => [entry.index, entry]));
+
+  // Dividers start their section, so links lead to the divider
+  const sections = dividers ? outline.filter(entry => entry.level === 1) : [];
+  sections.forEach(entry => {
+    entry.divider = true;
+    if (ownIds[entry.index]) entry.id = slug(entry.text);
+  });
+
+  const agenda = agendaMarkdown(outline);
+  const result = stacks.map(() => []);
+  const leading = stacks.map(() => []);
+
+  slides.forEach(({ slide, stackIndex }, index) => {
+    const entry = byIndex.get(index);
+    let content = isAgenda(index) ? replaceTocPlaceholder(slide.content, outline.length ? agenda : '') : slide.content;
+
+    if (entry?.divider) {
+      const divider = {
+        ...slide,
+        content: `<!-- .slide: id="${entry.id}" class="section-divider" -->\n`
+          + `<p class="section-progress">${sectionProgress(entry.part, sections.length)}</p>\n\n# ${entry.text}`
+      };
+      const isStackHead = stacks[stackIndex][0] === slide;
+      (isStackHead ? leading[stackIndex] : result[stackIndex]).push(divider);
+    } else if (entry && !ownIds[index]) {
+      content = `<!-- .slide: id="${entry.id}" -->\n${content}`;
+    }
+
+    result[stackIndex].push({ ...slide, content });
+  });
+
+  return result.flatMap((stack, index) => (leading[index].length ? [leading[index], stack] : [stack]));
+}
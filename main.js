@@ -1,17 +1,44 @@
 // main.js
 
 import RevealMarkdown from "https://cdnjs.cloudflare.com/ajax/libs/reveal.js/4.5.0/plugin/markdown/markdown.esm.js";
-import { convertMarkdownToSlides } from './slides.js';
+import { convertMarkdownToSlides, resolveDeckOptions, findIncludes } from './slides.js';
+import { renderDiagrams } from './js/markdown/diagrams.js';
+import { parallaxConfig } from './js/markdown/backgrounds.js';
+import { lintDeck } from './js/markdown/lint.js';
+
+const REVEAL_CDN = 'https://cdnjs.cloudflare.com/ajax/libs/reveal.js/4.5.0';
+const REVEAL_PLUGINS = {
+  highlight: 'RevealHighlight',
+  math: 'RevealMath',
+  notes: 'RevealNotes',
+  search: 'RevealSearch',
+  zoom: 'RevealZoom'
+};
 
 const markdownInput = document.getElementById('markdown-input');
 const slidesContainer = document.getElementById('slides-container');
 const renderButton = document.getElementById('render-button');
 const autoPreviewCheckbox = document.getElementById('auto-preview');
 const fileUploadInput = document.getElementById('md-file-upload');
+const overflowWarnings = document.getElementById('overflow-warnings');
+const editorBody = document.getElementById('editor-body');
+const lintGutter = document.getElementById('lint-gutter');
+const lintProblemList = document.getElementById('lint-problems');
 
 // Slide options elements
 const bgColorInput = document.getElementById('bg-color');
 const bgImageInput = document.getElementById('bg-image');
+const bgGradientInput = document.getElementById('bg-gradient');
+const bgVideoInput = document.getElementById('bg-video');
+const bgVideoLoopInput = document.getElementById('bg-video-loop');
+const bgVideoMutedInput = document.getElementById('bg-video-muted');
+const bgIframeInput = document.getElementById('bg-iframe');
+const bgInteractiveInput = document.getElementById('bg-interactive');
+const bgSizeInput = document.getElementById('bg-size');
+const bgPositionInput = document.getElementById('bg-position');
+const bgOpacityInput = document.getElementById('bg-opacity');
+const parallaxImageInput = document.getElementById('parallax-image');
+const parallaxSizeInput = document.getElementById('parallax-size');
 const transitionSelect = document.getElementById('transition');
 const textAlignSelect = document.getElementById('global-text-align');
 const fontSizeInput = document.getElementById('font-size');
@@ -19,45 +46,196 @@ const fontSizeInput = document.getElementById('font-size');
 // Source selection elements
 const sourceRadios = document.getElementsByName('source-type');
 const fullScreenButton = document.getElementById('full-screen-button');
+const themeStylesheet = document.getElementById('theme-stylesheet');
 
 let revealInstance = null;
-
-// Applies global text alignment and font size to all slide sections.
+let deckStyle = null;
+let renderedTextAlign = null;
+let measureBox = null;
+let previewRender = 0;
+let bgColorChosen = false;
+let lintProblems = [];
+
+// Files from the last upload, keyed by path, for include directives.
+let uploadedFiles = new Map();
+let rootFilePath = '';
+
+// Applies global text alignment and font size to all slide sections. Slides
+// whose alignment was set by a directive keep their own alignment.
 function applyGlobalStyles() {
   document.querySelectorAll('#slides-container section').forEach(slide => {
-    slide.style.textAlign = textAlignSelect.value;
+    const slideAlign = slide.dataset.textAlign;
+    slide.style.textAlign = slideAlign && slideAlign !== renderedTextAlign ? slideAlign : textAlignSelect.value;
     slide.style.fontSize = fontSizeInput.value + "px";
   });
 }
 
+// Reflects deck settings from the front matter in the sidebar controls. Controls
+// that the front matter sets are locked so the file stays the source of truth.
+function syncOptionControls(deckOptions) {
+  [
+    [bgColorInput, deckOptions.bgColor],
+    [bgImageInput, deckOptions.bgImage],
+    [bgGradientInput, deckOptions.bgGradient],
+    [bgVideoInput, deckOptions.bgVideo],
+    [bgVideoLoopInput, deckOptions.bgVideoLoop],
+    [bgVideoMutedInput, deckOptions.bgVideoMuted],
+    [bgIframeInput, deckOptions.bgIframe],
+    [bgInteractiveInput, deckOptions.bgInteractive],
+    [bgSizeInput, deckOptions.bgSize],
+    [bgPositionInput, deckOptions.bgPosition],
+    [bgOpacityInput, deckOptions.bgOpacity],
+    [parallaxImageInput, deckOptions.parallaxBackgroundImage],
+    [parallaxSizeInput, deckOptions.parallaxBackgroundSize],
+    [transitionSelect, deckOptions.transition],
+    [textAlignSelect, deckOptions.textAlign],
+    [fontSizeInput, deckOptions.fontSize]
+  ].forEach(([control, value]) => {
+    const fromFrontMatter = value !== undefined && value !== null;
+    if (fromFrontMatter && control.type === 'checkbox') {
+      control.checked = value === true || value === 'true';
+    } else if (fromFrontMatter) {
+      control.value = value;
+    }
+    control.disabled = fromFrontMatter;
+    control.title = fromFrontMatter ? 'Set by front matter' : '';
+  });
+}
+
+// Applies the deck-wide title, theme and custom CSS from the front matter.
+function applyDeckSettings(deckOptions) {
+  document.title = deckOptions.title || 'Markdown to Reveal.js Converter';
+
+  if (themeStylesheet) {
+    themeStylesheet.href = `${REVEAL_CDN}/theme/${deckOptions.theme || 'black'}.min.css`;
+  }
+
+  if (!deckStyle) {
+    deckStyle = document.createElement('style');
+    document.head.appendChild(deckStyle);
+  }
+  deckStyle.textContent = deckOptions.css || '';
+}
+
 // Renders the preview slides using the current markdown content and the slide options.
-function renderPreview() {
+// Diagrams are drawn and plugins loaded before the slides reach Reveal, so
+// a render that was overtaken by a newer one meanwhile is dropped.
+async function renderPreview() {
   const mdText = markdownInput.value;
-  const slidesHTML = convertMarkdownToSlides(mdText, {
-    bgColor: bgColorInput.value || "#000000",
-    bgImage: bgImageInput.value.trim(),
-    transition: transitionSelect.value || "slide",
-    textAlign: textAlignSelect.value || "center"
-  });
-  slidesContainer.innerHTML = slidesHTML;
-  initializeReveal();
+  const renderId = ++previewRender;
+  let deckOptions = {};
+  let slidesHtml;
+  let diagramErrors = [];
+
+  lintEditor(mdText);
+
+  try {
+    ({ options: deckOptions } = resolveDeckOptions(mdText));
+    syncOptionControls(deckOptions);
+    applyDeckSettings(deckOptions);
+
+    renderedTextAlign = textAlignSelect.value || "center";
+    const html = convertMarkdownToSlides(mdText, {
+      bgImage: bgImageInput.value.trim(),
+      ...backgroundOptions(),
+      transition: transitionSelect.value || "slide",
+      textAlign: renderedTextAlign,
+      readFile: readUploadedFile,
+      filePath: rootFilePath,
+      measureSlide: html => measureSlide(html, deckOptions)
+    });
+    ({ html: slidesHtml, errors: diagramErrors } = await renderDiagrams(html, {
+      theme: deckOptions.theme,
+      diagramTheme: deckOptions.mermaidTheme
+    }));
+  } catch (err) {
+    console.error(`Error converting markdown: ${err.message}`);
+    slidesHtml = `<section><h3>Could not render slides</h3><p>${escapeHtml(err.message)}</p></section>`;
+  }
+
+  try {
+    await initializeReveal(slidesHtml, {
+      parallaxBackgroundImage: parallaxImageInput.value.trim(),
+      parallaxBackgroundSize: parallaxSizeInput.value.trim(),
+      ...deckOptions
+    }, diagramErrors, () => renderId === previewRender);
+  } catch (err) {
+    console.error(`Error starting the preview: ${err.message}`);
+  }
+}
+
+// Background settings from the sidebar. The color is left to the theme
+// until it is picked, and opacity to the deck default while the slider is
+// at full opacity.
+function backgroundOptions() {
+  return {
+    bgColor: bgColorChosen ? bgColorInput.value : undefined,
+    bgGradient: bgGradientInput.value.trim(),
+    bgVideo: bgVideoInput.value.trim(),
+    bgVideoLoop: bgVideoLoopInput.checked,
+    bgVideoMuted: bgVideoMutedInput.checked,
+    bgIframe: bgIframeInput.value.trim(),
+    bgInteractive: bgInteractiveInput.checked,
+    bgSize: bgSizeInput.value.trim(),
+    bgPosition: bgPositionInput.value.trim(),
+    bgOpacity: Number(bgOpacityInput.value) < 1 ? bgOpacityInput.value : undefined
+  };
+}
+
+function escapeHtml(text) {
+  const element = document.createElement('span');
+  element.textContent = text;
+  return element.innerHTML;
+}
+
+// Loads the Reveal.js plugins named in the front matter from the CDN.
+async function loadPlugins(names = []) {
+  const plugins = [RevealMarkdown];
+  for (const name of [].concat(names)) {
+    if (!REVEAL_PLUGINS[name]) {
+      console.error(`Unknown Reveal.js plugin: ${name}`);
+      continue;
+    }
+    const module = await import(`${REVEAL_CDN}/plugin/${name}/${name}.esm.js`);
+    plugins.push(module.default);
+  }
+  return plugins;
 }
 
-// Initializes or re-initializes the Reveal.js instance.
-function initializeReveal() {
+// Shows the slides in a new Reveal.js instance, replacing the previous one.
+// Nothing changes once `isCurrent` reports that a newer render took over,
+// checked again after the plugins have loaded.
+async function initializeReveal(slidesHtml, deckOptions = {}, diagramErrors = [], isCurrent = () => true) {
+  if (!isCurrent()) {
+    return;
+  }
+
+  const config = { hash: true };
+  ['width', 'height', 'slideNumber'].forEach(key => {
+    if (deckOptions[key] !== undefined && deckOptions[key] !== null) {
+      config[key] = deckOptions[key];
+    }
+  });
+  Object.assign(config, parallaxConfig(deckOptions));
+  config.plugins = await loadPlugins(deckOptions.plugins || []);
+
+  if (!isCurrent()) {
+    return;
+  }
+  slidesContainer.innerHTML = slidesHtml;
   if (revealInstance) {
     revealInstance.destroy();
     revealInstance = null;
   }
-  revealInstance = new Reveal(document.querySelector('#preview-reveal'), {
-    hash: true,
-    plugins: [ RevealMarkdown ]
-  });
+
+  revealInstance = new Reveal(document.querySelector('#preview-reveal'), config);
   revealInstance.initialize();
 
-  // Listen for the 'ready' event to apply global styles.
+  // Listen for the 'ready' event to apply global styles and check the
+  // rendered slides for overflow.
   revealInstance.addEventListener('ready', function() {
     applyGlobalStyles();
+    flagSlideProblems(deckOptions, diagramErrors);
   });
 
   // Also update global styles on slide change (in case slides are re-rendered by Reveal).
@@ -66,27 +244,202 @@ function initializeReveal() {
   });
 }
 
-// Handle file upload for markdown content.
-function handleFileUpload(e) {
-  const file = e.target.files[0];
-  if (file) {
-    const reader = new FileReader();
-    reader.onload = function(ev) {
-      markdownInput.value = ev.target.result;
-      renderPreview();
-    };
-    reader.readAsText(file);
+// Measures the height of slide HTML in an off-screen copy of the preview
+// slide, using the same theme, slide width and font size.
+function measureSlide(html, deckOptions = {}) {
+  if (!measureBox) {
+    measureBox = document.createElement('div');
+    measureBox.className = 'reveal overflow-measure';
+    measureBox.innerHTML = '<div class="slides"><section></section></div>';
+    document.body.appendChild(measureBox);
+  }
+
+  const section = measureBox.querySelector('section');
+  measureBox.style.width = `${deckOptions.width || 960}px`;
+  section.style.fontSize = fontSizeInput.value + "px";
+  section.style.textAlign = textAlignSelect.value;
+  section.innerHTML = html;
+  return section.offsetHeight;
+}
+
+// Lists the slides taller than the slide area under the editor. Clicking an
+// entry selects the slide's first line and shows the slide.
+function flagSlideProblems(deckOptions = {}, diagramErrors = []) {
+  const limit = deckOptions.height || 700;
+  const slides = [...slidesContainer.querySelectorAll('section')].filter(slide => !slide.querySelector('section'));
+
+  overflowWarnings.innerHTML = '';
+  diagramErrors.forEach(({ line, message }) => {
+    const slide = slidesContainer.querySelector(`.diagram-error[data-source-line="${line}"]`)?.closest('section');
+    addSlideWarning(`Diagram on line ${line} could not be drawn: ${message.split('\n')[0]}`, line, slide);
+  });
+
+  slides.forEach(slide => {
+    const height = measureSlide(slide.innerHTML, deckOptions);
+    if (height <= limit) {
+      return;
+    }
+
+    const { h, v } = revealInstance.getIndices(slide);
+    const line = Number(slide.dataset.sourceLine) || 1;
+    const isStacked = slide.parentElement !== slidesContainer;
+    addSlideWarning(`Slide ${h + 1}${isStacked ? `.${v + 1}` : ''} (line ${line}) overflows by ${height - limit}px`, line, slide);
+  });
+
+  overflowWarnings.hidden = overflowWarnings.childElementCount === 0;
+}
+
+// Lists a problem under the editor; clicking it jumps to the line and slide,
+// by default the slide the line belongs to. `slide` may be a function that
+// finds the slide when clicked.
+function addSlideWarning(text, line, slide, list = overflowWarnings) {
+  const item = document.createElement('button');
+  item.type = 'button';
+  item.textContent = text;
+  item.addEventListener('click', () => {
+    const target = typeof slide === 'function' ? slide() : slide;
+    goToLine(line, target || slideForLine(line));
+  });
+  list.appendChild(item);
+  return item;
+}
+
+// Selects the start of a line in the editor, if any, and shows the slide,
+// if any.
+function goToLine(line, slide) {
+  if (line) {
+    const start = markdownInput.value.split('\n').slice(0, line - 1).join('\n').length + (line > 1 ? 1 : 0);
+    markdownInput.focus();
+    markdownInput.setSelectionRange(start, start);
+  }
+  if (slide && revealInstance) {
+    const { h, v } = revealInstance.getIndices(slide);
+    revealInstance.slide(h, v);
+  }
+}
+
+// Lints the deck and shows the problems under the editor and as markers in
+// the editor gutter. Front matter and include errors are reported like any
+// other problem. The sidebar font size only scales the preview, so it is
+// not linted; a font-size in the front matter is. Problems in included
+// files are listed but have no line in the editor.
+function lintEditor(mdText) {
+  try {
+    lintProblems = lintDeck(mdText, {
+      bgImage: bgImageInput.value.trim(),
+      ...backgroundOptions(),
+      readFile: readUploadedFile,
+      filePath: rootFilePath,
+      measureSlide: html => measureSlide(html, resolveDeckOptions(mdText).options)
+    });
+  } catch (err) {
+    lintProblems = [{ rule: 'lint', severity: 'error', message: err.message, line: 1, slide: null }];
+  }
+
+  lintProblemList.innerHTML = '';
+  lintProblems.forEach(problem => {
+    const line = problem.file ? `${problem.file} line ${problem.line}` : `line ${problem.line}`;
+    const where = problem.slide ? `Slide ${problem.slide} (${line})` : line[0].toUpperCase() + line.slice(1);
+    const slide = problem.file ? () => slideByNumber(problem.slide) : null;
+    addSlideWarning(`${where}: ${problem.message}`, problem.file ? null : problem.line, slide, lintProblemList).className = `lint-${problem.severity}`;
+  });
+  lintProblemList.hidden = lintProblems.length === 0;
+
+  renderLintGutter();
+}
+
+// The preview slide with a number such as "3" or "3.2"
+function slideByNumber(number) {
+  const [h, v = 1] = String(number).split('.').map(Number);
+  const stack = slidesContainer.children[h - 1];
+  return stack?.querySelector(':scope > section') ? stack.children[v - 1] : stack;
+}
+
+// The preview slide a source line belongs to: the last slide starting at or
+// before it.
+function slideForLine(line) {
+  return [...slidesContainer.querySelectorAll('section[data-source-line]')]
+    .filter(slide => !slide.querySelector('section') && Number(slide.dataset.sourceLine) <= line)
+    .pop();
+}
+
+// Marks the lines with problems in the gutter next to the editor. Editor
+// lines do not wrap, so every line is one line-height tall.
+function renderLintGutter() {
+  const style = getComputedStyle(markdownInput);
+  const lineHeight = parseFloat(style.lineHeight);
+  const markers = document.createElement('div');
+  markers.className = 'lint-markers';
+
+  const byLine = new Map();
+  lintProblems.filter(problem => !problem.file).forEach(problem => byLine.set(problem.line, [...(byLine.get(problem.line) || []), problem]));
+  byLine.forEach((problems, line) => {
+    const marker = document.createElement('button');
+    marker.type = 'button';
+    marker.className = `lint-marker lint-${problems.some(problem => problem.severity === 'error') ? 'error' : 'warning'}`;
+    marker.style.top = `${parseFloat(style.paddingTop) + (line - 1) * lineHeight}px`;
+    marker.style.height = `${lineHeight}px`;
+    marker.title = problems.map(problem => problem.message).join('\n');
+    marker.setAttribute('aria-label', `Line ${line}: ${marker.title}`);
+    marker.addEventListener('click', () => goToLine(line, slideForLine(line)));
+    markers.appendChild(marker);
+  });
+
+  lintGutter.replaceChildren(markers);
+  syncLintGutter();
+}
+
+function syncLintGutter() {
+  const markers = lintGutter.firstElementChild;
+  if (markers) {
+    markers.style.transform = `translateY(${-markdownInput.scrollTop}px)`;
   }
 }
 
+// Looks up an uploaded file for an include directive. Uploads without folder
+// information only know file names, so a unique name match is accepted too.
+function readUploadedFile(filePath) {
+  if (uploadedFiles.has(filePath)) {
+    return uploadedFiles.get(filePath);
+  }
+
+  const name = filePath.split('/').pop();
+  const matches = [...uploadedFiles.keys()].filter(key => key.split('/').pop() === name);
+  if (matches.length === 1) {
+    return uploadedFiles.get(matches[0]);
+  }
+  throw new Error(matches.length > 1 ? `Several uploaded files are named ${name}` : `File not uploaded: ${filePath}`);
+}
+
+// Handle file upload for markdown content. With several files, the one that
+// no other file includes is shown and the rest are available to includes.
+async function handleFileUpload(e) {
+  const files = [...e.target.files];
+  if (files.length === 0) {
+    return;
+  }
+
+  const entries = await Promise.all(files.map(async file => [file.webkitRelativePath || file.name, await file.text()]));
+  uploadedFiles = new Map(entries);
+
+  const includedNames = new Set(entries.flatMap(([, text]) => (
+    findIncludes(text).map(include => include.path.split('/').pop())
+  )));
+  const [rootPath, rootText] = entries.find(([filePath]) => !includedNames.has(filePath.split('/').pop())) || entries[0];
+
+  rootFilePath = rootPath;
+  markdownInput.value = rootText;
+  renderPreview();
+}
+
 // Toggle between editor and file upload based on source selection.
 function updateSourceSelection() {
   const selectedValue = [...sourceRadios].find(radio => radio.checked).value;
   if (selectedValue === 'upload') {
-    markdownInput.style.display = 'none';
+    editorBody.style.display = 'none';
     fileUploadInput.style.display = 'block';
   } else {
-    markdownInput.style.display = 'block';
+    editorBody.style.display = 'flex';
     fileUploadInput.style.display = 'none';
   }
 }
@@ -138,7 +491,13 @@ markdownInput.addEventListener('input', () => {
   }
 });
 
+// Keep the lint markers next to their lines.
+markdownInput.addEventListener('scroll', syncLintGutter);
+
 // Slide options change listeners.
+bgColorInput.addEventListener('input', () => {
+  bgColorChosen = true;
+});
 [bgColorInput, bgImageInput, textAlignSelect, fontSizeInput].forEach(input => {
   input.addEventListener('input', () => {
     if (autoPreviewCheckbox.checked) {
@@ -149,10 +508,16 @@ markdownInput.addEventListener('input', () => {
     }
   });
 });
-transitionSelect.addEventListener('change', () => {
-  if (autoPreviewCheckbox.checked) {
-    renderPreview();
-  }
+// Background media is applied by Reveal.js, so it needs a new render.
+[
+  bgGradientInput, bgVideoInput, bgVideoLoopInput, bgVideoMutedInput, bgIframeInput, bgInteractiveInput,
+  bgSizeInput, bgPositionInput, bgOpacityInput, parallaxImageInput, parallaxSizeInput, transitionSelect
+].forEach(input => {
+  input.addEventListener('change', () => {
+    if (autoPreviewCheckbox.checked) {
+      renderPreview();
+    }
+  });
 });
 
 fullScreenButton.addEventListener('click', toggleFullScreen);
@@ -207,12 +572,16 @@ console.log('Hello world');
 
 ## Vertical Slides
 
-Top slide content.
+Top slide content. Press down to see the stack.
+
+--
 
 ## First sub-slide
 
 More details here.
 
+--
+
 ## Second sub-slide
 
 Even more info.
@@ -1,18 +1,254 @@
+import { parseFrontMatter, frontMatterToOptions } from './js/markdown/front-matter.js';
+import { extractSlideDirectives, mergeSlideAttributes, buildAttributes } from './js/markdown/directives.js';
+import { splitSlides } from './js/markdown/splitter.js';
+import { renderSlideMarkdown } from './js/markdown/render.js';
+import { resolveIncludes, resolveIncludeSources, findIncludes } from './js/markdown/includes.js';
+import { resolveFragmentSettings, extractFragmentOptions, hasFragmentMarkers } from './js/markdown/fragments.js';
+import { addTableOfContents } from './js/markdown/toc.js';
+import { extractNotes, joinNotes } from './js/markdown/notes.js';
+import { expandFencedDivs } from './js/markdown/fenced-divs.js';
+import { hasMath, resolveMacros } from './js/markdown/math.js';
+import { hasDiagrams, annotateDiagramLines } from './js/markdown/diagrams.js';
+import { hasCodeBlocks } from './js/markdown/code-blocks.js';
+import { extractBackgroundImages, hasImageLayout } from './js/markdown/images.js';
+import { backgroundAttributes } from './js/markdown/backgrounds.js';
+import { resolveChrome, renderChrome } from './js/markdown/chrome.js';
+import { estimateSlideHeight, splitSlideContent, listSlides, OVERFLOW_MODES } from './js/markdown/overflow.js';
+
+export { parseFrontMatter, frontMatterToOptions, findIncludes };
+
+// Front matter settings take precedence over the options passed in, so the
+// Markdown file stays the single source of truth for a deck.
+export function resolveDeckOptions(mdText, options = {}) {
+  const { data, body, lineOffset } = parseFrontMatter(mdText);
+  return {
+    options: { ...options, ...frontMatterToOptions(data) },
+    body,
+    lineOffset
+  };
+}
+
+// Prepares one source slide for convertSlidePart: one part, or several when
+// an overflowing slide is split into continuation slides.
+function prepareSlide(slide, deck) {
+  // Directive comments override the deck settings for this section only.
+  // Diagrams remember their line for error messages.
+  // A `![bg](...)` image becomes the background, directives still win.
+  const { attributes: directiveAttributes, body: directiveBody } = extractSlideDirectives(annotateDiagramLines(slide.content, slide.startLine));
+  const { markdown: body, attributes: backgroundAttributes } = extractBackgroundImages(directiveBody);
+  const { attributes, options: slideFragments } = extractFragmentOptions({ ...backgroundAttributes, ...directiveAttributes });
+  const fragments = resolveFragmentSettings({ ...deck.fragments, ...slideFragments });
+
+  // Measuring must not use up equation numbers
+  const measuredMath = () => ({ ...deck.math, numbering: deck.math.numbering && { ...deck.math.numbering } });
+  const parts = deck.overflow === 'split'
+    ? splitSlideContent(body, part => deck.fits(renderSlideMarkdown(part, { fragments, math: measuredMath() }).html))
+    : [body];
+
+  return parts.map(part => ({ body: part, attributes, fragments, startLine: slide.startLine }));
+}
+
+// Converts a prepared slide to its <section>. `number` counts the slide
+// among all `total` slides, for the deck chrome.
+function convertSlidePart({ body, attributes, fragments, startLine }, deck, { number, total }) {
+  const chrome = renderChrome(deck.chrome, { ...deck.chromeValues, slide: number, total });
+
+  // Rendered now, so the section no longer needs the markdown plugin. The
+  // plugin cannot place fragments reliably, leaves math, diagrams and code
+  // highlighting to client-side plugins and knows no image sizes or
+  // captions, so slides that use them are rendered now in markdown output
+  // too. Only static output is sanitized: the plugin keeps a slide's raw
+  // HTML, and adding a code block must not change that.
+  const renderNow = fragments.targets.length > 0 || hasFragmentMarkers(body)
+    || hasMath(body) || hasDiagrams(body) || hasCodeBlocks(body) || hasImageLayout(body);
+  if (deck.output === 'static' || renderNow) {
+    const { html, attributes: elementAttributes } = renderSlideMarkdown(body, {
+      fragments,
+      math: deck.math,
+      sanitize: deck.output === 'static'
+    });
+    const dataAttributes = buildAttributes({
+      ...mergeSlideAttributes(deck.attributes, { ...attributes, ...elementAttributes }),
+      'data-source-line': startLine
+    });
+    return `<section ${dataAttributes}>\n${html}${chrome ? `\n${chrome}` : ''}\n</section>`;
+  }
+
+  // The plugin knows a single notes separator, so other note forms are
+  // rewritten as `Note:`. Fenced divs and the chrome become HTML the plugin
+  // passes through.
+  const { content, notes } = extractNotes(body);
+  const dataAttributes = buildAttributes({
+    ...mergeSlideAttributes(deck.attributes, attributes),
+    'data-source-line': startLine
+  });
+  return `<section ${dataAttributes} data-markdown data-separator-notes="^Note:" data-charset="utf-8">\n  <textarea data-template>${joinNotes(`${expandFencedDivs(content)}${chrome ? `\n\n${chrome}` : ''}`, notes).trim()}</textarea>\n</section>`;
+}
+
+// Slide size and the measurement used for overflow. Callers with a DOM pass
+// options.measureSlide(html) to measure rendered slides themselves.
+function slideMeasure(deckOptions, measureSlide) {
+  const width = Number(deckOptions.width) || 960;
+  const height = Number(deckOptions.height) || 700;
+  const fontSize = Number(deckOptions.fontSize) || undefined;
+
+  return {
+    height,
+    measure: measureSlide || (html => estimateSlideHeight(html, { width, fontSize }))
+  };
+}
+
 export function convertMarkdownToSlides(mdText, options = {}) {
+  return buildSlides(mdText, options);
+}
+
+// Lists the slides that are taller than the deck height, e.g.
+// [{ number: '3.2', line: 41, height: 812, limit: 700 }]. Slides are measured
+// after continuation slides were split off. A slide from an included file
+// also names that `file`, and `line` is a line of it.
+export function findOverflowingSlides(mdText, options = {}) {
+  const { options: deckOptions } = resolveDeckOptions(mdText, options);
+  const { height, measure } = slideMeasure(deckOptions, options.measureSlide);
+  const { readFile, filePath } = options;
+  const { separator = '---', verticalSeparator = '--' } = deckOptions;
+  const { sources } = resolveIncludeSources(mdText, { readFile, filePath, separator, verticalSeparator });
+
+  return listSlides(buildSlides(mdText, options, { output: 'static' }))
+    .map(slide => {
+      const origin = sources[Number(slide.attributes['data-source-line']) - 1];
+      return {
+        number: slide.number,
+        line: origin.line,
+        ...(origin.file && origin.file !== filePath ? { file: origin.file } : {}),
+        height: Math.round(measure(slide.html)),
+        limit: height
+      };
+    })
+    .filter(slide => slide.height > slide.limit);
+}
+
+// Maps the first line of each source slide, in the deck with includes
+// resolved, to its number as presented: counting the agenda and section
+// dividers inserted before it and the continuation slides split off the
+// slides before it.
+export function numberSlides(mdText, options = {}) {
+  const numbers = new Map();
+  listSlides(buildSlides(mdText, options))
+    .filter(slide => !(slide.attributes.class || '').split(/\s+/).includes('section-divider'))
+    .forEach(slide => {
+      const line = Number(slide.attributes['data-source-line']);
+      if (!numbers.has(line)) numbers.set(line, slide.number);
+    });
+  return numbers;
+}
+
+function buildSlides(mdText, options, overrides = {}) {
+  const deckOptions = { ...resolveDeckOptions(mdText, options).options, ...overrides };
   const {
-    bgColor = "#000000",
+    bgColor,
     bgImage = "",
+    bgGradient,
+    bgVideo,
+    bgVideoLoop,
+    bgVideoMuted,
+    bgIframe,
+    bgInteractive,
+    bgSize,
+    bgPosition,
+    bgRepeat,
+    bgOpacity,
     transition = "slide",
-    textAlign = "center"
-  } = options;
-
-  const slideSections = mdText.split(/\n---\n/);
-  const slidesHTML = slideSections.map(section => {
-    let dataAttributes = `data-background-color="${bgColor}" data-transition="${transition}" data-text-align="${textAlign}"`;
-    if (bgImage.trim()) {
-      dataAttributes += ` data-background-image="${bgImage.trim()}"`;
+    textAlign = "center",
+    separator = "---",
+    verticalSeparator = "--",
+    output = "markdown",
+    overflow = "warn",
+    tocDepth = 1,
+    sectionDividers = false,
+    mathMacros = {},
+    equationNumbers = false,
+    fragments,
+    fragmentEffect,
+    fragmentOrder,
+    chrome,
+    title,
+    author,
+    date
+  } = deckOptions;
+
+  if (output !== "markdown" && output !== "static") {
+    throw new Error(`Unknown output mode "${output}", expected "markdown" or "static"`);
+  }
+  if (!OVERFLOW_MODES.includes(overflow)) {
+    throw new Error(`Unknown overflow mode "${overflow}", expected "warn" or "split"`);
+  }
+
+  // Without a color the theme's own background shows
+  const deckAttributes = {
+    'data-background-color': bgColor,
+    'data-transition': transition,
+    'data-text-align': textAlign,
+    ...backgroundAttributes({
+      backgroundGradient: bgGradient,
+      backgroundImage: bgImage,
+      backgroundVideo: bgVideo,
+      backgroundVideoLoop: bgVideoLoop,
+      backgroundVideoMuted: bgVideoMuted,
+      backgroundIframe: bgIframe,
+      backgroundInteractive: bgInteractive,
+      backgroundSize: bgSize,
+      backgroundPosition: bgPosition,
+      backgroundRepeat: bgRepeat,
+      backgroundOpacity: bgOpacity
+    })
+  };
+
+  const { height, measure } = slideMeasure(deckOptions, options.measureSlide);
+  const deck = {
+    attributes: deckAttributes,
+    fragments: { fragments, fragmentEffect, fragmentOrder },
+    output,
+    overflow,
+    math: {
+      macros: resolveMacros(mathMacros),
+      numbering: equationNumbers === true || equationNumbers === 'true' ? { count: 0 } : undefined
+    },
+    fits: html => measure(html) <= height,
+    chrome: resolveChrome(chrome),
+    chromeValues: { title, author, date }
+  };
+
+  // Include directives are resolved through options.readFile, relative to
+  // options.filePath, before the deck is split into slides. Both come from
+  // the caller only, never from the front matter.
+  const { readFile, filePath } = options;
+  const source = resolveIncludes(mdText, { readFile, filePath, separator, verticalSeparator });
+
+  // Horizontal slides hold one or more vertical slides; a stack of several
+  // becomes a <section> wrapping one <section> per vertical slide. The
+  // splitter skips the front matter itself so line numbers match the file.
+  // Agenda placeholders and section dividers are resolved on the split deck.
+  const stacks = addTableOfContents(splitSlides(source, { separator, verticalSeparator }), {
+    depth: Number(tocDepth) || 1,
+    dividers: sectionDividers === true || sectionDividers === 'true'
+  });
+  if (stacks.length === 0) {
+    stacks.push([{ content: '', startLine: 1, endLine: 1 }]);
+  }
+
+  // Continuation slides follow a horizontal slide as horizontal slides and
+  // stay inside the stack of a vertical one. All slides are prepared first,
+  // so the chrome knows the number of slides.
+  const preparedStacks = stacks.map(stack => stack.flatMap(slide => prepareSlide(slide, deck)));
+  const total = preparedStacks.reduce((sum, parts) => sum + parts.length, 0);
+  let number = 0;
+
+  const slidesHTML = preparedStacks.map((parts, index) => {
+    const sections = parts.map(part => convertSlidePart(part, deck, { number: ++number, total }));
+    if (stacks[index].length === 1) {
+      return sections.join('\n');
     }
-    return `<section ${dataAttributes} data-markdown data-separator="\\n---\\n" data-separator-vertical="\\n\\n" data-separator-notes="^Note:" data-charset="utf-8">\n  <textarea data-template>${section.trim()}</textarea>\n</section>`;
+    return `<section>\n${sections.join('\n')}\n</section>`;
   });
   return slidesHTML.join('\n');
 }
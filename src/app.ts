@@ -3,12 +3,14 @@
  */
 
 import { stateManager } from './core/state/StateManager';
-import type { Project, ToastMessage, ExportFormat, Slide, TextAlignment, TransitionType } from './types';
+import type { Project, ToastMessage, ExportFormat, ExportOptions, Slide, TextAlignment, TransitionType } from './types';
 import { generateId } from './utils/helpers';
 import { validateProject } from './utils/validation';
 import { RevealEngine } from './core/engines/RevealEngine';
 import { ExportManager } from './core/export/ExportManager';
-import { convertMarkdownToSlides } from './utils/markdown';
+import { convertMarkdownToSlides, renderSlideDiagrams, lintMarkdown, parseMarkdown } from './utils/markdown';
+import { formatAssetReport, formatBytes } from '../js/markdown/inline-assets.js';
+import { IMAGE_SIZES, renderThumbnails } from '../js/markdown/thumbnails.js';
 
 export class App {
   private container: HTMLElement;
@@ -140,6 +142,8 @@ export class App {
 
 Start writing your presentation in Markdown..."></textarea>
 
+          <div id="lint-problems" class="mt-2 flex flex-col gap-1 max-h-32 overflow-y-auto hidden"></div>
+
           <div class="mt-4 flex gap-2">
             <button id="render-btn" class="btn-primary flex-1">
               🎬 Render Preview
@@ -407,7 +411,7 @@ Start writing your presentation in Markdown..."></textarea>
                 </div>
                 <button class="btn-icon text-xs delete-slide" data-slide-id="${slide.id}">×</button>
               </div>
-              <div class="bg-white/5 rounded p-3 min-h-[100px] text-sm overflow-hidden">
+              <div class="slide-preview bg-white/5 rounded p-3 min-h-[100px] text-sm overflow-hidden">
                 ${this.renderSlidePreview(slide)}
               </div>
               <div class="mt-2 text-xs text-gray-400 truncate">
@@ -448,6 +452,34 @@ Start writing your presentation in Markdown..."></textarea>
     return preview || '<em class="text-gray-500">Empty slide</em>';
   }
 
+  /**
+   * Replace the text previews on the canvas with slide thumbnails, drawn in
+   * the background. The text previews stay when drawing fails.
+   */
+  private async renderCanvasThumbnails(): Promise<void> {
+    const project = stateManager.getState().currentProject;
+    if (!project?.slides?.length) return;
+
+    const globalOptions = project.globalOptions || {};
+    try {
+      const thumbnails = await renderThumbnails(
+        project.slides.map((slide) => ({
+          html: parseMarkdown(slide.content),
+          backgroundColor: slide.options?.backgroundColor || globalOptions.backgroundColor,
+        }))
+      );
+
+      project.slides.forEach((slide, index) => {
+        const preview = document.querySelector(`.slide-node[data-slide-id="${slide.id}"] .slide-preview`);
+        if (preview && thumbnails[index]) {
+          preview.innerHTML = `<img src="${thumbnails[index]}" alt="Slide ${index + 1}" class="w-full rounded">`;
+        }
+      });
+    } catch (error) {
+      console.warn('Slide thumbnails could not be drawn:', error);
+    }
+  }
+
   /**
    * Render properties panel
    */
@@ -700,6 +732,8 @@ Start writing your presentation in Markdown..."></textarea>
       return;
     }
 
+    this.showLintProblems(editor);
+
     try {
       const previewContainer = document.getElementById('preview-container');
       if (!previewContainer) {
@@ -730,6 +764,45 @@ Start writing your presentation in Markdown..."></textarea>
     }
   }
 
+  /**
+   * Lint the editor's deck with the project's lint settings and list the
+   * problems under the editor. Clicking a problem selects its line.
+   */
+  private showLintProblems(editor: HTMLTextAreaElement): void {
+    const list = document.getElementById('lint-problems');
+    if (!list) return;
+
+    let items: { severity: string; line: number; text: string }[];
+    try {
+      const project = stateManager.getState().currentProject;
+      items = lintMarkdown(editor.value, project?.lint, project?.globalOptions).map((problem) => ({
+        severity: problem.severity,
+        line: problem.line,
+        text: `${problem.slide ? `Slide ${problem.slide}, line` : 'Line'} ${problem.line}: ${problem.message}`,
+      }));
+    } catch (error) {
+      items = [{ severity: 'error', line: 1, text: (error as Error).message }];
+    }
+
+    list.replaceChildren(
+      ...items.map(({ severity, line, text }) => {
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.className = `text-left text-xs px-2 py-1 rounded ${
+          severity === 'error' ? 'bg-red-500/20 text-red-300' : 'bg-yellow-500/20 text-yellow-200'
+        }`;
+        item.textContent = text;
+        item.addEventListener('click', () => {
+          const start = editor.value.split('\n').slice(0, line - 1).join('\n').length + (line > 1 ? 1 : 0);
+          editor.focus();
+          editor.setSelectionRange(start, start);
+        });
+        return item;
+      })
+    );
+    list.classList.toggle('hidden', items.length === 0);
+  }
+
   /**
    * Start presentation
    */
@@ -920,11 +993,27 @@ Note: This is a speaker note - only visible to you!`;
         <p class="text-gray-400 mb-6">Choose your export format:</p>
 
         <div class="space-y-3">
+          <button class="export-option btn-secondary w-full text-left" data-format="html" data-standalone="true">
+            <span class="text-2xl">📦</span>
+            <div class="ml-3">
+              <div class="font-semibold">HTML (Self-contained)</div>
+              <div class="text-sm text-gray-400">Single file with all resources, works offline</div>
+            </div>
+          </button>
+
+          <button class="export-option btn-secondary w-full text-left" data-format="zip">
+            <span class="text-2xl">🗂️</span>
+            <div class="ml-3">
+              <div class="font-semibold">ZIP Bundle</div>
+              <div class="text-sm text-gray-400">Folder with images, fonts and Reveal.js as files, for large decks</div>
+            </div>
+          </button>
+
           <button class="export-option btn-secondary w-full text-left" data-format="html">
             <span class="text-2xl">🌐</span>
             <div class="ml-3">
-              <div class="font-semibold">HTML (Standalone)</div>
-              <div class="text-sm text-gray-400">Single file with all resources</div>
+              <div class="font-semibold">HTML</div>
+              <div class="text-sm text-gray-400">Small file that loads Reveal.js from a CDN</div>
             </div>
           </button>
 
@@ -932,7 +1021,50 @@ Note: This is a speaker note - only visible to you!`;
             <span class="text-2xl">📄</span>
             <div class="ml-3">
               <div class="font-semibold">PDF</div>
-              <div class="text-sm text-gray-400">Print-friendly document</div>
+              <div class="text-sm text-gray-400">One slide per page, with the options below</div>
+            </div>
+          </button>
+
+          <div class="grid grid-cols-3 gap-2">
+            <select id="pdf-page-size" class="input-field text-sm" title="PDF page size">
+              <option value="16:9">16:9</option>
+              <option value="4:3">4:3</option>
+              <option value="A4">A4</option>
+              <option value="Letter">Letter</option>
+            </select>
+            <select id="pdf-layout" class="input-field text-sm" title="PDF pages">
+              <option value="slides">Slides only</option>
+              <option value="notes">Notes pages</option>
+            </select>
+            <select id="pdf-fragments" class="input-field text-sm" title="PDF fragments">
+              <option value="expanded">Fragments shown</option>
+              <option value="separate">Page per fragment</option>
+            </select>
+          </div>
+
+          <button class="export-option btn-secondary w-full text-left" data-format="png">
+            <span class="text-2xl">🖼️</span>
+            <div class="ml-3">
+              <div class="font-semibold">PNG Images</div>
+              <div class="text-sm text-gray-400">ZIP with an image per slide, for chat posts and docs</div>
+            </div>
+          </button>
+
+          <div class="grid grid-cols-2 gap-2">
+            <select id="image-size" class="input-field text-sm" title="Image size">
+              ${IMAGE_SIZES.map((size) => `<option value="${size}"${size === '1280x720' ? ' selected' : ''}>${size.replace('x', ' × ')}</option>`).join('')}
+            </select>
+            <select id="image-fragments" class="input-field text-sm" title="Image fragments">
+              <option value="expanded">Fragments shown</option>
+              <option value="separate">Image per fragment</option>
+            </select>
+          </div>
+
+          <button class="export-option btn-secondary w-full text-left" data-format="pptx">
+            <span class="text-2xl">📊</span>
+            <div class="ml-3">
+              <div class="font-semibold">PowerPoint</div>
+              <div class="text-sm text-gray-400">Editable slides with speaker notes</div>
             </div>
           </button>
 
@@ -964,9 +1096,17 @@ Note: This is a speaker note - only visible to you!`;
     // Add click handlers
     modal.querySelectorAll('.export-option').forEach((btn) => {
       btn.addEventListener('click', async () => {
-        const format = (btn as HTMLElement).dataset.format as ExportFormat;
+        const { format, standalone } = (btn as HTMLElement).dataset;
+        const value = (id: string) => (modal.querySelector(`#${id}`) as HTMLSelectElement).value;
+        const options: ExportOptions = {
+          pageSize: value('pdf-page-size') as ExportOptions['pageSize'],
+          layout: value('pdf-layout') as ExportOptions['layout'],
+          fragments: value(format === 'png' ? 'image-fragments' : 'pdf-fragments') as ExportOptions['fragments'],
+          imageSize: value('image-size'),
+          standalone: standalone === 'true',
+        };
         modal.remove();
-        await this.exportPresentation(format);
+        await this.exportPresentation(format as ExportFormat, options);
       });
     });
 
@@ -981,7 +1121,7 @@ Note: This is a speaker note - only visible to you!`;
   /**
    * Export presentation
    */
-  private async exportPresentation(format: ExportFormat): Promise<void> {
+  private async exportPresentation(format: ExportFormat, options: ExportOptions = {}): Promise<void> {
     try {
       const editor = document.getElementById('markdown-editor') as HTMLTextAreaElement;
       if (!editor) {
@@ -996,7 +1136,13 @@ Note: This is a speaker note - only visible to you!`;
       }
 
       // Create project from current content
+      // Exports carry the diagrams as SVG, so they need no Mermaid script
       const slides = convertMarkdownToSlides(markdown);
+      const diagramErrors = await renderSlideDiagrams(slides);
+      if (diagramErrors.length > 0) {
+        const [{ line, message }] = diagramErrors;
+        this.showToast(`Diagram on line ${line} could not be drawn: ${message}`, 'warning');
+      }
       const transitionSelect = document.getElementById('slide-transition') as HTMLSelectElement;
 
       const project: Project = {
@@ -1007,6 +1153,7 @@ Note: This is a speaker note - only visible to you!`;
         updatedAt: Date.now(),
         version: '2.0.0',
         slides,
+        source: markdown,
         globalOptions: {
           transition: (transitionSelect?.value || 'slide') as any,
         },
@@ -1014,11 +1161,25 @@ Note: This is a speaker note - only visible to you!`;
 
       this.showToast(`Exporting as ${format.toUpperCase()}...`, 'info');
 
-      await ExportManager.export(project, format, {
+      const report = await ExportManager.export(project, format, {
         includeNotes: true,
         quality: 'high',
+        ...options,
       });
 
+      if (report) {
+        if (report.failed.length + report.external.length > 0) {
+          console.warn(formatAssetReport(report));
+        }
+        const missing = report.failed.length;
+        const exported = `Exported ${format === 'zip' ? 'ZIP bundle' : 'self-contained HTML'} (${formatBytes(report.size)})`;
+        this.showToast(
+          missing > 0 ? `${exported}; ${missing} asset(s) could not be included (see console)` : exported,
+          missing > 0 ? 'warning' : 'success'
+        );
+        return;
+      }
+
       this.showToast(`Exported successfully as ${format.toUpperCase()}!`, 'success');
     } catch (error) {
       console.error('Export failed:', error);
@@ -1098,6 +1259,7 @@ Note: This is a speaker note - only visible to you!`;
     const canvas = document.getElementById('canvas');
     if (canvas) {
       this.setupCanvasDragAndDrop(canvas);
+      void this.renderCanvasThumbnails();
     }
 
     // Slide node clicks
@@ -3,7 +3,17 @@
  */
 
 import type { Slide, SlideOptions, Project } from '@/types';
-import { convertMarkdownToSlides } from '@/utils/markdown';
+import {
+  convertMarkdownToSlides,
+  renderNotes,
+  renderSlideDiagrams,
+  renderSlideChrome,
+  resolveDeckChrome,
+} from '@/utils/markdown';
+import type { ChromeValues } from '../../../js/markdown/chrome.js';
+import { KATEX_STYLESHEET } from '../../../js/markdown/math.js';
+import { PRISM_STYLESHEET } from '../../../js/markdown/code-blocks.js';
+import { backgroundAttributes } from '../../../js/markdown/backgrounds.js';
 
 // Declare Reveal.js global
 declare global {
@@ -61,32 +71,28 @@ export class RevealEngine {
       throw new Error('Engine not initialized');
     }
 
-    // Convert markdown to slides
+    // Convert markdown to slides, with diagrams drawn before Reveal lays
+    // them out
     const slides = convertMarkdownToSlides(markdown, options);
+    await renderSlideDiagrams(slides, options.theme);
 
-    // Render slides
-    await this.renderSlides(slides, options);
+    // Render slides, with the chrome of the front matter over the options
+    const { chrome, values } = resolveDeckChrome(markdown);
+    await this.renderSlides(slides, { ...options, chrome: chrome ?? options.chrome }, values);
   }
 
   /**
-   * Render slides
+   * Render slides. `chromeValues` fill in the placeholders of the chrome
+   * in `options.chrome`.
    */
-  async renderSlides(slides: Slide[], options: SlideOptions = {}): Promise<void> {
+  async renderSlides(slides: Slide[], options: SlideOptions = {}, chromeValues: ChromeValues = {}): Promise<void> {
     if (!this.container) {
       throw new Error('Container not set');
     }
 
     // Build HTML
-    const slidesHtml = slides
-      .map((slide) => {
-        const attrs = this.buildSlideAttributes(slide.options || options);
-        const notesHtml = slide.notes
-          ? `<aside class="notes">${this.escapeHtml(slide.notes)}</aside>`
-          : '';
-
-        return `<section ${attrs}>${slide.content}${notesHtml}</section>`;
-      })
-      .join('\n');
+    const chrome = renderSlideChrome(slides, options.chrome, chromeValues);
+    const slidesHtml = slides.map((slide) => this.renderSlide(slide, options, chrome)).join('\n');
 
     // Create Reveal container if needed
     let revealContainer = this.container.querySelector('.reveal');
@@ -184,8 +190,8 @@ export class RevealEngine {
       postMessageEvents: false,
       focusBodyOnPageVisibilityChange: true,
       navigationMode: 'default',
-      parallaxBackgroundImage: options.backgroundImage || '',
-      parallaxBackgroundSize: '',
+      parallaxBackgroundImage: options.parallaxBackgroundImage || '',
+      parallaxBackgroundSize: options.parallaxBackgroundSize || '',
       parallaxBackgroundHorizontal: null,
       parallaxBackgroundVertical: null,
       display: 'block',
@@ -199,19 +205,35 @@ export class RevealEngine {
     this.applyGlobalStyles(options);
   }
 
+  /**
+   * Render a slide, nesting its vertical slides in a wrapping section
+   */
+  private renderSlide(slide: Slide, options: SlideOptions, chrome: Map<Slide, string>): string {
+    const renderSection = (item: Slide) => {
+      const attrs = this.buildSlideAttributes(item.options || options);
+      const notesHtml = item.notes
+        ? `<aside class="notes">${renderNotes(item.notes)}</aside>`
+        : '';
+
+      return `<section ${attrs}>${item.content}${chrome.get(item) ?? ''}${notesHtml}</section>`;
+    };
+
+    if (!slide.verticalSlides?.length) {
+      return renderSection(slide);
+    }
+
+    return `<section>${[slide, ...slide.verticalSlides].map(renderSection).join('\n')}</section>`;
+  }
+
   /**
    * Build slide attributes
    */
   private buildSlideAttributes(options: SlideOptions): string {
     const attrs: string[] = [];
 
-    if (options.backgroundColor) {
-      attrs.push(`data-background-color="${this.escapeHtml(options.backgroundColor)}"`);
-    }
-
-    if (options.backgroundImage) {
-      attrs.push(`data-background-image="${this.escapeHtml(options.backgroundImage)}"`);
-    }
+    Object.entries(backgroundAttributes(options)).forEach(([name, value]) => {
+      attrs.push(value === '' ? name : `${name}="${this.escapeHtml(value)}"`);
+    });
 
     if (options.transition) {
       attrs.push(`data-transition="${this.escapeHtml(options.transition)}"`);
@@ -311,16 +333,11 @@ export class RevealEngine {
     const slides = project.slides || [];
     const options = project.globalOptions || {};
 
-    const slidesHtml = slides
-      .map((slide) => {
-        const attrs = this.buildSlideAttributes(slide.options || options);
-        const notesHtml = slide.notes
-          ? `<aside class="notes">${this.escapeHtml(slide.notes)}</aside>`
-          : '';
-
-        return `<section ${attrs}>${slide.content}${notesHtml}</section>`;
-      })
-      .join('\n');
+    const chrome = renderSlideChrome(slides, options.chrome, {
+      title: project.name,
+      author: project.metadata?.author as string | undefined,
+    });
+    const slidesHtml = slides.map((slide) => this.renderSlide(slide, options, chrome)).join('\n');
 
     return `<!DOCTYPE html>
 <html lang="en">
@@ -330,6 +347,8 @@ export class RevealEngine {
   <title>${this.escapeHtml(project.name || 'Presentation')}</title>
   <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/reveal.js/4.5.0/reveal.min.css">
   <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/reveal.js/4.5.0/theme/${options.theme || 'black'}.min.css">
+  <link rel="stylesheet" href="${KATEX_STYLESHEET}">
+  <link rel="stylesheet" href="${PRISM_STYLESHEET}">
   <style>
     .reveal { font-size: ${options.fontSize || 16}px; }
     .reveal .slides { text-align: ${options.textAlign || 'center'}; }
@@ -2,40 +2,44 @@
  * Export Manager - Handles all export operations
  */
 
-import type { Project, ExportFormat, ExportOptions } from '@/types';
+import type { Project, ExportFormat, ExportOptions, Slide } from '@/types';
 import { HTMLExporter } from './HTMLExporter';
 import { PDFExporter } from './PDFExporter';
 import { JSONExporter } from './JSONExporter';
+import { PPTXExporter } from './PPTXExporter';
+import { ZIPExporter } from './ZIPExporter';
+import { ImageExporter } from './ImageExporter';
 import { downloadFile, sanitizeFilename } from '@/utils/helpers';
+import { joinNotes } from '../../../js/markdown/notes.js';
+import type { AssetReport } from '../../../js/markdown/inline-assets.js';
 
 export class ExportManager {
   /**
-   * Export project in specified format
+   * Export project in specified format. Self-contained HTML and ZIP exports
+   * resolve to the report of the assets they carry.
    */
   static async export(
     project: Project,
     format: ExportFormat,
     options: ExportOptions = {}
-  ): Promise<void> {
+  ): Promise<AssetReport | undefined> {
     const filename = this.generateFilename(project, format);
 
     try {
       let blob: Blob;
+      let report: AssetReport | undefined;
 
       switch (format) {
         case 'html':
-          blob = HTMLExporter.export(project, options);
+          if (options.standalone) {
+            ({ blob, report } = await HTMLExporter.exportStandalone(project, options));
+          } else {
+            blob = HTMLExporter.export(project, options);
+          }
           break;
 
         case 'pdf':
           blob = await PDFExporter.export(project, options);
-          if (blob.type === 'application/json') {
-            // PDF export returns instructions
-            const text = await blob.text();
-            const data = JSON.parse(text);
-            alert(data.message + '\n\n' + data.instruction);
-            return;
-          }
           break;
 
         case 'json':
@@ -46,11 +50,24 @@ export class ExportManager {
           blob = this.exportMarkdown(project);
           break;
 
+        case 'pptx':
+          blob = await PPTXExporter.export(project, options);
+          break;
+
+        case 'zip':
+          ({ blob, report } = await ZIPExporter.export(project, options));
+          break;
+
+        case 'png':
+          blob = await ImageExporter.export(project, options);
+          break;
+
         default:
           throw new Error(`Unsupported export format: ${format}`);
       }
 
       downloadFile(blob, filename);
+      return report;
     } catch (error) {
       console.error('Export failed:', error);
       throw error;
@@ -62,22 +79,22 @@ export class ExportManager {
    */
   private static exportMarkdown(project: Project): Blob {
     const slides = project.slides || [];
-    const markdown = slides
-      .sort((a, b) => a.order - b.order)
-      .map((slide) => {
-        let content = slide.content;
+    const toMarkdown = (slide: Slide) => {
+      let content = slide.content;
 
-        // Remove HTML tags for markdown export
-        const temp = document.createElement('div');
-        temp.innerHTML = content;
-        content = temp.textContent || temp.innerText || '';
+      // Remove HTML tags for markdown export
+      const temp = document.createElement('div');
+      temp.innerHTML = content;
+      content = temp.textContent || temp.innerText || '';
 
-        if (slide.notes) {
-          content += '\n\nNote: ' + slide.notes;
-        }
+      return joinNotes(content, slide.notes || '');
+    };
 
-        return content;
-      })
+    const markdown = slides
+      .sort((a, b) => a.order - b.order)
+      .map((slide) =>
+        [slide, ...(slide.verticalSlides || [])].map(toMarkdown).join('\n\n--\n\n')
+      )
       .join('\n\n---\n\n');
 
     return new Blob([markdown], { type: 'text/markdown' });
@@ -104,6 +121,8 @@ export class ExportManager {
       json: 'json',
       markdown: 'md',
       pptx: 'pptx',
+      zip: 'zip',
+      png: 'zip',
     };
 
     return extensions[format] || format;
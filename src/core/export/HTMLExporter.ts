@@ -2,11 +2,16 @@
  * HTML Exporter
  */
 
-import type { Project, ExportOptions } from '@/types';
+import type { Project, ExportOptions, Slide } from '@/types';
+import { renderNotes, renderSlideChrome } from '@/utils/markdown';
+import { PRISM_STYLESHEET } from '../../../js/markdown/code-blocks.js';
+import { backgroundAttributes, parallaxConfig } from '../../../js/markdown/backgrounds.js';
+import { KATEX_STYLESHEET } from '../../../js/markdown/math.js';
+import { inlineAssets, type AssetReport } from '../../../js/markdown/inline-assets.js';
 
 export class HTMLExporter {
   /**
-   * Export project to standalone HTML
+   * Export project to HTML that loads Reveal.js, themes and fonts from CDNs
    */
   static export(project: Project, options: ExportOptions = {}): Blob {
     const html = this.generateHTML(project, options);
@@ -14,22 +19,47 @@ export class HTMLExporter {
   }
 
   /**
-   * Generate standalone HTML
+   * Export project to one self-contained HTML file that works offline, with
+   * a report of what was inlined and what could not be
    */
-  private static generateHTML(project: Project, options: ExportOptions): string {
+  static async exportStandalone(
+    project: Project,
+    options: ExportOptions = {}
+  ): Promise<{ blob: Blob; report: AssetReport }> {
+    const { html, report } = await inlineAssets(this.generateHTML(project, options), {
+      baseUrl: document.baseURI,
+    });
+    return { blob: new Blob([html], { type: 'text/html' }), report };
+  }
+
+  /**
+   * Generate HTML
+   */
+  static generateHTML(project: Project, options: ExportOptions): string {
     const slides = project.slides || [];
     const globalOptions = project.globalOptions || {};
+    const chrome = renderSlideChrome(slides, globalOptions.chrome, {
+      title: project.name,
+      author: project.metadata?.author as string | undefined,
+    });
+
+    const renderSection = (slide: Slide) => {
+      const attrs = this.buildSlideAttributes(slide.options || globalOptions);
+      const notesHtml =
+        slide.notes && options.includeNotes !== false
+          ? `<aside class="notes">${renderNotes(slide.notes)}</aside>`
+          : '';
 
+      return `<section ${attrs}>${slide.content}${chrome.get(slide) ?? ''}${notesHtml}</section>`;
+    };
+
+    // Vertical slides are nested in a section wrapping the whole stack
     const slidesHtml = slides
-      .map((slide) => {
-        const attrs = this.buildSlideAttributes(slide.options || globalOptions);
-        const notesHtml =
-          slide.notes && options.includeNotes !== false
-            ? `<aside class="notes">${this.escapeHtml(slide.notes)}</aside>`
-            : '';
-
-        return `<section ${attrs}>${slide.content}${notesHtml}</section>`;
-      })
+      .map((slide) =>
+        slide.verticalSlides?.length
+          ? `<section>${[slide, ...slide.verticalSlides].map(renderSection).join('\n')}</section>`
+          : renderSection(slide)
+      )
       .join('\n      ');
 
     const theme = globalOptions.theme || 'black';
@@ -50,11 +80,11 @@ export class HTMLExporter {
   <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/reveal.js/4.5.0/reveal.min.css">
   <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/reveal.js/4.5.0/theme/${theme}.min.css">
 
-  <!-- Syntax Highlighting -->
-  <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/prism/1.29.0/themes/prism-tomorrow.min.css">
+  <!-- Syntax Highlighting (code is highlighted at export time) -->
+  <link rel="stylesheet" href="${PRISM_STYLESHEET}">
 
-  <!-- Math Support -->
-  <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/katex.min.css">
+  <!-- Math Support (formulas are rendered at export time) -->
+  <link rel="stylesheet" href="${KATEX_STYLESHEET}">
 
   <style>
     .reveal { font-size: ${fontSize}px; }
@@ -90,11 +120,6 @@ export class HTMLExporter {
 
   <!-- Scripts -->
   <script src="https://cdnjs.cloudflare.com/ajax/libs/reveal.js/4.5.0/reveal.min.js"></script>
-  <script src="https://cdnjs.cloudflare.com/ajax/libs/prism/1.29.0/prism.min.js"></script>
-  <script src="https://cdnjs.cloudflare.com/ajax/libs/prism/1.29.0/components/prism-javascript.min.js"></script>
-  <script src="https://cdnjs.cloudflare.com/ajax/libs/prism/1.29.0/components/prism-typescript.min.js"></script>
-  <script src="https://cdnjs.cloudflare.com/ajax/libs/prism/1.29.0/components/prism-python.min.js"></script>
-  <script src="https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/katex.min.js"></script>
 
   <script>
     // Initialize Reveal.js
@@ -116,25 +141,9 @@ export class HTMLExporter {
       help: true,
       showNotes: ${options.includeNotes !== false},
       autoPlayMedia: null,
-      preloadIframes: null,
-    });
-
-    // Syntax highlighting
-    document.querySelectorAll('pre code').forEach((block) => {
-      if (typeof Prism !== 'undefined') {
-        Prism.highlightElement(block);
-      }
-    });
-
-    // Math rendering
-    document.querySelectorAll('.math-block, .math-inline').forEach((el) => {
-      const math = el.getAttribute('data-math');
-      if (math && typeof katex !== 'undefined') {
-        katex.render(math, el, {
-          displayMode: el.classList.contains('math-block'),
-          throwOnError: false,
-        });
-      }
+      preloadIframes: null,${Object.entries(parallaxConfig(globalOptions))
+        .map(([key, value]) => `\n      ${key}: ${JSON.stringify(value).replace(/<\//g, '<\\/')},`)
+        .join('')}
     });
   </script>
 
@@ -154,13 +163,9 @@ export class HTMLExporter {
   private static buildSlideAttributes(options: any): string {
     const attrs: string[] = [];
 
-    if (options.backgroundColor) {
-      attrs.push(`data-background-color="${this.escapeHtml(options.backgroundColor)}"`);
-    }
-
-    if (options.backgroundImage) {
-      attrs.push(`data-background-image="${this.escapeHtml(options.backgroundImage)}"`);
-    }
+    Object.entries(backgroundAttributes(options)).forEach(([name, value]) => {
+      attrs.push(value === '' ? name : `${name}="${this.escapeHtml(value)}"`);
+    });
 
     if (options.transition) {
       attrs.push(`data-transition="${this.escapeHtml(options.transition)}"`);
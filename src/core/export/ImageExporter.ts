@@ -0,0 +1,44 @@
+/**
+ * Image Exporter
+ * Draws each slide, or each fragment step, to a PNG with html2canvas and
+ * packs the images into a ZIP with an index. `md2reveal images` takes the
+ * screenshots in headless Chromium instead.
+ */
+
+import type { Project, ExportOptions } from '@/types';
+import { flattenSlides } from '@/utils/markdown';
+import { KATEX_STYLESHEET } from '../../../js/markdown/math.js';
+import { PRISM_STYLESHEET } from '../../../js/markdown/code-blocks.js';
+import { renderSlideImages, createImageArchive } from '../../../js/markdown/thumbnails.js';
+
+export class ImageExporter {
+  /**
+   * Export project to a ZIP of PNG images
+   */
+  static async export(project: Project, options: ExportOptions = {}): Promise<Blob> {
+    const slides = flattenSlides(project.slides || []);
+    const globalOptions = project.globalOptions || {};
+    const content = slides.map((slide) => slide.content).join('\n');
+    const size = options.imageSize || '1280x720';
+
+    const images = await renderSlideImages(
+      slides.map((slide) => ({
+        html: slide.content,
+        backgroundColor: slide.options?.backgroundColor || globalOptions.backgroundColor,
+      })),
+      {
+        size,
+        fragments: options.fragments,
+        textAlign: globalOptions.textAlign,
+        fontSize: globalOptions.fontSize,
+        stylesheets: [
+          ...(content.includes('class="katex') ? [KATEX_STYLESHEET] : []),
+          ...(content.includes('class="token ') ? [PRISM_STYLESHEET] : []),
+        ],
+      }
+    );
+
+    const zip = await createImageArchive(images, { title: project.name, size });
+    return new Blob([zip], { type: 'application/zip' });
+  }
+}
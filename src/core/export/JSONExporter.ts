@@ -2,22 +2,38 @@
  * JSON Exporter
  */
 
-import type { Project, ExportOptions } from '@/types';
+import type { Project, ExportOptions, Slide } from '@/types';
 
 export class JSONExporter {
   /**
    * Export project to JSON
    */
   static export(project: Project, options: ExportOptions = {}): Blob {
+    return new Blob([this.stringify(project, options)], { type: 'application/json' });
+  }
+
+  /**
+   * Project file text, indented unless `minify` is set
+   */
+  static stringify(project: Project, options: ExportOptions = {}): string {
     const json = this.generateJSON(project, options);
-    const formatted = options.minify ? json : JSON.stringify(JSON.parse(json), null, 2);
-    return new Blob([formatted], { type: 'application/json' });
+    return options.minify ? json : JSON.stringify(JSON.parse(json), null, 2);
   }
 
   /**
    * Generate JSON
    */
   private static generateJSON(project: Project, options: ExportOptions): string {
+    // Vertical slides carry notes too, so they go through the same mapping
+    const exportSlide = (slide: Slide): Partial<Slide> => ({
+      id: slide.id,
+      content: slide.content,
+      notes: options.includeNotes !== false ? slide.notes : undefined,
+      options: slide.options,
+      order: slide.order,
+      verticalSlides: slide.verticalSlides?.map(exportSlide) as Slide[] | undefined,
+    });
+
     const exportData = {
       version: '2.0.0',
       generator: 'PresentFlow Pro',
@@ -33,14 +49,8 @@ export class JSONExporter {
         engine: project.engine,
         metadata: project.metadata,
         globalOptions: project.globalOptions,
-        slides: project.slides.map((slide) => ({
-          id: slide.id,
-          content: slide.content,
-          notes: options.includeNotes !== false ? slide.notes : undefined,
-          options: slide.options,
-          order: slide.order,
-          verticalSlides: slide.verticalSlides,
-        })),
+        slides: project.slides.map(exportSlide),
+        source: project.source,
         nodes: project.nodes,
         connections: project.connections,
       },
@@ -0,0 +1,822 @@
+/**
+ * PPTX Exporter
+ * Writes a deck as an Office Open XML presentation that opens in PowerPoint
+ * and LibreOffice Impress. Every slide, vertical slides included, becomes a
+ * PPTX slide: its first heading the title, paragraphs and lists a text box,
+ * code a monospace text box and images pictures, with the speaker notes in
+ * the notes pane. Shapes are stacked top to bottom, so the file stays
+ * editable rather than being a picture of the Reveal.js slide.
+ */
+
+import JSZip from 'jszip';
+import type { Project, ExportOptions, Slide } from '@/types';
+import { flattenSlides, renderNotes } from '@/utils/markdown';
+import { getContrastColor } from '@/utils/helpers';
+import { isValidHexColor } from '@/utils/validation';
+
+interface TextRun {
+  text: string;
+  bold?: boolean;
+  italic?: boolean;
+  code?: boolean;
+  link?: string;
+}
+
+interface Paragraph {
+  runs: TextRun[];
+  bullet?: 'bullet' | 'number';
+  level?: number;
+  heading?: boolean;
+}
+
+type Block =
+  | { type: 'text'; paragraphs: Paragraph[] }
+  | { type: 'code'; text: string }
+  | { type: 'image'; src: string; alt: string; width?: number; height?: number };
+
+interface SlideModel {
+  title: string;
+  blocks: Block[];
+}
+
+interface Media {
+  path: string;
+  extension: string;
+  width: number;
+  height: number;
+}
+
+// Sizes are in EMU (English Metric Units): 914400 per inch, 12700 per point
+const SLIDE_WIDTH = 12192000;
+const SLIDE_HEIGHT = 6858000;
+const EMU_PER_PIXEL = 9525;
+const EMU_PER_POINT = 12700;
+const MARGIN = 838200;
+const TITLE_TOP = 365125;
+const TITLE_HEIGHT = 1325563;
+const CONTENT_TOP = 1825625;
+const BLOCK_GAP = 182880;
+const BODY_SIZE = 24;
+const CODE_SIZE = 16;
+const LIST_INDENT = 342900;
+
+const IMAGE_TYPES: Record<string, string> = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  bmp: 'image/bmp',
+};
+
+const NAMESPACES =
+  'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" ' +
+  'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" ' +
+  'xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main"';
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const RELATIONSHIP = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument';
+
+export class PPTXExporter {
+  /**
+   * Export project to PPTX
+   */
+  static async export(project: Project, options: ExportOptions = {}): Promise<Blob> {
+    const zip = await this.createPackage(project, options);
+    return zip.generateAsync({
+      type: 'blob',
+      mimeType: `${CONTENT_TYPE}.presentationml.presentation`,
+      compression: 'DEFLATE',
+    });
+  }
+
+  /**
+   * Build the package: one XML part per slide, notes slide and master, plus
+   * the images the slides embed
+   */
+  static async createPackage(project: Project, options: ExportOptions = {}): Promise<JSZip> {
+    const zip = new JSZip();
+    const slides = flattenSlides(project.slides || []);
+    const media = new Map<string, Media | null>();
+    const extensions = new Set<string>();
+    let notesCount = 0;
+
+    for (const [index, slide] of slides.entries()) {
+      const number = index + 1;
+      const model = this.readSlide(slide.content);
+      const notes = options.includeNotes !== false && slide.notes ? this.readNotes(slide.notes) : [];
+      const relationships = [
+        `<Relationship Id="rId1" Type="${RELATIONSHIP}/slideLayout" Target="../slideLayouts/slideLayout1.xml"/>`,
+      ];
+
+      if (notes.length > 0) {
+        notesCount++;
+        relationships.push(
+          `<Relationship Id="rId2" Type="${RELATIONSHIP}/notesSlide" Target="../notesSlides/notesSlide${number}.xml"/>`
+        );
+        zip.file(`ppt/notesSlides/notesSlide${number}.xml`, this.notesSlideXml(notes));
+        zip.file(
+          `ppt/notesSlides/_rels/notesSlide${number}.xml.rels`,
+          this.relationshipsXml([
+            `<Relationship Id="rId1" Type="${RELATIONSHIP}/notesMaster" Target="../notesMasters/notesMaster1.xml"/>`,
+            `<Relationship Id="rId2" Type="${RELATIONSHIP}/slide" Target="../slides/slide${number}.xml"/>`,
+          ])
+        );
+      }
+
+      // Relationships for images and links are added while writing shapes
+      const addRelationship = (type: string, target: string, external = false): string => {
+        const id = `rId${relationships.length + 1}`;
+        relationships.push(
+          `<Relationship Id="${id}" Type="${RELATIONSHIP}/${type}" Target="${this.escapeXml(target)}"${
+            external ? ' TargetMode="External"' : ''
+          }/>`
+        );
+        return id;
+      };
+
+      for (const block of model.blocks) {
+        if (block.type !== 'image' || media.has(block.src)) continue;
+        const image = await this.loadImage(block.src, media.size + 1);
+        media.set(block.src, image?.media || null);
+        if (image) {
+          zip.file(image.media.path, image.data);
+          extensions.add(image.media.extension);
+        }
+      }
+
+      const background = this.slideBackground(slide, project);
+      zip.file(`ppt/slides/slide${number}.xml`, this.slideXml(model, background, media, addRelationship));
+      zip.file(`ppt/slides/_rels/slide${number}.xml.rels`, this.relationshipsXml(relationships));
+    }
+
+    zip.file('[Content_Types].xml', this.contentTypesXml(slides.length, [...extensions], zip));
+    zip.file(
+      '_rels/.rels',
+      this.relationshipsXml([
+        `<Relationship Id="rId1" Type="${RELATIONSHIP}/officeDocument" Target="ppt/presentation.xml"/>`,
+        '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>',
+        `<Relationship Id="rId3" Type="${RELATIONSHIP}/extended-properties" Target="docProps/app.xml"/>`,
+      ])
+    );
+    zip.file('docProps/core.xml', this.corePropertiesXml(project));
+    zip.file('docProps/app.xml', this.appPropertiesXml(slides.length, notesCount));
+    zip.file('ppt/presentation.xml', this.presentationXml(slides.length));
+    zip.file(
+      'ppt/_rels/presentation.xml.rels',
+      this.relationshipsXml([
+        `<Relationship Id="rId1" Type="${RELATIONSHIP}/slideMaster" Target="slideMasters/slideMaster1.xml"/>`,
+        `<Relationship Id="rId2" Type="${RELATIONSHIP}/notesMaster" Target="notesMasters/notesMaster1.xml"/>`,
+        `<Relationship Id="rId3" Type="${RELATIONSHIP}/theme" Target="theme/theme1.xml"/>`,
+        `<Relationship Id="rId4" Type="${RELATIONSHIP}/presProps" Target="presProps.xml"/>`,
+        `<Relationship Id="rId5" Type="${RELATIONSHIP}/viewProps" Target="viewProps.xml"/>`,
+        `<Relationship Id="rId6" Type="${RELATIONSHIP}/tableStyles" Target="tableStyles.xml"/>`,
+        ...slides.map(
+          (_, index) =>
+            `<Relationship Id="rId${index + 7}" Type="${RELATIONSHIP}/slide" Target="slides/slide${index + 1}.xml"/>`
+        ),
+      ])
+    );
+    zip.file('ppt/presProps.xml', `${XML_HEADER}<p:presentationPr ${NAMESPACES}/>`);
+    zip.file(
+      'ppt/viewProps.xml',
+      `${XML_HEADER}<p:viewPr ${NAMESPACES}><p:normalViewPr><p:restoredLeft sz="15620"/><p:restoredTop sz="94660"/></p:normalViewPr>` +
+        '<p:gridSpacing cx="76200" cy="76200"/></p:viewPr>'
+    );
+    zip.file(
+      'ppt/tableStyles.xml',
+      `${XML_HEADER}<a:tblStyleLst xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" def="{5C22544A-7EE6-4342-B048-85BDC9FD1C3A}"/>`
+    );
+    zip.file('ppt/slideMasters/slideMaster1.xml', this.slideMasterXml());
+    zip.file(
+      'ppt/slideMasters/_rels/slideMaster1.xml.rels',
+      this.relationshipsXml([
+        `<Relationship Id="rId1" Type="${RELATIONSHIP}/slideLayout" Target="../slideLayouts/slideLayout1.xml"/>`,
+        `<Relationship Id="rId2" Type="${RELATIONSHIP}/theme" Target="../theme/theme1.xml"/>`,
+      ])
+    );
+    zip.file('ppt/slideLayouts/slideLayout1.xml', this.slideLayoutXml());
+    zip.file(
+      'ppt/slideLayouts/_rels/slideLayout1.xml.rels',
+      this.relationshipsXml([
+        `<Relationship Id="rId1" Type="${RELATIONSHIP}/slideMaster" Target="../slideMasters/slideMaster1.xml"/>`,
+      ])
+    );
+    zip.file('ppt/notesMasters/notesMaster1.xml', this.notesMasterXml());
+    zip.file(
+      'ppt/notesMasters/_rels/notesMaster1.xml.rels',
+      this.relationshipsXml([
+        `<Relationship Id="rId1" Type="${RELATIONSHIP}/theme" Target="../theme/theme2.xml"/>`,
+      ])
+    );
+    // The notes master needs a theme of its own
+    zip.file('ppt/theme/theme1.xml', this.themeXml());
+    zip.file('ppt/theme/theme2.xml', this.themeXml());
+
+    return zip;
+  }
+
+  /**
+   * Read rendered slide HTML into a title and blocks of text, code and
+   * images. The first heading is the title; later headings become bold
+   * paragraphs.
+   */
+  private static readSlide(html: string): SlideModel {
+    const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+    const model: SlideModel = { title: '', blocks: [] };
+    this.readBlocks(doc.body, model);
+    return model;
+  }
+
+  private static readBlocks(parent: Element, model: SlideModel): void {
+    const addParagraph = (paragraph: Paragraph) => {
+      const runs = this.trimRuns(paragraph.runs);
+      if (runs.length === 0) return;
+
+      const last = model.blocks[model.blocks.length - 1];
+      if (last?.type === 'text') {
+        last.paragraphs.push({ ...paragraph, runs });
+      } else {
+        model.blocks.push({ type: 'text', paragraphs: [{ ...paragraph, runs }] });
+      }
+    };
+
+    parent.childNodes.forEach((node) => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        addParagraph({ runs: [{ text: node.textContent || '' }] });
+        return;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+      const element = node as Element;
+      const tag = element.tagName.toLowerCase();
+
+      if (['aside', 'script', 'style', 'svg', 'hr', 'template'].includes(tag)) return;
+      if (element.classList.contains('slide-chrome')) return;
+
+      if (/^h[1-6]$/.test(tag)) {
+        const text = this.trimRuns(this.readRuns(element)).map((run) => run.text).join('');
+        if (!model.title) {
+          model.title = text;
+        } else {
+          addParagraph({ runs: this.readRuns(element, { text: '', bold: true }), heading: true });
+        }
+      } else if (tag === 'ul' || tag === 'ol') {
+        this.readList(element, 0).forEach(addParagraph);
+      } else if (tag === 'pre') {
+        model.blocks.push({ type: 'code', text: (element.textContent || '').replace(/\n$/, '') });
+      } else if (tag === 'img') {
+        model.blocks.push(this.readImage(element));
+      } else if (tag === 'p' || tag === 'figcaption') {
+        element.querySelectorAll('img').forEach((image) => model.blocks.push(this.readImage(image)));
+        addParagraph({ runs: this.readRuns(element) });
+      } else if (tag === 'table') {
+        element.querySelectorAll('tr').forEach((row) => {
+          const cells = [...row.children].map((cell) => (cell.textContent || '').trim());
+          addParagraph({ runs: [{ text: cells.join('  |  '), bold: row.parentElement?.tagName === 'THEAD' }] });
+        });
+      } else {
+        // Containers such as fenced divs, figures and blockquotes
+        this.readBlocks(element, model);
+      }
+    });
+  }
+
+  private static readList(list: Element, level: number): Paragraph[] {
+    const bullet = list.tagName.toLowerCase() === 'ol' ? 'number' : 'bullet';
+
+    return [...list.children]
+      .filter((item) => item.tagName.toLowerCase() === 'li')
+      .flatMap((item) => {
+        const checkbox = item.querySelector(':scope > input[type="checkbox"], :scope > p > input[type="checkbox"]');
+        const runs = this.readRuns(item);
+        if (checkbox) runs.unshift({ text: (checkbox as HTMLInputElement).checked ? '☑ ' : '☐ ' });
+
+        const nested = [...item.children]
+          .filter((child) => ['ul', 'ol'].includes(child.tagName.toLowerCase()))
+          .flatMap((child) => this.readList(child, Math.min(level + 1, 8)));
+        return [{ runs, bullet, level } as Paragraph, ...nested];
+      });
+  }
+
+  /**
+   * Collect the text of an element as formatted runs. Nested lists and
+   * images are left to the block reader; KaTeX formulas keep their TeX.
+   */
+  private static readRuns(element: Element, format: TextRun = { text: '' }): TextRun[] {
+    const runs: TextRun[] = [];
+
+    element.childNodes.forEach((node) => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        runs.push({ ...format, text: (node.textContent || '').replace(/\s+/g, ' ') });
+        return;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+      const child = node as Element;
+      const tag = child.tagName.toLowerCase();
+      if (['ul', 'ol', 'img', 'input', 'svg', 'script', 'style'].includes(tag)) return;
+
+      if (child.classList.contains('katex')) {
+        const tex = child.querySelector('annotation[encoding="application/x-tex"]')?.textContent;
+        runs.push({ ...format, text: tex ?? child.textContent ?? '' });
+      } else if (tag === 'br') {
+        runs.push({ ...format, text: '\n' });
+      } else {
+        runs.push(
+          ...this.readRuns(child, {
+            ...format,
+            bold: format.bold || tag === 'strong' || tag === 'b',
+            italic: format.italic || tag === 'em' || tag === 'i',
+            code: format.code || tag === 'code',
+            link: tag === 'a' ? child.getAttribute('href') || format.link : format.link,
+          })
+        );
+      }
+    });
+
+    return runs;
+  }
+
+  private static readImage(image: Element): Block {
+    const size = (name: string) => {
+      const value = Number.parseFloat(image.getAttribute(name) || '');
+      return Number.isFinite(value) && !/%$/.test(image.getAttribute(name) || '') ? value : undefined;
+    };
+    return {
+      type: 'image',
+      src: image.getAttribute('src') || '',
+      alt: image.getAttribute('alt') || '',
+      width: size('width'),
+      height: size('height'),
+    };
+  }
+
+  /**
+   * Speaker notes are Markdown; they are rendered and read like a slide,
+   * without a title
+   */
+  private static readNotes(notes: string): Paragraph[] {
+    // A placeholder title keeps headings in notes as bold paragraphs
+    const model: SlideModel = { title: ' ', blocks: [] };
+    const doc = new DOMParser().parseFromString(`<body>${renderNotes(notes)}</body>`, 'text/html');
+    this.readBlocks(doc.body, model);
+
+    return model.blocks.flatMap((block) => {
+      if (block.type === 'text') return block.paragraphs;
+      if (block.type === 'code') return block.text.split('\n').map((line) => ({ runs: [{ text: line, code: true }] }));
+      return block.alt ? [{ runs: [{ text: `[${block.alt}]` }] }] : [];
+    });
+  }
+
+  // Drop leading and trailing whitespace of a paragraph and empty runs
+  private static trimRuns(runs: TextRun[]): TextRun[] {
+    const trimmed = runs.map((run) => ({ ...run }));
+    if (trimmed.length > 0) {
+      trimmed[0].text = trimmed[0].text.replace(/^\s+/, '');
+      const last = trimmed[trimmed.length - 1];
+      last.text = last.text.replace(/\s+$/, '');
+    }
+    return trimmed.filter((run) => run.text !== '');
+  }
+
+  /**
+   * Fetch an image for embedding: data URLs are decoded, other URLs are
+   * fetched. Resolves to null for images that cannot be read or that
+   * PowerPoint cannot show, which are then linked instead.
+   */
+  private static async loadImage(
+    src: string,
+    index: number
+  ): Promise<{ media: Media; data: Uint8Array } | null> {
+    let data: Uint8Array;
+    try {
+      if (src.startsWith('data:')) {
+        const [header, payload = ''] = src.split(',', 2);
+        data = header.endsWith(';base64')
+          ? Uint8Array.from(atob(payload), (char) => char.charCodeAt(0))
+          : new TextEncoder().encode(decodeURIComponent(payload));
+      } else {
+        const response = await fetch(src);
+        if (!response.ok) return null;
+        data = new Uint8Array(await response.arrayBuffer());
+      }
+    } catch {
+      return null;
+    }
+
+    const info = this.imageInfo(data);
+    if (!info) return null;
+
+    return {
+      media: { path: `ppt/media/image${index}.${info.extension}`, ...info },
+      data,
+    };
+  }
+
+  /**
+   * Read the format and pixel size from an image's header
+   */
+  private static imageInfo(data: Uint8Array): { extension: string; width: number; height: number } | null {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const fallback = { width: 640, height: 480 };
+
+    if (data.length > 24 && view.getUint32(0) === 0x89504e47) {
+      return { extension: 'png', width: view.getUint32(16), height: view.getUint32(20) };
+    }
+    if (data.length > 10 && String.fromCharCode(...data.subarray(0, 3)) === 'GIF') {
+      return { extension: 'gif', width: view.getUint16(6, true), height: view.getUint16(8, true) };
+    }
+    if (data.length > 26 && data[0] === 0x42 && data[1] === 0x4d) {
+      return { extension: 'bmp', width: view.getInt32(18, true), height: Math.abs(view.getInt32(22, true)) };
+    }
+    if (data.length > 4 && data[0] === 0xff && data[1] === 0xd8) {
+      // Walk the JPEG segments to the frame header holding the size
+      for (let offset = 2; offset + 9 < data.length; ) {
+        if (data[offset] !== 0xff) break;
+        const marker = data[offset + 1];
+        const length = view.getUint16(offset + 2);
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+          return { extension: 'jpeg', height: view.getUint16(offset + 5), width: view.getUint16(offset + 7) };
+        }
+        offset += 2 + length;
+      }
+      return { extension: 'jpeg', ...fallback };
+    }
+    return null;
+  }
+
+  private static slideBackground(slide: Slide, project: Project): string | null {
+    const color = slide.options?.backgroundColor || project.globalOptions?.backgroundColor;
+    return color && isValidHexColor(color) ? this.hexColor(color) : null;
+  }
+
+  /**
+   * Write a slide. The text color follows the background so it stays
+   * readable; slides without a background color use the master's white.
+   */
+  private static slideXml(
+    model: SlideModel,
+    background: string | null,
+    media: Map<string, Media | null>,
+    addRelationship: (type: string, target: string, external?: boolean) => string
+  ): string {
+    const textColor = background ? this.hexColor(getContrastColor(`#${background}`)) : '000000';
+    const isDark = textColor === 'FFFFFF';
+    const width = SLIDE_WIDTH - 2 * MARGIN;
+    const shapes: string[] = [];
+    let id = 2;
+    let top = model.title ? CONTENT_TOP : TITLE_TOP;
+
+    if (model.title) {
+      shapes.push(
+        `<p:sp><p:nvSpPr><p:cNvPr id="${id++}" name="Title"/><p:cNvSpPr><a:spLocks noGrp="1"/></p:cNvSpPr><p:nvPr><p:ph type="title"/></p:nvPr></p:nvSpPr>` +
+          `<p:spPr>${this.transformXml(MARGIN, TITLE_TOP, width, TITLE_HEIGHT)}</p:spPr>` +
+          `<p:txBody><a:bodyPr><a:normAutofit/></a:bodyPr><a:lstStyle/><a:p>${this.runXml(
+            { text: model.title },
+            { size: 40, color: textColor },
+            addRelationship
+          )}</a:p></p:txBody></p:sp>`
+      );
+    }
+
+    model.blocks.forEach((block) => {
+      const remaining = Math.max(SLIDE_HEIGHT - MARGIN / 2 - top, EMU_PER_POINT * 36);
+
+      if (block.type === 'image') {
+        const image = media.get(block.src);
+        // Inline images PowerPoint cannot show have no URL to link to
+        if (!image && (!block.src || block.src.startsWith('data:'))) return;
+
+        const naturalWidth = (block.width || image?.width || 640) * EMU_PER_PIXEL;
+        const naturalHeight =
+          (block.height || (image && block.width ? (block.width * image.height) / image.width : image?.height) || 480) *
+          EMU_PER_PIXEL;
+        const scale = Math.min(1, width / naturalWidth, remaining / naturalHeight);
+        const [cx, cy] = [Math.round(naturalWidth * scale), Math.round(naturalHeight * scale)];
+        const blip = image
+          ? `<a:blip r:embed="${addRelationship('image', `../media/${image.path.split('/').pop()}`)}"/>`
+          : `<a:blip r:link="${addRelationship('image', block.src, true)}"/>`;
+
+        shapes.push(
+          `<p:pic><p:nvPicPr><p:cNvPr id="${id}" name="Picture ${id}" descr="${this.escapeXml(block.alt)}"/>` +
+            '<p:cNvPicPr><a:picLocks noChangeAspect="1"/></p:cNvPicPr><p:nvPr/></p:nvPicPr>' +
+            `<p:blipFill>${blip}<a:stretch><a:fillRect/></a:stretch></p:blipFill>` +
+            `<p:spPr>${this.transformXml(MARGIN + Math.round((width - cx) / 2), top, cx, cy)}` +
+            '<a:prstGeom prst="rect"><a:avLst/></a:prstGeom></p:spPr></p:pic>'
+        );
+        id++;
+        top += cy + BLOCK_GAP;
+        return;
+      }
+
+      const isCode = block.type === 'code';
+      const size = isCode ? CODE_SIZE : BODY_SIZE;
+      const paragraphs: Paragraph[] = isCode
+        ? block.text.split('\n').map((line) => ({ runs: [{ text: line, code: true }] }))
+        : block.paragraphs;
+      const height = Math.min(this.estimateHeight(paragraphs, size, width), remaining);
+      const fill = isCode
+        ? `<a:solidFill><a:srgbClr val="${isDark ? '1E1E1E' : 'F5F5F5'}"/></a:solidFill>`
+        : '<a:noFill/>';
+      const codeColor = isDark ? 'F8F8F2' : '1E1E1E';
+      const body = paragraphs
+        .map((paragraph) =>
+          this.paragraphXml(paragraph, { size, color: isCode ? codeColor : textColor }, addRelationship)
+        )
+        .join('');
+
+      shapes.push(
+        `<p:sp><p:nvSpPr><p:cNvPr id="${id}" name="${isCode ? 'Code' : 'Text'} ${id}"/><p:cNvSpPr txBox="1"/><p:nvPr/></p:nvSpPr>` +
+          `<p:spPr>${this.transformXml(MARGIN, top, width, height)}<a:prstGeom prst="rect"><a:avLst/></a:prstGeom>${fill}</p:spPr>` +
+          `<p:txBody><a:bodyPr wrap="square" rtlCol="0"><a:normAutofit/></a:bodyPr><a:lstStyle/>${body}</p:txBody></p:sp>`
+      );
+      id++;
+      top += height + BLOCK_GAP;
+    });
+
+    const backgroundXml = background
+      ? `<p:bg><p:bgPr><a:solidFill><a:srgbClr val="${background}"/></a:solidFill><a:effectLst/></p:bgPr></p:bg>`
+      : '';
+
+    return (
+      `${XML_HEADER}<p:sld ${NAMESPACES}><p:cSld>${backgroundXml}<p:spTree>${this.groupPropertiesXml()}${shapes.join(
+        ''
+      )}</p:spTree></p:cSld><p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:sld>`
+    );
+  }
+
+  private static paragraphXml(
+    paragraph: Paragraph,
+    style: { size: number; color: string },
+    addRelationship: (type: string, target: string, external?: boolean) => string
+  ): string {
+    const level = paragraph.level || 0;
+    const size = paragraph.heading ? style.size + 4 : style.size;
+    let properties = '<a:pPr marL="0" indent="0"><a:buNone/></a:pPr>';
+
+    if (paragraph.bullet) {
+      const marker =
+        paragraph.bullet === 'number'
+          ? '<a:buAutoNum type="arabicPeriod"/>'
+          : '<a:buFont typeface="Arial"/><a:buChar char="•"/>';
+      properties = `<a:pPr marL="${LIST_INDENT * (level + 1)}" lvl="${level}" indent="-${LIST_INDENT}">${marker}</a:pPr>`;
+    }
+
+    const runs = paragraph.runs
+      .map((run) => this.runXml(run, { ...style, size }, addRelationship))
+      .join('');
+    return `<a:p>${properties}${runs}<a:endParaRPr lang="en-US" sz="${size * 100}" dirty="0"/></a:p>`;
+  }
+
+  private static runXml(
+    run: TextRun,
+    style: { size: number; color: string },
+    addRelationship: (type: string, target: string, external?: boolean) => string
+  ): string {
+    return run.text
+      .split('\n')
+      .map((text) => {
+        if (!text) return '';
+
+        const attributes = [
+          'lang="en-US"',
+          `sz="${style.size * 100}"`,
+          run.bold ? 'b="1"' : '',
+          run.italic ? 'i="1"' : '',
+          run.link ? 'u="sng"' : '',
+          'dirty="0"',
+        ].filter(Boolean);
+        const font = run.code ? '<a:latin typeface="Courier New"/><a:cs typeface="Courier New"/>' : '';
+        const link =
+          run.link && /^(https?:|mailto:)/i.test(run.link)
+            ? `<a:hlinkClick r:id="${addRelationship('hyperlink', run.link, true)}"/>`
+            : '';
+
+        return (
+          `<a:r><a:rPr ${attributes.join(' ')}><a:solidFill><a:srgbClr val="${style.color}"/></a:solidFill>${font}${link}</a:rPr>` +
+          `<a:t>${this.escapeXml(text)}</a:t></a:r>`
+        );
+      })
+      .join('<a:br/>');
+  }
+
+  // Lines of text a box needs, at half the font size per character
+  private static estimateHeight(paragraphs: Paragraph[], size: number, width: number): number {
+    const lineHeight = size * 1.2 * EMU_PER_POINT;
+    const lines = paragraphs.reduce((count, paragraph) => {
+      const indent = paragraph.bullet ? LIST_INDENT * ((paragraph.level || 0) + 1) : 0;
+      const perLine = Math.max(1, Math.floor((width - indent) / (size * 0.5 * EMU_PER_POINT)));
+      const text = paragraph.runs.map((run) => run.text).join('');
+      return count + text.split('\n').reduce((sum, line) => sum + Math.max(1, Math.ceil(line.length / perLine)), 0);
+    }, 0);
+
+    return Math.round(lines * lineHeight + EMU_PER_POINT * 14);
+  }
+
+  private static notesSlideXml(notes: Paragraph[]): string {
+    const body = notes
+      .map((paragraph) => this.paragraphXml(paragraph, { size: 12, color: '000000' }, () => ''))
+      .join('')
+      // Links in notes are kept as text
+      .replace(/<a:hlinkClick r:id=""\/>/g, '');
+
+    return (
+      `${XML_HEADER}<p:notes ${NAMESPACES}><p:cSld><p:spTree>${this.groupPropertiesXml()}` +
+      '<p:sp><p:nvSpPr><p:cNvPr id="2" name="Slide Image Placeholder 1"/><p:cNvSpPr><a:spLocks noGrp="1" noRot="1" noChangeAspect="1"/></p:cNvSpPr>' +
+      '<p:nvPr><p:ph type="sldImg"/></p:nvPr></p:nvSpPr><p:spPr/></p:sp>' +
+      '<p:sp><p:nvSpPr><p:cNvPr id="3" name="Notes Placeholder 2"/><p:cNvSpPr><a:spLocks noGrp="1"/></p:cNvSpPr>' +
+      '<p:nvPr><p:ph type="body" idx="1"/></p:nvPr></p:nvSpPr><p:spPr/>' +
+      `<p:txBody><a:bodyPr/><a:lstStyle/>${body}</p:txBody></p:sp>` +
+      '</p:spTree></p:cSld><p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:notes>'
+    );
+  }
+
+  private static presentationXml(slideCount: number): string {
+    const slideIds = Array.from(
+      { length: slideCount },
+      (_, index) => `<p:sldId id="${256 + index}" r:id="rId${index + 7}"/>`
+    ).join('');
+
+    return (
+      `${XML_HEADER}<p:presentation ${NAMESPACES} saveSubsetFonts="1">` +
+      '<p:sldMasterIdLst><p:sldMasterId id="2147483648" r:id="rId1"/></p:sldMasterIdLst>' +
+      '<p:notesMasterIdLst><p:notesMasterId r:id="rId2"/></p:notesMasterIdLst>' +
+      (slideIds ? `<p:sldIdLst>${slideIds}</p:sldIdLst>` : '') +
+      `<p:sldSz cx="${SLIDE_WIDTH}" cy="${SLIDE_HEIGHT}"/><p:notesSz cx="6858000" cy="9144000"/>` +
+      '</p:presentation>'
+    );
+  }
+
+  private static slideMasterXml(): string {
+    const textStyle = (size: number, font: 'mj' | 'mn') =>
+      `<a:defRPr sz="${size}" kern="1200"><a:solidFill><a:schemeClr val="tx1"/></a:solidFill>` +
+      `<a:latin typeface="+${font}-lt"/><a:ea typeface="+${font}-ea"/><a:cs typeface="+${font}-cs"/></a:defRPr>`;
+
+    return (
+      `${XML_HEADER}<p:sldMaster ${NAMESPACES}><p:cSld><p:bg><p:bgRef idx="1001"><a:schemeClr val="bg1"/></p:bgRef></p:bg>` +
+      `<p:spTree>${this.groupPropertiesXml()}` +
+      '<p:sp><p:nvSpPr><p:cNvPr id="2" name="Title Placeholder 1"/><p:cNvSpPr><a:spLocks noGrp="1"/></p:cNvSpPr><p:nvPr><p:ph type="title"/></p:nvPr></p:nvSpPr>' +
+      `<p:spPr>${this.transformXml(MARGIN, TITLE_TOP, SLIDE_WIDTH - 2 * MARGIN, TITLE_HEIGHT)}<a:prstGeom prst="rect"><a:avLst/></a:prstGeom></p:spPr>` +
+      '<p:txBody><a:bodyPr anchor="ctr"><a:normAutofit/></a:bodyPr><a:lstStyle/><a:p><a:r><a:rPr lang="en-US"/><a:t>Click to edit Master title style</a:t></a:r></a:p></p:txBody></p:sp>' +
+      '</p:spTree></p:cSld>' +
+      '<p:clrMap bg1="lt1" tx1="dk1" bg2="lt2" tx2="dk2" accent1="accent1" accent2="accent2" accent3="accent3" accent4="accent4" accent5="accent5" accent6="accent6" hlink="hlink" folHlink="folHlink"/>' +
+      '<p:sldLayoutIdLst><p:sldLayoutId id="2147483649" r:id="rId1"/></p:sldLayoutIdLst>' +
+      `<p:txStyles><p:titleStyle><a:lvl1pPr algn="l">${textStyle(4000, 'mj')}</a:lvl1pPr></p:titleStyle>` +
+      `<p:bodyStyle><a:lvl1pPr marL="${LIST_INDENT}" indent="-${LIST_INDENT}"><a:buFont typeface="Arial"/><a:buChar char="•"/>${textStyle(2400, 'mn')}</a:lvl1pPr></p:bodyStyle>` +
+      `<p:otherStyle><a:lvl1pPr>${textStyle(1800, 'mn')}</a:lvl1pPr></p:otherStyle></p:txStyles>` +
+      '</p:sldMaster>'
+    );
+  }
+
+  private static slideLayoutXml(): string {
+    return (
+      `${XML_HEADER}<p:sldLayout ${NAMESPACES} type="titleOnly" preserve="1"><p:cSld name="Title Only"><p:spTree>${this.groupPropertiesXml()}` +
+      '<p:sp><p:nvSpPr><p:cNvPr id="2" name="Title 1"/><p:cNvSpPr><a:spLocks noGrp="1"/></p:cNvSpPr><p:nvPr><p:ph type="title"/></p:nvPr></p:nvSpPr>' +
+      '<p:spPr/><p:txBody><a:bodyPr/><a:lstStyle/><a:p><a:r><a:rPr lang="en-US"/><a:t>Click to edit Master title style</a:t></a:r></a:p></p:txBody></p:sp>' +
+      '</p:spTree></p:cSld><p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:sldLayout>'
+    );
+  }
+
+  private static notesMasterXml(): string {
+    return (
+      `${XML_HEADER}<p:notesMaster ${NAMESPACES}><p:cSld><p:bg><p:bgRef idx="1001"><a:schemeClr val="bg1"/></p:bgRef></p:bg>` +
+      `<p:spTree>${this.groupPropertiesXml()}` +
+      '<p:sp><p:nvSpPr><p:cNvPr id="2" name="Slide Image Placeholder 1"/><p:cNvSpPr><a:spLocks noGrp="1" noRot="1" noChangeAspect="1"/></p:cNvSpPr>' +
+      '<p:nvPr><p:ph type="sldImg" idx="2"/></p:nvPr></p:nvSpPr>' +
+      `<p:spPr>${this.transformXml(685800, 1143000, 5486400, 3086100)}<a:prstGeom prst="rect"><a:avLst/></a:prstGeom><a:noFill/>` +
+      '<a:ln w="12700"><a:solidFill><a:prstClr val="black"/></a:solidFill></a:ln></p:spPr></p:sp>' +
+      '<p:sp><p:nvSpPr><p:cNvPr id="3" name="Notes Placeholder 2"/><p:cNvSpPr><a:spLocks noGrp="1"/></p:cNvSpPr>' +
+      '<p:nvPr><p:ph type="body" sz="quarter" idx="1"/></p:nvPr></p:nvSpPr>' +
+      `<p:spPr>${this.transformXml(685800, 4400550, 5486400, 3600450)}<a:prstGeom prst="rect"><a:avLst/></a:prstGeom></p:spPr>` +
+      '<p:txBody><a:bodyPr/><a:lstStyle/><a:p><a:r><a:rPr lang="en-US"/><a:t>Click to edit Master text styles</a:t></a:r></a:p></p:txBody></p:sp>' +
+      '</p:spTree></p:cSld>' +
+      '<p:clrMap bg1="lt1" tx1="dk1" bg2="lt2" tx2="dk2" accent1="accent1" accent2="accent2" accent3="accent3" accent4="accent4" accent5="accent5" accent6="accent6" hlink="hlink" folHlink="folHlink"/>' +
+      '<p:notesStyle><a:lvl1pPr marL="0" algn="l"><a:defRPr sz="1200" kern="1200"><a:solidFill><a:schemeClr val="tx1"/></a:solidFill>' +
+      '<a:latin typeface="+mn-lt"/><a:ea typeface="+mn-ea"/><a:cs typeface="+mn-cs"/></a:defRPr></a:lvl1pPr></p:notesStyle>' +
+      '</p:notesMaster>'
+    );
+  }
+
+  private static themeXml(): string {
+    const colors: [string, string][] = [
+      ['dk1', '<a:sysClr val="windowText" lastClr="000000"/>'],
+      ['lt1', '<a:sysClr val="window" lastClr="FFFFFF"/>'],
+      ['dk2', '<a:srgbClr val="1F2937"/>'],
+      ['lt2', '<a:srgbClr val="E5E7EB"/>'],
+      ['accent1', '<a:srgbClr val="2563EB"/>'],
+      ['accent2', '<a:srgbClr val="7C3AED"/>'],
+      ['accent3', '<a:srgbClr val="059669"/>'],
+      ['accent4', '<a:srgbClr val="D97706"/>'],
+      ['accent5', '<a:srgbClr val="DC2626"/>'],
+      ['accent6', '<a:srgbClr val="0891B2"/>'],
+      ['hlink', '<a:srgbClr val="2563EB"/>'],
+      ['folHlink', '<a:srgbClr val="7C3AED"/>'],
+    ];
+    const font = (typeface: string) =>
+      `<a:latin typeface="${typeface}"/><a:ea typeface=""/><a:cs typeface=""/>`;
+    const solid = '<a:solidFill><a:schemeClr val="phClr"/></a:solidFill>';
+    const line = (width: number) =>
+      `<a:ln w="${width}" cap="flat" cmpd="sng" algn="ctr">${solid}<a:prstDash val="solid"/><a:miter lim="800000"/></a:ln>`;
+
+    return (
+      `${XML_HEADER}<a:theme xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" name="PresentFlow"><a:themeElements>` +
+      `<a:clrScheme name="PresentFlow">${colors.map(([name, color]) => `<a:${name}>${color}</a:${name}>`).join('')}</a:clrScheme>` +
+      `<a:fontScheme name="PresentFlow"><a:majorFont>${font('Calibri Light')}</a:majorFont><a:minorFont>${font('Calibri')}</a:minorFont></a:fontScheme>` +
+      '<a:fmtScheme name="PresentFlow">' +
+      `<a:fillStyleLst>${solid}${solid}${solid}</a:fillStyleLst>` +
+      `<a:lnStyleLst>${line(6350)}${line(12700)}${line(19050)}</a:lnStyleLst>` +
+      '<a:effectStyleLst><a:effectStyle><a:effectLst/></a:effectStyle><a:effectStyle><a:effectLst/></a:effectStyle><a:effectStyle><a:effectLst/></a:effectStyle></a:effectStyleLst>' +
+      `<a:bgFillStyleLst>${solid}${solid}${solid}</a:bgFillStyleLst>` +
+      '</a:fmtScheme></a:themeElements><a:objectDefaults/><a:extraClrSchemeLst/></a:theme>'
+    );
+  }
+
+  private static contentTypesXml(slideCount: number, extensions: string[], zip: JSZip): string {
+    const override = (part: string, type: string) => `<Override PartName="/${part}" ContentType="${type}"/>`;
+    const slideParts = Array.from({ length: slideCount }, (_, index) =>
+      override(`ppt/slides/slide${index + 1}.xml`, `${CONTENT_TYPE}.presentationml.slide+xml`)
+    );
+    const notesParts = Object.keys(zip.files)
+      .filter((name) => /^ppt\/notesSlides\/notesSlide\d+\.xml$/.test(name))
+      .map((name) => override(name, `${CONTENT_TYPE}.presentationml.notesSlide+xml`));
+
+    return (
+      `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      extensions.map((extension) => `<Default Extension="${extension}" ContentType="${IMAGE_TYPES[extension]}"/>`).join('') +
+      override('ppt/presentation.xml', `${CONTENT_TYPE}.presentationml.presentation.main+xml`) +
+      override('ppt/slideMasters/slideMaster1.xml', `${CONTENT_TYPE}.presentationml.slideMaster+xml`) +
+      override('ppt/slideLayouts/slideLayout1.xml', `${CONTENT_TYPE}.presentationml.slideLayout+xml`) +
+      override('ppt/notesMasters/notesMaster1.xml', `${CONTENT_TYPE}.presentationml.notesMaster+xml`) +
+      override('ppt/theme/theme1.xml', `${CONTENT_TYPE}.theme+xml`) +
+      override('ppt/theme/theme2.xml', `${CONTENT_TYPE}.theme+xml`) +
+      override('ppt/presProps.xml', `${CONTENT_TYPE}.presentationml.presProps+xml`) +
+      override('ppt/viewProps.xml', `${CONTENT_TYPE}.presentationml.viewProps+xml`) +
+      override('ppt/tableStyles.xml', `${CONTENT_TYPE}.presentationml.tableStyles+xml`) +
+      slideParts.join('') +
+      notesParts.join('') +
+      override('docProps/core.xml', 'application/vnd.openxmlformats-package.core-properties+xml') +
+      override('docProps/app.xml', `${CONTENT_TYPE}.extended-properties+xml`) +
+      '</Types>'
+    );
+  }
+
+  private static corePropertiesXml(project: Project): string {
+    const now = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+    return (
+      `${XML_HEADER}<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ` +
+      'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" ' +
+      'xmlns:dcmitype="http://purl.org/dc/dcmitype/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+      `<dc:title>${this.escapeXml(project.name || 'Presentation')}</dc:title>` +
+      (project.description ? `<dc:description>${this.escapeXml(project.description)}</dc:description>` : '') +
+      '<dc:creator>PresentFlow Pro</dc:creator>' +
+      `<dcterms:created xsi:type="dcterms:W3CDTF">${now}</dcterms:created>` +
+      `<dcterms:modified xsi:type="dcterms:W3CDTF">${now}</dcterms:modified>` +
+      '</cp:coreProperties>'
+    );
+  }
+
+  private static appPropertiesXml(slideCount: number, notesCount: number): string {
+    return (
+      `${XML_HEADER}<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/extended-properties" ` +
+      'xmlns:vt="http://schemas.openxmlformats.org/officeDocument/2006/docPropsVTypes">' +
+      `<Application>PresentFlow Pro</Application><Slides>${slideCount}</Slides><Notes>${notesCount}</Notes>` +
+      '</Properties>'
+    );
+  }
+
+  private static relationshipsXml(relationships: string[]): string {
+    return `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${relationships.join(
+      ''
+    )}</Relationships>`;
+  }
+
+  private static groupPropertiesXml(): string {
+    return (
+      '<p:nvGrpSpPr><p:cNvPr id="1" name=""/><p:cNvGrpSpPr/><p:nvPr/></p:nvGrpSpPr>' +
+      '<p:grpSpPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/><a:chOff x="0" y="0"/><a:chExt cx="0" cy="0"/></a:xfrm></p:grpSpPr>'
+    );
+  }
+
+  private static transformXml(x: number, y: number, cx: number, cy: number): string {
+    return `<a:xfrm><a:off x="${Math.round(x)}" y="${Math.round(y)}"/><a:ext cx="${Math.round(cx)}" cy="${Math.round(cy)}"/></a:xfrm>`;
+  }
+
+  private static hexColor(color: string): string {
+    const hex = color.replace('#', '').toUpperCase();
+    return hex.length === 3 ? hex.replace(/./g, '$&$&') : hex;
+  }
+
+  /**
+   * Escape text for XML, dropping the control characters XML cannot hold
+   */
+  private static escapeXml(text: string): string {
+    return String(text)
+      // eslint-disable-next-line no-control-regex
+      .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
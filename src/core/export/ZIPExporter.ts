@@ -0,0 +1,43 @@
+/**
+ * ZIP Exporter
+ * Writes a deck as a folder for decks too heavy for one self-contained
+ * page: index.html with its images and fonts in assets/ under
+ * content-hashed names, Reveal.js in vendor/, the Markdown source and the
+ * project file. Images embedded as data URLs become files too.
+ */
+
+import type { Project, ExportOptions } from '@/types';
+import { HTMLExporter } from './HTMLExporter';
+import { JSONExporter } from './JSONExporter';
+import { createBundle } from '../../../js/markdown/bundle.js';
+import type { AssetReport } from '../../../js/markdown/inline-assets.js';
+
+export class ZIPExporter {
+  /**
+   * Export project to a ZIP archive, with a report of the files it holds
+   * and what could not be fetched
+   */
+  static async export(
+    project: Project,
+    options: ExportOptions = {}
+  ): Promise<{ blob: Blob; report: AssetReport }> {
+    const { bytes, report } = await this.createArchive(project, options);
+    return { blob: new Blob([bytes], { type: 'application/zip' }), report };
+  }
+
+  /**
+   * Build the archive bytes
+   */
+  static async createArchive(
+    project: Project,
+    options: ExportOptions = {},
+    loadAsset?: (url: string) => Promise<{ bytes: Uint8Array; type?: string }>
+  ): Promise<{ bytes: Uint8Array<ArrayBuffer>; report: AssetReport }> {
+    return createBundle(HTMLExporter.generateHTML(project, options), {
+      markdown: project.source,
+      project: JSONExporter.stringify(project, options),
+      baseUrl: document.baseURI,
+      loadAsset,
+    });
+  }
+}
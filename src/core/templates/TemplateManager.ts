@@ -2,7 +2,8 @@
  * Template Manager
  */
 
-import type { Template } from '@/types';
+import type { Slide, Template } from '@/types';
+import { splitSlides } from '../../../js/markdown/splitter.js';
 
 export class TemplateManager {
   private static templates: Map<string, Template> = new Map();
@@ -88,14 +89,24 @@ export class TemplateManager {
    * Convert markdown to slides (simple version)
    */
   private static markdownToSlides(markdown: string): any[] {
-    // Import the actual conversion function
-    // For now, just split by ---
-    const sections = markdown.split(/\n---\n/).filter((s) => s.trim());
-
-    return sections.map((content, index) => ({
-      id: `slide-${index}`,
-      content,
-      order: index,
-    }));
+    // Split with the same rules as the renderers, keeping the raw markdown
+    return splitSlides(markdown).map((stack, index) => {
+      const [first, ...rest] = stack;
+      const slide: Slide = {
+        id: `slide-${index}`,
+        content: first.content,
+        order: index,
+      };
+
+      if (rest.length > 0) {
+        slide.verticalSlides = rest.map((section, position) => ({
+          id: `slide-${index}-${position + 1}`,
+          content: section.content,
+          order: position,
+        }));
+      }
+
+      return slide;
+    });
   }
 }
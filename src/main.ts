@@ -6,14 +6,6 @@ import './styles/globals.css';
 import { App } from './app';
 import { stateManager } from './core/state/StateManager';
 
-// Initialize mermaid
-if (typeof (window as any).mermaid !== 'undefined') {
-  (window as any).mermaid.initialize({
-    startOnLoad: true,
-    theme: 'dark',
-  });
-}
-
 // Initialize app
 async function init() {
   try {
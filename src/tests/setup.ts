@@ -6,6 +6,9 @@ import { beforeAll, afterEach, vi } from 'vitest';
 
 // Setup JSDOM environment
 beforeAll(() => {
+  // Suites that opt into the node environment have no window to mock
+  if (typeof window === 'undefined') return;
+
   // Mock window.matchMedia
   Object.defineProperty(window, 'matchMedia', {
     writable: true,
@@ -0,0 +1,124 @@
+/**
+ * Unit tests for the PPTX exporter
+ */
+
+import { describe, it, expect } from 'vitest';
+import type JSZip from 'jszip';
+import type { Project } from '@/types';
+import { PPTXExporter } from '@/core/export/PPTXExporter';
+import { convertMarkdownToSlides } from '@/utils/markdown';
+
+// A 2×1 pixel PNG
+const PNG =
+  'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAIAAAABCAYAAAD0In+KAAAAEUlEQVR4nGP4z8DwHwQZGBgAPfgF+8xZ3FoAAAAASUVORK5CYII=';
+
+function createProject(markdown: string): Project {
+  return {
+    id: 'project-1',
+    name: 'Quarterly <Review>',
+    mode: 'quick',
+    createdAt: 0,
+    updatedAt: 0,
+    version: '2.0.0',
+    slides: convertMarkdownToSlides(markdown),
+    globalOptions: {},
+  };
+}
+
+async function read(zip: JSZip, name: string): Promise<string> {
+  const file = zip.file(name);
+  if (!file) throw new Error(`Missing part ${name}`);
+  return file.async('string');
+}
+
+describe('PPTXExporter', () => {
+  const markdown = [
+    '# Results',
+    '',
+    '- Revenue **up**',
+    '  - In every region',
+    '- Costs & risks',
+    '',
+    'Note: Mention the [forecast](https://example.com/forecast)',
+    '',
+    '---',
+    '',
+    '<!-- @bg: #111111 -->',
+    '## Code',
+    '',
+    '```js',
+    'const a = 1 < 2;',
+    '```',
+    '',
+    `![Chart](${PNG})`,
+    '',
+    '--',
+    '',
+    'No title here',
+  ].join('\n');
+
+  it('should write a package with one part per slide', async () => {
+    const zip = await PPTXExporter.createPackage(createProject(markdown), { includeNotes: true });
+    const types = await read(zip, '[Content_Types].xml');
+
+    expect(types).toContain('PartName="/ppt/slides/slide3.xml"');
+    expect(types).toContain('PartName="/ppt/notesSlides/notesSlide1.xml"');
+    expect(types).toContain('<Default Extension="png" ContentType="image/png"/>');
+    expect(await read(zip, 'ppt/presentation.xml')).toContain('<p:sldId id="258" r:id="rId9"/>');
+    expect(await read(zip, 'docProps/core.xml')).toContain('<dc:title>Quarterly &lt;Review&gt;</dc:title>');
+    expect(zip.file('ppt/media/image1.png')).not.toBeNull();
+    expect(zip.file('ppt/notesSlides/notesSlide2.xml')).toBeNull();
+  });
+
+  it('should map titles, bullets, code and backgrounds', async () => {
+    const zip = await PPTXExporter.createPackage(createProject(markdown));
+    const first = await read(zip, 'ppt/slides/slide1.xml');
+    const second = await read(zip, 'ppt/slides/slide2.xml');
+
+    expect(first).toContain('<p:ph type="title"/>');
+    expect(first).toContain('<a:t>Results</a:t>');
+    expect(first).toContain('<a:pPr marL="685800" lvl="1" indent="-342900">');
+    expect(first).toMatch(/<a:rPr [^>]*b="1"[^>]*>.*?<a:t>up<\/a:t>/);
+    expect(first).toContain('<a:t>Costs &amp; risks</a:t>');
+    expect(first).not.toContain('<p:bg>');
+
+    expect(second).toContain('<p:bg><p:bgPr><a:solidFill><a:srgbClr val="111111"/>');
+    expect(second).toContain('<a:latin typeface="Courier New"/>');
+    expect(second).toContain('<a:t>const a = 1 &lt; 2;</a:t>');
+    expect(second).toContain('<p:pic>');
+    expect(second).toContain('descr="Chart"');
+    expect(await read(zip, 'ppt/slides/_rels/slide2.xml.rels')).toContain('Target="../media/image1.png"');
+    expect(await read(zip, 'ppt/slides/slide3.xml')).not.toContain('<p:ph type="title"/>');
+  });
+
+  it('should put speaker notes in the notes pane', async () => {
+    const zip = await PPTXExporter.createPackage(createProject(markdown));
+    const notes = await read(zip, 'ppt/notesSlides/notesSlide1.xml');
+
+    expect(notes).toContain('<p:ph type="body" idx="1"/>');
+    expect(notes).toContain('<a:t>forecast</a:t>');
+    expect(await read(zip, 'ppt/notesSlides/_rels/notesSlide1.xml.rels')).toContain('Target="../slides/slide1.xml"');
+    expect(await read(zip, 'ppt/slides/_rels/slide1.xml.rels')).toContain('Target="../notesSlides/notesSlide1.xml"');
+
+    const withoutNotes = await PPTXExporter.createPackage(createProject(markdown), { includeNotes: false });
+    expect(withoutNotes.file('ppt/notesSlides/notesSlide1.xml')).toBeNull();
+  });
+
+  it('should only write well-formed XML parts', async () => {
+    const zip = await PPTXExporter.createPackage(createProject(markdown));
+    const parts = Object.keys(zip.files).filter((name) => /\.(xml|rels)$/.test(name));
+
+    expect(parts).toHaveLength(25);
+    for (const name of parts) {
+      const doc = new DOMParser().parseFromString(await read(zip, name), 'application/xml');
+      expect(doc.getElementsByTagName('parsererror'), name).toHaveLength(0);
+    }
+  });
+
+  it('should export a PowerPoint blob', async () => {
+    const blob = await PPTXExporter.export(createProject('# Only slide'));
+
+    expect(blob.type).toBe('application/vnd.openxmlformats-officedocument.presentationml.presentation');
+    expect(blob.size).toBeGreaterThan(0);
+  });
+});
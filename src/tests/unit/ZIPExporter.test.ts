@@ -0,0 +1,58 @@
+/**
+ * Unit tests for the ZIP exporter
+ */
+
+import { describe, it, expect } from 'vitest';
+import JSZip from 'jszip';
+import type { Project } from '@/types';
+import { ZIPExporter } from '@/core/export/ZIPExporter';
+import { convertMarkdownToSlides } from '@/utils/markdown';
+
+// A 2×1 pixel PNG
+const PNG =
+  'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAIAAAABCAYAAAD0In+KAAAAEUlEQVR4nGP4z8DwHwQZGBgAPfgF+8xZ3FoAAAAASUVORK5CYII=';
+
+// Serves every CDN file as a stub, so no test touches the network
+const loadAsset = async (url: string) => ({ bytes: new TextEncoder().encode(`/* ${url} */`) });
+
+describe('ZIPExporter', () => {
+  const markdown = `# Results\n\n![Chart](${PNG})\n\n---\n\n# Next\n\n![Again](${PNG})`;
+  const project: Project = {
+    id: 'project-1',
+    name: 'Quarterly Review',
+    mode: 'quick',
+    createdAt: 0,
+    updatedAt: 0,
+    version: '2.0.0',
+    slides: convertMarkdownToSlides(markdown),
+    source: markdown,
+    globalOptions: {},
+  };
+
+  it('should write the page, its assets, the Markdown source and the project', async () => {
+    const { bytes, report } = await ZIPExporter.createArchive(project, {}, loadAsset);
+    const zip = await JSZip.loadAsync(bytes);
+    const names = Object.keys(zip.files);
+    const html = await zip.file('index.html')!.async('string');
+
+    expect(names).toEqual(
+      expect.arrayContaining(['index.html', 'presentation.md', 'project.json', 'vendor/reveal.min.js', 'vendor/reveal.min.css'])
+    );
+    expect(html).not.toContain('https://cdnjs.cloudflare.com');
+    expect(html).not.toContain('data:image');
+    expect(await zip.file('presentation.md')!.async('string')).toBe(markdown);
+    expect(JSON.parse(await zip.file('project.json')!.async('string')).project.source).toBe(markdown);
+    expect(report.failed).toEqual([]);
+  });
+
+  it('should extract data URL images into one content-hashed file', async () => {
+    const { bytes } = await ZIPExporter.createArchive(project, {}, loadAsset);
+    const zip = await JSZip.loadAsync(bytes);
+    const images = zip.file(/^assets\//).map((file) => file.name);
+    const html = await zip.file('index.html')!.async('string');
+
+    expect(images).toEqual([expect.stringMatching(/^assets\/image-[0-9a-f]{10}\.png$/)]);
+    expect(html.match(new RegExp(`src="${images[0]}"`, 'g'))).toHaveLength(2);
+    expect(await zip.file(images[0])!.async('base64')).toBe(PNG.split(',')[1]);
+  });
+});
@@ -9,6 +9,10 @@ import {
   countWords,
   estimateReadingTime,
   extractHeadings,
+  renderSlideDiagrams,
+  renderSlideChrome,
+  resolveDeckChrome,
+  lintMarkdown,
 } from '@/utils/markdown';
 
 describe('parseMarkdown', () => {
@@ -25,6 +29,26 @@ describe('parseMarkdown', () => {
     expect(html).toContain('<li');
   });
 
+  it('should render fenced divs as flexbox columns', () => {
+    const html = parseMarkdown(':::: columns\n::: column\nLeft\n:::\n::: column\nRight\n:::\n::::');
+    expect(html).toContain('<div class="columns" style="display: flex; gap: 1em;">');
+    expect(html).toContain('<p>Right</p>');
+    expect(html).not.toContain(':::');
+  });
+
+  it('should render math with KaTeX', () => {
+    const html = parseMarkdown('Area $\\pi r_1^2$, not `$x$`');
+    expect(html).toContain('<span class="katex">');
+    expect(html).toContain('<code>$x$</code>');
+    expect(html).not.toContain('<em>');
+  });
+
+  it('should highlight code with Prism', () => {
+    const html = parseMarkdown('```python [2]\nimport os\nprint(os.name)\n```');
+    expect(html).toContain('<span class="token keyword">import</span>');
+    expect(html).toContain('<span class="code-line highlight-line"><span class="token keyword">print</span>');
+  });
+
   it('should sanitize HTML', () => {
     const markdown = '<script>alert("xss")</script>';
     const html = parseMarkdown(markdown);
@@ -50,6 +74,23 @@ describe('convertMarkdownToSlides', () => {
     expect(slides[0].notes).toBe('This is a note');
   });
 
+  it('should extract notes from ???, Notes: and comment blocks', () => {
+    const markdown = '# A\n\n<!-- notes\nFirst\n-->\nText\n\n???\n**Second**\n\n---\n\n# B\n\nNotes: Third';
+    const slides = convertMarkdownToSlides(markdown);
+
+    expect(slides[0].notes).toBe('First\n\n**Second**');
+    expect(slides[0].content).not.toContain('Second');
+    expect(slides[1].notes).toBe('Third');
+  });
+
+  it('should use math macros and equation numbers from the front matter', () => {
+    const markdown = '---\nmath-macros:\n  RR: \\mathbb{R}\nequation-numbers: true\n---\n$$x \\in \\RR$$';
+    const slides = convertMarkdownToSlides(markdown);
+
+    expect(slides[0].content).toContain('mathvariant="double-struck"');
+    expect(slides[0].content).toContain('(1)');
+  });
+
   it('should apply options to slides', () => {
     const markdown = '# Slide 1';
     const options = { backgroundColor: '#000' };
@@ -57,6 +98,79 @@ describe('convertMarkdownToSlides', () => {
 
     expect(slides[0].options).toEqual(options);
   });
+
+  it('should split CRLF files and ignore separators in code', () => {
+    const markdown = '# Slide 1\r\n\r\n```\r\n---\r\n```\r\n\r\n---\r\n\r\n# Slide 2';
+    const slides = convertMarkdownToSlides(markdown);
+
+    expect(slides).toHaveLength(2);
+    expect(slides[0].content).toContain('---');
+    expect(slides[1].startLine).toBe(9);
+  });
+
+  it('should use a bg image as the slide background', () => {
+    const slides = convertMarkdownToSlides('![bg contain](photo.jpg)\n\n# Title');
+
+    expect(slides[0].options).toMatchObject({ backgroundImage: 'photo.jpg', backgroundSize: 'contain' });
+    expect(slides[0].content).not.toContain('<img');
+  });
+
+  it('should read background directives into the slide options', () => {
+    const slides = convertMarkdownToSlides(
+      '<!-- .slide: data-background-video="a.mp4" data-background-video-loop -->\n\n# Title'
+    );
+
+    expect(slides[0].options).toMatchObject({ backgroundVideo: 'a.mp4', backgroundVideoLoop: true });
+    expect(slides[0].content).not.toContain('.slide:');
+  });
+
+  it('should nest vertical slides', () => {
+    const markdown = '# Slide 1\n\n--\n\n# Slide 1.1\n\n---\n\n# Slide 2';
+    const slides = convertMarkdownToSlides(markdown);
+
+    expect(slides).toHaveLength(2);
+    expect(slides[0].verticalSlides).toHaveLength(1);
+    expect(slides[0].verticalSlides?.[0].content).toContain('Slide 1.1');
+  });
+});
+
+describe('renderSlideDiagrams', () => {
+  it('should draw diagrams in vertical slides and report their lines', async () => {
+    const slides = convertMarkdownToSlides('# A\n\n--\n\n```mermaid\ngraph LR\n  A -->\n```');
+    const errors = await renderSlideDiagrams(slides);
+
+    expect(slides[0].verticalSlides?.[0].content).toContain('class="diagram-error" data-source-line="5"');
+    expect(errors).toEqual([expect.objectContaining({ line: 5 })]);
+  });
+});
+
+describe('renderSlideChrome', () => {
+  it('should number slides and vertical slides in render order', () => {
+    const markdown = '---\ntitle: Deck\nchrome:\n  footer: "{title} {slide}/{total}"\n---\n# A\n\n--\n\n# B\n\n---\n\n# C';
+    const slides = convertMarkdownToSlides(markdown);
+    const { chrome: config, values } = resolveDeckChrome(markdown);
+    const chrome = renderSlideChrome(slides, config, values);
+
+    expect(chrome.get(slides[0])).toContain('>Deck 1/3</span>');
+    expect(chrome.get(slides[0].verticalSlides![0])).toContain('>Deck 2/3</span>');
+    expect(chrome.get(slides[1])).toContain('>Deck 3/3</span>');
+  });
+});
+
+describe('lintMarkdown', () => {
+  it('should apply project lint settings under the front matter', () => {
+    const markdown = '---\nlint:\n  image-alt: error\n---\n# Deck\n\n![](chart.png)\n\n---\n\n# Deck';
+    const problems = lintMarkdown(markdown, { 'image-alt': 'off', 'duplicate-title': 'off' });
+
+    expect(problems).toEqual([
+      { rule: 'image-alt', severity: 'error', message: 'Image has no alt text', line: 7, slide: '1' },
+    ]);
+  });
+
+  it('should check text contrast against the project background', () => {
+    const problems = lintMarkdown('# Title', {}, { backgroundColor: '#eeeeee' });
+    expect(problems.map((problem) => problem.rule)).toEqual(['contrast']);
+  });
 });
 
 describe('countWords', () => {
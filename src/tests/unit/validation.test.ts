@@ -121,6 +121,13 @@ describe('validateProject', () => {
     expect(result.errors.some((e) => e.code === 'INVALID_COLOR')).toBe(true);
   });
 
+  it('should reject unknown lint rules', () => {
+    const project = { ...validProject, lint: { spelling: 'error' as const } };
+    const result = validateProject(project);
+    expect(result.valid).toBe(false);
+    expect(result.errors.some((e) => e.code === 'INVALID_LINT_SETTINGS')).toBe(true);
+  });
+
   it('should reject invalid background image URLs', () => {
     const project = {
       ...validProject,
@@ -33,11 +33,46 @@ export type NodeType = 'text' | 'image' | 'code' | 'heading' | 'list' | 'table'
 
 export type EngineType = 'reveal' | 'impress' | 'spectacle';
 
-export type ExportFormat = 'html' | 'pdf' | 'pptx' | 'json' | 'markdown';
+export type ExportFormat = 'html' | 'pdf' | 'pptx' | 'json' | 'markdown' | 'zip' | 'png';
+
+export interface ChromeOptions {
+  /** Templates filling in {title}, {author}, {date}, {slide} and {total} */
+  header?: string | { left?: string; center?: string; right?: string };
+  footer?: string | { left?: string; center?: string; right?: string };
+  logo?: string;
+  logoPosition?: 'top-left' | 'top-right' | 'bottom-left' | 'bottom-right';
+  logoHeight?: string | number;
+  hideOnTitleSlide?: boolean;
+}
+
+export type LintSeverity = 'off' | 'warning' | 'error';
+
+/**
+ * Deck lint rules by name: a severity, or options such as `{ max: 60 }`
+ */
+export type LintSettings = Record<
+  string,
+  boolean | LintSeverity | { severity?: LintSeverity; max?: number; min?: number }
+>;
 
 export interface SlideOptions {
   backgroundColor?: string;
   backgroundImage?: string;
+  backgroundGradient?: string;
+  backgroundVideo?: string;
+  backgroundVideoLoop?: boolean;
+  backgroundVideoMuted?: boolean;
+  backgroundIframe?: string;
+  backgroundInteractive?: boolean;
+  backgroundSize?: string;
+  backgroundPosition?: string;
+  backgroundRepeat?: string;
+  backgroundOpacity?: number;
+  /** Deck-wide parallax background, read from the global options */
+  parallaxBackgroundImage?: string;
+  parallaxBackgroundSize?: string;
+  /** Deck-wide header, footer and logo, read from the global options */
+  chrome?: ChromeOptions;
   transition?: TransitionType;
   textAlign?: TextAlignment;
   fontSize?: number;
@@ -75,6 +110,9 @@ export interface Slide {
   options?: SlideOptions;
   order: number;
   verticalSlides?: Slide[];
+  /** First and last source line of the slide in the Markdown it came from */
+  startLine?: number;
+  endLine?: number;
 }
 
 export interface Project {
@@ -86,9 +124,13 @@ export interface Project {
   updatedAt: number;
   version: string;
   slides: Slide[];
+  /** Markdown the slides were converted from, in quick mode */
+  source?: string;
   nodes?: Node[];
   connections?: Connection[];
   globalOptions: SlideOptions;
+  /** Deck lint rule settings; a deck's front matter wins */
+  lint?: LintSettings;
   engine?: EngineType;
   metadata?: Record<string, unknown>;
 }
@@ -159,6 +201,13 @@ export interface ExportOptions {
   includeNotes?: boolean;
   quality?: 'low' | 'medium' | 'high';
   pageSize?: 'A4' | 'Letter' | '16:9' | '4:3';
+  /** PDF pages: one per slide, or each slide followed by its notes */
+  layout?: 'slides' | 'notes';
+  /** PDF and PNG fragments: all shown, or a page or image per fragment step */
+  fragments?: 'expanded' | 'separate';
+  /** PNG: image size, WIDTHxHEIGHT in pixels */
+  imageSize?: string;
+  /** HTML: inline the runtime, styles, fonts and images for offline use */
   standalone?: boolean;
   minify?: boolean;
 }
@@ -287,18 +287,9 @@ export function sanitizeFilename(filename: string): string {
 }
 
 /**
- * Get color contrast
+ * Get color contrast (shared with the deck linter)
  */
-export function getContrastColor(hexColor: string): string {
-  const rgb = parseInt(hexColor.substring(1), 16);
-  const r = (rgb >> 16) & 0xff;
-  const g = (rgb >> 8) & 0xff;
-  const b = (rgb >> 0) & 0xff;
-
-  const luma = 0.2126 * r + 0.7152 * g + 0.0722 * b;
-
-  return luma < 128 ? '#ffffff' : '#000000';
-}
+export { getContrastColor } from '../../js/markdown/colors.js';
 
 /**
  * Create a cancelable promise
@@ -4,8 +4,30 @@
 
 import { marked } from 'marked';
 import DOMPurify from 'dompurify';
-import type { Slide, SlideOptions } from '@/types';
+import type { Slide, SlideOptions, ChromeOptions, LintSettings } from '@/types';
 import { generateId } from './helpers';
+import { splitSlides } from '../../js/markdown/splitter.js';
+import type { SourceSlide } from '../../js/markdown/splitter.js';
+import { extractNotes } from '../../js/markdown/notes.js';
+import { expandFencedDivs } from '../../js/markdown/fenced-divs.js';
+import { extractMath, restoreMath, resolveMacros } from '../../js/markdown/math.js';
+import type { MathOptions } from '../../js/markdown/math.js';
+import {
+  annotateDiagramLines,
+  extractDiagrams,
+  restoreDiagrams,
+  renderDiagrams,
+} from '../../js/markdown/diagrams.js';
+import type { DiagramError } from '../../js/markdown/diagrams.js';
+import { extractCodeBlocks, restoreCodeBlocks } from '../../js/markdown/code-blocks.js';
+import { extractBackgroundImages, applyImageLayout } from '../../js/markdown/images.js';
+import { extractSlideDirectives, mergeSlideAttributes } from '../../js/markdown/directives.js';
+import { backgroundAttributes, backgroundSettings } from '../../js/markdown/backgrounds.js';
+import { parseFrontMatter, frontMatterToOptions } from '../../js/markdown/front-matter.js';
+import { resolveChrome, renderChrome } from '../../js/markdown/chrome.js';
+import type { ChromeValues } from '../../js/markdown/chrome.js';
+import { lintDeck } from '../../js/markdown/lint.js';
+import type { LintProblem } from '../../js/markdown/lint.js';
 
 /**
  * Configure marked
@@ -16,71 +38,198 @@ marked.setOptions({
 });
 
 /**
- * Parse markdown to HTML
+ * Parse markdown to HTML. Pandoc-style fenced divs (`::: columns`) become
+ * <div> containers, `$...$` / `$$...$$` math is rendered with KaTeX, code
+ * is highlighted with Prism, an image with a title alone in a paragraph
+ * becomes a captioned figure and ```mermaid fences are left for
+ * renderSlideDiagrams.
  */
-export function parseMarkdown(markdown: string): string {
-  const html = marked.parse(markdown) as string;
-  return DOMPurify.sanitize(html);
+export function parseMarkdown(markdown: string, mathOptions: MathOptions = {}): string {
+  const { markdown: withoutDiagrams, diagrams } = extractDiagrams(markdown);
+  const { markdown: withoutCode, blocks } = extractCodeBlocks(withoutDiagrams);
+  const { markdown: text, math } = extractMath(withoutCode, mathOptions);
+  const html = applyImageLayout(marked.parse(expandFencedDivs(text)) as string);
+  const rendered = restoreCodeBlocks(restoreMath(DOMPurify.sanitize(html), math), blocks);
+  return restoreDiagrams(rendered, diagrams);
 }
 
 /**
- * Convert markdown to slides
+ * Render speaker notes, which are kept as Markdown on the slide
+ */
+export function renderNotes(notes: string): string {
+  return parseMarkdown(notes).trim();
+}
+
+/**
+ * Convert markdown to slides. Slides separated by `--` become the
+ * verticalSlides of the slide that opens their stack.
  */
 export function convertMarkdownToSlides(
   markdown: string,
   options: SlideOptions = {}
 ): Slide[] {
-  const slides: Slide[] = [];
-
-  // Split by horizontal separator (---)
-  const sections = markdown.split(/^---$/m).filter((s) => s.trim());
-
-  sections.forEach((section, index) => {
-    const lines = section.trim().split('\n');
-    const content: string[] = [];
-    let notes = '';
-
-    // Extract speaker notes
-    let inNotes = false;
-    for (const line of lines) {
-      if (line.trim().startsWith('Note:')) {
-        inNotes = true;
-        notes += line.replace(/^Note:\s*/, '') + '\n';
-      } else if (inNotes) {
-        notes += line + '\n';
-      } else {
-        content.push(line);
-      }
+  const math = resolveMathOptions(markdown);
+
+  return splitSlides(markdown).map((stack, index) => {
+    const [first, ...rest] = stack.map((section) => createSlide(section, options, math));
+    first.order = index;
+
+    if (rest.length > 0) {
+      first.verticalSlides = rest.map((slide, position) => ({ ...slide, order: position }));
     }
 
-    const contentHtml = parseMarkdown(content.join('\n'));
+    return first;
+  });
+}
+
+/**
+ * Draw the Mermaid diagrams of slides as inline SVG, themed to match the
+ * Reveal.js theme. Updates the slides' content and resolves to the
+ * diagrams that could not be drawn.
+ */
+export async function renderSlideDiagrams(slides: Slide[], theme = 'black'): Promise<DiagramError[]> {
+  const errors: DiagramError[] = [];
+
+  for (const slide of flattenSlides(slides)) {
+    const result = await renderDiagrams(slide.content, { theme });
+    slide.content = result.html;
+    errors.push(...result.errors);
+  }
+
+  return errors;
+}
+
+/**
+ * Read the deck's KaTeX macros and equation numbering from the front
+ * matter. The editor shows decks while they are typed, so a front matter
+ * block that does not parse yet is ignored.
+ */
+function resolveMathOptions(markdown: string): MathOptions {
+  try {
+    const { mathMacros, equationNumbers } = frontMatterToOptions(parseFrontMatter(markdown).data);
+    return {
+      macros: resolveMacros(mathMacros ?? {}),
+      numbering: equationNumbers === true || equationNumbers === 'true' ? { count: 0 } : undefined,
+    };
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Build a slide from one section of the source
+ */
+function createSlide(section: SourceSlide, options: SlideOptions, math: MathOptions): Slide {
+  // Note:, Notes:, ??? and <!-- notes --> blocks all end up in `notes`
+  const { content, notes } = extractNotes(annotateDiagramLines(section.content, section.startLine));
+  // Slide directives and a `![bg](...)` image set the slide background,
+  // directives win
+  const { attributes, body: directiveBody } = extractSlideDirectives(content);
+  const { markdown: body, attributes: background } = extractBackgroundImages(directiveBody);
+  const slideBackground = mergeSlideAttributes(backgroundAttributes(options), { ...background, ...attributes });
+
+  return {
+    id: generateId('slide'),
+    content: parseMarkdown(body, math),
+    notes: notes || undefined,
+    options: {
+      ...options,
+      ...(backgroundSettings(slideBackground) as Partial<SlideOptions>),
+    },
+    order: 0,
+    startLine: section.startLine,
+    endLine: section.endLine,
+  };
+}
+
+/**
+ * Render the deck chrome (header, footer and logo) of each slide, numbering
+ * the slides and their vertical slides in the order they are rendered.
+ * `values` fill in the {title}, {author} and {date} placeholders.
+ */
+export function renderSlideChrome(
+  slides: Slide[],
+  chrome: ChromeOptions | undefined,
+  values: ChromeValues = {}
+): Map<Slide, string> {
+  const resolved = resolveChrome(chrome);
+  const ordered = slides.flatMap((slide) => [slide, ...(slide.verticalSlides || [])]);
+
+  return new Map(ordered.map((slide, index) => [
+    slide,
+    renderChrome(resolved, { ...values, slide: index + 1, total: ordered.length }),
+  ]));
+}
+
+/**
+ * Read the deck chrome and its title, author and date from the front
+ * matter. Like the math options, a front matter block that does not parse
+ * yet is ignored.
+ */
+export function resolveDeckChrome(markdown: string): { chrome?: ChromeOptions; values: ChromeValues } {
+  try {
+    const { chrome, title, author, date } = frontMatterToOptions(parseFrontMatter(markdown).data);
+    return {
+      chrome: (chrome ?? undefined) as ChromeOptions | undefined,
+      values: { title, author, date } as ChromeValues,
+    };
+  } catch {
+    return { values: {} };
+  }
+}
 
-    slides.push({
-      id: generateId('slide'),
-      content: contentHtml,
-      notes: notes.trim() || undefined,
-      options: { ...options },
-      order: index,
-    });
+/**
+ * Lint a Markdown deck (see lint.js) with the project's rule settings and
+ * global options. The deck's front matter wins over both. Throws when the
+ * front matter or the rule settings are invalid.
+ */
+export function lintMarkdown(
+  markdown: string,
+  settings: LintSettings = {},
+  options: SlideOptions = {}
+): LintProblem[] {
+  return lintDeck(markdown, {
+    lint: settings,
+    bgColor: options.backgroundColor,
+    bgImage: options.backgroundImage,
+    bgGradient: options.backgroundGradient,
+    bgVideo: options.backgroundVideo,
+    bgIframe: options.backgroundIframe,
+    fontSize: options.fontSize,
   });
+}
 
-  return slides;
+/**
+ * Flatten slides and their vertical slides into presentation order
+ */
+export function flattenSlides(slides: Slide[]): Slide[] {
+  return [...slides]
+    .sort((a, b) => a.order - b.order)
+    .flatMap((slide) => [
+      slide,
+      ...[...(slide.verticalSlides || [])].sort((a, b) => a.order - b.order),
+    ]);
 }
 
 /**
  * Convert slides back to markdown
  */
 export function convertSlidesToMarkdown(slides: Slide[]): string {
+  const toMarkdown = (slide: Slide) => {
+    let markdown = slide.content;
+
+    if (slide.notes) {
+      markdown += '\n\nNote: ' + slide.notes;
+    }
+
+    return markdown;
+  };
+
   return slides
     .sort((a, b) => a.order - b.order)
     .map((slide) => {
-      let markdown = slide.content;
-
-      if (slide.notes) {
-        markdown += '\n\nNote: ' + slide.notes;
-      }
-
-      return markdown;
+      const verticalSlides = [...(slide.verticalSlides || [])].sort((a, b) => a.order - b.order);
+      return [slide, ...verticalSlides].map(toMarkdown).join('\n\n--\n\n');
     })
     .join('\n\n---\n\n');
 }
@@ -162,30 +311,6 @@ export function addSyntaxHighlighting(html: string): string {
   );
 }
 
-/**
- * Process special markdown features
- */
-export function processSpecialFeatures(markdown: string): string {
-  let processed = markdown;
-
-  // Process math expressions ($$...$$)
-  processed = processed.replace(/\$\$(.+?)\$\$/g, (_, math) => {
-    return `<span class="math-block" data-math="${math}"></span>`;
-  });
-
-  // Process inline math ($...$)
-  processed = processed.replace(/\$(.+?)\$/g, (_, math) => {
-    return `<span class="math-inline" data-math="${math}"></span>`;
-  });
-
-  // Process mermaid diagrams
-  processed = processed.replace(/```mermaid\n([\s\S]*?)```/g, (_, diagram) => {
-    return `<div class="mermaid">${diagram}</div>`;
-  });
-
-  return processed;
-}
-
 /**
  * Create slide metadata
  */
@@ -3,6 +3,8 @@
  */
 
 import type { ValidationResult, ValidationError, ValidationWarning, Project } from '@/types';
+import { isValidHexColor } from '../../js/markdown/colors.js';
+import { resolveLintRules } from '../../js/markdown/lint.js';
 
 /**
  * Validate URL
@@ -25,12 +27,9 @@ export function isValidEmail(email: string): boolean {
 }
 
 /**
- * Validate hex color
+ * Validate hex color (shared with the deck linter)
  */
-export function isValidHexColor(color: string): boolean {
-  const hexRegex = /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/;
-  return hexRegex.test(color);
-}
+export { isValidHexColor };
 
 /**
  * Validate project name
@@ -154,6 +153,19 @@ export function validateProject(project: Project): ValidationResult {
     });
   }
 
+  // Validate lint rule settings
+  if (project.lint) {
+    try {
+      resolveLintRules(project.lint);
+    } catch (error) {
+      errors.push({
+        field: 'lint',
+        message: (error as Error).message,
+        code: 'INVALID_LINT_SETTINGS',
+      });
+    }
+  }
+
   return {
     valid: errors.length === 0,
     errors,
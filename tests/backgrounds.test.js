@@ -0,0 +1,92 @@
+// @vitest-environment node
+import { convertMarkdownToSlides } from '../slides.js';
+import { backgroundAttributes, backgroundSettings, parallaxConfig } from '../js/markdown/backgrounds.js';
+import { renderDeckPage } from '../cli/template.js';
+import { RevealEngine } from '../js/engines/reveal-engine.js';
+
+describe('backgroundAttributes', () => {
+  test('maps settings onto data-background attributes', () => {
+    expect(backgroundAttributes({
+      backgroundVideo: 'intro.mp4',
+      backgroundVideoLoop: true,
+      backgroundVideoMuted: 'false',
+      backgroundOpacity: '0.5',
+      backgroundSize: ''
+    })).toEqual({
+      'data-background-video': 'intro.mp4',
+      'data-background-video-loop': '',
+      'data-background-opacity': '0.5'
+    });
+    expect(() => backgroundAttributes({ backgroundOpacity: 2 })).toThrow('Invalid background opacity "2"');
+  });
+
+  test('reads settings back from attributes', () => {
+    expect(backgroundSettings({ 'data-background-iframe': 'page.html', 'data-background-interactive': '' })).toMatchObject({
+      backgroundIframe: 'page.html',
+      backgroundInteractive: true,
+      backgroundImage: undefined
+    });
+  });
+});
+
+describe('convertMarkdownToSlides backgrounds', () => {
+  test('applies deck video, gradient and media settings', () => {
+    const md = '---\nbackground-video: loop.mp4\nbg-video-loop: true\nbg-video-muted: true\nbg-opacity: 0.4\n---\n# A';
+
+    expect(convertMarkdownToSlides(md)).toContain(
+      'data-background-video="loop.mp4" data-background-video-loop data-background-video-muted data-background-opacity="0.4"'
+    );
+    expect(convertMarkdownToSlides('# A', { bgGradient: 'linear-gradient(#000, #fff)' }))
+      .toContain('data-background-gradient="linear-gradient(#000, #fff)"');
+  });
+
+  test('lets slide directives set and replace the background', () => {
+    const md = [
+      '<!-- @bg: radial-gradient(#123, #456) -->',
+      '# Gradient',
+      '---',
+      '<!-- @bg-iframe: https://example.com -->',
+      '<!-- @bg-interactive: true -->',
+      '# Page',
+      '---',
+      '<!-- .slide: data-background-video-loop="false" -->',
+      '# No loop'
+    ].join('\n');
+    const [gradient, page, noLoop] = convertMarkdownToSlides(md, {
+      bgImage: 'deck.png',
+      bgSize: 'contain',
+      bgVideoLoop: true
+    }).split('</section>');
+
+    expect(gradient).toContain('data-background-gradient="radial-gradient(#123, #456)"');
+    expect(gradient).not.toContain('deck.png');
+    expect(gradient).not.toContain('data-background-size');
+    expect(page).toContain('data-background-iframe="https://example.com" data-background-interactive');
+    expect(noLoop).toContain('data-background-image="deck.png"');
+    expect(noLoop).not.toContain('data-background-video-loop');
+  });
+});
+
+describe('parallax backgrounds', () => {
+  test('are passed to the Reveal.js config', () => {
+    expect(parallaxConfig({ parallaxBackgroundImage: 'sky.jpg', parallaxBackgroundSize: '', theme: 'black' }))
+      .toEqual({ parallaxBackgroundImage: 'sky.jpg' });
+    expect(renderDeckPage('<section></section>', { parallaxBackgroundImage: 'sky.jpg', parallaxBackgroundSize: '2100px 900px' }))
+      .toContain('parallaxBackgroundImage: "sky.jpg",\n      parallaxBackgroundSize: "2100px 900px"');
+  });
+});
+
+describe('RevealEngine backgrounds', () => {
+  test('uses the background settings of the node style', () => {
+    const engine = new RevealEngine();
+    const slide = engine.convertNodeToSlide({
+      id: 'a',
+      type: 'text',
+      content: { text: 'Hi' },
+      style: { backgroundColor: '#222222', backgroundVideo: 'a.mp4', backgroundVideoMuted: true }
+    });
+
+    expect(engine.generateSlideAttributes(slide))
+      .toContain('data-background-color="#222222" data-background-video="a.mp4" data-background-video-muted');
+  });
+});
@@ -0,0 +1,87 @@
+// @vitest-environment node
+import { convertMarkdownToSlides, findOverflowingSlides } from '../slides.js';
+import { resolveChrome, renderChrome, fillChromeTemplate } from '../js/markdown/chrome.js';
+import { RevealEngine } from '../js/engines/reveal-engine.js';
+import { ImpressEngine } from '../js/engines/impress-engine.js';
+
+const DECK = [
+  '---',
+  'title: Q3 <Review>',
+  'date: 2026-10-01',
+  'chrome:',
+  '  footer: { left: "{title}", right: "{slide} / {total}" }',
+  '  logo: logo.svg',
+  '  logo-position: bottom-right',
+  '  hide-on-title-slide: true',
+  '---',
+  '# Title',
+  '---',
+  '## One',
+  '--',
+  '## One, below',
+  '---',
+  '## Two'
+].join('\n');
+
+describe('resolveChrome', () => {
+  test('normalizes the configuration', () => {
+    expect(resolveChrome({ header: '{title}', 'logo-position': 'top-left' })).toEqual({
+      header: { center: '{title}' },
+      footer: null,
+      logo: '',
+      logoPosition: 'top-left',
+      logoHeight: '48px',
+      hideOnTitleSlide: false
+    });
+    expect(resolveChrome({ logoPosition: 'top-left' })).toBeNull();
+    expect(() => resolveChrome({ logo: 'a.png', logoPosition: 'middle' })).toThrow('Unknown logo position "middle"');
+  });
+});
+
+describe('renderChrome', () => {
+  test('fills in escaped placeholders', () => {
+    expect(fillChromeTemplate('{title} - {date} {unknown}', { title: 'A & B', date: '2026-10-01' }))
+      .toBe('A &amp; B - 2026-10-01 {unknown}');
+
+    const chrome = resolveChrome({ header: { right: '{slide}/{total}' }, hideOnTitleSlide: true });
+    expect(renderChrome(chrome, { slide: 1, total: 3 })).toBe('');
+    expect(renderChrome(chrome, { slide: 2, total: 3 })).toContain('<span class="chrome-right" style="flex: 1; text-align: right;">2/3</span>');
+  });
+});
+
+describe('convertMarkdownToSlides chrome', () => {
+  test('numbers every slide, vertical slides included', () => {
+    const sections = convertMarkdownToSlides(DECK, { output: 'static' }).split('</section>');
+
+    expect(sections[0]).not.toContain('slide-chrome');
+    expect(sections[1]).toContain('Q3 &lt;Review&gt;</span>');
+    expect(sections[1]).toContain('>2 / 4</span>');
+    expect(sections[2]).toContain('>3 / 4</span>');
+    expect(sections[4]).toContain('>4 / 4</span>');
+    expect(sections[4]).toContain('<img class="slide-logo" src="logo.svg" alt="" style="position: absolute; bottom: 0.5em; right: 0.75em;');
+  });
+
+  test('passes the chrome through the Markdown plugin', () => {
+    const html = convertMarkdownToSlides('---\nchrome:\n  header: Corp\n---\n# A\n\nNote: say hi');
+
+    expect(html).toMatch(/# A\s+<div class="slide-chrome"[^]*Corp[^]*<\/div>\s+Note:\s+say hi<\/textarea>/);
+  });
+
+  test('does not count towards the slide height', () => {
+    const md = '---\nchrome:\n  footer: "{title}"\n  logo: logo.svg\n---\n# A';
+    expect(findOverflowingSlides(md, { height: 10 })).toEqual(findOverflowingSlides('\n\n\n\n\n# A', { height: 10 }));
+  });
+});
+
+describe('engine chrome', () => {
+  test('is added to node slides by RevealEngine and ImpressEngine', () => {
+    const nodes = [{ id: 'a', type: 'text', content: { text: 'A' } }, { id: 'b', type: 'text', content: { text: 'B' } }];
+
+    [new RevealEngine(), new ImpressEngine()].forEach(engine => {
+      Object.assign(engine.config, { chrome: { footer: '{title} {slide}/{total}' }, title: 'Deck' });
+      engine.slides = nodes.map(node => engine.convertNodeToSlide(node, 0));
+
+      expect(engine.convertSlideToHTML(engine.slides[1], 1)).toContain('>Deck 2/2</span>');
+    });
+  });
+});
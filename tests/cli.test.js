@@ -0,0 +1,107 @@
+// @vitest-environment node
+import { mkdtempSync, writeFileSync, readFileSync, existsSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { run, flagsToOptions, EXIT_OK, EXIT_FAILURE, EXIT_USAGE } from '../cli/index.js';
+import { globToRegExp, expandPatterns } from '../cli/glob.js';
+import { buildDeckHtml, outputPathFor } from '../cli/build.js';
+
+const silent = { log: () => {}, error: () => {} };
+
+describe('globToRegExp', () => {
+  test('matches single and recursive wildcards', () => {
+    expect(globToRegExp('*.md').test('talk.md')).toBe(true);
+    expect(globToRegExp('*.md').test('talks/talk.md')).toBe(false);
+    expect(globToRegExp('**/*.md').test('talk.md')).toBe(true);
+    expect(globToRegExp('**/*.md').test('a/b/talk.md')).toBe(true);
+    expect(globToRegExp('talk-?.{md,markdown}').test('talk-1.markdown')).toBe(true);
+    expect(globToRegExp('[!a]*.md').test('a.md')).toBe(false);
+  });
+});
+
+describe('flagsToOptions', () => {
+  test('maps sidebar flags and drops missing ones', () => {
+    expect(flagsToOptions({ 'bg-color': '#fff', 'font-size': '28', transition: 'fade' }))
+      .toEqual({ bgColor: '#fff', fontSize: 28, transition: 'fade' });
+  });
+
+  test('rejects a non-numeric font size', () => {
+    expect(() => flagsToOptions({ 'font-size': 'big' })).toThrow('--font-size expects a number');
+  });
+});
+
+describe('buildDeckHtml', () => {
+  test('writes a standalone page using front matter settings', () => {
+    const html = buildDeckHtml('---\ntitle: Q3 <Review>\ntheme: white\n---\n# Hi', { textAlign: 'left', fontSize: 30 });
+
+    expect(html).toContain('<title>Q3 &lt;Review&gt;</title>');
+    expect(html).toContain('theme/white.min.css');
+    expect(html).toContain('text-align: left; font-size: 30px;');
+    expect(html).toContain('<textarea data-template># Hi</textarea>');
+    expect(html).toContain('plugins: [RevealMarkdown]');
+  });
+
+  test('leaves out the markdown plugin for static output', () => {
+    const html = buildDeckHtml('# Hi', { output: 'static' });
+
+    expect(html).toContain('<h1>Hi</h1>');
+    expect(html).not.toContain('RevealMarkdown');
+  });
+});
+
+describe('outputPathFor', () => {
+  test('keeps the input path under the output directory', () => {
+    expect(outputPathFor('/work/talks/q3.md', { cwd: '/work', outDir: 'dist' })).toBe('/work/dist/talks/q3.html');
+    expect(outputPathFor('/work/q3.md', { cwd: '/work', outDir: 'deck.html' })).toBe('/work/deck.html');
+  });
+});
+
+describe('md2reveal build', () => {
+  let cwd;
+
+  beforeEach(() => {
+    cwd = mkdtempSync(path.join(tmpdir(), 'md2reveal-'));
+    writeFileSync(path.join(cwd, 'one.md'), '# One');
+    writeFileSync(path.join(cwd, 'two.md'), '# Two\r\n\r\n---\r\n\r\n# Three');
+  });
+
+  afterEach(() => {
+    rmSync(cwd, { recursive: true, force: true });
+  });
+
+  test('builds every file matched by a glob', async () => {
+    expect(await expandPatterns(['*.md'], cwd)).toHaveLength(2);
+    expect(await run(['build', '*.md', '-o', 'out', '--transition', 'zoom'], { cwd, logger: silent })).toBe(EXIT_OK);
+
+    const html = readFileSync(path.join(cwd, 'out', 'two.html'), 'utf8');
+    expect(html.match(/<section/g)).toHaveLength(2);
+    expect(html).toContain('data-transition="zoom"');
+  });
+
+  test('exits non-zero when a file fails to convert', async () => {
+    writeFileSync(path.join(cwd, 'bad.md'), '---\ntitle: [oops\n---\n# Bad');
+
+    expect(await run(['build', '*.md'], { cwd, logger: silent })).toBe(EXIT_FAILURE);
+    expect(existsSync(path.join(cwd, 'dist', 'one.html'))).toBe(true);
+  });
+
+  test('resolves includes from disk', async () => {
+    writeFileSync(path.join(cwd, 'course.md'), '# Course\n\n---\n\n<!-- include: one.md -->');
+
+    expect(await run(['build', 'course.md'], { cwd, logger: silent })).toBe(EXIT_OK);
+    expect(readFileSync(path.join(cwd, 'dist', 'course.html'), 'utf8')).toContain('<textarea data-template># One</textarea>');
+  });
+
+  test('sanitizes static output with DOMPurify', async () => {
+    writeFileSync(path.join(cwd, 'link.md'), '[Click](&#106;avascript:alert(1))\n\n<a href="&#106;avascript:alert(1)">Here</a>');
+
+    expect(await run(['build', 'link.md', '--output', 'static'], { cwd, logger: silent })).toBe(EXIT_OK);
+    expect(readFileSync(path.join(cwd, 'dist', 'link.html'), 'utf8')).not.toMatch(/javascript|&#106;/);
+  });
+
+  test('reports usage errors', async () => {
+    expect(await run(['build', 'missing.md'], { cwd, logger: silent })).toBe(EXIT_USAGE);
+    expect(await run(['publish'], { cwd, logger: silent })).toBe(EXIT_USAGE);
+    expect(await run(['build', '--nope'], { cwd, logger: silent })).toBe(EXIT_USAGE);
+  });
+});
@@ -0,0 +1,121 @@
+// @vitest-environment node
+import { convertMarkdownToSlides } from '../slides.js';
+import { parseCodeInfo, extractCodeBlocks, restoreCodeBlocks, renderCodeBlock } from '../js/markdown/code-blocks.js';
+import { estimateSlideHeight } from '../js/markdown/overflow.js';
+import { renderDeckPage } from '../cli/template.js';
+import { RevealEngine } from '../js/engines/reveal-engine.js';
+
+const stepsOf = html => [...html.matchAll(/<code class="([^"]*)"[^>]* data-fragment-index="(\d+)"/g)]
+  .map(([, classes, index]) => `${classes.replace('language-js ', '')}@${index}`);
+
+describe('parseCodeInfo', () => {
+  test('reads steps, line numbers, start line and title', () => {
+    expect(parseCodeInfo('js [1-3,5|7] start=10 title="app server.js"')).toEqual({
+      language: 'js',
+      steps: [[[1, 3], [5, 5]], [[7, 7]]],
+      lineNumbers: true,
+      startLine: 10,
+      title: 'app server.js'
+    });
+    expect(parseCodeInfo('[2] linenos')).toEqual(expect.objectContaining({ language: '', steps: [[[2, 2]]], lineNumbers: true }));
+  });
+});
+
+describe('renderCodeBlock', () => {
+  test('highlights with Prism and keeps tokens within their line', () => {
+    const html = renderCodeBlock('/* a\nb */ x', { language: 'js', lineNumbers: true, startLine: 9 });
+
+    expect(html).toContain('<span class="token comment">/* a</span></span>\n<span class="code-line">');
+    expect(html).toContain('>10</span><span class="token comment">b */</span> x</span>');
+  });
+
+  test('dims the lines a step does not highlight', () => {
+    const html = renderCodeBlock('a\nb', { steps: [[[2, 2]]] });
+
+    expect(html).toBe('<pre><code><span class="code-line" style="opacity: 0.4;">a</span>\n<span class="code-line highlight-line">b</span></code></pre>');
+  });
+
+  test('escapes code in languages Prism does not know', () => {
+    expect(renderCodeBlock('<b>', { language: 'brainfuck', title: 'x<y' }))
+      .toBe('<figure class="code-block" style="margin: 0;"><figcaption class="code-title" style="font-family: monospace; font-size: 0.55em; text-align: left; width: 90%; margin: 0 auto;">x&lt;y</figcaption>'
+        + '<pre class="language-brainfuck"><code class="language-brainfuck">&lt;b&gt;</code></pre></figure>');
+  });
+});
+
+describe('restoreCodeBlocks', () => {
+  test('numbers highlight steps among the other fragments', () => {
+    const { markdown, blocks } = extractCodeBlocks('```js [1|2|3]\na\nb\nc\n```');
+    const html = restoreCodeBlocks(`<p class="fragment">Before</p>\n${markdown}\n<p class="fragment">After</p>`, blocks);
+
+    expect(stepsOf(html)).toEqual(['fragment fade-out@1', 'fragment current-visible@1', 'fragment@2']);
+    expect(html).toContain('<p class="fragment" data-fragment-index="3">After</p>');
+  });
+
+  test('leaves fences without a known language or options to Markdown', () => {
+    expect(extractCodeBlocks('```\nplain\n```\n\n```mermaid\ngraph\n```').blocks).toEqual([]);
+  });
+});
+
+describe('convertMarkdownToSlides code', () => {
+  const deck = '## Steps\n\n```js [1|2]\nconst a = 1;\nconst b = 2;\n```';
+
+  test('renders highlighted code at conversion time', () => {
+    const html = convertMarkdownToSlides(deck);
+
+    expect(html).not.toContain('data-markdown');
+    expect(html).toContain('<span class="token keyword">const</span>');
+    expect(renderDeckPage(html)).toContain('prism-tomorrow.min.css');
+    expect(renderDeckPage(convertMarkdownToSlides('# Plain'))).not.toContain('prism');
+  });
+
+  test('keeps the raw HTML of a slide rendered for its code', () => {
+    const iframe = '<iframe src="https://example.com/demo"></iframe>';
+    const html = convertMarkdownToSlides(`## Demo\n\n${iframe}\n\n\`\`\`js\nconst a = 1;\n\`\`\``);
+    const sized = convertMarkdownToSlides(`## Demo\n\n${iframe}\n\n![Chart](chart.png =400x)`);
+
+    expect(html).not.toContain('data-markdown');
+    expect(html).toContain(iframe);
+    expect(sized).toContain(iframe);
+    expect(convertMarkdownToSlides(`## Demo\n\n${iframe}\n\n\`\`\`js\nconst a = 1;\n\`\`\``, { output: 'static' }))
+      .not.toContain('<iframe');
+  });
+
+  test('measures one step of a stepped block', () => {
+    const html = convertMarkdownToSlides(deck, { output: 'static' });
+    const single = convertMarkdownToSlides('## Steps\n\n```js\nconst a = 1;\nconst b = 2;\n```', { output: 'static' });
+
+    expect(estimateSlideHeight(html)).toBe(estimateSlideHeight(single));
+  });
+});
+
+describe('RevealEngine code', () => {
+  test('renders code nodes with their highlight steps', () => {
+    const engine = new RevealEngine();
+    const slide = engine.convertNodeToSlide({
+      id: 'a',
+      type: 'code',
+      content: { code: 'a()\nb()', language: 'javascript', highlight: '1|2', title: 'main.js' }
+    });
+
+    expect(slide.content).toContain('<figcaption class="code-title"');
+    expect(slide.content).toContain('<span class="token function">a</span>');
+    expect(slide.content).toContain('class="language-javascript fragment" data-code-step="1" data-fragment-index="0"');
+  });
+
+  test('links the Prism stylesheet in exported decks with code, and only then', () => {
+    const engine = new RevealEngine();
+    const code = engine.convertNodeToSlide({ id: 'a', type: 'code', content: { code: 'a()', language: 'javascript' } });
+    const text = engine.convertNodeToSlide({ id: 'b', type: 'text', content: { text: '# Plain' } });
+    const exportWith = slide => {
+      vi.stubGlobal('document', { getElementById: () => ({ innerHTML: `<section>${slide.content}</section>` }) });
+      try {
+        return engine.exportHTML();
+      } finally {
+        vi.unstubAllGlobals();
+      }
+    };
+
+    expect(exportWith(code)).toContain('prism-tomorrow.min.css');
+    expect(exportWith(text)).not.toMatch(/prism|katex/);
+  });
+});
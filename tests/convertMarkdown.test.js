@@ -16,4 +16,103 @@ describe('convertMarkdownToSlides', () => {
     expect(html).toContain('data-transition="fade"');
     expect(html).toContain('data-text-align="left"');
   });
+
+  test('leaves the background to the theme unless a color is set', () => {
+    const html = convertMarkdownToSlides('---\ntheme: white\n---\n# Title');
+
+    expect(html).not.toContain('data-background-color');
+  });
+});
+
+describe('convertMarkdownToSlides front matter', () => {
+  test('removes the front matter from the first slide', () => {
+    const md = '---\ntitle: Demo\n---\n# Title\n\n---\n\n## Slide 2';
+    const html = convertMarkdownToSlides(md);
+
+    expect(html.match(/<section/g)).toHaveLength(2);
+    expect(html).not.toContain('title: Demo');
+  });
+
+  test('front matter settings override the passed options', () => {
+    const md = '---\ntransition: zoom\nbackground-color: "#123456"\n---\n# Title';
+    const html = convertMarkdownToSlides(md, { bgColor: '#ffffff', transition: 'fade' });
+
+    expect(html).toContain('data-background-color="#123456"');
+    expect(html).toContain('data-transition="zoom"');
+  });
+});
+
+describe('convertMarkdownToSlides directives', () => {
+  test('slide directives override the deck options for one section', () => {
+    const md = [
+      '<!-- .slide: data-background-video="intro.mp4" data-transition="zoom" -->',
+      '# Intro',
+      '---',
+      '# Plain'
+    ].join('\n');
+    const html = convertMarkdownToSlides(md, { bgImage: 'deck.png', transition: 'fade' });
+    const [first, second] = html.split('</section>');
+
+    expect(first).toContain('data-background-video="intro.mp4"');
+    expect(first).toContain('data-transition="zoom"');
+    expect(first).not.toContain('data-background-image');
+    expect(first).not.toContain('.slide:');
+    expect(second).toContain('data-transition="fade"');
+    expect(second).toContain('data-background-image="deck.png"');
+  });
+
+  test('shorthand directives map onto slide attributes', () => {
+    const md = '<!-- @bg: #123 -->\n<!-- @align: left -->\n<!-- @autoslide: 2000 -->\n# Title';
+    const html = convertMarkdownToSlides(md, { bgColor: '#ffffff' });
+
+    expect(html).toContain('data-background-color="#123"');
+    expect(html).toContain('data-text-align="left"');
+    expect(html).toContain('data-autoslide="2000"');
+    expect(html).not.toContain('@bg');
+  });
+
+  test('element directives are kept for the renderer', () => {
+    const md = '- Item <!-- .element: class="fragment" -->';
+    expect(convertMarkdownToSlides(md)).toContain('<!-- .element: class="fragment" -->');
+  });
+});
+
+describe('convertMarkdownToSlides vertical slides', () => {
+  test('nests vertical slides in a stack section', () => {
+    const md = '# One\n\n---\n\n## Two\n\n--\n\n## Two down\n\nParagraph one.\n\nParagraph two.';
+    const html = convertMarkdownToSlides(md);
+
+    expect(html.match(/<section/g)).toHaveLength(4);
+    expect(html).toMatch(/<section>\n<section [^>]*>\n {2}<textarea data-template>## Two<\/textarea>/);
+    expect(html).toContain('Paragraph one.\n\nParagraph two.');
+    expect(html).not.toContain('data-separator-vertical');
+  });
+
+  test('uses configurable separators', () => {
+    const md = '---\nseparator: "==="\nvertical-separator: "+++"\n---\n# A\n===\n# B\n+++\n# C\n---\n# Still C';
+    const html = convertMarkdownToSlides(md);
+
+    expect(html.match(/<section/g)).toHaveLength(4);
+    expect(html).toContain('# C\n---\n# Still C');
+  });
+});
+
+describe('convertMarkdownToSlides source lines', () => {
+  test('marks each section with its first source line', () => {
+    const md = '---\ntitle: Demo\n---\n# One\r\n\r\n---\r\n\r\n# Two';
+    const html = convertMarkdownToSlides(md);
+
+    expect(html).toContain('data-source-line="4"');
+    expect(html).toContain('data-source-line="8"');
+  });
+});
+
+describe('convertMarkdownToSlides static output in the browser', () => {
+  test('sanitizes rendered HTML with DOMPurify', () => {
+    const html = convertMarkdownToSlides('# Hi\n\n<img src="a.png" onerror="alert(1)">', { output: 'static' });
+
+    expect(html).toContain('<h1>Hi</h1>');
+    expect(html).toContain('<img src="a.png">');
+    expect(html).not.toContain('onerror');
+  });
 });
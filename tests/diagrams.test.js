@@ -0,0 +1,137 @@
+// @vitest-environment node
+import { mkdtempSync, writeFileSync, readFileSync, existsSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { convertMarkdownToSlides } from '../slides.js';
+import { annotateDiagramLines, extractDiagrams, restoreDiagrams, renderDiagrams, mermaidTheme } from '../js/markdown/diagrams.js';
+import { renderDeckPage } from '../cli/template.js';
+import { buildDecks } from '../cli/build.js';
+import { startServer } from '../cli/serve.js';
+
+const render = async (id, source) => {
+  if (source.includes('oops')) throw new Error('Parse error on line 2');
+  return { svg: `<svg id="${id}">${source}</svg>` };
+};
+
+describe('extractDiagrams', () => {
+  test('keeps the source and line of each diagram', () => {
+    const markdown = annotateDiagramLines('# Flow\n\n```mermaid\ngraph LR\n  A --> B\n```\n\n```js\nmermaid\n```', 4);
+    const { markdown: text, diagrams } = extractDiagrams(markdown);
+
+    expect(diagrams).toEqual([{ source: 'graph LR\n  A --> B', line: 6 }]);
+    expect(restoreDiagrams(text, diagrams))
+      .toBe('# Flow\n\n<pre class="mermaid" data-source-line="6">graph LR\n  A --&gt; B</pre>\n\n```js\nmermaid\n```');
+  });
+});
+
+describe('renderDiagrams', () => {
+  test('replaces diagrams with SVG and reports failures by line', async () => {
+    const html = convertMarkdownToSlides('# A\n\n```mermaid\ngraph LR\nA --> B\n```\n\n---\n\n```mermaid\noops\n```');
+    const { html: rendered, errors } = await renderDiagrams(html, { render });
+
+    expect(rendered).toMatch(/<div class="mermaid-diagram"><svg id="diagram-\d+">graph LR\nA --> B<\/svg><\/div>/);
+    expect(rendered).toContain('<pre class="diagram-error" data-source-line="10">Diagram error (line 10): Parse error on line 2</pre>');
+    expect(errors).toEqual([{ line: 10, message: 'Parse error on line 2' }]);
+  });
+
+  test('picks the Mermaid theme from the deck theme', () => {
+    expect(mermaidTheme('night')).toBe('dark');
+    expect(mermaidTheme('white')).toBe('default');
+  });
+});
+
+describe('renderDeckPage diagrams', () => {
+  test('draws diagrams before starting Reveal.js', () => {
+    const page = renderDeckPage(convertMarkdownToSlides('```mermaid\ngraph LR\n```'), { theme: 'moon' });
+
+    expect(page).toContain('<script type="module">\n    import mermaid from');
+    expect(page).toContain('theme: "dark"');
+    expect(page.indexOf('mermaid.render')).toBeLessThan(page.indexOf('Reveal.initialize'));
+    expect(renderDeckPage('<section>A</section>')).not.toContain('mermaid');
+  });
+});
+
+describe('md2reveal build diagrams', () => {
+  let cwd;
+
+  beforeEach(() => {
+    cwd = mkdtempSync(path.join(tmpdir(), 'md2reveal-diagrams-'));
+    writeFileSync(path.join(cwd, 'flow.md'), '---\ntheme: moon\n---\n# Flow\n\n```mermaid\ngraph LR\n  A --> B\n```\n\n```mermaid\noops\n```');
+  });
+
+  afterEach(() => {
+    rmSync(cwd, { recursive: true, force: true });
+  });
+
+  // Stands in for headless Chromium, drawing diagrams with `render`
+  function createBrowser(calls) {
+    return async () => ({
+      newPage: async () => ({
+        addScriptTag: async ({ path: script }) => {
+          calls.script = script;
+        },
+        evaluate: async (fn, arg) => {
+          if (typeof arg === 'string') {
+            calls.theme = arg;
+            return undefined;
+          }
+          return render(...arg);
+        },
+        close: async () => {}
+      }),
+      close: async () => {
+        calls.closed = true;
+      }
+    });
+  }
+
+  test('draws diagrams to SVG at build time', async () => {
+    const calls = {};
+    const logs = [];
+    const failures = await buildDecks([path.join(cwd, 'flow.md')], {}, {
+      cwd,
+      logger: { log: line => logs.push(line), error: () => {} },
+      launchBrowser: createBrowser(calls)
+    });
+
+    const html = readFileSync(path.join(cwd, 'dist', 'flow.html'), 'utf8');
+    expect(failures).toEqual([]);
+    expect(calls).toMatchObject({ theme: 'dark', closed: true });
+    expect(calls.script).toMatch(/mermaid\.min\.js$/);
+    expect(html).toMatch(/<div class="mermaid-diagram"><svg id="diagram-\d+">graph LR/);
+    expect(html).toContain('<pre class="diagram-error" data-source-line="11">Diagram error (line 11): Parse error on line 2</pre>');
+    expect(html).not.toContain('import mermaid');
+    expect(logs[0]).toBe('  flow.md: diagram on line 11 could not be drawn: Parse error on line 2');
+  });
+
+  test('fails decks with diagrams without Chromium', async () => {
+    const errors = [];
+    const launchBrowser = async () => {
+      throw new Error('no Chromium');
+    };
+    const logger = { log: () => {}, error: line => errors.push(line) };
+    writeFileSync(path.join(cwd, 'plain.md'), '# Plain');
+
+    const failures = await buildDecks([path.join(cwd, 'flow.md'), path.join(cwd, 'plain.md')], {}, { cwd, logger, launchBrowser });
+    expect(failures).toHaveLength(1);
+    expect(errors[0]).toBe('✗ flow.md: Diagrams are drawn at build time: no Chromium');
+    expect(existsSync(path.join(cwd, 'dist', 'flow.html'))).toBe(false);
+    expect(existsSync(path.join(cwd, 'dist', 'plain.html'))).toBe(true);
+  });
+
+  test('draws diagrams in served decks', async () => {
+    const calls = {};
+    const server = await startServer([path.join(cwd, 'flow.md')], {}, {
+      cwd,
+      port: 0,
+      logger: { log: () => {}, error: () => {} },
+      launchBrowser: createBrowser(calls)
+    });
+
+    const html = await (await fetch(`${server.url}/flow.html`)).text();
+    await server.close();
+    expect(html).toMatch(/<div class="mermaid-diagram"><svg id="diagram-\d+">graph LR/);
+    expect(html).not.toContain('import mermaid');
+    expect(calls.closed).toBe(true);
+  });
+});
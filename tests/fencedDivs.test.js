@@ -0,0 +1,72 @@
+import { convertMarkdownToSlides } from '../slides.js';
+import { parseDivFence, expandFencedDivs } from '../js/markdown/fenced-divs.js';
+import { extractNotes } from '../js/markdown/notes.js';
+import { splitSlideContent } from '../js/markdown/overflow.js';
+
+const columns = ':::: {.columns}\n\n::: {.column width="40%"}\nLeft *side*\n:::\n\n::: column\n- Right\n:::\n\n::::';
+
+describe('parseDivFence', () => {
+  test('reads names and attribute blocks', () => {
+    expect(parseDivFence('::: center')).toEqual({ open: true, classes: ['center'], attributes: {} });
+    expect(parseDivFence(':::: {#tip .callout .warning title="Heads up"} ::::'))
+      .toEqual({ open: true, classes: ['callout', 'warning'], attributes: { id: 'tip', title: 'Heads up' } });
+    expect(parseDivFence(':::')).toEqual({ open: false });
+    expect(parseDivFence(':: center')).toBeNull();
+  });
+});
+
+describe('expandFencedDivs', () => {
+  test('lays out columns with flexbox and keeps the content Markdown', () => {
+    expect(expandFencedDivs(columns)).toBe([
+      '<div class="columns" style="display: flex; gap: 1em;">',
+      '<div class="column" style="flex: 0 0 40%;">',
+      'Left *side*',
+      '</div>',
+      '<div class="column" style="flex: 1;">',
+      '- Right',
+      '</div>',
+      '</div>'
+    ].join('\n\n'));
+  });
+
+  test('adds callout titles and closes divs left open', () => {
+    expect(expandFencedDivs('::: {.callout title="A & B"}\nText')).toBe(
+      '<div class="callout" style="border-left: 0.25em solid currentColor; padding: 0.5em 1em; text-align: left;">\n'
+      + '<p class="callout-title"><strong>A &amp; B</strong></p>\n\nText\n\n</div>'
+    );
+  });
+
+  test('leaves code blocks and stray closing fences alone', () => {
+    const md = '```\n::: center\n```\n:::';
+
+    expect(expandFencedDivs(md)).toBe(md);
+  });
+});
+
+describe('fenced divs in slides', () => {
+  test('render in static output', () => {
+    const html = convertMarkdownToSlides(`## Split\n\n${columns}\n\n::: center\nDone\n:::`, { output: 'static' });
+
+    expect(html).toContain('<div class="column" style="flex: 0 0 40%;">\n\n<p>Left <em>side</em></p>\n</div>');
+    expect(html).toContain('<div class="center" style="text-align: center;">\n\n<p>Done</p>\n</div>');
+  });
+
+  test('reach the Markdown plugin as HTML blocks', () => {
+    const html = convertMarkdownToSlides(`## Split\n\n${columns}`);
+
+    expect(html).toContain('data-markdown');
+    expect(html).toContain('<div class="columns" style="display: flex; gap: 1em;">\n\n<div class="column"');
+  });
+
+  test('treat ::: notes as speaker notes', () => {
+    expect(extractNotes('# A\n\n::: notes\nSay ::: this\n\n::: center\nNested\n:::\n:::\n\nText'))
+      .toEqual({ content: '# A\n\nText', notes: 'Say ::: this\n\n::: center\nNested\n:::' });
+  });
+
+  test('stay in one piece when a slide is split', () => {
+    const md = `## Split\n\n${columns}\n\nAfter`;
+    const parts = splitSlideContent(md, part => !part.includes('After') || !part.includes(':::'));
+
+    expect(parts).toEqual([`## Split\n\n${columns}`, '## Split (cont.)\n\nAfter']);
+  });
+});
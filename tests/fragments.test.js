@@ -0,0 +1,111 @@
+// @vitest-environment node
+import { convertMarkdownToSlides } from '../slides.js';
+import { applyFragments, markFragmentBullets, resolveFragmentSettings } from '../js/markdown/fragments.js';
+import { BaseEngine } from '../js/engines/base-engine.js';
+
+describe('convertMarkdownToSlides fragments', () => {
+  test('turns + bullets into fragments and renders the slide', () => {
+    const html = convertMarkdownToSlides('## Steps\n\n+ One\n+ Two\n- Always');
+
+    expect(html).toContain('<li class="fragment">One</li>');
+    expect(html).toContain('<li class="fragment">Two</li>');
+    expect(html).toContain('<li>Always</li>');
+    expect(html).not.toContain('data-markdown');
+  });
+
+  test('applies attribute blocks to items, images and headings', () => {
+    const md = '# Title {.fragment}\n\n- Item {.fragment .fade-up index=2}\n\n![Chart](chart.png){.fragment #chart}';
+    const html = convertMarkdownToSlides(md, { output: 'static' });
+
+    expect(html).toContain('<h1 class="fragment">Title</h1>');
+    expect(html).toContain('<li class="fragment fade-up" data-fragment-index="2">Item</li>');
+    expect(html).toContain('<img src="chart.png" alt="Chart" class="fragment" id="chart">');
+  });
+
+  test('makes deck targets fragments with the deck effect', () => {
+    const md = '---\nfragments: all\nfragment-effect: fade-up\n---\nIntro\n\n- A\n- B {.fragment .grow}\n\n![](a.png)';
+    const html = convertMarkdownToSlides(md);
+
+    expect(html).toContain('<p class="fragment fade-up">Intro</p>');
+    expect(html).toContain('<li class="fragment fade-up">A</li>');
+    expect(html).toContain('<li class="fragment grow">B</li>');
+    expect(html).toContain('<p><img src="a.png" alt="" class="fragment fade-up"></p>');
+  });
+
+  test('lets slide directives override the deck settings', () => {
+    const md = '- A\n\n---\n\n<!-- @fragments: none -->\n- B';
+    const html = convertMarkdownToSlides(md, { fragments: true });
+
+    expect(html).toContain('<li class="fragment">A</li>');
+    expect(html).toContain('<textarea data-template>- B</textarea>');
+    expect(html).not.toContain('data-fragments');
+  });
+
+  test('leaves code and notes alone', () => {
+    const md = '```\n+ not a bullet {.fragment}\n```\n\n+ Shown\n\nNote:\n- Remember';
+    const html = convertMarkdownToSlides(md, { fragments: 'lists' });
+
+    expect(html).toContain('+ not a bullet {.fragment}');
+    expect(html).toContain('<aside class="notes"><ul>\n<li>Remember</li>');
+  });
+
+  test('keeps the raw HTML of slides rendered for fragments, math or diagrams', () => {
+    const iframe = '<iframe src="https://example.com/demo"></iframe>';
+    const slides = [
+      '+ One',
+      '- One {.fragment}',
+      'Area $\\pi r^2$',
+      '```mermaid\ngraph LR\n  A --> B\n```'
+    ];
+
+    slides.forEach(slide => {
+      const html = convertMarkdownToSlides(`## Demo\n\n${iframe}\n\n${slide}`);
+      expect(html).not.toContain('data-markdown');
+      expect(html).toContain(iframe);
+    });
+    expect(convertMarkdownToSlides(`${iframe}\n\n- One`, { fragments: 'lists' })).toContain(iframe);
+  });
+
+  test('rejects unknown targets and orders', () => {
+    expect(() => convertMarkdownToSlides('- A', { fragments: 'tables' })).toThrow('Unknown fragment target "tables"');
+    expect(() => convertMarkdownToSlides('- A', { fragmentOrder: 'random' })).toThrow('Unknown fragment order "random"');
+  });
+});
+
+describe('fragment helpers', () => {
+  test('resolves target shorthands', () => {
+    expect(resolveFragmentSettings({ fragments: true }).targets).toEqual(['lists']);
+    expect(resolveFragmentSettings({ fragments: 'list, image' }).targets).toEqual(['lists', 'images']);
+    expect(resolveFragmentSettings({ fragments: ['all'] }).targets).toEqual(['lists', 'paragraphs', 'images']);
+    expect(resolveFragmentSettings({ fragments: 'none' }).targets).toEqual([]);
+  });
+
+  test('orders fragments in reverse or together', () => {
+    const html = '<ul>\n<li>A</li>\n<li>B</li>\n</ul>';
+
+    expect(applyFragments(html, { targets: ['lists'], order: 'reverse' }))
+      .toBe('<ul>\n<li class="fragment" data-fragment-index="1">A</li>\n<li class="fragment" data-fragment-index="0">B</li>\n</ul>');
+    expect(applyFragments(html, { targets: ['lists'], order: 'together' }).match(/data-fragment-index="0"/g)).toHaveLength(2);
+  });
+
+  test('keeps line numbers when marking bullets', () => {
+    expect(markFragmentBullets('+ A\n  + B\n\n1 + 1')).toBe('- {.fragment} A\n  - {.fragment} B\n\n1 + 1');
+  });
+});
+
+describe('BaseEngine fragments', () => {
+  test('produces fragments from text nodes', () => {
+    const engine = new BaseEngine();
+    engine.updateConfig({ autoFragments: 'lists', fragmentEffect: 'fade-in' });
+
+    expect(engine.generateTextContent({ text: '- A\n- B' }))
+      .toBe('<div class="text-content"><ul><li class="fragment fade-in">A</li><br><li class="fragment fade-in">B</li></ul></div>');
+  });
+
+  test('skips fragments when they are turned off', () => {
+    const engine = new BaseEngine();
+    engine.updateConfig({ fragments: false });
+
+    expect(engine.generateTextContent({ text: '+ A' })).not.toContain('fragment');
+  });
+});
@@ -0,0 +1,87 @@
+import { parseFrontMatter, frontMatterToOptions, parseYaml } from '../js/markdown/front-matter.js';
+
+describe('parseFrontMatter', () => {
+  test('splits the front matter block from the body', () => {
+    const md = '---\ntitle: My Talk\nauthor: "Jane Doe"\n---\n# First slide';
+    const { data, body, lineOffset } = parseFrontMatter(md);
+
+    expect(data).toEqual({ title: 'My Talk', author: 'Jane Doe' });
+    expect(body).toBe('# First slide');
+    expect(lineOffset).toBe(4);
+  });
+
+  test('leaves documents without front matter untouched', () => {
+    const md = '# Title\n\n---\n\n## Slide 2';
+    expect(parseFrontMatter(md)).toEqual({ data: {}, body: md, lineOffset: 0 });
+  });
+
+  test('does not mistake a leading slide separator for front matter', () => {
+    const md = '---\n# Slide 1\n---\n# Slide 2';
+    expect(parseFrontMatter(md).body).toBe(md);
+  });
+
+  test('handles CRLF line endings', () => {
+    const { data, body } = parseFrontMatter('---\r\ntheme: white\r\n---\r\n# Hi');
+    expect(data).toEqual({ theme: 'white' });
+    expect(body).toBe('# Hi');
+  });
+
+  test('reports the file line of YAML errors', () => {
+    const md = '---\ntitle: ok\n  bad: indent\n---\n# Hi';
+    expect(() => parseFrontMatter(md)).toThrow('Invalid front matter (line 3)');
+  });
+});
+
+describe('parseYaml', () => {
+  test('parses scalars, lists, maps and block scalars', () => {
+    const yaml = [
+      'width: 1280',
+      'slideNumber: true',
+      'plugins: [notes, zoom]',
+      'tags:',
+      '  - one',
+      '  - "two # not a comment"',
+      'size: { w: 1, h: 2 }',
+      'nested:',
+      '  key: value # comment',
+      'css: |',
+      '  .reveal h1 {',
+      '    color: red;',
+      '  }'
+    ].join('\n');
+
+    expect(parseYaml(yaml)).toEqual({
+      width: 1280,
+      slideNumber: true,
+      plugins: ['notes', 'zoom'],
+      tags: ['one', 'two # not a comment'],
+      size: { w: 1, h: 2 },
+      nested: { key: 'value' },
+      css: '.reveal h1 {\n  color: red;\n}\n'
+    });
+  });
+
+  test('parses lists of maps', () => {
+    expect(parseYaml('items:\n- name: a\n  size: 1\n- name: b')).toEqual({
+      items: [{ name: 'a', size: 1 }, { name: 'b' }]
+    });
+  });
+});
+
+describe('frontMatterToOptions', () => {
+  test('maps aliases and kebab-case keys onto converter options', () => {
+    expect(frontMatterToOptions({
+      'background-color': '#fff',
+      'background-image': 'bg.png',
+      'text-align': 'left',
+      'slide-number': 'c/t',
+      'custom-css': 'h1 {}'
+    })).toEqual({
+      bgColor: '#fff',
+      bgImage: 'bg.png',
+      textAlign: 'left',
+      slideNumber: 'c/t',
+      css: 'h1 {}'
+    });
+  });
+});
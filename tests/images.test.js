@@ -0,0 +1,69 @@
+// @vitest-environment node
+import { convertMarkdownToSlides } from '../slides.js';
+import { expandImageSizes, extractBackgroundImages, applyImageLayout, renderImage } from '../js/markdown/images.js';
+import { RevealEngine } from '../js/engines/reveal-engine.js';
+
+describe('expandImageSizes', () => {
+  test('turns =WxH into an attribute block', () => {
+    expect(expandImageSizes('![A](a.png =400x) ![B](b.png =50%x200 "Title"){.right}'))
+      .toBe('![A](a.png){width=400} ![B](b.png "Title"){width=50% height=200 .right}');
+    expect(expandImageSizes('`![A](a.png =400x)`\n\n```\n![A](a.png =400x)\n```')).toContain('```\n![A](a.png =400x)\n```');
+  });
+});
+
+describe('extractBackgroundImages', () => {
+  test('moves a bg image to the slide attributes', () => {
+    expect(extractBackgroundImages('# Title\n\n![bg contain top left](<my photo.jpg>)\n\nText')).toEqual({
+      markdown: '# Title\n\nText',
+      attributes: {
+        'data-background-image': 'my photo.jpg',
+        'data-background-size': 'contain',
+        'data-background-position': 'top left'
+      }
+    });
+    expect(extractBackgroundImages('![background](a.png)').attributes).toEqual({});
+  });
+});
+
+describe('applyImageLayout', () => {
+  test('styles placement classes and captions images from their title', () => {
+    expect(applyImageLayout('<p><img src="a.png" alt="A" title="Revenue" class="right"></p>'))
+      .toBe('<figure class="image-figure" style="float: right; margin: 0 0 0 1em;"><img src="a.png" alt="A" class="right">'
+        + '<figcaption class="image-caption">Revenue</figcaption></figure>');
+    expect(applyImageLayout('<p>See <img src="a.png" alt="A" title="T" class="fit"></p>'))
+      .toBe('<p>See <img src="a.png" alt="A" title="T" class="fit" style="width: 100%;"></p>');
+  });
+});
+
+describe('convertMarkdownToSlides images', () => {
+  test('renders sized, captioned and background images', () => {
+    const html = convertMarkdownToSlides('![bg cover](bg.jpg)\n\n# Sales\n\n![Chart](chart.png =400x "Q3"){.center}');
+
+    expect(html).toContain('data-background-image="bg.jpg" data-background-size="cover"');
+    expect(html).toContain('<figure class="image-figure" style="margin: 0; text-align: center;">'
+      + '<img src="chart.png" alt="Chart" class="center" width="400" style="margin: 0 auto; display: block;">'
+      + '<figcaption class="image-caption">Q3</figcaption></figure>');
+    expect(html).not.toContain('data-markdown');
+  });
+
+  test('lets a slide directive override the bg image', () => {
+    const html = convertMarkdownToSlides('<!-- .slide: data-background-image="b.png" -->\n![bg](a.png)\n\n# A');
+
+    expect(html).toContain('data-background-image="b.png"');
+    expect(html).not.toContain('a.png');
+  });
+});
+
+describe('RevealEngine images', () => {
+  test('renders image nodes with the same styles', () => {
+    const engine = new RevealEngine();
+    const slide = engine.convertNodeToSlide({
+      id: 'a',
+      type: 'image',
+      content: { imageUrl: 'a.png', alt: 'A "quoted"', caption: 'Cap', fitWidth: true }
+    });
+
+    expect(slide.content).toBe(`<div class="image-content">${renderImage({ imageUrl: 'a.png', alt: 'A "quoted"', caption: 'Cap', fitWidth: true })}</div>`);
+    expect(slide.content).toContain('alt="A &quot;quoted&quot;" style="width: 100%;"');
+  });
+});
@@ -0,0 +1,75 @@
+import { resolveIncludes, findIncludes, joinPath } from '../js/markdown/includes.js';
+import { convertMarkdownToSlides } from '../slides.js';
+
+const reader = files => filePath => {
+  if (!(filePath in files)) throw new Error(`File not found: ${filePath}`);
+  return files[filePath];
+};
+
+describe('resolveIncludes', () => {
+  test('replaces both directive forms relative to the including file', () => {
+    const files = {
+      'course/modules/setup.md': '# Setup',
+      'course/shared/outro.md': '---\ntitle: ignored\n---\n# Thanks'
+    };
+    const md = '# Intro\n\n---\n\n<!-- include: modules/setup.md -->\n\n---\n\n!include ./shared/outro.md';
+
+    expect(resolveIncludes(md, { readFile: reader(files), filePath: 'course/index.md' }))
+      .toBe('# Intro\n\n---\n\n# Setup\n\n---\n\n# Thanks');
+  });
+
+  test('resolves nested includes from the included file directory', () => {
+    const files = {
+      'modules/a.md': '# A\n\n!include parts/b.md',
+      'modules/parts/b.md': 'B body'
+    };
+    expect(resolveIncludes('!include modules/a.md', { readFile: reader(files) })).toBe('# A\n\nB body');
+  });
+
+  test('selects slides by range', () => {
+    const files = { 'deck.md': '# 1\n---\n# 2\n\n--\n\n# 2.1\n---\n# 3\n---\n# 4' };
+    const md = '<!-- include: deck.md slides=2-3 -->';
+
+    expect(resolveIncludes(md, { readFile: reader(files) })).toBe('# 2\n\n--\n\n# 2.1\n\n---\n\n# 3');
+    expect(resolveIncludes('!include deck.md slides=1,4-', { readFile: reader(files) })).toBe('# 1\n\n---\n\n# 4');
+    expect(() => resolveIncludes('!include deck.md slides=3-9', { readFile: reader(files) }))
+      .toThrow('slides 3-9 are outside 1-4');
+  });
+
+  test('detects include cycles', () => {
+    const files = { 'a.md': '!include b.md', 'b.md': '!include a.md' };
+    expect(() => resolveIncludes('!include a.md', { readFile: reader(files), filePath: 'main.md' }))
+      .toThrow('Include cycle: main.md → a.md → b.md → a.md');
+  });
+
+  test('reports missing files with the directive location', () => {
+    expect(() => resolveIncludes('# A\n!include nope.md', { readFile: reader({}), filePath: 'talk.md' }))
+      .toThrow('Cannot resolve include "nope.md" (line 2 in talk.md): File not found: nope.md');
+  });
+
+  test('ignores directives inside code blocks', () => {
+    const md = '```\n!include a.md\n```';
+    expect(findIncludes(md)).toEqual([]);
+    expect(resolveIncludes(md)).toBe(md);
+  });
+});
+
+describe('joinPath', () => {
+  test('normalizes dot segments', () => {
+    expect(joinPath('talks/q3', '../shared/./intro.md')).toBe('talks/shared/intro.md');
+    expect(joinPath('', '../intro.md')).toBe('../intro.md');
+    expect(joinPath('/work/talks', '/abs/intro.md')).toBe('/abs/intro.md');
+  });
+});
+
+describe('convertMarkdownToSlides includes', () => {
+  test('splits included files into slides', () => {
+    const html = convertMarkdownToSlides('# Intro\n\n---\n\n!include parts.md', {
+      readFile: reader({ 'parts.md': '# Part 1\n\n---\n\n# Part 2' }),
+      filePath: 'talk.md'
+    });
+
+    expect(html.match(/<section/g)).toHaveLength(3);
+    expect(html).toContain('# Part 2');
+  });
+});
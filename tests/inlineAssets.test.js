@@ -0,0 +1,165 @@
+// @vitest-environment node
+import { mkdtempSync, writeFileSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { inlineAssets, bundleAssets, formatAssetReport, formatBytes } from '../js/markdown/inline-assets.js';
+import { buildDecks } from '../cli/build.js';
+
+const silent = { log: () => {}, error: () => {} };
+
+const base64 = text => Buffer.from(text).toString('base64');
+
+// Serves assets from memory, recording every URL requested
+function createLoader(files, requests = []) {
+  return async url => {
+    requests.push(url);
+    if (!(url in files)) throw new Error('HTTP 404');
+    return { bytes: new TextEncoder().encode(files[url]) };
+  };
+}
+
+describe('inlineAssets', () => {
+  const files = {
+    'https://cdn.test/reveal.css': '.reveal{color:red}',
+    'https://cdn.test/theme/black.css': '@import url(./fonts/sans.css);\nsection{background:url(bg.png)}',
+    'https://cdn.test/theme/fonts/sans.css':
+      '@font-face{font-family:S;src:url(s.eot);src:url(s.eot?#iefix) format("embedded-opentype"),' +
+      'url(s.woff2) format("woff2"),url(s.woff) format("woff")}',
+    'https://cdn.test/theme/fonts/s.woff2': 'WOFF2',
+    'https://cdn.test/theme/bg.png': 'PNG',
+    'https://cdn.test/reveal.js': 'var a = "</script>";',
+    'https://deck.test/img/a.png': 'A'
+  };
+
+  test('inlines stylesheets with their imports, fonts and images', async () => {
+    const requests = [];
+    const { html } = await inlineAssets(
+      '<link rel="stylesheet" href="https://cdn.test/reveal.css"><link rel="stylesheet" href="https://cdn.test/theme/black.css">',
+      { baseUrl: 'https://deck.test/', loadAsset: createLoader(files, requests) }
+    );
+
+    expect(html).not.toContain('<link');
+    expect(html).toContain('.reveal{color:red}');
+    expect(html).toContain('font-family:S;src: url("data:font/woff2;base64,' + base64('WOFF2') + '") format("woff2");}');
+    expect(html).toContain(`section{background:url("data:image/png;base64,${base64('PNG')}")}`);
+    expect(html.indexOf('@font-face')).toBeLessThan(html.indexOf('section{'));
+    // Only the WOFF2 font is downloaded, and URLs resolve against their own sheet
+    expect(requests.filter(url => /\.(eot|woff2?)$/.test(url))).toEqual(['https://cdn.test/theme/fonts/s.woff2']);
+  });
+
+  test('inlines scripts, images and background images once per URL', async () => {
+    const requests = [];
+    const { html } = await inlineAssets(
+      [
+        '<section data-background-image="img/a.png"><img src="img/a.png" alt="a">',
+        '<p style="background: url(&quot;img/a.png&quot;)">x</p></section>',
+        '<script src="https://cdn.test/reveal.js" defer></script>'
+      ].join(''),
+      { baseUrl: 'https://deck.test/', loadAsset: createLoader(files, requests) }
+    );
+
+    const image = `data:image/png;base64,${base64('A')}`;
+    expect(html).toContain(`data-background-image="${image}"`);
+    expect(html).toContain(`<img src="${image}" alt="a">`);
+    expect(html).toContain(`style="background: url(&quot;${image}&quot;)"`);
+    expect(html).toContain('<script defer="">var a = "<\\/script>";</script>');
+    expect(requests.filter(url => url.endsWith('a.png'))).toHaveLength(1);
+  });
+
+  test('reports the size, failures and what stays online', async () => {
+    const { html, report } = await inlineAssets(
+      [
+        '<img src="img/a.png"><img src="missing.png">',
+        '<section data-background-video="v.mp4"></section>',
+        '<script type="module">import m from \'https://cdn.test/m.mjs\';</script>'
+      ].join(''),
+      { baseUrl: 'https://deck.test/', loadAsset: createLoader(files) }
+    );
+
+    expect(html).toContain('<img src="missing.png">');
+    expect(report.size).toBe(Buffer.byteLength(html));
+    expect(report.assets).toEqual([{ url: 'https://deck.test/img/a.png', kind: 'image', size: 1 }]);
+    expect(report.failed).toEqual([{ url: 'https://deck.test/missing.png', kind: 'image', error: 'HTTP 404' }]);
+    expect(report.external).toEqual([
+      { url: 'https://deck.test/v.mp4', kind: 'video' },
+      { url: 'https://cdn.test/m.mjs', kind: 'script' }
+    ]);
+    expect(formatAssetReport(report).split('\n')).toEqual([
+      formatBytes(report.size),
+      '        1 B  image https://deck.test/img/a.png',
+      '  not included: image https://deck.test/missing.png (HTTP 404)',
+      '  still online: video https://deck.test/v.mp4',
+      '  still online: script https://cdn.test/m.mjs'
+    ]);
+    expect(formatBytes(1536000)).toBe('1.5 MB');
+  });
+});
+
+describe('bundleAssets', () => {
+  const files = {
+    'https://cdn.test/reveal.js': 'var a = "</script>";',
+    'https://cdn.test/theme/black.css': '@font-face{src:url(fonts/s.woff2) format("woff2")}',
+    'https://cdn.test/theme/fonts/s.woff2': 'WOFF2',
+    'https://deck.test/img/a.png': 'A'
+  };
+
+  test('writes vendor files, content-hashed assets and extracted data URLs', async () => {
+    const { html, files: written, report } = await bundleAssets(
+      [
+        '<link rel="stylesheet" href="https://cdn.test/theme/black.css">',
+        `<img src="img/a.png"><img src="data:image/png;base64,${base64('A')}">`,
+        '<img src="data:image/svg+xml,%3Csvg%2F%3E">',
+        '<script src="https://cdn.test/reveal.js"></script>'
+      ].join(''),
+      { baseUrl: 'https://deck.test/', loadAsset: createLoader(files) }
+    );
+
+    const text = path => new TextDecoder().decode(written.get(path));
+    const [image, dataImage, svg] = [...html.matchAll(/<img src="([^"]+)">/g)].map(([, src]) => src);
+    expect(html).toContain('<link rel="stylesheet" href="vendor/black.css">');
+    expect(html).toContain('<script src="vendor/reveal.js"></script>');
+    expect(image).toMatch(/^assets\/a-[0-9a-f]{10}\.png$/);
+    expect(dataImage).toBe(image.replace('/a-', '/image-'));
+    expect(svg).toMatch(/^assets\/image-[0-9a-f]{10}\.svg$/);
+    expect(text(svg)).toBe('<svg/>');
+    expect(text('vendor/reveal.js')).toBe(files['https://cdn.test/reveal.js']);
+    expect(text('vendor/black.css')).toMatch(/^@font-face\{src: url\("\.\.\/assets\/s-[0-9a-f]{10}\.woff2"\) format\("woff2"\);\}$/);
+    expect(report.size).toBe(Buffer.byteLength(html) + [...written.values()].reduce((total, bytes) => total + bytes.length, 0));
+  });
+});
+
+describe('md2reveal build --standalone', () => {
+  let cwd;
+
+  beforeEach(() => {
+    cwd = mkdtempSync(path.join(tmpdir(), 'md2reveal-standalone-'));
+    writeFileSync(path.join(cwd, 'talk.md'), '# Talk\n\n![chart](chart.png)');
+    writeFileSync(path.join(cwd, 'chart.png'), 'PNG');
+  });
+
+  afterEach(() => {
+    rmSync(cwd, { recursive: true, force: true });
+  });
+
+  test('writes a static deck with its runtime and local images inline', async () => {
+    const logs = [];
+    const loadAsset = async url => ({
+      bytes: url.startsWith('file:') ? new Uint8Array(readFileSync(fileURLToPath(url))) : new TextEncoder().encode('/* cdn */')
+    });
+
+    const failures = await buildDecks([path.join(cwd, 'talk.md')], {}, {
+      cwd,
+      logger: { log: line => logs.push(line), error: silent.error },
+      standalone: true,
+      loadAsset
+    });
+
+    const html = readFileSync(path.join(cwd, 'dist', 'talk.html'), 'utf8');
+    expect(failures).toEqual([]);
+    expect(html).not.toMatch(/<(link|script) [^>]*(href|src)="https:/);
+    expect(html).not.toContain('data-markdown');
+    expect(html).toContain(`src="data:image/png;base64,${base64('PNG')}"`);
+    expect(logs[0]).toMatch(/^✓ talk\.md → dist\/talk\.html \(\d+(\.\d)? k?B\)$/);
+  });
+});
@@ -0,0 +1,210 @@
+// @vitest-environment node
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { lintDeck, resolveLintRules } from '../js/markdown/lint.js';
+import { contrastRatio, getContrastColor } from '../js/markdown/colors.js';
+import { findIncludeErrors } from '../js/markdown/includes.js';
+import { run, EXIT_OK, EXIT_FAILURE, EXIT_USAGE } from '../cli/index.js';
+
+const silent = { log: () => {}, error: () => {} };
+
+const rulesOf = problems => problems.map(problem => `${problem.line} ${problem.rule}`);
+
+describe('resolveLintRules', () => {
+  test('merges severities and options over the defaults', () => {
+    const rules = resolveLintRules({ 'word-budget': { max: 50 }, contrast: 'error' }, { wordBudget: 'off' });
+
+    expect(rules['word-budget']).toEqual({ severity: 'off', max: 50 });
+    expect(rules.contrast).toEqual({ severity: 'error', min: 4.5 });
+    expect(rules['image-alt'].severity).toBe('warning');
+    expect(() => resolveLintRules({ spelling: 'error' })).toThrow('Unknown lint rule "spelling"');
+    expect(() => resolveLintRules({ contrast: 'loud' })).toThrow('Invalid severity "loud" for lint rule "contrast"');
+    expect(() => resolveLintRules({ 'font-size': { max: 10 } })).toThrow('Invalid option "max" for lint rule "font-size"');
+  });
+});
+
+describe('contrastRatio', () => {
+  test('follows WCAG and accepts short colors', () => {
+    expect(contrastRatio('#000000', '#fff')).toBeCloseTo(21);
+    expect(contrastRatio('#777777', '#777')).toBe(1);
+    expect(getContrastColor('#fff')).toBe('#000000');
+  });
+});
+
+describe('lintDeck', () => {
+  test('reports content problems with their slide and line', () => {
+    const md = [
+      '---',
+      'title: Deck',
+      '---',
+      '# Intro',
+      '',
+      '![](chart.png) ![bg](photo.jpg)',
+      '<img src="logo.png">',
+      '---',
+      '## Plan',
+      '#### Details',
+      '--',
+      '<!-- .slide: id="plan" -->',
+      'Note: nothing to show',
+      '',
+      '---',
+      '## Plan',
+      '',
+      '```md',
+      '![](not-an-image.png)',
+      '```'
+    ].join('\n');
+
+    expect(lintDeck(md)).toEqual([
+      { rule: 'image-alt', severity: 'warning', message: 'Image has no alt text', line: 6, slide: '1' },
+      { rule: 'image-alt', severity: 'warning', message: '<img> has no alt attribute', line: 7, slide: '1' },
+      { rule: 'heading-increment', severity: 'warning', message: 'Heading level jumps from H2 to H4', line: 10, slide: '2.1' },
+      { rule: 'empty-slide', severity: 'warning', message: 'Slide has no content', line: 12, slide: '2.2' },
+      { rule: 'duplicate-title', severity: 'warning', message: 'Title "Plan" is also the title of slide 2.1', line: 16, slide: '3' }
+    ]);
+  });
+
+  test('counts the words shown on a slide against the budget', () => {
+    const md = '---\nlint:\n  word-budget: { max: 4, severity: error }\n---\n# One two\n\nthree four five\n\nNote: six seven eight';
+
+    expect(lintDeck(md)).toEqual([
+      { rule: 'word-budget', severity: 'error', message: 'Slide has 5 words, over the budget of 4', line: 5, slide: '1' }
+    ]);
+    expect(lintDeck('# One two three', { lint: { wordBudget: { max: 2 } } })).toHaveLength(1);
+  });
+
+  test('checks internal links against slide ids and positions', () => {
+    const md = [
+      '# Start',
+      '',
+      '[Agenda](#/agenda) [Results](#/results) [Back](#/0) [Far](#/5) [Down](#/1/1) [Deep](#/1/2)',
+      '',
+      '---',
+      '<!-- @id: agenda -->',
+      '## Agenda',
+      '--',
+      '## More'
+    ].join('\n');
+
+    expect(lintDeck(md).map(problem => problem.message)).toEqual([
+      'Link to #/results does not match a slide id',
+      'Link to #/5 points past the last slide (the deck has 2)',
+      'Link to #/1/2 points past the last vertical slide of slide 2'
+    ]);
+  });
+
+  test('counts included slides for links and reports unresolved includes', () => {
+    const files = { 'parts/a.md': '# A\n\n---\n\n# B' };
+    const readFile = file => {
+      if (!(file in files)) throw new Error(`ENOENT: ${file}`);
+      return files[file];
+    };
+    const md = '# Deck\n\n[Last](#/2)\n\n---\n\n<!-- include: parts/a.md -->\n\n---\n\n<!-- include: parts/b.md -->';
+
+    expect(lintDeck(md, { readFile, filePath: 'deck.md' })).toEqual([
+      {
+        rule: 'include',
+        severity: 'error',
+        message: 'Cannot resolve include "parts/b.md" (line 11 in deck.md): ENOENT: parts/b.md',
+        line: 11,
+        slide: '4'
+      }
+    ]);
+    expect(findIncludeErrors(md, { readFile, filePath: 'deck.md' })).toHaveLength(1);
+  });
+
+  test('numbers slides as presented and reports problems in included files', () => {
+    const files = { 'parts/a.md': '---\ntitle: Part\n---\n# A\n\n---\n\n# B\n\n![](b.png)' };
+    const md = '# Deck\n\n---\n\n<!-- include: parts/a.md -->\n\n---\n\n# End\n\n![](end.png)';
+
+    expect(lintDeck(md, { readFile: file => files[file], filePath: 'deck.md' })).toEqual([
+      { rule: 'image-alt', severity: 'warning', message: 'Image has no alt text', line: 10, slide: '3', file: 'parts/a.md' },
+      { rule: 'image-alt', severity: 'warning', message: 'Image has no alt text', line: 11, slide: '4' }
+    ]);
+  });
+
+  test('counts section dividers and continuation slides in slide numbers', () => {
+    const dividers = '---\nsection-dividers: true\n---\n# Deck\n\n---\n\n# Part A\n\n---\n\n# Part B\n\n![](b.png)';
+    expect(lintDeck(dividers).map(problem => `${problem.slide} ${problem.line}`)).toEqual(['5 14']);
+
+    const split = '---\noverflow: split\n---\n# Long\n\nOne\n\nTwo\n\nThree\n\n---\n\n# Next\n\n![](c.png)';
+    const measureSlide = html => (html.match(/<p>/g) || []).length * 300;
+    expect(lintDeck(split, { measureSlide }).map(problem => `${problem.slide} ${problem.line}`)).toEqual(['3 16']);
+  });
+
+  test('flags small fonts and low contrast', () => {
+    const md = [
+      '---',
+      'theme: white',
+      'bg-color: "#ffffff"',
+      'font-size: 20',
+      '---',
+      '# Small',
+      '',
+      '<span style="font-size: 0.5em; color: #dddddd">fine print</span>',
+      '---',
+      '<!-- @bg: #111111 -->',
+      '# Dark slide',
+      '---',
+      '![bg](photo.jpg)',
+      '<span style="color: #000">on a photo</span>'
+    ].join('\n');
+
+    expect(rulesOf(lintDeck(md))).toEqual(['4 font-size', '8 font-size', '8 contrast', '10 contrast']);
+    expect(lintDeck(md)[3].message).toBe(
+      'Theme text #222222 on #111111 has a contrast ratio of 1.2:1, below 4.5:1; #ffffff text would read better'
+    );
+    expect(lintDeck(md, { lint: { 'font-size': false, contrast: { min: 1 } } })).toEqual([]);
+  });
+
+  test('reports a poor deck background once', () => {
+    const problems = lintDeck('---\ntheme: white\nbg-color: "#000000"\n---\n# A\n\n---\n\n# B');
+
+    expect(rulesOf(problems)).toEqual(['3 contrast']);
+    expect(problems[0].slide).toBeNull();
+    expect(lintDeck('---\ntheme: white\n---\n# A\n\n---\n\n# B')).toEqual([]);
+  });
+});
+
+describe('md2reveal lint', () => {
+  let cwd;
+
+  beforeEach(() => {
+    cwd = mkdtempSync(path.join(tmpdir(), 'md2reveal-lint-'));
+    writeFileSync(path.join(cwd, 'clean.md'), '# Clean');
+    writeFileSync(path.join(cwd, 'links.md'), '# Links\n\n[Missing](#/nowhere)\n\n![](a.png)');
+  });
+
+  afterEach(() => {
+    rmSync(cwd, { recursive: true, force: true });
+  });
+
+  test('prints the problems as JSON and fails on errors', async () => {
+    const output = [];
+    const logger = { log: text => output.push(text), error: () => {} };
+
+    expect(await run(['lint', '*.md', '--format', 'json'], { cwd, logger })).toBe(EXIT_FAILURE);
+    expect(JSON.parse(output.join(''))).toEqual([
+      { file: 'clean.md', problems: [] },
+      {
+        file: 'links.md',
+        problems: [
+          { rule: 'internal-link', severity: 'error', message: 'Link to #/nowhere does not match a slide id', line: 3, slide: '1' },
+          { rule: 'image-alt', severity: 'warning', message: 'Image has no alt text', line: 5, slide: '1' }
+        ]
+      }
+    ]);
+  });
+
+  test('reads project rule settings and passes with warnings only', async () => {
+    writeFileSync(path.join(cwd, 'lint.json'), JSON.stringify({ 'internal-link': 'warning' }));
+    const output = [];
+    const logger = { log: text => output.push(text), error: text => output.push(text) };
+
+    expect(await run(['lint', 'links.md', '--lint-config', 'lint.json'], { cwd, logger })).toBe(EXIT_OK);
+    expect(output).toContain('! links.md:3: Link to #/nowhere does not match a slide id (slide 1) [internal-link]');
+    expect(await run(['lint', 'links.md', '--format', 'xml'], { cwd, logger: silent })).toBe(EXIT_USAGE);
+  });
+});
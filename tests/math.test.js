@@ -0,0 +1,110 @@
+// @vitest-environment node
+import { convertMarkdownToSlides } from '../slides.js';
+import { extractMath, restoreMath, renderMath, resolveMacros } from '../js/markdown/math.js';
+import { renderDeckPage } from '../cli/template.js';
+import { RevealEngine } from '../js/engines/reveal-engine.js';
+
+const tex = (text, { displayMode }) => `[${displayMode ? 'display' : 'inline'}:${text.trim()}]`;
+const extract = markdown => {
+  const { markdown: text, math } = extractMath(markdown, { render: tex });
+  return restoreMath(text, math);
+};
+
+describe('extractMath', () => {
+  test('finds inline and display math', () => {
+    expect(extract('Let $x_1$ be\n\n$$\n\\frac{a}{b}\n$$')).toBe('Let [inline:x_1] be\n\n[display:\\frac{a}{b}]');
+  });
+
+  test('leaves code, escaped dollars and prices alone', () => {
+    expect(extract('`$x$` and ``a ` $y$``')).toBe('`$x$` and ``a ` $y$``');
+    expect(extract('\\$5 or $ 5 $ costs $5 and $10')).toBe('\\$5 or $ 5 $ costs $5 and $10');
+    expect(extract('```\n$$x$$\n```\n$y$')).toBe('```\n$$x$$\n```\n[inline:y]');
+  });
+
+  test('keeps inline math within a paragraph', () => {
+    expect(extract('$a\n\nb$')).toBe('$a\n\nb$');
+  });
+});
+
+describe('renderMath', () => {
+  test('numbers display equations unless told not to', () => {
+    const numbering = { count: 0 };
+
+    expect(renderMath('a', { displayMode: true, numbering })).toContain('(1)');
+    expect(renderMath('b \\notag', { displayMode: true, numbering })).not.toContain('(2)');
+    expect(renderMath('c \\tag{*}', { displayMode: true, numbering })).toContain('(*)');
+    expect(renderMath('d', { numbering })).not.toContain('(2)');
+    expect(numbering.count).toBe(1);
+  });
+
+  test('shows errors in place', () => {
+    expect(renderMath('\\frac{')).toContain('katex-error');
+  });
+
+  test('resolves macros without their backslash', () => {
+    expect(resolveMacros({ RR: '\\mathbb{R}', '\\N': '\\mathbb{N}' })).toEqual({ '\\RR': '\\mathbb{R}', '\\N': '\\mathbb{N}' });
+    expect(() => resolveMacros(['RR'])).toThrow('Invalid math-macros');
+  });
+});
+
+describe('convertMarkdownToSlides math', () => {
+  const deck = [
+    '---',
+    'math-macros:',
+    '  RR: \\mathbb{R}',
+    'equation-numbers: true',
+    '---',
+    '# Proof',
+    '',
+    'For $x_1 \\in \\RR$ and *text*:',
+    '',
+    '$$ a_1 + b_2 $$',
+    '',
+    '---',
+    '',
+    '$$ c $$',
+    '',
+    '---',
+    '',
+    '# No math, just \\$5'
+  ].join('\n');
+
+  test('renders math at conversion time and numbers equations across the deck', () => {
+    const html = convertMarkdownToSlides(deck);
+
+    expect(html).toContain('<annotation encoding="application/x-tex">x_1 \\in \\RR</annotation>');
+    expect(html).toContain('mathvariant="double-struck"');
+    expect(html).toContain('<em>text</em>');
+    expect(html).toContain('(1)');
+    expect(html).toContain('(2)');
+    expect(html.match(/data-markdown/g)).toHaveLength(1);
+    expect(html).not.toContain('katex-error');
+  });
+
+  test('links the KaTeX stylesheet in standalone pages with math', () => {
+    expect(renderDeckPage(convertMarkdownToSlides(deck))).toContain('katex.min.css');
+    expect(renderDeckPage(convertMarkdownToSlides('# Plain'))).not.toContain('katex');
+  });
+});
+
+describe('RevealEngine math', () => {
+  test('renders math in text nodes', () => {
+    const engine = new RevealEngine();
+    const slide = engine.convertNodeToSlide({ id: 'a', type: 'text', content: { text: '# Area\n\n$\\pi r^2$' } });
+
+    expect(slide.content).toContain('<span class="katex">');
+    expect(slide.content).not.toContain('$');
+  });
+
+  test('links the KaTeX stylesheet in exported decks with math', () => {
+    const engine = new RevealEngine();
+    const slide = engine.convertNodeToSlide({ id: 'a', type: 'text', content: { text: '$\\pi r^2$' } });
+    vi.stubGlobal('document', { getElementById: () => ({ innerHTML: `<section>${slide.content}</section>` }) });
+
+    try {
+      expect(engine.exportHTML()).toContain('<link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/katex.min.css">');
+    } finally {
+      vi.unstubAllGlobals();
+    }
+  });
+});
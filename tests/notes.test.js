@@ -0,0 +1,68 @@
+import { convertMarkdownToSlides } from '../slides.js';
+import { extractNotes, joinNotes } from '../js/markdown/notes.js';
+import { RevealEngine } from '../js/engines/reveal-engine.js';
+
+describe('extractNotes', () => {
+  test('recognizes Note:, Notes: and ??? for the rest of the slide', () => {
+    expect(extractNotes('# A\n\nNote: One\nTwo')).toEqual({ content: '# A\n', notes: 'One\nTwo' });
+    expect(extractNotes('# A\n\nnotes:\n- One')).toEqual({ content: '# A\n', notes: '- One' });
+    expect(extractNotes('# A\n???\nRemark')).toEqual({ content: '# A', notes: 'Remark' });
+  });
+
+  test('collects comment blocks anywhere in the slide', () => {
+    const { content, notes } = extractNotes('<!-- notes: Intro -->\n# A\n\n<!-- notes\n  Keep\n    indented\n-->\nText\n\nNote: Last');
+
+    expect(content).toBe('# A\n\nText\n');
+    expect(notes).toBe('Intro\n\nKeep\n  indented\n\nLast');
+  });
+
+  test('ignores note markers in code blocks', () => {
+    const md = '```\nNote: code\n???\n<!-- notes -->\n```';
+
+    expect(extractNotes(md)).toEqual({ content: md, notes: '' });
+  });
+
+  test('joins notes back in the Note: form', () => {
+    expect(joinNotes('# A\n\n', 'Hi')).toBe('# A\n\nNote:\nHi');
+    expect(joinNotes('# A', '')).toBe('# A');
+  });
+});
+
+describe('convertMarkdownToSlides speaker notes', () => {
+  const md = '# A\n\n<!-- notes\nSay *hi*\n-->\n\nText\n\n???\n- Point';
+
+  test('normalizes every syntax for the Markdown plugin', () => {
+    expect(convertMarkdownToSlides(md)).toContain('# A\n\nText\n\nNote:\nSay *hi*\n\n- Point</textarea>');
+  });
+
+  test('renders notes as Markdown in static output', () => {
+    const html = convertMarkdownToSlides(md, { output: 'static' });
+
+    expect(html).toContain('<aside class="notes"><p>Say <em>hi</em></p>\n<ul>\n<li>Point</li>');
+    expect(html).not.toContain('???');
+  });
+});
+
+describe('RevealEngine speaker notes', () => {
+  test('emits node notes and notes written in the text', () => {
+    const engine = new RevealEngine();
+    const slide = engine.convertNodeToSlide({
+      id: 'a',
+      type: 'text',
+      notes: 'Open with a **story**',
+      content: { text: '# Intro\n\nNote: Then the demo' }
+    });
+
+    const html = engine.convertSlideToHTML(slide);
+
+    expect(html).toContain('<div class="text-content"><h1>Intro</h1></div>');
+    expect(html).toMatch(/<aside class="notes">Open with a <strong>story<\/strong>.*Then the demo<\/aside><\/section>$/);
+  });
+
+  test('leaves out the aside when there are no notes', () => {
+    const engine = new RevealEngine();
+    const slide = engine.convertNodeToSlide({ id: 'b', type: 'image', notes: '', content: { imageUrl: 'a.png' } });
+
+    expect(engine.convertSlideToHTML(slide)).not.toContain('notes');
+  });
+});
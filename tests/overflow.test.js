@@ -0,0 +1,109 @@
+// @vitest-environment node
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { convertMarkdownToSlides, findOverflowingSlides } from '../slides.js';
+import { estimateSlideHeight, splitSlideContent, listSlides } from '../js/markdown/overflow.js';
+import { run, EXIT_OK, EXIT_FAILURE } from '../cli/index.js';
+
+const longList = count => Array.from({ length: count }, (_, i) => `- Item ${i + 1} with a few words`).join('\n');
+
+describe('estimateSlideHeight', () => {
+  test('grows with content and ignores speaker notes', () => {
+    const short = estimateSlideHeight('<h2>Title</h2>\n<p>One line</p>');
+    const notes = estimateSlideHeight('<h2>Title</h2>\n<p>One line</p>\n<aside class="notes"><p>Long notes</p></aside>');
+    const long = estimateSlideHeight(`<h2>Title</h2>\n<p>${'word '.repeat(200)}</p>`);
+
+    expect(notes).toBe(short);
+    expect(long).toBeGreaterThan(short * 3);
+  });
+
+  test('uses image heights and the deck font size', () => {
+    expect(estimateSlideHeight('<p><img src="a.png" height="500"></p>')).toBe(500);
+    expect(estimateSlideHeight('<p>Text</p>', { fontSize: 20 })).toBeLessThan(estimateSlideHeight('<p>Text</p>'));
+  });
+});
+
+describe('splitSlideContent', () => {
+  test('breaks between list items and repeats the heading', () => {
+    const md = '## Agenda {.fragment}\n\n- A\n- B\n- C\n\nNote: Go slow';
+    const parts = splitSlideContent(md, part => part.split('\n').length <= 4);
+
+    expect(parts).toEqual(['## Agenda {.fragment}\n\n- A\n- B\n\nNote:\nGo slow', '## Agenda (cont.)\n\n- C']);
+  });
+
+  test('keeps slides that fit and blocks that cannot be split', () => {
+    expect(splitSlideContent('# A\n\n- B', () => true)).toEqual(['# A\n\n- B']);
+    expect(splitSlideContent('```\n1\n\n2\n```', () => false)).toEqual(['```\n1\n\n2\n```']);
+  });
+});
+
+describe('findOverflowingSlides', () => {
+  test('reports slides taller than the deck height', () => {
+    const md = `# Fits\n\n---\n\n## Too long\n\n${longList(16)}`;
+
+    expect(findOverflowingSlides(md)).toEqual([expect.objectContaining({ number: '2', line: 5, limit: 700 })]);
+    expect(findOverflowingSlides(`---\nheight: 2000\n---\n${md}`)).toEqual([]);
+  });
+
+  test('uses the measurement passed in', () => {
+    expect(findOverflowingSlides('# A\n\n--\n\n# B', { measureSlide: html => (html.includes('B') ? 900 : 10) }))
+      .toEqual([{ number: '1.2', line: 5, height: 900, limit: 700 }]);
+  });
+});
+
+describe('convertMarkdownToSlides overflow', () => {
+  test('splits overflowing slides into continuation slides', () => {
+    const html = convertMarkdownToSlides(`## Steps\n\n${longList(16)}\n\n---\n\n# End`, { overflow: 'split' });
+    const slides = listSlides(html);
+
+    expect(slides.length).toBeGreaterThan(2);
+    expect(slides[1].html).toContain('## Steps (cont.)');
+    expect(slides[slides.length - 1].html).toContain('# End');
+  });
+
+  test('keeps continuation slides inside a vertical stack', () => {
+    const html = convertMarkdownToSlides(`# Top\n\n--\n\n## Steps\n\n${longList(16)}`, { overflow: 'split', output: 'static' });
+
+    expect(listSlides(html).map(slide => slide.number)).toEqual(['1.1', '1.2', '1.3']);
+    expect(html).toContain('<h2>Steps (cont.)</h2>');
+  });
+
+  test('rejects unknown overflow modes', () => {
+    expect(() => convertMarkdownToSlides('# A', { overflow: 'shrink' })).toThrow('Unknown overflow mode "shrink"');
+  });
+});
+
+describe('md2reveal check', () => {
+  let cwd;
+
+  beforeEach(() => {
+    cwd = mkdtempSync(path.join(tmpdir(), 'md2reveal-'));
+    writeFileSync(path.join(cwd, 'ok.md'), '# Fine');
+  });
+
+  afterEach(() => {
+    rmSync(cwd, { recursive: true, force: true });
+  });
+
+  test('fails when a deck overflows', async () => {
+    writeFileSync(path.join(cwd, 'long.md'), `# Long\n\n${longList(20)}`);
+    const errors = [];
+    const logger = { log: () => {}, error: message => errors.push(message) };
+
+    expect(await run(['check', 'ok.md'], { cwd, logger })).toBe(EXIT_OK);
+    expect(await run(['check', '*.md'], { cwd, logger })).toBe(EXIT_FAILURE);
+    expect(errors[0]).toMatch(/^✗ long\.md:1: slide 1 is about \d+px tall/);
+    expect(await run(['check', 'long.md', '--overflow', 'split'], { cwd, logger })).toBe(EXIT_OK);
+  });
+
+  test('reports slides of included files at their own line', async () => {
+    mkdirSync(path.join(cwd, 'parts'));
+    writeFileSync(path.join(cwd, 'parts', 'long.md'), `# Intro\n\n---\n\n## Long\n\n${longList(20)}`);
+    writeFileSync(path.join(cwd, 'deck.md'), '# Deck\n\n---\n\n<!-- include: parts/long.md -->');
+    const errors = [];
+
+    expect(await run(['check', 'deck.md'], { cwd, logger: { log: () => {}, error: message => errors.push(message) } })).toBe(EXIT_FAILURE);
+    expect(errors[0]).toMatch(/^✗ parts\/long\.md:5: slide 3 is about \d+px tall/);
+  });
+});
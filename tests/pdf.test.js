@@ -0,0 +1,135 @@
+import { mkdtempSync, writeFileSync, readFileSync, existsSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { writePdf, resolvePdfOptions, fragmentSteps, showFragmentSteps } from '../js/markdown/pdf.js';
+import { exportPdfs, printConfig } from '../cli/pdf.js';
+import { outputPathFor } from '../cli/build.js';
+import { run, EXIT_USAGE } from '../cli/index.js';
+
+const silent = { log: () => {}, error: () => {} };
+
+const latin1 = bytes => Buffer.from(bytes).toString('latin1');
+
+describe('resolvePdfOptions', () => {
+  test('fills in the defaults and rejects unknown values', () => {
+    expect(resolvePdfOptions()).toEqual({ pageSize: '16:9', layout: 'slides', fragments: 'expanded', quality: 'high' });
+    expect(() => resolvePdfOptions({ pageSize: 'A3' })).toThrow('Unknown page size "A3", expected A4, Letter, 16:9, 4:3');
+    expect(() => resolvePdfOptions({ layout: 'handout' })).toThrow('Unknown PDF layout "handout"');
+    expect(() => resolvePdfOptions({ fragments: 'hidden' })).toThrow('Unknown fragment mode "hidden"');
+  });
+});
+
+describe('writePdf', () => {
+  test('writes one image page per entry with a valid cross-reference table', () => {
+    const jpeg = new Uint8Array([0xff, 0xd8, 0xff, 0xd9]);
+    const page = { jpeg, imageWidth: 2, imageHeight: 1, width: 1280, height: 720 };
+    const pdf = latin1(writePdf([page, { ...page, width: 1123, height: 794 }], { title: 'Q3 Ω' }));
+
+    expect(pdf.startsWith('%PDF-1.4\n')).toBe(true);
+    expect(pdf).toContain('/Type /Pages /Kids [4 0 R 7 0 R] /Count 2');
+    expect(pdf).toContain('/MediaBox [0 0 960 540]');
+    expect(pdf).toContain('/MediaBox [0 0 842.25 595.5]');
+    expect(pdf).toContain('/Title <FEFF00510033002003A9>');
+    expect(pdf).toContain('/Filter /DCTDecode /Length 4');
+
+    const xref = Number(pdf.match(/startxref\n(\d+)/)[1]);
+    expect(pdf.slice(xref, xref + 4)).toBe('xref');
+    const offsets = pdf.slice(xref).match(/^\d{10} 00000 n $/gm).map(line => Number(line.slice(0, 10)));
+    expect(offsets).toHaveLength(9);
+    offsets.forEach((offset, index) => {
+      expect(pdf.slice(offset)).toMatch(new RegExp(`^${index + 1} 0 obj\n`));
+    });
+  });
+});
+
+describe('fragmentSteps', () => {
+  test('orders fragments like Reveal.js and shows them step by step', () => {
+    const root = document.createElement('div');
+    root.innerHTML = [
+      '<p class="fragment" id="a">a</p>',
+      '<p class="fragment" data-fragment-index="2" id="b">b</p>',
+      '<p class="fragment" data-fragment-index="1" id="c">c</p>',
+      '<p class="fragment" data-fragment-index="1" id="d">d</p>'
+    ].join('');
+
+    const steps = fragmentSteps(root);
+    expect(steps.map(step => step.map(fragment => fragment.id))).toEqual([['c', 'd'], ['b'], ['a']]);
+
+    showFragmentSteps(steps, 1);
+    expect([...root.children].map(fragment => fragment.style.visibility)).toEqual(['hidden', 'hidden', '', '']);
+    showFragmentSteps(steps);
+    expect([...root.children].every(fragment => fragment.style.visibility === '')).toBe(true);
+  });
+});
+
+describe('md2reveal pdf', () => {
+  let cwd;
+
+  beforeEach(() => {
+    cwd = mkdtempSync(path.join(tmpdir(), 'md2reveal-pdf-'));
+    writeFileSync(path.join(cwd, 'talk.md'), '---\nwidth: 960\n---\n# Talk\n\n![chart](chart.png)');
+  });
+
+  afterEach(() => {
+    rmSync(cwd, { recursive: true, force: true });
+  });
+
+  // Stands in for headless Chromium, recording what each page was asked for
+  function createBrowser(calls) {
+    return async () => ({
+      newPage: async () => {
+        const call = {};
+        calls.push(call);
+        return {
+          goto: async url => {
+            call.url = url;
+            call.html = readFileSync(new URL(url.replace(/\?print-pdf$/, '')), 'utf8');
+          },
+          waitForFunction: async () => {},
+          pdf: async options => {
+            call.options = options;
+            writeFileSync(options.path, '%PDF-1.4');
+          },
+          close: async () => {}
+        };
+      },
+      close: async () => {
+        calls.closed = true;
+      }
+    });
+  }
+
+  test('prints the Reveal.js print view at the page size', async () => {
+    const calls = [];
+    const failures = await exportPdfs([path.join(cwd, 'talk.md')], {}, {
+      cwd,
+      outDir: 'talk.pdf',
+      logger: silent,
+      pdf: { pageSize: 'A4', layout: 'notes', fragments: 'separate' },
+      launchBrowser: createBrowser(calls)
+    });
+
+    expect(failures).toEqual([]);
+    expect(existsSync(path.join(cwd, 'talk.pdf'))).toBe(true);
+    expect(calls.closed).toBe(true);
+    expect(calls[0].url).toMatch(/^file:.*\.html\?print-pdf$/);
+    expect(calls[0].html).toContain(`<base href="${new URL(`file://${cwd}/`).href}">`);
+    expect(calls[0].html).toContain('width: 1123');
+    expect(calls[0].html).toContain('pdfSeparateFragments: true');
+    expect(calls[0].html).toContain('showNotes: "separate-page"');
+    expect(calls[0].options).toMatchObject({ width: '1123px', height: '794px', printBackground: true });
+  });
+
+  test('writes PDFs next to HTML builds and validates the options', async () => {
+    expect(outputPathFor('/work/talks/q3.md', { cwd: '/work', outDir: 'dist', extension: '.pdf' })).toBe('/work/dist/talks/q3.pdf');
+    expect(printConfig({ pageSize: '4:3' })).toEqual({
+      width: 1024,
+      height: 768,
+      margin: 0,
+      pdfMaxPagesPerSlide: 1,
+      pdfSeparateFragments: false,
+      showNotes: false
+    });
+    expect(await run(['pdf', 'talk.md', '--page-size', 'A3'], { cwd, logger: silent })).toBe(EXIT_USAGE);
+  });
+});
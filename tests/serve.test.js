@@ -0,0 +1,136 @@
+// @vitest-environment node
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { startServer, collectAssetReferences, injectLiveReload } from '../cli/serve.js';
+
+const silent = { log: () => {}, error: () => {} };
+
+describe('collectAssetReferences', () => {
+  test('resolves relative images and backgrounds against the deck directory', () => {
+    const md = '![Chart](img/chart.png)\n<!-- @bg: bg.jpg -->\n<img src="../logo.svg">\n![Remote](https://x.test/a.png)';
+    const references = [...collectAssetReferences(md, '/talks')];
+
+    expect(references).toEqual(['/talks/img/chart.png', '/logo.svg', '/talks/bg.jpg']);
+  });
+});
+
+describe('injectLiveReload', () => {
+  test('adds the client before the closing body tag', () => {
+    const html = injectLiveReload('<html><body><p>Deck</p></body></html>');
+    expect(html).toMatch(/EventSource\([\s\S]*<\/script>\n<\/body>/);
+  });
+});
+
+describe('startServer', () => {
+  let cwd;
+  let server;
+
+  beforeEach(async () => {
+    cwd = mkdtempSync(path.join(tmpdir(), 'md2reveal-serve-'));
+    mkdirSync(path.join(cwd, 'img'));
+    writeFileSync(path.join(cwd, 'img', 'a.png'), 'PNG');
+    writeFileSync(path.join(cwd, 'talk.md'), '# Talk\n\n![A](img/a.png)');
+    writeFileSync(path.join(cwd, 'broken.md'), '---\ntitle: [oops\n---\n# Broken');
+    server = await startServer(
+      [path.join(cwd, 'talk.md'), path.join(cwd, 'broken.md')],
+      {},
+      { cwd, port: 0, logger: silent }
+    );
+  });
+
+  afterEach(async () => {
+    await server.close();
+    rmSync(cwd, { recursive: true, force: true });
+  });
+
+  test('serves decks with the live reload client and their assets', async () => {
+    const deck = await fetch(`${server.url}/talk.html`);
+    expect(deck.status).toBe(200);
+    expect(await deck.text()).toContain('/__md2reveal/events');
+
+    const image = await fetch(`${server.url}/img/a.png`);
+    expect(await image.text()).toBe('PNG');
+    expect((await fetch(`${server.url}/missing.png`)).status).toBe(404);
+  });
+
+  test('shows conversion errors in the page', async () => {
+    const response = await fetch(`${server.url}/broken.html`);
+    const html = await response.text();
+
+    expect(response.status).toBe(500);
+    expect(html).toContain('Invalid front matter (line 2): Unterminated list');
+    expect(html).toContain('/__md2reveal/events');
+  });
+
+  test('pushes a reload when the Markdown changes', async () => {
+    const response = await fetch(`${server.url}/__md2reveal/events`);
+    const reader = response.body.getReader();
+    await reader.read();
+
+    writeFileSync(path.join(cwd, 'talk.md'), '# Talk, revised');
+
+    let received = '';
+    while (!received.includes('event: reload')) {
+      const { value } = await reader.read();
+      received += new TextDecoder().decode(value);
+    }
+    expect(received).toContain('"deck":"/talk.html"');
+    await reader.cancel();
+  });
+
+  test('does not serve hidden files, node_modules or files outside the decks', async () => {
+    writeFileSync(path.join(cwd, '.env'), 'SECRET=1');
+    mkdirSync(path.join(cwd, 'node_modules'));
+    writeFileSync(path.join(cwd, 'node_modules', 'a.js'), '');
+
+    expect((await fetch(`${server.url}/.env`)).status).toBe(404);
+    expect((await fetch(`${server.url}/node_modules/a.js`)).status).toBe(404);
+    expect((await fetch(`${server.url}/img/../../etc/hosts`)).status).toBe(404);
+  });
+});
+
+describe('startServer with decks in other folders', () => {
+  let root;
+  let server;
+
+  beforeEach(async () => {
+    root = mkdtempSync(path.join(tmpdir(), 'md2reveal-serve-'));
+    mkdirSync(path.join(root, 'cwd'));
+    mkdirSync(path.join(root, 'talk', 'parts'), { recursive: true });
+    mkdirSync(path.join(root, 'talk', 'img'));
+    writeFileSync(path.join(root, 'logo.svg'), '<svg/>');
+    writeFileSync(path.join(root, 'talk', 'img', 'a.png'), 'PNG');
+    writeFileSync(path.join(root, 'talk', 'parts', 'intro.md'), '# Intro');
+    writeFileSync(path.join(root, 'talk', 'deck.md'), '<!-- include: parts/intro.md -->\n\n---\n\n![A](img/a.png) ![Logo](../logo.svg)');
+    server = await startServer([path.join(root, 'talk', 'deck.md')], {}, { cwd: path.join(root, 'cwd'), port: 0, logger: silent });
+  });
+
+  afterEach(async () => {
+    await server.close();
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  test('resolves asset URLs relative to the deck', async () => {
+    expect(server.decks).toEqual([`${server.url}/deck.html`]);
+    expect(await (await fetch(`${server.url}/img/a.png`)).text()).toBe('PNG');
+    expect(await (await fetch(`${server.url}/logo.svg`)).text()).toBe('<svg/>');
+  });
+
+  test('rebuilds when an included file in a subfolder changes', async () => {
+    const response = await fetch(`${server.url}/__md2reveal/events`);
+    const reader = response.body.getReader();
+    await reader.read();
+
+    writeFileSync(path.join(root, 'talk', 'parts', 'intro.md'), '# Intro, revised');
+
+    let received = '';
+    while (!received.includes('event: reload')) {
+      const { value } = await reader.read();
+      received += new TextDecoder().decode(value);
+    }
+    expect(received).toContain('"deck":"/deck.html"');
+    await reader.cancel();
+    expect(await (await fetch(`${server.url}/deck.html`)).text()).toContain('Intro, revised');
+  });
+});
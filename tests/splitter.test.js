@@ -0,0 +1,51 @@
+import { splitSlides, scanLines } from '../js/markdown/splitter.js';
+
+const contents = stacks => stacks.map(stack => stack.map(slide => slide.content));
+
+describe('splitSlides', () => {
+  test('splits files with CRLF line endings', () => {
+    const md = '# One\r\n\r\n---\r\n\r\n# Two\r\n';
+    expect(contents(splitSlides(md))).toEqual([['# One'], ['# Two']]);
+  });
+
+  test('ignores separators inside fenced code blocks', () => {
+    const md = '# Config\n\n```yaml\n---\nname: demo\n--\n```\n\n---\n\n# Next';
+    expect(contents(splitSlides(md))).toEqual([
+      ['# Config\n\n```yaml\n---\nname: demo\n--\n```'],
+      ['# Next']
+    ]);
+  });
+
+  test('ignores separators inside HTML blocks and comments', () => {
+    const md = '<div>\n---\n</div>\n\n---\n\n<!--\n---\n-->\n# Two';
+    expect(contents(splitSlides(md))).toEqual([['<div>\n---\n</div>'], ['<!--\n---\n-->\n# Two']]);
+  });
+
+  test('treats a separator under a paragraph as a setext heading', () => {
+    const md = 'Heading\n---\nText\n\n---\n\n# Next';
+    expect(contents(splitSlides(md))).toEqual([['Heading\n---\nText'], ['# Next']]);
+  });
+
+  test('skips front matter and reports source lines', () => {
+    const md = '---\ntitle: Demo\n---\n\n# One\n\n--\n\n# Down\n---\n# Two';
+    expect(splitSlides(md)).toEqual([
+      [
+        { content: '# One', startLine: 5, endLine: 5 },
+        { content: '# Down', startLine: 9, endLine: 9 }
+      ],
+      [{ content: '# Two', startLine: 11, endLine: 11 }]
+    ]);
+  });
+
+  test('keeps stacks whole without a vertical separator', () => {
+    const md = '# A\n\n--\n\n# B';
+    expect(contents(splitSlides(md, { verticalSeparator: null }))).toEqual([['# A\n\n--\n\n# B']]);
+  });
+});
+
+describe('scanLines', () => {
+  test('classifies fences and code', () => {
+    const types = scanLines('text\n~~~\n```\n~~~').map(line => line.type);
+    expect(types).toEqual(['text', 'fence', 'code', 'fence']);
+  });
+});
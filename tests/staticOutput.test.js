@@ -0,0 +1,63 @@
+// @vitest-environment node
+import { JSDOM } from 'jsdom';
+import { convertMarkdownToSlides } from '../slides.js';
+import { applyElementDirectives, sanitizeHtml, useSanitizerWindow } from '../js/markdown/render.js';
+
+describe('convertMarkdownToSlides static output', () => {
+  test('renders Markdown to HTML without the markdown plugin', () => {
+    const md = '# Title\n\n- One\n- Two\n\nNote: Say **hello**';
+    const html = convertMarkdownToSlides(md, { output: 'static' });
+
+    expect(html).toContain('<h1>Title</h1>');
+    expect(html).toContain('<li>One</li>');
+    expect(html).toContain('<aside class="notes"><p>Say <strong>hello</strong></p></aside>');
+    expect(html).not.toContain('data-markdown');
+    expect(html).not.toContain('<textarea');
+  });
+
+  test('keeps slide directives and vertical stacks', () => {
+    const md = '---\noutput: static\n---\n<!-- @bg: #123 -->\n# A\n\n--\n\n# B';
+    const html = convertMarkdownToSlides(md);
+
+    expect(html).toMatch(/^<section>\n<section [^>]*data-background-color="#123"/);
+    expect(html.match(/<section/g)).toHaveLength(3);
+  });
+
+  test('applies element directives to the preceding element', () => {
+    const md = '- Later <!-- .element: class="fragment" -->\n\n![Chart](chart.png) <!-- .element: width="50%" -->';
+    const html = convertMarkdownToSlides(md, { output: 'static' });
+
+    expect(html).toContain('<li class="fragment">Later </li>');
+    expect(html).toContain('<img src="chart.png" alt="Chart" width="50%">');
+    expect(html).not.toContain('.element:');
+  });
+
+  test('rejects unknown output modes', () => {
+    expect(() => convertMarkdownToSlides('# A', { output: 'pdf' })).toThrow('Unknown output mode "pdf"');
+  });
+});
+
+describe('applyElementDirectives', () => {
+  test('falls back to the parent and then the section', () => {
+    const { html, attributes } = applyElementDirectives(
+      '<!-- .element: data-state="intro" --><p>Text <!-- .element: class="big" --></p>'
+    );
+
+    expect(html).toBe('<p class="big">Text </p>');
+    expect(attributes).toEqual({ 'data-state': 'intro' });
+  });
+});
+
+describe('sanitizeHtml without a DOM', () => {
+  test('removes scripts, handlers and script URLs', () => {
+    const html = sanitizeHtml('<p onclick="x()">Hi</p><script>alert(1)</script><a href="javascript:alert(1)">a</a>');
+    expect(html).toBe('<p>Hi</p><a>a</a>');
+  });
+
+  test('sanitizes with DOMPurify on a window given to it', () => {
+    useSanitizerWindow(new JSDOM('').window);
+    const html = sanitizeHtml('<a href="&#106;avascript:alert(1)">a</a><a href="data:text/html,x">b</a><iframe src="x"></iframe>');
+
+    expect(html).toBe('<a>a</a><a>b</a>');
+  });
+});
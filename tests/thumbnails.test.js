@@ -0,0 +1,127 @@
+// @vitest-environment node
+import { mkdtempSync, writeFileSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import JSZip from 'jszip';
+import { parseImageSize, resolveImageOptions, imageLayout, imageFileName, createImageArchive } from '../js/markdown/thumbnails.js';
+import { exportImages, screenshotConfig } from '../cli/images.js';
+import { run, EXIT_USAGE } from '../cli/index.js';
+
+const silent = { log: () => {}, error: () => {} };
+
+describe('image options', () => {
+  test('reads sizes, fills in the defaults and rejects unknown values', () => {
+    expect(parseImageSize('1920x1080')).toEqual({ width: 1920, height: 1080 });
+    expect(parseImageSize(' 640 × 480 ')).toEqual({ width: 640, height: 480 });
+    expect(() => parseImageSize('huge')).toThrow('Unknown image size "huge"');
+    expect(() => parseImageSize('10000x100')).toThrow('from 16 to 8192 pixels');
+    expect(resolveImageOptions()).toEqual({ size: '1280x720', fragments: 'expanded' });
+    expect(() => resolveImageOptions({ fragments: 'hidden' })).toThrow('Unknown fragment mode "hidden"');
+  });
+
+  test('lays slides out at 1280 pixels wide and names files in slide order', () => {
+    expect(imageLayout('3840x2160')).toEqual({ width: 1280, height: 720, scale: 3 });
+    expect(imageLayout('640x480')).toEqual({ width: 1280, height: 960, scale: 0.5 });
+    expect(imageFileName(3)).toBe('slide-03.png');
+    expect(imageFileName(3, 2, 9)).toBe('slide-03-2.png');
+    expect(imageFileName(7, 0, 120)).toBe('slide-007.png');
+  });
+});
+
+describe('createImageArchive', () => {
+  test('packs the images with an index and a contact sheet', async () => {
+    const png = new Uint8Array([0x89, 0x50, 0x4e, 0x47]);
+    const images = [
+      { file: 'slide-01.png', slide: 1, step: 0, title: 'Q3 <Results>', bytes: png },
+      { file: 'slide-01-1.png', slide: 1, step: 1, title: 'Q3 <Results>', bytes: png }
+    ];
+
+    const zip = await JSZip.loadAsync(await createImageArchive(images, { title: 'Talk', size: '640x360' }));
+    const index = JSON.parse(await zip.file('index.json').async('string'));
+    const sheet = await zip.file('index.html').async('string');
+
+    expect(Object.keys(zip.files).sort()).toEqual(['index.html', 'index.json', 'slide-01-1.png', 'slide-01.png']);
+    expect(await zip.file('slide-01.png').async('uint8array')).toEqual(png);
+    expect(index).toEqual({
+      title: 'Talk',
+      size: '640x360',
+      images: images.map(({ bytes, ...image }) => image)
+    });
+    expect(sheet).toContain('<img src="slide-01-1.png" alt="1.1 Q3 &lt;Results&gt;">');
+  });
+});
+
+describe('md2reveal images', () => {
+  let cwd;
+
+  beforeEach(() => {
+    cwd = mkdtempSync(path.join(tmpdir(), 'md2reveal-images-'));
+    writeFileSync(path.join(cwd, 'talk.md'), '# Talk\n\n- one <!-- .element: class="fragment" -->\n\n---\n\n## End');
+  });
+
+  afterEach(() => {
+    rmSync(cwd, { recursive: true, force: true });
+  });
+
+  // Stands in for headless Chromium with a two slide deck whose first slide
+  // has one fragment step, recording the slides shown
+  function createBrowser(calls) {
+    return async () => ({
+      newPage: async options => {
+        const call = { options, shown: [] };
+        calls.push(call);
+        return {
+          goto: async url => {
+            call.html = readFileSync(new URL(url), 'utf8');
+          },
+          waitForFunction: async () => {},
+          addStyleTag: async () => {},
+          evaluate: async (fn, args) => {
+            if (args) {
+              call.shown.push(args);
+              return undefined;
+            }
+            return [{ h: 0, v: 0, steps: 1, title: 'Talk' }, { h: 1, v: 0, steps: 0, title: 'End' }];
+          },
+          screenshot: async () => Buffer.from('PNG'),
+          close: async () => {}
+        };
+      },
+      close: async () => {
+        calls.closed = true;
+      }
+    });
+  }
+
+  test('screenshots each fragment step into a ZIP at the image size', async () => {
+    const calls = [];
+    const failures = await exportImages([path.join(cwd, 'talk.md')], {}, {
+      cwd,
+      outDir: 'talk.zip',
+      logger: silent,
+      images: { size: '1920x1080', fragments: 'separate' },
+      launchBrowser: createBrowser(calls)
+    });
+
+    const zip = await JSZip.loadAsync(readFileSync(path.join(cwd, 'talk.zip')));
+    const index = JSON.parse(await zip.file('index.json').async('string'));
+
+    expect(failures).toEqual([]);
+    expect(calls.closed).toBe(true);
+    expect(calls[0].options).toEqual({ viewport: { width: 1280, height: 720 }, deviceScaleFactor: 1.5 });
+    expect(calls[0].html).toContain('transition: "none"');
+    expect(calls[0].shown).toEqual([[0, 0, -1], [0, 0, 0], [1, 0, -1]]);
+    expect(index.images.map(image => image.file)).toEqual(['slide-01.png', 'slide-01-1.png', 'slide-02.png']);
+    expect(index.images[2].title).toBe('End');
+  });
+
+  test('shows every fragment by default and validates the options', async () => {
+    const calls = [];
+    await exportImages([path.join(cwd, 'talk.md')], {}, { cwd, logger: silent, launchBrowser: createBrowser(calls) });
+
+    expect(calls[0].shown).toEqual([[0, 0, 0], [1, 0, -1]]);
+    expect(readFileSync(path.join(cwd, 'dist', 'talk.zip')).length).toBeGreaterThan(0);
+    expect(screenshotConfig({ size: '640x480' })).toMatchObject({ width: 1280, height: 960, margin: 0, controls: false });
+    expect(await run(['images', 'talk.md', '--size', 'big'], { cwd, logger: silent })).toBe(EXIT_USAGE);
+  });
+});
@@ -0,0 +1,96 @@
+import { convertMarkdownToSlides } from '../slides.js';
+import { findTitle, createSlugger, agendaHtml, replaceTocPlaceholder } from '../js/markdown/toc.js';
+import { RevealEngine } from '../js/engines/reveal-engine.js';
+
+const deck = '# My Talk\n\n---\n\n## Agenda\n\n[[toc]]\n\n---\n\n# Intro\n\n--\n\n## Why\n\n---\n\n# Wrap Up';
+
+describe('convertMarkdownToSlides table of contents', () => {
+  test('replaces the placeholder with links to each section', () => {
+    const html = convertMarkdownToSlides(deck);
+
+    expect(html).toContain('- [Intro](#/intro)\n- [Wrap Up](#/wrap-up)</textarea>');
+    expect(html).not.toContain('[[toc]]');
+    expect(html).toMatch(/<section [^>]*id="intro"/);
+    expect(html).toMatch(/<section [^>]*id="wrap-up"/);
+    expect(html).not.toMatch(/<section [^>]*id="my-talk"/);
+  });
+
+  test('lists sub-sections up to toc-depth and keeps slide ids', () => {
+    const md = deck.replace('# Wrap Up', '<!-- @id: end -->\n# Wrap Up');
+    const html = convertMarkdownToSlides(`---\ntoc-depth: 2\n---\n${md}`, { output: 'static' });
+
+    expect(html).toContain('<li><a href="#/intro">Intro</a><ul>\n<li><a href="#/why">Why</a></li>');
+    expect(html).toContain('<a href="#/end">Wrap Up</a>');
+  });
+
+  test('inserts section dividers with progress before each H1', () => {
+    const html = convertMarkdownToSlides(deck, { sectionDividers: true, output: 'static' });
+
+    expect(html).toContain('<p class="section-progress">Part 1 of 2</p>');
+    expect(html).toContain('<p class="section-progress">Part 2 of 2</p>');
+    expect(html).toMatch(/<section [^>]*id="intro" class="section-divider"/);
+    expect(html.match(/<h1>Intro<\/h1>/g)).toHaveLength(2);
+    expect(html.match(/section-divider/g)).toHaveLength(2);
+  });
+
+  test('ignores placeholders in code blocks', () => {
+    const html = convertMarkdownToSlides('# A\n\n---\n\n```\n[[toc]]\n```');
+
+    expect(html).toContain('[[toc]]');
+    expect(html).not.toContain('id="a"');
+  });
+});
+
+describe('toc helpers', () => {
+  test('finds ATX and setext titles', () => {
+    expect(findTitle('Intro text\n\n## Goals {.fragment} ##')).toEqual({ level: 2, text: 'Goals' });
+    expect(findTitle('Overview\n========')).toEqual({ level: 1, text: 'Overview' });
+    expect(findTitle('```\n# not a title\n```')).toBeNull();
+  });
+
+  test('makes unique slugs', () => {
+    const slug = createSlugger(['intro']);
+
+    expect(slug('Intro')).toBe('intro-2');
+    expect(slug('**Why** it matters?')).toBe('why-it-matters');
+  });
+
+  test('escapes titles in the HTML agenda', () => {
+    expect(agendaHtml([{ level: 1, text: 'Q&A <live>', id: 'qa' }]))
+      .toBe('<ul class="toc"><li><a href="#/qa">Q&amp;A &lt;live&gt;</a></li></ul>');
+  });
+
+  test('replaces only whole placeholder lines', () => {
+    expect(replaceTocPlaceholder('See [[toc]] below\n<!-- toc -->', '- x')).toBe('See [[toc]] below\n- x');
+  });
+});
+
+describe('RevealEngine agenda slides', () => {
+  const nodes = [
+    { id: 'a', type: 'text', content: { text: '# Talk' } },
+    { id: 'b', type: 'text', content: { text: '## Agenda\n\n[[toc]]' } },
+    { id: 'c', type: 'text', content: { text: '# Intro' } },
+    { id: 'd', type: 'image', content: { imageUrl: 'chart.png' } },
+    { id: 'e', type: 'text', content: { text: '# End' } }
+  ];
+
+  test('fills the agenda and anchors the listed slides', () => {
+    const engine = new RevealEngine();
+    const slides = engine.addAgendaSlides(nodes.map(node => engine.convertNodeToSlide(node)), nodes);
+    const html = slides.map(slide => engine.convertSlideToHTML(slide)).join('\n');
+
+    expect(slides).toHaveLength(5);
+    expect(html).toContain('<ul class="toc"><li><a href="#/intro">Intro</a></li><li><a href="#/end">End</a></li></ul>');
+    expect(html).toContain('<section id="intro" data-slide-id="c">');
+  });
+
+  test('inserts section dividers when enabled', () => {
+    const engine = new RevealEngine();
+    engine.updateConfig({ sectionDividers: true });
+    const slides = engine.addAgendaSlides(nodes.map(node => engine.convertNodeToSlide(node)), nodes);
+
+    expect(slides.map(slide => slide.id)).toEqual(['a', 'b', 'c-divider', 'c', 'd', 'e-divider', 'e']);
+    expect(engine.convertSlideToHTML(slides[5]))
+      .toBe('<section id="end" class="section-divider" data-slide-id="e-divider"><p class="section-progress">Part 2 of 2</p><h1>End</h1></section>');
+  });
+});